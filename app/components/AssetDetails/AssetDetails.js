@@ -13,6 +13,11 @@ import AssetAttributes from '../AssetAttributes/AssetAttributes';
 import NoteEditor from '../NoteEditor/NoteEditor';
 import Loading from '../Loading/Loading';
 import SourceControlHistory from '../SourceControlHistory/SourceControlHistory';
+import DataProfile from '../DataProfile/DataProfile';
+import ImageProfile from '../ImageProfile/ImageProfile';
+import ImageHandler from '../../services/assets/handlers/image';
+import AssetUtil from '../../utils/asset';
+import WorkflowUtil from '../../utils/workflow';
 import styles from './AssetDetails.css';
 
 const AccordionSummary = withStyles({
@@ -144,6 +149,48 @@ const assetDetails = (props) => {
       );
   }
 
+  let dataProfileAccordion = null;
+  const dataProfile = isExternalAsset ? null : WorkflowUtil.getDataFileMetadata(asset);
+  if (dataProfile) {
+    dataProfileAccordion = (
+      <Accordion defaultExpanded>
+        <AccordionSummary
+          expandIcon={<ExpandMoreIcon />}
+          aria-controls="data-profile-content"
+          id="data-profile-header"
+          className={styles.heading}
+        >
+          <Typography className={styles.headingTitle}>Data Profile</Typography>
+        </AccordionSummary>
+        <AccordionDetails className={styles.details}>
+          <DataProfile profile={dataProfile} />
+        </AccordionDetails>
+      </Accordion>
+    );
+  }
+
+  let imageProfileAccordion = null;
+  const imageProfile = isExternalAsset
+    ? null
+    : AssetUtil.getHandlerMetadata(ImageHandler.id, asset.metadata);
+  if (imageProfile && !imageProfile.error) {
+    imageProfileAccordion = (
+      <Accordion defaultExpanded>
+        <AccordionSummary
+          expandIcon={<ExpandMoreIcon />}
+          aria-controls="image-profile-content"
+          id="image-profile-header"
+          className={styles.heading}
+        >
+          <Typography className={styles.headingTitle}>Image</Typography>
+        </AccordionSummary>
+        <AccordionDetails className={styles.details}>
+          <ImageProfile profile={imageProfile} />
+        </AccordionDetails>
+      </Accordion>
+    );
+  }
+
   let actions = null;
   if (isExternalAsset) {
     actions = (
@@ -181,6 +228,8 @@ const assetDetails = (props) => {
         </AccordionDetails>
       </Accordion>
       {attributesAccordion}
+      {dataProfileAccordion}
+      {imageProfileAccordion}
       {sourceControlAccordion}
     </div>
   );
@@ -8,7 +8,8 @@ import {
   FaPaperclip,
   FaFilter,
   FaGlobe,
-  FaFileImport
+  FaFileImport,
+  FaLink
 } from 'react-icons/fa';
 import styled from 'styled-components';
 import PropTypes from 'prop-types';
@@ -23,6 +24,16 @@ const getPaddingLeft = (level) => {
 };
 
 const getNodeColor = (node) => {
+  // Assets that git ignores are only displayed when requested, and are muted to stand out
+  if (AssetUtil.isGitIgnored(node)) {
+    return '#777';
+  }
+
+  // Links to something that doesn't exist, or that we didn't follow because it would loop
+  if (node && node.link && (node.link.broken || node.link.cycle)) {
+    return '#a00';
+  }
+
   if (!node || !node.attributes) {
     return '#000';
   }
@@ -65,8 +76,24 @@ const StyledInput = styled.input`
 const StyledLabel = styled.span`
   overflow: hidden;
   text-overflow: ellipsis;
+  ${(props) => (props.$link ? 'font-style: italic;' : null)}
 `;
 
+// Describe where a symbolic link points to, for its tooltip
+const getLinkDescription = (link) => {
+  if (!link) {
+    return null;
+  }
+
+  if (link.broken) {
+    return `Broken link to ${link.target}`;
+  }
+  if (link.cycle) {
+    return `Link to ${link.target} (not followed because it loops back to a parent folder)`;
+  }
+  return `Link to ${link.target}`;
+};
+
 function AssetNode(props) {
   const {
     node,
@@ -136,9 +163,17 @@ function AssetNode(props) {
           {node.type === Constants.AssetType.ASSET_GROUP && <FaPaperclip />}
           {node.type === Constants.AssetType.FILTER && <FaFilter />}
           {node.type === Constants.AssetType.URL && <FaGlobe />}
+          {node.type === Constants.AssetType.SYMLINK && <FaLink />}
         </NodeIcon>
-
-        <StyledLabel role="button">{AssetUtil.getAssetNameForTree(node)}</StyledLabel>
+        {node.link && node.type !== Constants.AssetType.SYMLINK ? (
+          <NodeIcon $marginright={10}>
+            <FaLink />
+          </NodeIcon>
+        ) : null}
+
+        <StyledLabel role="button" $link={!!node.link} title={getLinkDescription(node.link)}>
+          {AssetUtil.getAssetNameForTree(node)}
+        </StyledLabel>
       </StyledTreeNode>
 
       {isOpen &&
@@ -0,0 +1,138 @@
+import React from 'react';
+import styles from './DataProfile.css';
+
+// Display names for the delimiters that we detect
+const DELIMITER_NAMES = {
+  ',': 'Comma',
+  '\t': 'Tab',
+  ';': 'Semicolon',
+  '|': 'Pipe',
+};
+
+// Display the value labels for a column as a single line of text (e.g., '1 = Male, 2 = Female')
+const formatValueLabels = (valueLabels) => {
+  if (!valueLabels) {
+    return null;
+  }
+  return valueLabels.map((x) => `${x.value} = ${x.label}`).join(', ');
+};
+
+const dataProfile = (props) => {
+  const { profile } = props;
+  if (!profile) {
+    return null;
+  }
+
+  // Workbooks have a separate profile for each sheet
+  if (profile.sheets) {
+    return (
+      <div className={styles.container}>
+        <div className={styles.summary}>
+          <div className={styles.summaryItem}>
+            <span className={styles.label}>Sheets:</span> {profile.sheets.length}
+          </div>
+        </div>
+        {profile.sheets.map((sheet, index) => (
+          // Sheet names are unique, but we include the position in case of a malformed file
+          <div key={`${index}-${sheet.name}`} className={styles.sheet}>
+            <div className={styles.sheetName}>{sheet.name}</div>
+            {dataProfile({ profile: sheet })}
+          </div>
+        ))}
+      </div>
+    );
+  }
+
+  const columns = profile.columns || [];
+  const rowCount =
+    profile.rowCount === undefined || profile.rowCount === null
+      ? null
+      : `${profile.sampled ? '~' : ''}${profile.rowCount.toLocaleString()}`;
+
+  const summaryItems = [];
+  if (profile.label) {
+    summaryItems.push(
+      <div key="label" className={styles.summaryItem}>
+        <span className={styles.label}>Label:</span> {profile.label}
+      </div>,
+    );
+  }
+  if (rowCount !== null) {
+    summaryItems.push(
+      <div key="rows" className={styles.summaryItem}>
+        <span className={styles.label}>Rows:</span> {rowCount}
+        {profile.sampled ? <span className={styles.note}> (estimated from a sample)</span> : null}
+      </div>,
+    );
+  }
+  summaryItems.push(
+    <div key="columns" className={styles.summaryItem}>
+      <span className={styles.label}>Columns:</span> {columns.length}
+    </div>,
+  );
+  if (profile.delimiter) {
+    summaryItems.push(
+      <div key="delimiter" className={styles.summaryItem}>
+        <span className={styles.label}>Delimiter:</span>{' '}
+        {DELIMITER_NAMES[profile.delimiter] || profile.delimiter}
+      </div>,
+    );
+  }
+  if (profile.encoding) {
+    summaryItems.push(
+      <div key="encoding" className={styles.summaryItem}>
+        <span className={styles.label}>Encoding:</span> {profile.encoding}
+      </div>,
+    );
+  }
+
+  let columnTable = null;
+  if (columns.length > 0) {
+    // Labels are only available for some file formats, so we only show them if there are any
+    const hasLabels = columns.some((column) => column.label);
+    const hasValueLabels = columns.some((column) => column.valueLabels);
+    const hasMissing = columns.some((column) => column.missing !== undefined);
+    columnTable = (
+      <table className={styles.columns}>
+        <thead>
+          <tr>
+            <th>Column</th>
+            <th>Type</th>
+            {hasLabels ? <th>Label</th> : null}
+            {hasValueLabels ? <th>Value Labels</th> : null}
+            {hasMissing ? <th>Missing</th> : null}
+          </tr>
+        </thead>
+        <tbody>
+          {columns.map((column, index) => (
+            // Column names aren't guaranteed to be unique, so we include the position
+            <tr key={`${index}-${column.name}`}>
+              <td>{column.name}</td>
+              <td className={styles.type}>{column.type}</td>
+              {hasLabels ? <td>{column.label}</td> : null}
+              {hasValueLabels ? (
+                <td className={styles.valueLabels}>
+                  {column.valueLabels && profile.valueLabels
+                    ? formatValueLabels(profile.valueLabels[column.valueLabels])
+                    : null}
+                </td>
+              ) : null}
+              {hasMissing ? (
+                <td>{column.missing === undefined ? null : column.missing.toLocaleString()}</td>
+              ) : null}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    );
+  }
+
+  return (
+    <div className={styles.container}>
+      <div className={styles.summary}>{summaryItems}</div>
+      {columnTable}
+    </div>
+  );
+};
+
+export default dataProfile;
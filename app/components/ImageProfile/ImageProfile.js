@@ -0,0 +1,76 @@
+import React from 'react';
+import GeneralUtil from '../../utils/general';
+import styles from './ImageProfile.css';
+
+// Display names for the EXIF details, in the order they are displayed
+const EXIF_NAMES = {
+  description: 'Description',
+  make: 'Camera Make',
+  model: 'Camera Model',
+  software: 'Software',
+  artist: 'Artist',
+  copyright: 'Copyright',
+  dateTimeOriginal: 'Date Taken',
+  dateTime: 'Date Modified',
+  orientation: 'Orientation',
+};
+
+const imageProfile = (props) => {
+  const { profile } = props;
+  if (!profile) {
+    return null;
+  }
+
+  // The thumbnail is cached in the project's .statwrap folder, and may not exist for all images
+  const thumbnail = profile.thumbnail ? GeneralUtil.convertImageToBase64(profile.thumbnail) : null;
+
+  const summaryItems = [
+    <div key="format" className={styles.summaryItem}>
+      <span className={styles.label}>Format:</span> {profile.format}
+    </div>,
+  ];
+  if (profile.width !== undefined && profile.height !== undefined) {
+    summaryItems.push(
+      <div key="dimensions" className={styles.summaryItem}>
+        <span className={styles.label}>Dimensions:</span> {profile.width} x {profile.height} pixels
+      </div>,
+    );
+  }
+  if (profile.dpi) {
+    summaryItems.push(
+      <div key="dpi" className={styles.summaryItem}>
+        <span className={styles.label}>DPI:</span>{' '}
+        {profile.dpi.x === profile.dpi.y ? profile.dpi.x : `${profile.dpi.x} x ${profile.dpi.y}`}
+      </div>,
+    );
+  }
+
+  let exifTable = null;
+  const exifKeys = Object.keys(EXIF_NAMES).filter(
+    (key) => profile.exif && profile.exif[key] !== undefined,
+  );
+  if (exifKeys.length > 0) {
+    exifTable = (
+      <table className={styles.exif}>
+        <tbody>
+          {exifKeys.map((key) => (
+            <tr key={key}>
+              <th>{EXIF_NAMES[key]}</th>
+              <td>{profile.exif[key]}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    );
+  }
+
+  return (
+    <div className={styles.container}>
+      {thumbnail ? <img className={styles.thumbnail} src={thumbnail} alt="Thumbnail" /> : null}
+      <div className={styles.summary}>{summaryItems}</div>
+      {exifTable}
+    </div>
+  );
+};
+
+export default imageProfile;
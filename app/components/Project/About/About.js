@@ -19,6 +19,8 @@ import TagViewer from '../../TagViewer/TagViewer';
 import TextEditor from '../../TextEditor/TextEditor';
 import LinkedDescription from '../LinkedDescription/LinkedDescription';
 import ProjectUpdateSummary from '../ProjectUpdateSummary/ProjectUpdateSummary';
+import ProjectEnvironment from '../ProjectEnvironment/ProjectEnvironment';
+import ChecklistProgress from '../ChecklistProgress/ChecklistProgress';
 import { DescriptionContentType } from '../../../constants/constants';
 
 function About(props) {
@@ -245,6 +247,8 @@ function About(props) {
         {tagViewerControl}
         {updatesControl}
         {descriptionControl}
+        <ChecklistProgress checklists={props.checklists} />
+        <ProjectEnvironment environment={props.project.environment} />
         <h2>Project Notes</h2>
         <NoteEditor
           notes={notes}
@@ -318,6 +322,7 @@ function About(props) {
 
 About.propTypes = {
   project: PropTypes.object.isRequired,
+  checklists: PropTypes.arrayOf(PropTypes.object),
   updates: PropTypes.object,
   onUpdateDetails: PropTypes.func.isRequired,
   onUpdatedNote: PropTypes.func,
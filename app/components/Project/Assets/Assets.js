@@ -1,7 +1,15 @@
 import React, { useState, useEffect } from 'react';
-import { IconButton } from '@mui/material';
+import {
+  IconButton,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+} from '@mui/material';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
-import { faPlusSquare, faSave, faBan, faFolderOpen, faFolderMinus, faFileCirclePlus } from '@fortawesome/free-solid-svg-icons';
+import { faPlusSquare, faSave, faBan, faFolderOpen, faFolderMinus, faFileCirclePlus, faBook, faEye, faEyeSlash } from '@fortawesome/free-solid-svg-icons';
 import { cloneDeep } from 'lodash';
 import Constants from '../../../constants/constants';
 import AssetGroupDialog from '../../../containers/AssetGroupDialog/AssetGroupDialog';
@@ -16,6 +24,7 @@ import Loading from '../../Loading/Loading';
 import AssetUtil from '../../../utils/asset';
 import ProjectUtil from '../../../utils/project';
 import ProjectService from '../../../services/project';
+import CodebookService from '../../../services/codebook';
 import styles from './Assets.css';
 import constants from '../../../constants/constants';
 
@@ -78,10 +87,14 @@ const assetsComponent = (props) => {
   const [filterEnabled, setFilterEnabled] = useState(true);
   // The actual contents of the filter (no filter by default)
   const [filter, setFilter] = useState([]);
-  const filteredProjectAssets = ProjectUtil.filterProjectAssets(project, null);
+  // If the assets that git ignores are shown (they are hidden by default)
+  const [showGitIgnored, setShowGitIgnored] = useState(false);
+  const filteredProjectAssets = ProjectUtil.filterProjectAssets(project, null, showGitIgnored);
   const [assets, setAssets] = useState(filteredProjectAssets);
   const [externalAssets, setExternalAssets] = useState(project && project.externalAssets ?
     project.externalAssets : AssetUtil.createEmptyExternalAssets());
+  // If the dialog to pick the codebook export format is open
+  const [openCodebookDialog, setOpenCodebookDialog] = useState(false);
 
   const projectService = new ProjectService();
 
@@ -108,7 +121,7 @@ const assetsComponent = (props) => {
     // When the project changes, reset our interface, filters, etc.
     setMode('default');
     setFilter(resetFilter(project));
-    setAssets(ProjectUtil.filterProjectAssets(project, null));
+    setAssets(ProjectUtil.filterProjectAssets(project, null, showGitIgnored));
     setCurrentAssetGroup(null);
     setGroupedAssets(null);
     setFilterEnabled(true);
@@ -119,12 +132,22 @@ const assetsComponent = (props) => {
   // those that should be displayed.
   const handleFilterChanged = (updatedFilter) => {
     setFilter(updatedFilter);
-    setAssets(ProjectUtil.filterProjectAssets(project, updatedFilter));
+    setAssets(ProjectUtil.filterProjectAssets(project, updatedFilter, showGitIgnored));
   };
 
   const handleFilterReset = () => {
     setFilter(resetFilter(project));
-    setAssets(ProjectUtil.filterProjectAssets(project, null));
+    setAssets(ProjectUtil.filterProjectAssets(project, null, showGitIgnored));
+  };
+
+  // Show or hide the assets that git ignores.  If an asset group is being displayed, the change
+  // will be reflected once the group is no longer selected.
+  const handleToggleGitIgnored = () => {
+    const updatedShowGitIgnored = !showGitIgnored;
+    setShowGitIgnored(updatedShowGitIgnored);
+    if (!currentAssetGroup || mode === 'paperclip') {
+      setAssets(ProjectUtil.filterProjectAssets(project, filter, updatedShowGitIgnored));
+    }
   };
 
   // When the user triggers saving an Asset Group, update the UI so the dialog
@@ -217,7 +240,7 @@ const assetsComponent = (props) => {
     if (group === null) {
       setCurrentAssetGroup(null);
       setGroupedAssets(null);
-      setAssets(ProjectUtil.filterProjectAssets(project, filter));
+      setAssets(ProjectUtil.filterProjectAssets(project, filter, showGitIgnored));
       setFilterEnabled(true);
     } else {
       const clonedGroup = cloneDeep(group);
@@ -253,7 +276,7 @@ const assetsComponent = (props) => {
    */
   const handleEditAssetGroup = (group) => {
     const clonedGroup = cloneDeep(group);
-    setAssets(ProjectUtil.filterProjectAssets(project, filter));
+    setAssets(ProjectUtil.filterProjectAssets(project, filter, showGitIgnored));
     setCurrentAssetGroup(clonedGroup);
     setGroupedAssets(clonedGroup.assets);
     treeRef.current.setPreCheckedNodes(clonedGroup.assets.map((x) => x.uri));
@@ -310,7 +333,7 @@ const assetsComponent = (props) => {
    * Prepare the state/UI for creating a new asset group
    */
   const handleNewAssetGroup = () => {
-    setAssets(ProjectUtil.filterProjectAssets(project, filter));
+    setAssets(ProjectUtil.filterProjectAssets(project, filter, showGitIgnored));
     setCurrentAssetGroup(null);
     setGroupedAssets(null);
     treeRef.current.setPreCheckedNodes([]);
@@ -326,6 +349,13 @@ const assetsComponent = (props) => {
     setEditingExternalAsset(true);
   };
 
+  // Handles the export of the codebook (data dictionary) in the selected format
+  const handleCodebookExport = (format) => {
+    const service = new CodebookService();
+    service.exportCodebook(project, format);
+    setOpenCodebookDialog(false);
+  };
+
   let assetDisplay = null;
   if (project) {
     assetDisplay = <Loading>Please wait for the list of assets to finish loading...</Loading>;
@@ -373,6 +403,19 @@ const assetsComponent = (props) => {
         assetScanStatus = <div className={styles.bottom}><Error size="sm">There was an error loading additional details about the assets</Error></div>;
       }
 
+      // Only offer to show the assets that git ignores if there are any
+      const gitIgnoredToggle = AssetUtil.hasGitIgnoredAssets(project.assets) ? (
+        <IconButton
+          onClick={handleToggleGitIgnored}
+          className={styles.toolbarButton}
+          aria-label={showGitIgnored ? 'hide assets that git ignores' : 'show assets that git ignores'}
+          fontSize="small"
+        >
+          <FontAwesomeIcon icon={showGitIgnored ? faEyeSlash : faEye} /> &nbsp;
+          {showGitIgnored ? 'Hide Git Ignored' : 'Show Git Ignored'}
+        </IconButton>
+      ) : null;
+
       // Note that for the AssetFilter component, we always want that to be the original
       // full list of assets.  That's why we use project.assets for that component's
       // propery, and the assets state variable for the AssetTree.
@@ -413,6 +456,15 @@ const assetsComponent = (props) => {
               >
                 <FontAwesomeIcon icon={faFileCirclePlus} /> &nbsp;Add Resource
               </IconButton>
+              {gitIgnoredToggle}
+              <IconButton
+                onClick={() => setOpenCodebookDialog(true)}
+                className={styles.toolbarButton}
+                aria-label="export a codebook for the data files"
+                fontSize="small"
+              >
+                <FontAwesomeIcon icon={faBook} /> &nbsp;Codebook
+              </IconButton>
               <IconButton
                 onClick={handleNewAssetGroup}
                 className={styles.toolbarButton}
@@ -475,6 +527,27 @@ const assetsComponent = (props) => {
             uri={editableExternalAsset ? editableExternalAsset.uri : ''}
             name={editableExternalAsset ? editableExternalAsset.name : ''}
           />
+          <Dialog open={openCodebookDialog} onClose={() => setOpenCodebookDialog(false)}>
+            <DialogTitle>Export Codebook</DialogTitle>
+            <DialogContent>
+              <DialogContentText>
+                The codebook describes the variables in each data file, along with the notes for
+                the file.  Which format do you want to export it in?
+              </DialogContentText>
+            </DialogContent>
+            <DialogActions>
+              <Button onClick={() => handleCodebookExport(Constants.ExportFormat.MARKDOWN)} color="primary">
+                Markdown
+              </Button>
+              <Button onClick={() => handleCodebookExport(Constants.ExportFormat.CSV)} color="primary">
+                CSV
+              </Button>
+              <Button onClick={() => handleCodebookExport(Constants.ExportFormat.PDF)} color="primary" autoFocus>
+                PDF
+              </Button>
+              <Button onClick={() => setOpenCodebookDialog(false)}>Cancel</Button>
+            </DialogActions>
+          </Dialog>
         </>
       );
     }
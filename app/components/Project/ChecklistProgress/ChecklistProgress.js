@@ -0,0 +1,46 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { LinearProgress } from '@mui/material';
+import ChecklistUtil from '../../../utils/checklist';
+import styles from './ChecklistProgress.css';
+
+function checklistProgress(props) {
+  const { checklists } = props;
+  if (!checklists || checklists.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className={styles.container}>
+      <h2>Checklists</h2>
+      {checklists.map((checklist) => {
+        const progress = ChecklistUtil.getChecklistProgress(checklist);
+        return (
+          <div key={checklist.id} className={styles.checklist}>
+            <div className={styles.header}>
+              <span className={styles.name}>{checklist.name}</span>
+              <span className={styles.count}>
+                {progress.completed} of {progress.total} complete
+              </span>
+            </div>
+            <LinearProgress
+              variant="determinate"
+              value={progress.percent}
+              className={styles.progress}
+            />
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+checklistProgress.propTypes = {
+  checklists: PropTypes.arrayOf(PropTypes.object),
+};
+
+checklistProgress.defaultProps = {
+  checklists: null,
+};
+
+export default checklistProgress;
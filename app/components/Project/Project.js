@@ -19,6 +19,7 @@ import { ActionType, EntityType, DescriptionContentType, AssetType } from '../..
 import AssetUtil from '../../utils/asset';
 import NoteUtil from '../../utils/note';
 import ProjectUtil from '../../utils/project';
+import ChecklistUtil from '../../utils/checklist';
 import GeneralUtil from '../../utils/general';
 import styles from './Project.css';
 import UserContext from '../../contexts/User';
@@ -336,11 +337,12 @@ class Project extends Component<Props> {
    * General handler to either insert a new note for a checklist item or update an existing note for
    * a checklist item.  It figures out the appropriate action to take depending on if the note parameter
    * is provided or not. It also updates the entire checklist linked to the project.
+   * @param {object} checklist The checklist that contains the checklist item
    * @param {object} checklistItem The checklist item for which the note should be added/updated
    * @param {string} text The note text
    * @param {object} note Optional parameter if there is an existing note being updated.  If not provided, a new note is assumed.
    */
-  checklistUpsertNoteHandler = (checklistItem, text, note) => {
+  checklistUpsertNoteHandler = (checklist, checklistItem, text, note) => {
     if (this.unchangedNote(note,text)) {
       return;
     }
@@ -356,18 +358,17 @@ class Project extends Component<Props> {
       note
     );
     // Once the checklist item is updated, we must also update the entire checklist linked to the project.
-    const updatedChecklist = this.props.checklistResponse.checklist.map(x => {
-      if (x.id === checklistItem.id) {
-        return checklistItem;
-      }
-      return x;
-    });
+    const updatedChecklists = ChecklistUtil.updateChecklistItem(
+      this.props.checklistResponse.checklists,
+      checklist.id,
+      checklistItem
+    );
     // Updates the checklist linked to the current project and saves the changes to the checklist file.
     // Note that the checklist object is not directly attached to the project object, as opposed to the asset and person objects.
     if (this.props.onChecklistUpdated) {
       this.props.onChecklistUpdated(
         currentProject,
-        updatedChecklist,
+        updatedChecklists,
         action.type,
         EntityType.CHECKLIST,
         checklistItem.id,
@@ -539,10 +540,11 @@ class Project extends Component<Props> {
 
   /**
    * General handler to delete a note for a checklist item. It also updates the entire checklist linked to the project.
+   * @param {object} checklist The checklist that contains the checklist item
    * @param {object} checklistItem The checklist item for which the note should be deleted
    * @param {object} note The note to delete
    */
-  checklistDeleteNoteHandler = (checklistItem, note) => {
+  checklistDeleteNoteHandler = (checklist, checklistItem, note) => {
     const currentProject = { ...this.props.project };
     const actionDescription = this.deleteNoteHandler(
       checklistItem,
@@ -551,18 +553,17 @@ class Project extends Component<Props> {
       note
     );
     // Once the checklist item is updated, we must also update the entire checklist linked to the project.
-    const updatedChecklist = this.props.checklistResponse.checklist.map(x => {
-      if (x.id === checklistItem.id) {
-        return checklistItem;
-      }
-      return x;
-    });
+    const updatedChecklists = ChecklistUtil.updateChecklistItem(
+      this.props.checklistResponse.checklists,
+      checklist.id,
+      checklistItem
+    );
     // Updates the checklist linked to the current project and saves the changes to the checklist file.
     // Note that the checklist object is not directly attached to the project object, as opposed to the asset and person objects.
     if (this.props.onChecklistUpdated) {
       this.props.onChecklistUpdated(
         currentProject,
-        updatedChecklist,
+        updatedChecklists,
         ActionType.NOTE_DELETED,
         EntityType.CHECKLIST,
         checklistItem.id,
@@ -837,6 +838,7 @@ class Project extends Component<Props> {
           onUpdatedNote={this.projectUpsertNoteHandler}
           onDeletedNote={this.projectDeleteNoteHandler}
           project={this.props.project}
+          checklists={this.props.checklistResponse ? this.props.checklistResponse.checklists : null}
           updates={this.props.logs ? this.props.logs.updates : null}
           onClickUpdatesLink={this.clickUpdatesLinkHandler}
         />
@@ -914,7 +916,8 @@ class Project extends Component<Props> {
         this.props.project && this.props.checklistResponse ? (
           <ReproChecklist
             project={this.props.project}
-            checklist={this.props.checklistResponse.checklist}
+            checklists={this.props.checklistResponse.checklists}
+            templates={this.props.configuration ? this.props.configuration.checklistTemplates : null}
             error={this.props.checklistResponse.errorMessage}
             onUpdated={this.props.onChecklistUpdated}
             onAddedNote={this.checklistUpsertNoteHandler}
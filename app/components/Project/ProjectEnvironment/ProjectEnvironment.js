@@ -0,0 +1,82 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import styles from './ProjectEnvironment.css';
+
+// Display names for the languages that manifests are for
+const LANGUAGE_NAMES = {
+  python: 'Python',
+  r: 'R',
+  java: 'Java',
+  conda: 'Conda',
+};
+
+function projectEnvironment(props) {
+  const { environment } = props;
+  if (!environment || !environment.manifests || environment.manifests.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className={styles.container}>
+      <h2>Environment</h2>
+      {environment.manifests.map((manifest) => {
+        const packages = manifest.packages || [];
+        const pinnedCount = packages.filter((x) => x.pinned).length;
+        return (
+          <div key={manifest.uri} className={styles.manifest}>
+            <div className={styles.manifestName}>{manifest.uri}</div>
+            <div className={styles.summary}>
+              <div className={styles.summaryItem}>
+                <span className={styles.label}>Language:</span>{' '}
+                {LANGUAGE_NAMES[manifest.language] || manifest.language}
+              </div>
+              {manifest.runtime ? (
+                <div className={styles.summaryItem}>
+                  <span className={styles.label}>Runtime:</span> {manifest.runtime.name}{' '}
+                  {manifest.runtime.version || '(any version)'}
+                </div>
+              ) : null}
+              <div className={styles.summaryItem}>
+                <span className={styles.label}>Packages:</span> {packages.length}
+                {packages.length > 0 ? (
+                  <span className={styles.note}> ({pinnedCount} pinned)</span>
+                ) : null}
+              </div>
+            </div>
+            {packages.length > 0 ? (
+              <table className={styles.packages}>
+                <thead>
+                  <tr>
+                    <th>Package</th>
+                    <th>Version</th>
+                    <th>Pinned</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {packages.map((entry, index) => (
+                    // A package can be listed more than once (e.g., in different dependency groups)
+                    <tr key={`${index}-${entry.name}`}>
+                      <td>{entry.name}</td>
+                      <td className={styles.version}>{entry.version}</td>
+                      <td>{entry.pinned ? 'Yes' : 'No'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : null}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+projectEnvironment.propTypes = {
+  environment: PropTypes.object,
+};
+
+projectEnvironment.defaultProps = {
+  environment: null,
+};
+
+export default projectEnvironment;
@@ -17,6 +17,7 @@ import { FaFolderOpen, FaFolderMinus, FaChevronRight, FaChevronDown } from 'reac
 import AssetTree from '../../AssetTree/AssetTree';
 import AssetUtil from '../../../utils/asset';
 import ProjectUtil from '../../../utils/project';
+import ChecklistUtil from '../../../utils/checklist';
 import Constants from '../../../constants/constants';
 
 const { v4: uuidv4 } = require('uuid');
@@ -104,7 +105,10 @@ function ChecklistItem(props) {
       return;
     }
 
-    const updatedItem = { ...item, answer: newValue };
+    // Once the user answers, we won't pre-fill the answer from the scan results (see ReproChecklist).
+    // Answering the item also counts as reviewing it, if it was flagged after a scan.
+    const updatedItem = { ...item, answer: newValue, userAnswered: true };
+    delete updatedItem.needsReview;
     handleItemUpdate(updatedItem,
       Constants.ActionType.CHECKLIST_UPDATED,
       Constants.ActionType.CHECKLIST_UPDATED,
@@ -145,6 +149,21 @@ function ChecklistItem(props) {
     );
   };
 
+  /**
+   * Handler when the user has reviewed an item that was flagged because its scan results changed,
+   * and is keeping the answer as it is.
+   */
+  const handleItemReviewed = () => {
+    const updatedItem = { ...item };
+    delete updatedItem.needsReview;
+    handleItemUpdate(updatedItem,
+      Constants.ActionType.CHECKLIST_UPDATED,
+      Constants.ActionType.CHECKLIST_UPDATED,
+      `Reviewed "${updatedItem.statement}" and kept the answer "${formatYesNo(item.answer)}"`,
+      { reasons: item.needsReview.reasons }
+    );
+  };
+
   const handleSelectAsset = (selAsset) => {
     let asset = selAsset;
     if (asset && (asset.contentTypes === null || asset.contentTypes === undefined)) {
@@ -283,6 +302,21 @@ function ChecklistItem(props) {
               />
             </div>
           </div>
+          {item.needsReview && (
+            <div className={styles.review}>
+              <div className={styles.reviewHeading}>
+                This item needs review, because the project has changed since it was answered:
+                <button className={styles.reviewButton} onClick={handleItemReviewed}>
+                  Mark as Reviewed
+                </button>
+              </div>
+              <ul className={styles.reviewList}>
+                {item.needsReview.reasons.map((reason) => (
+                  <li key={reason}>{reason}</li>
+                ))}
+              </ul>
+            </div>
+          )}
           {expanded && (
             <div className={styles.details}>
               <div className={styles.itemSubHeading}>StatWrap Defined Documentation</div>
@@ -295,7 +329,7 @@ function ChecklistItem(props) {
                         <ul className={styles.scanList}>
                           {item.scanResult[key].length ? (
                             item.scanResult[key].map((answer, index) => (
-                              <li key={index}>{answer}</li>
+                              <li key={index}>{ChecklistUtil.formatScanResultEntry(answer)}</li>
                             ))
                           ) : (
                             <li>No results</li>
@@ -471,7 +505,14 @@ ChecklistItem.propTypes = {
     name: PropTypes.string.isRequired,
     statement: PropTypes.string.isRequired,
     answer: PropTypes.bool.isRequired,
-    scanResult: PropTypes.objectOf(PropTypes.arrayOf(PropTypes.string)),
+    userAnswered: PropTypes.bool,
+    needsReview: PropTypes.shape({
+      date: PropTypes.string.isRequired,
+      reasons: PropTypes.arrayOf(PropTypes.string).isRequired,
+    }),
+    scanResult: PropTypes.objectOf(
+      PropTypes.arrayOf(PropTypes.oneOfType([PropTypes.string, PropTypes.object])),
+    ),
     notes: PropTypes.arrayOf(
       PropTypes.shape({
         id: PropTypes.string.isRequired,
@@ -11,26 +11,36 @@ import {
   DialogContent,
   DialogContentText,
   DialogTitle,
+  Checkbox,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  MenuItem,
+  Select,
+  Tab,
+  Tabs,
+  TextField,
 } from '@mui/material';
-import { SaveAlt } from '@mui/icons-material';
+import { Add, SaveAlt } from '@mui/icons-material';
 import ChecklistService from '../../services/checklist';
 import GeneralUtil from '../../utils/general';
 import ChecklistUtil from '../../utils/checklist';
 import AssetUtil from '../../utils/asset';
 import Constants from '../../constants/constants';
 
-// These functions are mapped using the statement type to the corresponding scan function
-const scanFunctions = {
-  Dependency: ChecklistUtil.findProjectLanguagesAndDependencies,
-  Data: ChecklistUtil.findDataFiles,
-  Entrypoint: ChecklistUtil.findEntryPointFiles,
-  Documentation: ChecklistUtil.findDocumentationFiles,
-};
+// The formats that the checklist report can be exported to
+const EXPORT_FORMATS = [
+  { format: Constants.ExportFormat.PDF, name: 'PDF' },
+  { format: Constants.ExportFormat.MARKDOWN, name: 'Markdown' },
+  { format: Constants.ExportFormat.HTML, name: 'HTML' },
+  { format: Constants.ExportFormat.JSON, name: 'JSON' },
+];
 
 function ReproChecklist(props) {
   const {
     project,
-    checklist,
+    checklists,
+    templates,
     error,
     onUpdated,
     onAddedNote,
@@ -38,83 +48,348 @@ function ReproChecklist(props) {
     onDeletedNote,
     onSelectedAsset,
   } = props;
+  const [selectedChecklistId, setSelectedChecklistId] = useState(null);
   const [openExportDialog, setOpenExportDialog] = useState(false);
+  const [exportFormat, setExportFormat] = useState(Constants.ExportFormat.PDF);
+  const [exportNotes, setExportNotes] = useState(true);
+  const [openTemplateDialog, setOpenTemplateDialog] = useState(false);
+  const [selectedTemplateId, setSelectedTemplateId] = useState('');
+  const [openAddDialog, setOpenAddDialog] = useState(false);
+  const [newChecklistName, setNewChecklistName] = useState('');
+  const [openRemoveDialog, setOpenRemoveDialog] = useState(false);
+
+  // The checklist that is being shown, which is the first one until the user picks another
+  const checklist =
+    (checklists || []).find((x) => x.id === selectedChecklistId) ||
+    (checklists && checklists.length > 0 ? checklists[0] : null);
 
   // this useEffect hook is here to load the scan results for all the checklist statements
   useEffect(() => {
-    if (project && checklist && !error) {
+    if (project && checklists && !error) {
       if (project.assets) {
-        // scan the project assets for each checklist statement
-        Constants.CHECKLIST.forEach((statement, index) => {
-          // if used here as there might be a statement that doesn't have a corresponding scan function
-          if (scanFunctions[statement[0]]) {
-            const scanResult = scanFunctions[statement[0]](project.assets);
-            checklist[index].scanResult = scanResult;
-          }
+        // scan the project assets for each checklist item that has an automated scan rule
+        checklists.forEach((x) => {
+          x.items.forEach((item) => {
+            const scanFunction = ChecklistUtil.getScanFunction(item.scan);
+            if (scanFunction) {
+              const scanResult = scanFunction(project.assets);
+              item.scanResult = scanResult;
+              const answerFunction = ChecklistUtil.getAnswerFunction(item.scan);
+              if (answerFunction && !item.userAnswered) {
+                item.answer = answerFunction(scanResult);
+              }
+            }
+          });
         });
       }
     }
-  }, [project]);
+  }, [project, checklists]);
 
   // Handles the update of checklist for changes in the checklist items
   const handleItemUpdate = (updatedItem, actionType, entityType, entityKey, title, description, details) => {
-    const updatedChecklist = checklist.map((item) =>
-      item.id === updatedItem.id ? updatedItem : item,
+    const updatedChecklists = ChecklistUtil.updateChecklistItem(
+      checklists,
+      checklist.id,
+      updatedItem,
+    );
+    onUpdated(project, updatedChecklists, actionType, entityType, entityKey, title, description, details);
+  };
+
+  const handleOpenTemplateDialog = () => {
+    setSelectedTemplateId(checklist.template ? checklist.template.id : '');
+    setOpenTemplateDialog(true);
+  };
+
+  // Handles changing the checklist to use a different template.  Answers, notes and assets are
+  // kept for the items that are in both templates.
+  const handleTemplateChange = () => {
+    const { template } = checklist;
+    const newTemplate = (templates || []).find((x) => x.id === selectedTemplateId);
+    setOpenTemplateDialog(false);
+    if (!newTemplate || (template && template.id === newTemplate.id)) {
+      return;
+    }
+
+    const updatedChecklist = {
+      ...checklist,
+      template: ChecklistUtil.getTemplateReference(newTemplate),
+      items: ChecklistUtil.applyTemplate(newTemplate, checklist.items),
+    };
+    const oldName = template ? template.name : 'no template';
+    onUpdated(
+      project,
+      ChecklistUtil.updateChecklist(checklists, updatedChecklist),
+      Constants.ActionType.CHECKLIST_UPDATED,
+      Constants.EntityType.CHECKLIST,
+      checklist.id,
+      Constants.ActionType.CHECKLIST_UPDATED,
+      `Changed the template for ${checklist.name} from ${oldName} to ${newTemplate.name}`,
+      updatedChecklist.template,
+    );
+  };
+
+  const handleOpenAddDialog = () => {
+    setNewChecklistName('');
+    setSelectedTemplateId(templates && templates.length > 0 ? templates[0].id : '');
+    setOpenAddDialog(true);
+  };
+
+  // Handles adding a new checklist to the project, which is created from the selected template
+  const handleAddChecklist = () => {
+    const newTemplate = (templates || []).find((x) => x.id === selectedTemplateId);
+    setOpenAddDialog(false);
+    const newChecklist = ChecklistUtil.createChecklist(newTemplate, newChecklistName.trim());
+    setSelectedChecklistId(newChecklist.id);
+    onUpdated(
+      project,
+      [...checklists, newChecklist],
+      Constants.ActionType.CHECKLIST_UPDATED,
+      Constants.EntityType.CHECKLIST,
+      newChecklist.id,
+      Constants.ActionType.CHECKLIST_UPDATED,
+      `Added the checklist ${newChecklist.name} using the template ${newChecklist.template.name}`,
+      newChecklist.template,
     );
-    onUpdated(project, updatedChecklist, actionType, entityType, entityKey, title, description, details);
   };
 
-  // Handles the generation of the reproducibility checklist report in PDF format
-  const handleReportGeneration = (exportNotes) => {
+  // Handles removing the checklist that is being shown, along with its answers, notes and assets
+  const handleRemoveChecklist = () => {
+    setOpenRemoveDialog(false);
+    setSelectedChecklistId(null);
+    onUpdated(
+      project,
+      checklists.filter((x) => x.id !== checklist.id),
+      Constants.ActionType.CHECKLIST_UPDATED,
+      Constants.EntityType.CHECKLIST,
+      checklist.id,
+      Constants.ActionType.CHECKLIST_UPDATED,
+      `Removed the checklist ${checklist.name}`,
+      checklist.template,
+    );
+  };
+
+  const selectedTemplate = (templates || []).find((x) => x.id === selectedTemplateId);
+  const trimmedChecklistName = newChecklistName.trim();
+  const isNewChecklistNameValid =
+    trimmedChecklistName.length > 0 &&
+    !(checklists || []).some((x) => x.name === trimmedChecklistName);
+
+  // Handles the generation of the reproducibility checklist report in the selected format
+  const handleReportGeneration = () => {
     const service = new ChecklistService();
-    service.generateReport(checklist, 'Reproducibility_Checklist.pdf', exportNotes, project);
+    service.exportReport(checklist, exportFormat, exportNotes, project);
     setOpenExportDialog(false);
   };
 
+  const templateSelect = (
+    <FormControl fullWidth margin="normal">
+      <InputLabel id="checklist-template-label">Template</InputLabel>
+      <Select
+        labelId="checklist-template-label"
+        label="Template"
+        value={selectedTemplateId}
+        onChange={(e) => setSelectedTemplateId(e.target.value)}
+      >
+        {(templates || []).map((x) => (
+          <MenuItem key={x.id} value={x.id}>
+            {x.name}
+          </MenuItem>
+        ))}
+      </Select>
+    </FormControl>
+  );
+  const templateDescription =
+    selectedTemplate && selectedTemplate.description ? (
+      <DialogContentText>{selectedTemplate.description}</DialogContentText>
+    ) : null;
+
   let content = <div className={styles.empty}>Checklist not configured.</div>;
 
-  if (checklist && checklist.length > 0) {
+  if (checklist) {
     content = (
       <div>
         <Typography variant="h5" align="center" marginTop="10px">
-          Reproducibility Checklist
+          Reproducibility Checklists
         </Typography>
-        <br />
-        {checklist.map((item) => (
-          <ChecklistItem
-            key={item.id}
-            item={item}
-            project={project}
-            onUpdatedNote={onUpdatedNote}
-            onDeletedNote={onDeletedNote}
-            onAddedNote={onAddedNote}
-            onItemUpdate={handleItemUpdate}
-            onSelectedAsset={onSelectedAsset}
-          />
-        ))}
-        <br />
-        <div className={styles.downloadContainer}>
-          <button onClick={() => setOpenExportDialog(true)} className={styles.downloadButton}>
-            <div className={styles.buttonContent}>
-              <span className={styles.buttonText}>Report</span>
-              <SaveAlt />
-            </div>
-          </button>
+        <div className={styles.checklists}>
+          <Tabs
+            value={checklist.id}
+            onChange={(e, value) => setSelectedChecklistId(value)}
+            variant="scrollable"
+            scrollButtons="auto"
+          >
+            {checklists.map((x) => (
+              <Tab key={x.id} value={x.id} label={x.name} />
+            ))}
+          </Tabs>
+          <Button size="small" startIcon={<Add />} onClick={handleOpenAddDialog}>
+            Add Checklist
+          </Button>
+        </div>
+        <div className={styles.template}>
+          Template: {checklist.template ? checklist.template.name : 'None'}
+          {templates && templates.length > 0 ? (
+            <Button size="small" onClick={handleOpenTemplateDialog}>
+              Change
+            </Button>
+          ) : null}
+          {checklists.length > 1 ? (
+            <Button size="small" color="secondary" onClick={() => setOpenRemoveDialog(true)}>
+              Remove Checklist
+            </Button>
+          ) : null}
         </div>
+        {checklist.items.length > 0 ? (
+          <>
+            {checklist.items.map((item) => (
+              <ChecklistItem
+                key={`${checklist.id}-${item.id}`}
+                item={item}
+                project={project}
+                onUpdatedNote={(x, text, note) => onUpdatedNote(checklist, x, text, note)}
+                onDeletedNote={(x, note) => onDeletedNote(checklist, x, note)}
+                onAddedNote={(x, text) => onAddedNote(checklist, x, text)}
+                onItemUpdate={handleItemUpdate}
+                onSelectedAsset={onSelectedAsset}
+              />
+            ))}
+            <br />
+            <div className={styles.downloadContainer}>
+              <button onClick={() => setOpenExportDialog(true)} className={styles.downloadButton}>
+                <div className={styles.buttonContent}>
+                  <span className={styles.buttonText}>Report</span>
+                  <SaveAlt />
+                </div>
+              </button>
+            </div>
+          </>
+        ) : (
+          <div className={styles.empty}>
+            The {checklist.name} checklist does not have any items. Change its template to add
+            items to it.
+          </div>
+        )}
 
         <Dialog open={openExportDialog} onClose={() => setOpenExportDialog(false)}>
           <DialogTitle className={styles.dialogTitle}>Export Report</DialogTitle>
           <DialogContent className={styles.dialogContent}>
             <DialogContentText>
-              Do you want to include the checklist notes in the exported reproducibility checklist?
+              Export the {checklist.name} report. Markdown and HTML reports can be committed with
+              the project or included in a README, and JSON can be read by other tools.
             </DialogContentText>
+            <FormControl fullWidth margin="normal">
+              <InputLabel id="checklist-export-format-label">Format</InputLabel>
+              <Select
+                labelId="checklist-export-format-label"
+                label="Format"
+                value={exportFormat}
+                onChange={(e) => setExportFormat(e.target.value)}
+              >
+                {EXPORT_FORMATS.map((x) => (
+                  <MenuItem key={x.format} value={x.format}>
+                    {x.name}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            {/* selective export of notes */}
+            <FormControlLabel
+              control={
+                <Checkbox
+                  checked={exportNotes}
+                  onChange={(e) => setExportNotes(e.target.checked)}
+                />
+              }
+              label="Include the checklist notes"
+            />
           </DialogContent>
           <DialogActions>
-            {/* selective export of notes */}
-            <Button onClick={() => handleReportGeneration(true)} color="primary">
+            <Button onClick={handleReportGeneration} color="primary" autoFocus>
+              Export
+            </Button>
+            <Button onClick={() => setOpenExportDialog(false)} color="primary">
+              Cancel
+            </Button>
+          </DialogActions>
+        </Dialog>
+
+        <Dialog
+          open={openTemplateDialog}
+          onClose={() => setOpenTemplateDialog(false)}
+          fullWidth
+          maxWidth="sm"
+        >
+          <DialogTitle className={styles.dialogTitle}>Checklist Template</DialogTitle>
+          <DialogContent className={styles.dialogContent}>
+            {templateSelect}
+            {templateDescription}
+            <DialogContentText className={styles.templateWarning}>
+              Answers, notes and assets are kept for items that are in both templates. Items that
+              are not in the new template will be removed from the checklist.
+            </DialogContentText>
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={handleTemplateChange} color="primary">
+              Change Template
+            </Button>
+            <Button onClick={() => setOpenTemplateDialog(false)} color="primary" autoFocus>
+              Cancel
+            </Button>
+          </DialogActions>
+        </Dialog>
+
+        <Dialog
+          open={openAddDialog}
+          onClose={() => setOpenAddDialog(false)}
+          fullWidth
+          maxWidth="sm"
+        >
+          <DialogTitle className={styles.dialogTitle}>Add Checklist</DialogTitle>
+          <DialogContent className={styles.dialogContent}>
+            <TextField
+              autoFocus
+              fullWidth
+              margin="normal"
+              label="Name"
+              value={newChecklistName}
+              onChange={(e) => setNewChecklistName(e.target.value)}
+              error={trimmedChecklistName.length > 0 && !isNewChecklistNameValid}
+              helperText={
+                trimmedChecklistName.length > 0 && !isNewChecklistNameValid
+                  ? 'There is already a checklist with this name'
+                  : ''
+              }
+            />
+            {templateSelect}
+            {templateDescription}
+          </DialogContent>
+          <DialogActions>
+            <Button
+              onClick={handleAddChecklist}
+              color="primary"
+              disabled={!isNewChecklistNameValid || !selectedTemplate}
+            >
+              Add
+            </Button>
+            <Button onClick={() => setOpenAddDialog(false)} color="primary">
+              Cancel
+            </Button>
+          </DialogActions>
+        </Dialog>
+
+        <Dialog open={openRemoveDialog} onClose={() => setOpenRemoveDialog(false)}>
+          <DialogTitle className={styles.dialogTitle}>Remove Checklist</DialogTitle>
+          <DialogContent className={styles.dialogContent}>
+            <DialogContentText>
+              Do you want to remove the {checklist.name} checklist? Its answers, notes and assets
+              will be removed from the project.
+            </DialogContentText>
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={handleRemoveChecklist} color="primary">
               Yes
             </Button>
-            <Button onClick={() => handleReportGeneration(false)} color="primary" autoFocus>
+            <Button onClick={() => setOpenRemoveDialog(false)} color="primary" autoFocus>
               No
             </Button>
           </DialogActions>
@@ -130,7 +405,19 @@ function ReproChecklist(props) {
 
 ReproChecklist.propTypes = {
   project: PropTypes.object.isRequired,
-  checklist: PropTypes.arrayOf(PropTypes.object),
+  checklists: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      template: PropTypes.shape({
+        id: PropTypes.string,
+        name: PropTypes.string,
+        version: PropTypes.string,
+      }),
+      items: PropTypes.arrayOf(PropTypes.object).isRequired,
+    }),
+  ),
+  templates: PropTypes.arrayOf(PropTypes.object),
   error: PropTypes.string,
   onUpdated: PropTypes.func.isRequired,
   onAddedNote: PropTypes.func.isRequired,
@@ -141,7 +428,8 @@ ReproChecklist.propTypes = {
 
 ReproChecklist.defaultProps = {
   project: null,
-  checklist: null,
+  checklists: null,
+  templates: null,
   error: null,
   onUpdated: null,
   onAddedNote: null,
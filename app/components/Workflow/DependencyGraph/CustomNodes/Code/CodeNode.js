@@ -13,6 +13,7 @@ const ICON_TYPES = {
   LIBRARY: `${ICON_PATH}library.svg`,
   DATA: `${ICON_PATH}data.svg`,
   FIGURE: `${ICON_PATH}figure.svg`,
+  TABLE: `${ICON_PATH}table.svg`,
 };
 
 /**
@@ -35,6 +36,8 @@ function CodeNode({ node, renderType }) {
     iconUrl = ICON_TYPES.DATA;
   } else if (node.assetType === Constants.DependencyType.FIGURE) {
     iconUrl = ICON_TYPES.FIGURE;
+  } else if (node.assetType === Constants.DependencyType.TABLE) {
+    iconUrl = ICON_TYPES.TABLE;
   }
 
   let element = (
@@ -19,6 +19,7 @@ const ICON_TYPES = {
   LIBRARY: `${ICON_PATH}library.svg`,
   DATA: `${ICON_PATH}data.svg`,
   FIGURE: `${ICON_PATH}figure.svg`,
+  TABLE: `${ICON_PATH}table.svg`,
 };
 
 /**
@@ -42,6 +43,8 @@ function getIcon(node) {
     iconUrl = ICON_TYPES.DATA;
   } else if (node.value === Constants.DependencyType.FIGURE) {
     iconUrl = ICON_TYPES.FIGURE;
+  } else if (node.value === Constants.DependencyType.TABLE) {
+    iconUrl = ICON_TYPES.TABLE;
   }
   return iconUrl;
 }
@@ -88,7 +91,10 @@ function DependencyGraphEChart(props) {
       tooltip: {
         formatter(params) {
           if (params.data.direction) {
-            return `<b>Direction</b>: ${params.data.direction}<br/><b>Name</b>: ${params.data.fullName}`;
+            const details = `<b>Direction</b>: ${params.data.direction}<br/><b>Name</b>: ${params.data.fullName}`;
+            return params.data.unresolved
+              ? `${details}<br/><i>Not found in the project</i>`
+              : details;
           }
           if (params.data.source && params.data.target) {
             return `<b>Source</b>: ${params.data.source}<br/><b>Target</b>: ${params.data.target}`;
@@ -116,7 +122,12 @@ function DependencyGraphEChart(props) {
             hideOverlap: false,
           },
           force: { repulsion: 100, edgeLength: 50 },
-          data: graphData.nodes.map((x) => ({ ...x, symbol: getIcon(x) })),
+          // Files that couldn't be found in the project are faded out
+          data: graphData.nodes.map((x) => ({
+            ...x,
+            symbol: getIcon(x),
+            itemStyle: x.unresolved ? { opacity: 0.5 } : undefined,
+          })),
           links: graphData.links,
         },
       ],
@@ -31,7 +31,7 @@ module.exports = {
   contentTypes: [
     {
       name: 'R',
-      extensions: ['r', 'rmd', 'rnw', 'snw'],
+      extensions: ['r', 'rmd', 'qmd', 'rnw', 'snw'],
       categories: ['code'],
     },
     {
@@ -49,11 +49,41 @@ module.exports = {
       extensions: ['do', 'ado', 'mata'],
       categories: ['code'],
     },
+    {
+      name: 'SPSS',
+      extensions: ['sps'],
+      categories: ['code'],
+    },
     {
       name: 'Java',
       extensions: ['java', 'class', 'jar', 'war', 'ear'],
       categories: ['code'],
     },
+    {
+      name: 'MATLAB',
+      extensions: ['m', 'mlx'],
+      categories: ['code'],
+    },
+    {
+      name: 'SQL',
+      extensions: ['sql'],
+      categories: ['code'],
+    },
+    {
+      name: 'Shell',
+      extensions: ['sh', 'bash', 'mk'],
+      categories: ['code'],
+    },
+    {
+      name: 'Julia',
+      extensions: ['jl'],
+      categories: ['code'],
+    },
+    {
+      name: 'Jupyter Notebook',
+      extensions: ['ipynb'],
+      categories: ['code'],
+    },
     {
       name: 'Text Data File',
       extensions: ['csv', 'tsv'],
@@ -84,6 +114,11 @@ module.exports = {
       extensions: ['dta'],
       categories: ['data'],
     },
+    {
+      name: 'SPSS Data',
+      extensions: ['sav', 'zsav'],
+      categories: ['data'],
+    },
     {
       name: 'R Data',
       extensions: ['rdata', 'rda'],
@@ -111,7 +146,7 @@ module.exports = {
     },
     {
       name: 'Image',
-      extensions: ['jpg', 'jpeg', 'png', 'gif', 'svg', 'webp'],
+      extensions: ['jpg', 'jpeg', 'png', 'gif', 'svg', 'webp', 'bmp', 'tif', 'tiff'],
       categories: ['image'],
     },
     // In the patterns, don't use /g. TIL (after hours of debugging), global state preserves
@@ -20,6 +20,7 @@ module.exports = {
     URL: 'url',
     GENERIC: 'generic',
     URL: 'url',
+    SYMLINK: 'symlink',
 
     // These are not a real asset types, but are used in our various controls
     ASSET_GROUP: 'asset-group',
@@ -40,6 +41,10 @@ module.exports = {
     PROJECT: '.statwrap-project.json',
     LOG: '.statwrap.log',
     CHECKLIST: '.statwrap-checklist.json',
+    CHECKLIST_TEMPLATES_FOLDER: 'checklist-templates',
+    SCAN_CACHE: '.statwrap-scan-cache.json',
+    THUMBNAILS_FOLDER: 'thumbnails',
+    IGNORE: '.statwrapignore',
     CLONED_PROJECT_MARKER: 'cloned_project_marker'
   },
 
@@ -71,7 +76,8 @@ module.exports = {
     CHECKLIST_UPDATED: 'Checklist Updated',
 
     ASSET_ADDED: 'Asset Added',
-    ASSET_DELETED: 'Asset Deleted'
+    ASSET_DELETED: 'Asset Deleted',
+    ASSET_MODIFIED: 'Asset Modified',
   },
 
   EntityType: {
@@ -87,6 +93,14 @@ module.exports = {
     MARKDOWN: 'Markdown',
   },
 
+  ExportFormat: {
+    MARKDOWN: 'markdown',
+    CSV: 'csv',
+    PDF: 'pdf',
+    HTML: 'html',
+    JSON: 'json',
+  },
+
   DependencyDirection: {
     IN: 'in',
     OUT: 'out',
@@ -97,6 +111,7 @@ module.exports = {
     FIGURE: 'figure',
     DATA: 'data',
     FILE: 'file',
+    TABLE: 'table',
   },
 
   FilterCategory: {
@@ -117,4 +132,9 @@ module.exports = {
     ['VersionControl', 'Version control of some kind is in place.'],
     ['AbsolutePaths', 'Avoids using absolute paths in the code.'],
   ],
+
+  // The version of the checklist file format.  Version 1 files are just the array of checklist
+  // items, and version 2 files have a single checklist and its template.  Version 3 introduced
+  // multiple named checklists per project.  Older files are migrated when they are loaded.
+  CHECKLIST_FORMAT_VERSION: 3,
 };
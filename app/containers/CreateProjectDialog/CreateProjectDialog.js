@@ -247,11 +247,11 @@ class CreateProjectDialog extends Component {
           this.context,
         );
         // Seed the project checklist with the null or falsey values
-        const projectChecklist = ChecklistUtil.initializeChecklist();
+        const projectChecklists = [ChecklistUtil.createChecklist()];
         ipcRenderer.send(
           Messages.WRITE_PROJECT_CHECKLIST_REQUEST,
           response.project.path,
-          projectChecklist,
+          projectChecklists,
         )
       }
       this.props.onClose(true);
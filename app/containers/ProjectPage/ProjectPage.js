@@ -21,6 +21,8 @@ class ProjectPage extends Component {
       projectTemplates: [],
       // List of asset attributes with configuration information
       assetAttributes: [],
+      // List of checklist templates that projects can use for their checklist
+      checklistTemplates: [],
       // The list of projects that the user has configured
       projects: [],
       // UI state flag to let us know if the list of projects has been loaded or not
@@ -176,6 +178,7 @@ class ProjectPage extends Component {
     this.setState({
       projectTemplates: response.projectTemplates,
       assetAttributes: response.assetAttributes,
+      checklistTemplates: response.checklistTemplates,
     });
   }
 
@@ -187,14 +190,14 @@ class ProjectPage extends Component {
     ipcRenderer.send(Messages.LOAD_PROJECT_CHECKLIST_REQUEST, this.state.selectedProject);
   }
 
-  // This handler writes the updated checklist to the checklist file, and also handles writing updates
+  // This handler writes the updated checklists to the checklist file, and also handles writing updates
   // to the log (if it succeeds).
-  handleChecklistUpdate(project, checklist, actionType, entityType, entityKey, title, description, details) {
+  handleChecklistUpdate(project, checklists, actionType, entityType, entityKey, title, description, details) {
     const user = this.context;
     ipcRenderer.send(
       Messages.WRITE_PROJECT_CHECKLIST_REQUEST,
       project.path,
-      checklist,
+      checklists,
       actionType,
       entityType,
       entityKey,
@@ -238,7 +241,7 @@ class ProjectPage extends Component {
   /**
    * Called when a project checklist is loaded.
    * @param {object} sender The sender of the message
-   * @param {object} response Response containing a project ID and the checklist (if loaded)
+   * @param {object} response Response containing a project ID and the checklists (if loaded)
    */
   handleLoadProjectChecklistResponse(sender, response) {
     if (!response || !response.projectId) {
@@ -252,11 +255,11 @@ class ProjectPage extends Component {
     }
 
     // Initialize the checklist file if it doesn't exist, for all the already existing projects
-    const projectChecklist = ChecklistUtil.initializeChecklist();
-    if (response.checklist && response.checklist.length === 0) {
+    const projectChecklists = [ChecklistUtil.createChecklist()];
+    if (response.checklists && response.checklists.length === 0) {
       // response only returns project id, we need to find the project path
       const project = this.state.projects.find((p) => p.id === response.projectId);
-      ipcRenderer.send(Messages.WRITE_PROJECT_CHECKLIST_REQUEST, project.path, projectChecklist);
+      ipcRenderer.send(Messages.WRITE_PROJECT_CHECKLIST_REQUEST, project.path, projectChecklists);
     }
 
     if (this.state.selectedProject && response.projectId === this.state.selectedProject.id) {
@@ -315,6 +318,12 @@ class ProjectPage extends Component {
       };
       return { selectedProject: projectWithAssets, projectScanStatus: null };
     });
+
+    // The checklist is re-evaluated against each scan, so we need to reload it to get the latest
+    // scan results and any items that were flagged for review.
+    if (response.checklistReevaluated) {
+      ipcRenderer.send(Messages.LOAD_PROJECT_CHECKLIST_REQUEST, response.project);
+    }
   }
 
   handleFavoriteClick = (id) => {
@@ -474,7 +483,10 @@ class ProjectPage extends Component {
             onRename={this.handleProjectRename}
             onAssetSelected={this.handleAssetSelected}
             onChecklistUpdated={this.handleChecklistUpdate}
-            configuration={{ assetAttributes: this.state.assetAttributes }}
+            configuration={{
+              assetAttributes: this.state.assetAttributes,
+              checklistTemplates: this.state.checklistTemplates,
+            }}
             assetDynamicDetails={this.state.assetDynamicDetails}
             scanStatus={this.state.projectScanStatus}
           />
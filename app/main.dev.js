@@ -23,6 +23,7 @@ import ProjectListService, { DefaultProjectListFile } from './services/projectLi
 import SourceControlService from './services/sourceControl';
 import ProjectTemplateService from './services/projectTemplate';
 import AssetService from './services/assets/asset';
+import IgnoreRules from './services/assets/ignoreRules';
 import UserService, { DefaultSettingsFile } from './services/user';
 import Messages from './constants/messages';
 import Constants from './constants/constants';
@@ -313,6 +314,7 @@ ipcMain.on(Messages.LOAD_CONFIGURATION_REQUEST, async (event) => {
   const response = {
     projectTemplates: null,
     assetAttributes: null,
+    checklistTemplates: null,
     error: false,
     errorMessage: '',
   };
@@ -336,6 +338,21 @@ ipcMain.on(Messages.LOAD_CONFIGURATION_REQUEST, async (event) => {
     console.log(e);
   }
 
+  // Checklist templates that are defined by the user are kept in the user data folder.  A template
+  // that can't be used is skipped, so the rest are still available.
+  try {
+    const { templates, errors } = checklistService.loadTemplates(
+      path.join(app.getPath('userData'), Constants.StatWrapFiles.CHECKLIST_TEMPLATES_FOLDER),
+    );
+    response.checklistTemplates = templates;
+    errors.forEach((error) => console.log(`Skipped checklist template ${error}`));
+  } catch (e) {
+    response.error = true;
+    response.errorMessage =
+      `${response.errorMessage}\r\nThere was an unexpected error when loading the list of checklist templates`.trim();
+    console.log(e);
+  }
+
   event.sender.send(Messages.LOAD_CONFIGURATION_RESPONSE, response);
 });
 
@@ -456,7 +473,11 @@ ipcMain.on(Messages.CREATE_PROJECT_REQUEST, async (event, project) => {
             // need to store or cache those results in the project file (at least initially).  If that changes, we
             // should see if we can have a single initialization of the AssetService instead of doing it here and
             // elsewhere.
-            const assetService = new AssetService([new FileHandler()]);
+            const ignoreRules = new IgnoreRules();
+            ignoreRules.loadFile(
+              path.join(app.getPath('userData'), Constants.StatWrapFiles.IGNORE),
+            );
+            const assetService = new AssetService([new FileHandler()], null, null, ignoreRules);
             validationReport.project.assets = assetService.scan(validationReport.project.path);
             projectService.saveProjectFile(validationReport.project.path, validationReport.project);
           }
@@ -577,6 +598,44 @@ ipcMain.on(Messages.SCAN_PROJECT_REQUEST, async (event, project) => {
  * send the response to the main UI to display the results.
  */
 ipcMain.on(Messages.SCAN_PROJECT_WORKER_RESPONSE, async (event, response) => {
+  // If the contents of any files changed since the last scan, record that in the project log
+  if (response.assetChanges && response.project) {
+    response.assetChanges.forEach((change) => {
+      logService.writeLog(
+        response.project.path,
+        Constants.ActionType.ASSET_MODIFIED,
+        Constants.ActionType.ASSET_MODIFIED,
+        `The contents of ${change.uri} changed since it was last scanned`,
+        change,
+        'info',
+        applicationUser,
+      );
+    });
+  }
+
+  // Re-run the automated checklist checks against the new scan, and record any items that were
+  // answered "Yes" but no longer match the scan results so they can be reviewed.
+  if (response.project && response.assets && !response.error) {
+    checklistService.reevaluateChecklist(response.project.path, response.assets, (error, drift) => {
+      if (error) {
+        console.log(`Unable to re-evaluate the project checklist: ${error}`);
+        return;
+      }
+
+      drift.forEach((item) => {
+        logService.writeLog(
+          response.project.path,
+          Constants.ActionType.CHECKLIST_UPDATED,
+          Constants.ActionType.CHECKLIST_UPDATED,
+          `"${item.statement}" in the ${item.checklistName} checklist needs review: ${item.reasons.join('; ')}`,
+          item,
+          'info',
+          applicationUser,
+        );
+      });
+      response.checklistReevaluated = true;
+    });
+  }
   mainWindow.webContents.send(Messages.SCAN_PROJECT_RESULTS_RESPONSE, response);
 });
 
@@ -682,7 +741,7 @@ ipcMain.on(
   Messages.WRITE_PROJECT_CHECKLIST_REQUEST,
   async (event,
     projectPath,
-    checklist,
+    checklists,
     actionType,
     entityType,
     entityKey,
@@ -698,7 +757,7 @@ ipcMain.on(
     };
 
     try {
-      checklistService.writeChecklist(projectPath, checklist);
+      checklistService.writeChecklist(projectPath, checklists);
       logService.writeLog(projectPath, actionType, title, description, details, level, user);
     } catch (e) {
       response.error = true;
@@ -717,7 +776,7 @@ ipcMain.on(
 ipcMain.on(Messages.LOAD_PROJECT_CHECKLIST_REQUEST, async (event, project) => {
   const response = {
     projectId: project ? project.id : null,
-    checklist: null,
+    checklists: null,
     error: false,
     errorMessage: '',
   };
@@ -737,17 +796,17 @@ ipcMain.on(Messages.LOAD_PROJECT_CHECKLIST_REQUEST, async (event, project) => {
     return;
   }
 
-  checklistService.loadChecklist(project.path, (error, checklist) => {
+  checklistService.loadChecklist(project.path, (error, checklists) => {
     // This checks for error when there is issue reading the checklist file,
     // not when the checklist file is not found. For the latter, we return an empty array.
-    if (error && !checklist) {
+    if (error && !checklists) {
       response.error = true;
       response.errorMessage = `There was an error reading the project checklist ${error}`;
       event.sender.send(Messages.LOAD_PROJECT_CHECKLIST_RESPONSE, response);
       return;
     }
 
-    response.checklist = checklist;
+    response.checklists = checklists;
     event.sender.send(Messages.LOAD_PROJECT_CHECKLIST_RESPONSE, response);
   });
 });
@@ -1,7 +1,8 @@
-import { contextBridge, ipcRenderer, ipcMain } from 'electron';
+import { contextBridge, ipcRenderer, ipcMain, nativeImage } from 'electron';
 import path from 'path';
 import { cloneDeep, orderBy } from 'lodash';
 import Messages from './constants/messages';
+import Constants from './constants/constants';
 import AssetService from './services/assets/asset';
 import ProjectService from './services/project';
 import ProjectListService, { DefaultProjectListFile } from './services/projectList';
@@ -13,12 +14,55 @@ import SASHandler from './services/assets/handlers/sas';
 import StataHandler from './services/assets/handlers/stata';
 import AssetUtil from './utils/asset';
 import ProjectUtil from './utils/project';
+import WorkflowUtil from './utils/workflow';
 import JavaHandler from './services/assets/handlers/java';
+import NotebookHandler from './services/assets/handlers/notebook';
+import MATLABHandler from './services/assets/handlers/matlab';
+import SPSSHandler from './services/assets/handlers/spss';
+import JuliaHandler from './services/assets/handlers/julia';
+import SQLHandler from './services/assets/handlers/sql';
+import ShellHandler from './services/assets/handlers/shell';
+import CSVHandler from './services/assets/handlers/csv';
+import ExcelHandler from './services/assets/handlers/excel';
+import ParquetHandler from './services/assets/handlers/parquet';
+import SASDataHandler from './services/assets/handlers/sasData';
+import SPSSDataHandler from './services/assets/handlers/spssData';
+import StataDataHandler from './services/assets/handlers/stataData';
+import ImageHandler from './services/assets/handlers/image';
+import EnvironmentHandler from './services/assets/handlers/environment';
+import ScanCache from './services/assets/scanCache';
+import IgnoreRules from './services/assets/ignoreRules';
+import GitIgnoreRules from './services/assets/gitIgnoreRules';
+
+const fs = require('fs');
 
 const projectService = new ProjectService();
 const projectListService = new ProjectListService();
 const sourceControlService = new SourceControlService();
 
+/**
+ * Create a thumbnail for an image, saved as a PNG.  Only the image formats that Electron can
+ * decode (at least PNG and JPEG) will have a thumbnail.
+ * @param {string} imagePath The path to the image
+ * @param {string} thumbnailPath The path to save the thumbnail to
+ * @param {number} size The largest dimension of the thumbnail
+ * @returns true if the thumbnail was created
+ */
+function createThumbnail(imagePath, thumbnailPath, size) {
+  const image = nativeImage.createFromPath(imagePath);
+  if (image.isEmpty()) {
+    return false;
+  }
+  // Scale down the larger dimension, and the other will keep the aspect ratio
+  const { width, height } = image.getSize();
+  const thumbnail =
+    width >= height
+      ? image.resize({ width: Math.min(width, size), quality: 'good' })
+      : image.resize({ height: Math.min(height, size), quality: 'good' });
+  fs.writeFileSync(thumbnailPath, thumbnail.toPNG());
+  return true;
+}
+
 contextBridge.exposeInMainWorld('workerElectronBridge', {
   /**
    * Given a project, scan the details of that project, which includes scanning all assets registered
@@ -46,24 +90,71 @@ contextBridge.exposeInMainWorld('workerElectronBridge', {
 
     (async () => {
       try {
-        const service = new AssetService([
-          new FileHandler(),
+        let projectConfig = projectService.loadProjectFile(project.path);
+        if (!projectConfig) {
+          projectConfig = projectService.createProjectConfig(project.id, project.name);
+        }
+        const settings = projectConfig.settings || {};
+
+        const contentHandlers = [
           new PythonHandler(),
           new RHandler(),
           new SASHandler(),
           new StataHandler(),
           new JavaHandler(),
-        ]);
+          new NotebookHandler(),
+          new MATLABHandler(),
+          new SPSSHandler(),
+          new JuliaHandler(),
+          new SQLHandler(),
+          new ShellHandler(),
+          new CSVHandler(),
+          new ExcelHandler(),
+          new ParquetHandler(),
+          new SASDataHandler(),
+          new SPSSDataHandler(),
+          new StataDataHandler(),
+          new ImageHandler({
+            thumbnailFolder: path.join(
+              project.path,
+              Constants.StatWrapFiles.BASE_FOLDER,
+              Constants.StatWrapFiles.THUMBNAILS_FOLDER,
+            ),
+            createThumbnail,
+          }),
+          new EnvironmentHandler(),
+        ];
+        // Files that haven't changed since the last scan will reuse the metadata from the cache
+        const scanCache = new ScanCache(project.path, contentHandlers);
+        scanCache.load();
+        const handlers = [
+          new FileHandler({
+            hashContents: settings.hashAssetContents,
+            maxHashSize: settings.maxHashFileSize,
+            scanCache,
+            // Optionally hide what git ignores (they can still be shown in the Assets view)
+            gitIgnoreRules: settings.respectGitIgnore ? new GitIgnoreRules(project.path) : null,
+          }),
+          ...contentHandlers,
+        ];
+        // The user's default .statwrapignore rules apply to all projects, and are applied before the
+        // rules in the project's own .statwrapignore file.
+        const ignoreRules = new IgnoreRules();
+        ignoreRules.loadFile(path.join(userDataPath, Constants.StatWrapFiles.IGNORE));
+        const service = new AssetService(handlers, null, scanCache, ignoreRules, {
+          followLinks: settings.followSymlinks,
+        });
         response.assets = service.scan(project.path); // Returns absolute paths
+        try {
+          scanCache.save();
+        } catch (e) {
+          // Failing to save the cache only means the next scan will take longer
+          console.log('Unable to save the scan cache', e);
+        }
 
         // We have decided (for now) to keep notes separate from other asset metadata.  Notes will be
         // considered first-class attributes instead of being embedded in metadata.  Because of this
         // decision, we are adding in the notes after the regular asset scanning & processing.
-        let projectConfig = projectService.loadProjectFile(project.path);
-        if (!projectConfig) {
-          projectConfig = projectService.createProjectConfig(project.id, project.name);
-        }
-
         if (!projectConfig.assets) {
           console.log(
             'No assets registered with the project - assuming this is a newly added project',
@@ -96,6 +187,11 @@ contextBridge.exposeInMainWorld('workerElectronBridge', {
         );
 
         response.project.externalAssets = projectConfig.externalAssets;
+        // The packages declared in the project's manifests (requirements.txt, renv.lock, etc.)
+        response.project.environment = WorkflowUtil.getProjectEnvironment(
+          response.assets,
+          project.path,
+        );
 
         const saveResponse = ProjectUtil.saveProject(response.project, projectService);
         response.project = saveResponse.project; // Pick up any enrichment from saveProject
@@ -104,6 +200,18 @@ contextBridge.exposeInMainWorld('workerElectronBridge', {
           response.errorMessage = saveResponse.errorMessage;
         }
 
+        // Track changes to the contents of files, which will be recorded in the project log.  The
+        // project configuration was just saved, so we reload it to pick up any changes.
+        if (settings.hashAssetContents && !saveResponse.error) {
+          const updatedProjectConfig = projectService.loadProjectFile(project.path);
+          response.assetChanges = projectService.updateAssetHashHistory(
+            updatedProjectConfig,
+            project.path,
+            response.assets,
+          );
+          projectService.saveProjectFile(project.path, updatedProjectConfig);
+        }
+
         projectListService.setProjectLastAccessed(
           response.project.id,
           path.join(userDataPath, DefaultProjectListFile),
@@ -1,5 +1,6 @@
 import GeneralUtil from '../../utils/general';
 import AssetUtil from '../../utils/asset';
+import IgnoreRules from './ignoreRules';
 
 const fs = require('fs');
 const path = require('path');
@@ -14,7 +15,20 @@ export default class AssetService {
   // The list of handlers that are used for each asset.
   handlers = null;
 
-  constructor(handlers, contentTypes) {
+  // Optional cache of metadata from a previous scan (see ScanCache)
+  scanCache = null;
+
+  // Optional default rules for files and folders to leave out of a scan (see IgnoreRules).  The
+  // rules from the project's .statwrapignore file are applied after these.
+  ignoreRules = null;
+
+  // If symbolic links are followed during a scan.  If not, links are included as 'symlink' assets.
+  followLinks = false;
+
+  constructor(handlers, contentTypes, scanCache, ignoreRules, options) {
+    this.scanCache = scanCache || null;
+    this.ignoreRules = ignoreRules || null;
+    this.followLinks = !!(options && options.followLinks);
     if (handlers) {
       this.handlers = [...handlers];
     } else {
@@ -78,11 +92,40 @@ export default class AssetService {
     // return Constants.AssetContentType.OTHER;
   }
 
+  /**
+   * Get the details about a symbolic link.
+   * @param {string} uri The URI of the asset
+   * @returns An object with the link's target (as it was written in the link, so it may be a
+   *  relative path) and if the target doesn't exist, or null if the asset is not a link.
+   */
+  getLinkDetails(uri) {
+    const details = fs.lstatSync(uri);
+    if (!details || !details.isSymbolicLink()) {
+      return null;
+    }
+
+    const link = { target: fs.readlinkSync(uri), broken: false };
+    try {
+      // This follows the link, so it will fail if the target doesn't exist
+      fs.accessSync(uri);
+    } catch {
+      link.broken = true;
+    }
+    return link;
+  }
+
   /**
    * Scan a URI for all available assets.  This is done recursively for all available assets.
    *
    * This will return URIs as absolute paths (not relative).
    *
+   * Files and folders that match the rules in the .statwrapignore file at the URI (along with any
+   * default rules given to the service) are left out, and ignored folders are not traversed.
+   *
+   * Symbolic links are recorded with their target in the asset's link attribute.  Links are only
+   * followed if the followLinks option is set.  When they are, we keep track of the folders that
+   * are being traversed (by device and inode), so a link back to one of them isn't followed again.
+   *
    * @param {string} uri The base URI to recursively scan
    * @returns An asset object which contains nested assets
    */
@@ -90,9 +133,36 @@ export default class AssetService {
     // This will throw an error if it can't access the uri
     fs.accessSync(uri);
 
+    const ignoreRules = new IgnoreRules(this.ignoreRules ? this.ignoreRules.rules : null);
+    ignoreRules.loadFile(path.join(uri, Constants.StatWrapFiles.IGNORE));
+    return this.scanAsset(uri, uri, ignoreRules, [], false);
+  }
+
+  /**
+   * Recursively scan an asset within the URI that a scan was started from.
+   *
+   * @param {string} uri The URI of the asset to scan
+   * @param {string} rootUri The base URI that the scan started from
+   * @param {IgnoreRules} ignoreRules The rules for files and folders to leave out
+   * @param {array} parentFolderIds The device and inode of each folder above this asset
+   * @param {boolean} inExcludedFolder If the asset is within a folder that is never included in
+   *  the project (see AssetUtil.includeAsset), such as the .statwrap folder
+   * @returns An asset object which contains nested assets, or null if the asset is ignored
+   */
+  scanAsset(uri, rootUri, ignoreRules, parentFolderIds, inExcludedFolder) {
+    // Links need to be checked first, because the checks that follow would fail for a broken link.
+    // The folder we were asked to scan is always followed, even if it is a link.
+    const link = this.getLinkDetails(uri);
+    const isUnfollowedLink = link && (link.broken || (!this.followLinks && uri !== rootUri));
+
+    // This will throw an error if it can't access the uri
+    if (!isUnfollowedLink) {
+      fs.accessSync(uri);
+    }
+
     // TODO: When we move past file/folder assets, this will need to account for
     // other types of assets that aren't reachable via the file system.
-    const details = fs.statSync(uri);
+    const details = isUnfollowedLink ? fs.lstatSync(uri) : fs.statSync(uri);
     let result = {};
 
     if (!details) {
@@ -106,22 +176,58 @@ export default class AssetService {
       contentTypes: this.assetContentTypes(uri, details),
       metadata: [],
     };
+    if (link) {
+      result.link = link;
+    }
+
+    if (
+      uri !== rootUri &&
+      ignoreRules.isIgnored(path.relative(rootUri, uri), result.type === 'directory')
+    ) {
+      return null;
+    }
+
+    // If the file hasn't changed since the last scan, start with the metadata we have cached for
+    // it.  Handlers will skip a file that already has their metadata, so it won't be parsed again.
+    if (this.scanCache && result.type === 'file') {
+      result.metadata.push(...this.scanCache.getMetadata(uri, details));
+    }
 
     // If this is a directory, we are going to traverse and get details
-    // about the contained files and sub-folders
-    if (result.type === 'directory') {
+    // about the contained files and sub-folders.  A folder that is already being traversed can
+    // only be reached again through a link, and we don't follow it so that we don't loop forever.
+    // Some file systems don't report an inode, and so can't be checked.
+    const folderId = details.ino ? `${details.dev}:${details.ino}` : null;
+    if (result.type === 'directory' && folderId && parentFolderIds.includes(folderId)) {
+      if (result.link) {
+        result.link.cycle = true;
+      }
+    } else if (result.type === 'directory') {
       const self = this;
+      const folderIds = folderId ? [...parentFolderIds, folderId] : parentFolderIds;
+      const childrenExcluded = inExcludedFolder || !AssetUtil.includeAsset(uri);
       const files = fs.readdirSync(uri);
       const children = [];
       files.forEach(function eachFile(file) {
-        const filePath = path.join(uri, file);
-        children.push(self.scan(filePath));
+        const child = self.scanAsset(
+          path.join(uri, file),
+          rootUri,
+          ignoreRules,
+          folderIds,
+          childrenExcluded,
+        );
+        if (child) {
+          children.push(child);
+        }
       });
 
       result.children = children;
     }
 
-    if (!this.handlers) {
+    // The contents of an excluded folder are left to the handlers to process when they get to the
+    // folder.  They will be marked as excluded (see FileHandler), and StatWrap's own files (such
+    // as thumbnails) won't be read as if they were part of the project.
+    if (!this.handlers || inExcludedFolder) {
       return result;
     }
 
@@ -133,6 +239,10 @@ export default class AssetService {
     for (let index = 0; index < this.handlers.length; index++) {
       assetEntry = this.handlers[index].scan(assetEntry);
     }
+
+    if (this.scanCache && assetEntry.type === 'file') {
+      this.scanCache.setMetadata(uri, details, assetEntry.metadata);
+    }
     return assetEntry;
   }
 }
@@ -0,0 +1,74 @@
+import IgnoreRules from './ignoreRules';
+
+const path = require('path');
+
+/**
+ * Determines which files and folders in a project are ignored by git.  This follows the rules in
+ * the project's .git/info/exclude file, and in the .gitignore files in the project root and any
+ * of its sub-folders.  A .gitignore file takes precedence over the ones in the folders above it,
+ * and all of them take precedence over .git/info/exclude.
+ *
+ * The .gitignore files are loaded as they are needed, and the rules for each folder are kept so
+ * that they are only read once.  An instance should be used for a single scan of a project, so
+ * that changes to the .gitignore files are picked up the next time.
+ */
+export default class GitIgnoreRules {
+  constructor(rootPath) {
+    this.rootPath = rootPath;
+    // The rules that apply within each folder, indexed by the folder's path relative to the root
+    // (using / separators).  The root folder is an empty string.
+    this.folderRules = {};
+  }
+
+  /**
+   * Get the rules that apply to the contents of a folder.
+   * @param {string} relativeFolder The path of the folder, relative to the project root and
+   *  using / separators
+   * @returns {IgnoreRules} The rules for the folder
+   */
+  getFolderRules(relativeFolder) {
+    if (this.folderRules[relativeFolder]) {
+      return this.folderRules[relativeFolder];
+    }
+
+    let rules = null;
+    const gitIgnoreFile = path.join(this.rootPath, ...relativeFolder.split('/'), '.gitignore');
+    if (relativeFolder === '') {
+      rules = new IgnoreRules();
+      rules.loadFile(path.join(this.rootPath, '.git', 'info', 'exclude'));
+      rules.loadFile(gitIgnoreFile);
+    } else {
+      const parentFolder = path.posix.dirname(relativeFolder);
+      const parentRules = this.getFolderRules(parentFolder === '.' ? '' : parentFolder);
+      // Most folders won't have their own .gitignore file, and can share the rules from above
+      rules = new IgnoreRules(parentRules.rules);
+      if (!rules.loadFile(gitIgnoreFile, relativeFolder)) {
+        rules = parentRules;
+      }
+    }
+
+    this.folderRules[relativeFolder] = rules;
+    return rules;
+  }
+
+  /**
+   * Determine if git ignores a file or folder
+   * @param {string} uri The absolute path of the file or folder
+   * @param {boolean} isDirectory If the path is for a folder
+   * @returns {boolean} true if it is ignored
+   */
+  isIgnored(uri, isDirectory) {
+    if (!uri || !this.rootPath) {
+      return false;
+    }
+
+    const relativePath = path.relative(this.rootPath, uri).split(path.sep).join('/');
+    // Only paths within the project are considered
+    if (relativePath === '' || relativePath === '..' || relativePath.startsWith('../')) {
+      return false;
+    }
+
+    const folder = path.posix.dirname(relativePath);
+    return this.getFolderRules(folder === '.' ? '' : folder).isIgnored(relativePath, isDirectory);
+  }
+}
@@ -7,6 +7,20 @@ const url = require('url');
 // All lookups should be lowercase - we will do lowercase conversion before comparison.
 const URL_PROTOCOL_LIST = ['http:', 'https:'];
 
+// Lines that are only a comment in most of the languages we handle (e.g., # in R and Python,
+// // in Java, * in Stata and SAS, -- in SQL).  Handlers can override isCommentLine for others.
+const COMMENT_LINE_REGEX = /^\s*(?:#|\/\/|\/\*|\*|--)/;
+
+// The start of a hard-coded absolute path: a Windows drive letter (C:\ or C:/), a UNC share
+// (\\server\share, where the backslashes may be escaped), a user's home folder on macOS or Linux
+// (/Users/ or /home/), or the home folder shortcut (~/, or just ~ in quotes).  The path has to start
+// a token, so that URLs (e.g., file:///Users/) and R formulas (y ~ x) aren't included.
+// For this regex, the match groups:
+// 0 - full match (not used)
+// 1 - the character before the path (a quote, if the path is quoted)
+const ABSOLUTE_PATH_REGEX =
+  /(^|[\s"'`(=,[{])(?:[A-Za-z]:[\\/]|\\{2,4}[\w.$-]+\\|\/(?:Users|home)\/|~[\w.-]*[\\/]|~(?=["'`]))/g;
+
 /**
  * This is not intended for direct use - this should be inherited by more specific
  * classes dedicated to each programming language/code type
@@ -17,6 +31,36 @@ export default class BaseCodeHandler {
     this.fileExtensionList = fileExtensionList;
   }
 
+  /**
+   * The version of the rules the handler uses to collect metadata.  Each handler sets this as a
+   * static version attribute, which must be incremented whenever a change would alter the
+   * metadata that is collected.  This is used to ignore metadata in the scan cache that was
+   * collected by an earlier version of the handler.
+   *
+   * A handler that delegates to other handlers (see getDelegateHandlers) also depends on their
+   * rules, so its version includes the versions of its delegates (e.g., '2+StatWrap.RHandler:4').
+   * @returns The handler version
+   */
+  version() {
+    const ownVersion = this.constructor.version || 1;
+    const delegates = this.getDelegateHandlers();
+    if (delegates.length === 0) {
+      return ownVersion;
+    }
+    return [ownVersion, ...delegates.map((handler) => `${handler.id()}:${handler.version()}`)].join(
+      '+',
+    );
+  }
+
+  /**
+   * The handlers that this handler passes code to, such as the handlers for the languages of
+   * the cells in a notebook.  Handlers that delegate should override this.
+   * @returns Array of handlers
+   */
+  getDelegateHandlers() {
+    return [];
+  }
+
   getBaseFileName(uri) {
     let fileName = null;
     // Detect if URL or path-based URI.  For now we only consider HTTP(S) as valid
@@ -62,6 +106,260 @@ export default class BaseCodeHandler {
     return this.fileExtensionList.includes(extension.toLowerCase());
   }
 
+  /**
+   * Find where the code changes its working directory (e.g., setwd in R), so that relative paths
+   * to inputs and outputs can be resolved.  Each entry has an id and the path as it is written in
+   * the code.  Handlers for languages that can change directories override this.
+   * @param {string} uri The URI of the code file
+   * @param {string} text The contents of the code file
+   * @returns Array of working directories, in the order they appear in the code
+   */
+  getWorkingDirectories(uri, text) {
+    return [];
+  }
+
+  /**
+   * Determine if a line of code is only a comment, so it can be skipped when looking for
+   * absolute paths.
+   * @param {string} line The line of code
+   * @returns true if the line is a comment
+   */
+  isCommentLine(line) {
+    return COMMENT_LINE_REGEX.test(line);
+  }
+
+  /**
+   * Find hard-coded absolute paths in the code (see ABSOLUTE_PATH_REGEX), which will keep the code
+   * from running on another computer.  Unlike inputs and outputs, this looks at every line of the
+   * code (other than comments), so paths that are assigned to variables or used in any function
+   * are included.
+   * @param {string} uri The URI of the code file
+   * @param {string} text The contents of the code file
+   * @returns Array of { path, line, snippet }, where the line number starts at 1 and the snippet
+   *  is the line of code that the path is in
+   */
+  getAbsolutePaths(uri, text) {
+    const absolutePaths = [];
+    if (!text) {
+      return absolutePaths;
+    }
+
+    text.split(/\r?\n/).forEach((line, index) => {
+      if (this.isCommentLine(line)) {
+        return;
+      }
+      [...line.matchAll(ABSOLUTE_PATH_REGEX)].forEach((match) => {
+        const start = match.index + match[1].length;
+        // A quoted path continues to the closing quote, so it can include spaces
+        const quote = ['"', "'", '`'].includes(match[1]) ? match[1] : null;
+        let end = quote
+          ? line.indexOf(quote, start)
+          : line.substring(start).search(/[\s"'`,;)\]}]/) + start;
+        if (end < start) {
+          end = line.length;
+        }
+        const absolutePath = line.substring(start, end);
+        if (absolutePath === '~' && !quote) {
+          return;
+        }
+        absolutePaths.push({
+          path: absolutePath,
+          line: index + 1,
+          snippet: line.trim(),
+        });
+      });
+    });
+    return absolutePaths;
+  }
+
+  /**
+   * If an expression is a single string literal (e.g., "data.csv" or 'data.csv'), get its value.
+   * @param {string} expression The expression to check
+   * @returns The string (without the quotes), or null if the expression isn't a string literal
+   */
+  parseStringLiteral(expression) {
+    if (!expression) {
+      return null;
+    }
+    const match = expression.trim().match(/^(['"])((?:\\.|(?!\1)[^\\])*)\1$/);
+    return match ? match[2] : null;
+  }
+
+  /**
+   * Find the end of a string literal
+   * @param {string} code The code containing the string
+   * @param {number} start The index of the opening quote
+   * @returns The index of the closing quote, or the end of the code if it isn't closed
+   */
+  findStringEnd(code, start) {
+    const quote = code[start];
+    let index = start + 1;
+    while (index < code.length) {
+      if (code[index] === '\\') {
+        index += 2;
+      } else if (code[index] === quote) {
+        return index;
+      } else {
+        index++;
+      }
+    }
+    return code.length - 1;
+  }
+
+  /**
+   * Find the closing parenthesis for an opening one, skipping over nested brackets and strings.
+   * @param {string} code The code to search
+   * @param {number} start The index of the opening parenthesis
+   * @returns The index of the closing parenthesis, or -1 if it isn't closed
+   */
+  findClosingParenthesis(code, start) {
+    let depth = 0;
+    for (let index = start; index < code.length; index++) {
+      const char = code[index];
+      if (char === '"' || char === "'") {
+        index = this.findStringEnd(code, index);
+      } else if ('([{'.includes(char)) {
+        depth++;
+      } else if (')]}'.includes(char)) {
+        depth--;
+        if (depth === 0) {
+          return index;
+        }
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Split the arguments of a function call (without the surrounding parentheses) at the commas
+   * that separate them, skipping over nested brackets and strings.
+   * @param {string} code The arguments
+   * @returns Array of the arguments, including any whitespace around them
+   */
+  splitArguments(code) {
+    const args = [];
+    let depth = 0;
+    let start = 0;
+    for (let index = 0; index < code.length; index++) {
+      const char = code[index];
+      if (char === '"' || char === "'") {
+        index = this.findStringEnd(code, index);
+      } else if ('([{'.includes(char)) {
+        depth++;
+      } else if (')]}'.includes(char)) {
+        depth--;
+      } else if (char === ',' && depth === 0) {
+        args.push(code.substring(start, index));
+        start = index + 1;
+      }
+    }
+    args.push(code.substring(start));
+    return args;
+  }
+
+  /**
+   * Evaluate an expression that builds a path (e.g., a call to file.path in R).  Handlers for
+   * languages that support this override it with their own rules.
+   * @param {string} expression The expression to evaluate
+   * @param {object} constants The string values of the variables assigned so far, by name
+   * @returns The string that the expression evaluates to, or null if it can't be evaluated
+   */
+  evaluatePathExpression(expression, constants) {
+    return this.parseStringLiteral(expression);
+  }
+
+  /**
+   * Determine if a line of code assigns a value to a variable.  Handlers for languages that
+   * support evaluating paths override this.
+   * @param {string} line The line of code
+   * @returns An object with the variable name and the expression assigned to it, or null if the
+   *  line isn't an assignment
+   */
+  getAssignment(line) {
+    return null;
+  }
+
+  /**
+   * Replace the arguments of each function call in a line of code with a string literal, if they
+   * can be evaluated to a string (see evaluatePathExpression).  Arguments that can't be evaluated
+   * are searched for nested calls.  Anything after a # comment is left as-is.
+   * @param {string} code The line of code
+   * @param {object} constants The string values of the variables assigned so far, by name
+   * @returns The line of code with the arguments replaced
+   */
+  replacePathArguments(code, constants) {
+    let result = '';
+    let index = 0;
+    while (index < code.length) {
+      const char = code[index];
+      if (char === '"' || char === "'") {
+        const end = this.findStringEnd(code, index);
+        result += code.substring(index, end + 1);
+        index = end + 1;
+      } else if (char === '#') {
+        result += code.substring(index);
+        index = code.length;
+      } else if (char === '(') {
+        // Calls that continue on the next line are treated as if they end with this line
+        const end = this.findClosingParenthesis(code, index);
+        const args = this.splitArguments(code.substring(index + 1, end === -1 ? code.length : end));
+        const replacedArgs = args.map((arg) => {
+          // Named arguments (e.g., file = "data.csv") keep their name
+          const match = arg.match(/^(\s*(?:[\w.]+\s*=(?!=))?\s*)([\s\S]*?)(\s*)$/);
+          const value =
+            this.parseStringLiteral(match[2]) === null
+              ? this.evaluatePathExpression(match[2], constants)
+              : null;
+          if (value === null) {
+            return this.replacePathArguments(arg, constants);
+          }
+          const literal = value.includes('"') ? `'${value}'` : `"${value}"`;
+          return `${match[1]}${literal}${match[3]}`;
+        });
+        result += `(${replacedArgs.join(',')}${end === -1 ? '' : ')'}`;
+        index = end === -1 ? code.length : end + 1;
+      } else {
+        result += char;
+        index++;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Code often builds the paths to its inputs and outputs from variables and functions, instead of
+   * using a string literal.  This is a lightweight constant propagation pass, which goes through
+   * the code line by line and keeps track of the variables that are assigned a string (or an
+   * expression that evaluates to one).  The arguments of function calls that can be evaluated are
+   * replaced with string literals, so that the inputs and outputs can be found in the code that is
+   * returned.
+   * @param {string} text The code
+   * @returns The code, with the paths that could be evaluated replaced by string literals
+   */
+  evaluatePathExpressions(text) {
+    if (!text) {
+      return text;
+    }
+
+    const constants = {};
+    return text
+      .split('\n')
+      .map((line) => {
+        const code = this.replacePathArguments(line, constants);
+        const assignment = this.getAssignment(line);
+        if (assignment) {
+          const value = this.evaluatePathExpression(assignment.expression, constants);
+          if (value === null) {
+            delete constants[assignment.name];
+          } else {
+            constants[assignment.name] = value;
+          }
+        }
+        return code;
+      })
+      .join('\n');
+  }
+
   /**
    * Performs the main scanning and discovery of the asset at the specified URI
    * @param {string} uri - A string containing the URI that the asset can be found at
@@ -79,6 +377,12 @@ export default class BaseCodeHandler {
       return asset;
     }
 
+    // Files and folders that are left out of the project (see FileHandler), such as StatWrap's own
+    // files or what git ignores, aren't read.
+    if (AssetUtil.isExcluded(asset)) {
+      return asset;
+    }
+
     const metadata = { id: this.id() };
     // If this is a directory, we are going to traverse and get details
     // about the contained files and sub-folders
@@ -101,6 +405,15 @@ export default class BaseCodeHandler {
         metadata.libraries = this.getLibraries(asset.uri, contents);
         metadata.outputs = this.getOutputs(asset.uri, contents);
         metadata.inputs = this.getInputs(asset.uri, contents);
+        // Most code doesn't change directories, so we only record them when it does
+        const workingDirectories = this.getWorkingDirectories(asset.uri, contents);
+        if (workingDirectories.length > 0) {
+          metadata.workingDirectories = workingDirectories;
+        }
+        const absolutePaths = this.getAbsolutePaths(asset.uri, contents);
+        if (absolutePaths.length > 0) {
+          metadata.absolutePaths = absolutePaths;
+        }
       } catch {
         metadata.error = 'Unable to read code file';
         asset.metadata.push(metadata);
@@ -0,0 +1,167 @@
+import AssetUtil from '../../../utils/asset';
+
+const fs = require('fs');
+
+// Column types that can be combined into a more general type (e.g., a column with both integers
+// and decimal numbers is a 'number' column).
+const COMPATIBLE_TYPE_LIST = [
+  { types: ['integer', 'number'], combined: 'number' },
+  { types: ['date', 'datetime'], combined: 'datetime' },
+];
+
+/**
+ * This is not intended for direct use - this should be inherited by more specific
+ * classes dedicated to each type of data file.  Subclasses must implement getMetadata(uri),
+ * which returns an object with the details collected from the data file.
+ */
+export default class BaseDataHandler {
+  constructor(handlerId, fileExtensionList) {
+    this.handlerId = handlerId;
+    this.fileExtensionList = fileExtensionList;
+  }
+
+  id() {
+    return this.handlerId;
+  }
+
+  /**
+   * The version of the rules the handler uses to collect metadata.  Each handler sets this as a
+   * static version attribute, which must be incremented whenever a change would alter the
+   * metadata that is collected.  This is used to ignore metadata in the scan cache that was
+   * collected by an earlier version of the handler.
+   * @returns The handler version
+   */
+  version() {
+    return this.constructor.version || 1;
+  }
+
+  /**
+   * Determine if a file represented by a URI is one that we want to typically include.
+   * @param {string} uri - A string containing the URI of the asset we want to consider for inclusion
+   */
+  includeFile(uri) {
+    if (!uri || uri === undefined) {
+      return false;
+    }
+
+    const extension = AssetUtil.getExtensionFromUri(uri);
+    return !!extension && this.fileExtensionList.includes(extension.toLowerCase());
+  }
+
+  /**
+   * Combine the type inferred so far for a column with the type of another value
+   * @param {string} currentType The type inferred so far (null if no values have been seen)
+   * @param {string} valueType The type of the next value (null if it was missing)
+   * @returns The combined type
+   */
+  combineTypes(currentType, valueType) {
+    if (!currentType) {
+      return valueType;
+    }
+    if (!valueType || currentType === valueType) {
+      return currentType;
+    }
+
+    const compatible = COMPATIBLE_TYPE_LIST.find(
+      (x) => x.types.includes(currentType) && x.types.includes(valueType),
+    );
+    return compatible ? compatible.combined : 'string';
+  }
+
+  /**
+   * Read a range of bytes from an open file.  Binary data formats keep their variable
+   * information at known offsets, so we only read the parts of the file that we need.
+   * @param {number} fd The file descriptor
+   * @param {number} position The offset in the file to start reading from
+   * @param {number} length The number of bytes to read
+   * @returns A Buffer with the bytes that were read.  This will be shorter than the requested
+   *   length if the end of the file was reached.
+   */
+  readBytes(fd, position, length) {
+    const buffer = Buffer.alloc(length);
+    let bytesRead = 0;
+    while (bytesRead < length) {
+      const count = fs.readSync(fd, buffer, bytesRead, length - bytesRead, position + bytesRead);
+      if (count <= 0) {
+        break;
+      }
+      bytesRead += count;
+    }
+    return bytesRead < length ? buffer.subarray(0, bytesRead) : buffer;
+  }
+
+  /**
+   * Decode a fixed-width text field from a binary data file.  These fields are padded with null
+   * characters and/or spaces, which are removed.
+   * @param {Buffer} buffer The bytes of the field
+   * @param {string} encoding The label used to create a TextDecoder for the field
+   * @returns The decoded text
+   */
+  decodeText(buffer, encoding = 'utf-8') {
+    const end = buffer.indexOf(0);
+    return new TextDecoder(encoding)
+      .decode(end === -1 ? buffer : buffer.subarray(0, end))
+      .trimEnd();
+  }
+
+  /**
+   * Collect the details from a data file.  This must be implemented by the derived class.
+   * @param {string} uri - The path to the data file
+   * @return {object} The details to include in the handler's metadata
+   */
+  getMetadata(uri) {
+    throw new Error('getMetadata must be implemented by the data handler');
+  }
+
+  /**
+   * Performs the main scanning and discovery of the asset at the specified URI
+   * @param {string} uri - A string containing the URI that the asset can be found at
+   * @return {object} A JS object containing the details about the specified asset
+   */
+  scan(originalAsset) {
+    const asset = { ...originalAsset };
+    // If we have an invalid asset, just move along.
+    if (!asset || asset === undefined || !asset.type) {
+      return asset;
+    }
+
+    // Only handle files, but need to include directories for recursive processing
+    if (asset.type !== 'file' && asset.type !== 'directory') {
+      return asset;
+    }
+
+    // Files and folders that are left out of the project (see FileHandler), such as StatWrap's own
+    // files or what git ignores, aren't read.
+    if (AssetUtil.isExcluded(asset)) {
+      return asset;
+    }
+
+    if (asset.type === 'directory') {
+      if (asset.children) {
+        const self = this;
+        asset.children.forEach((child, index) => (asset.children[index] = self.scan(child)));
+      }
+      return asset;
+    }
+
+    if (!this.includeFile(asset.uri)) {
+      return asset;
+    }
+
+    // If we already have scanned this file, we won't do it again.
+    const existingMetadata = AssetUtil.getHandlerMetadata(this.handlerId, asset.metadata);
+    if (existingMetadata) {
+      return asset;
+    }
+
+    let metadata = { id: this.id() };
+    try {
+      metadata = { ...metadata, ...this.getMetadata(asset.uri) };
+    } catch {
+      metadata.error = 'Unable to read data file';
+    }
+
+    asset.metadata.push(metadata);
+    return asset;
+  }
+}
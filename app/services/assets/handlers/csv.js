@@ -0,0 +1,315 @@
+import BaseDataHandler from './baseData';
+
+const fs = require('fs');
+
+// Delimited text file extensions that we will profile.
+// All lookups should be lowercase - we will do lowercase conversion before comparison.
+const FILE_EXTENSION_LIST = ['csv', 'tsv', 'tab'];
+
+// Extensions where we know the delimiter is a tab, and don't need to detect it
+const TAB_EXTENSION_LIST = ['tsv', 'tab'];
+
+// The delimiters we will consider when detecting the delimiter for a file
+const DELIMITER_LIST = [',', '\t', ';', '|'];
+
+// The number of bytes read at a time, so large files are never loaded into memory all at once
+const CHUNK_SIZE = 64 * 1024;
+
+// Files larger than this (in bytes) are sampled - we only read this much of the file, and the
+// number of rows is estimated from what was read.
+const MAX_PROFILE_BYTES = 32 * 1024 * 1024;
+
+// The number of rows used to infer the type of each column.  Rows after this are only counted.
+const MAX_TYPE_INFERENCE_ROWS = 10000;
+
+// Values that are treated as missing, and are not used when inferring the column type.
+// All lookups should be lowercase - we will do lowercase conversion before comparison.
+const MISSING_VALUE_LIST = ['', 'na', 'n/a', 'nan', 'null', '.'];
+
+// The column types, in the order we test for them
+const TYPE_PATTERN_LIST = [
+  { type: 'integer', pattern: /^[-+]?\d+$/ },
+  { type: 'number', pattern: /^[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?$/i },
+  { type: 'boolean', pattern: /^(?:true|false)$/i },
+  { type: 'date', pattern: /^(?:\d{4}-\d{1,2}-\d{1,2}|\d{1,2}\/\d{1,2}\/\d{2,4})$/ },
+  {
+    type: 'datetime',
+    pattern:
+      /^\d{4}-\d{1,2}-\d{1,2}[T ]\d{1,2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?$/i,
+  },
+];
+
+/**
+ * Metadata:
+ * {
+ *   id: 'StatWrap.CSVHandler',
+ *   encoding: 'UTF-8',
+ *   delimiter: ',',
+ *   columns: [ { name: 'id', type: 'integer', missing: 0 }, ... ],
+ *   rowCount: 1234,
+ *   sampled: false
+ * }
+ *
+ * The row count does not include the header row.  Column types are one of 'integer', 'number',
+ * 'boolean', 'date', 'datetime', 'string', or 'unknown' (if the column has no values).  The
+ * missing count is the number of rows where the column is empty or a missing value (like NA).
+ * After the rows used for type inference, only empty values are counted as missing.
+ *
+ * Large files are sampled instead of being read completely.  When sampled is true, only the start
+ * of the file was read and the row count is an estimate.
+ */
+export default class CSVHandler extends BaseDataHandler {
+  static id = 'StatWrap.CSVHandler';
+
+  static version = 2;
+
+  constructor() {
+    super(CSVHandler.id, FILE_EXTENSION_LIST);
+  }
+
+  id() {
+    return CSVHandler.id;
+  }
+
+  /**
+   * Detect the encoding of the file from its first bytes.  A byte order mark (BOM) identifies
+   * UTF-8 and UTF-16 files.  Otherwise, if the bytes are not valid UTF-8 we assume ISO-8859-1,
+   * which is the most common alternative for data exported from other tools.
+   * @param {Buffer} buffer The first bytes of the file
+   * @param {boolean} isComplete If the buffer contains the whole file
+   * @returns Object with the encoding name, the label used to create a TextDecoder for it, and the
+   *   length of the BOM (if any)
+   */
+  detectEncoding(buffer, isComplete = true) {
+    if (buffer.length >= 3 && buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+      return { name: 'UTF-8', decoding: 'utf-8', bomLength: 3 };
+    }
+    if (buffer.length >= 2 && buffer[0] === 0xff && buffer[1] === 0xfe) {
+      return { name: 'UTF-16LE', decoding: 'utf-16le', bomLength: 2 };
+    }
+    if (buffer.length >= 2 && buffer[0] === 0xfe && buffer[1] === 0xff) {
+      return { name: 'UTF-16BE', decoding: 'utf-16be', bomLength: 2 };
+    }
+
+    // Unless this is the whole file, the decoder holds back incomplete characters at the end of
+    // the buffer, so a multi-byte character split by the chunk boundary won't look invalid.
+    try {
+      new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: !isComplete });
+    } catch {
+      return { name: 'ISO-8859-1', decoding: 'iso-8859-1', bomLength: 0 };
+    }
+    return { name: 'UTF-8', decoding: 'utf-8', bomLength: 0 };
+  }
+
+  /**
+   * Detect the delimiter used in the file.  We look at the first few lines, and pick the
+   * delimiter that appears the same number of times on each line.  If more than one does, we
+   * pick the one that appears the most.
+   * @param {string} text The start of the file
+   * @returns The delimiter character
+   */
+  detectDelimiter(text) {
+    const lines = text
+      .split(/\r?\n/)
+      .slice(0, 10)
+      // The last line may have been cut off at the end of the sample
+      .filter((line, index, list) => line.trim() !== '' && (index < list.length - 1 || index === 0))
+      // Remove quoted values, since they may contain delimiters
+      .map((line) => line.replace(/"(?:[^"]|"")*"/g, ''));
+    if (lines.length === 0) {
+      return ',';
+    }
+
+    let bestDelimiter = ',';
+    let bestScore = 0;
+    DELIMITER_LIST.forEach((delimiter) => {
+      const counts = lines.map((line) => line.split(delimiter).length - 1);
+      const isConsistent = counts.every((count) => count === counts[0]);
+      // Consistent delimiters are always preferred over inconsistent ones
+      const score = counts[0] === 0 ? 0 : counts[0] + (isConsistent ? 1000 : 0);
+      if (score > bestScore) {
+        bestScore = score;
+        bestDelimiter = delimiter;
+      }
+    });
+    return bestDelimiter;
+  }
+
+  /**
+   * Infer the type of a single value
+   * @param {string} value The value
+   * @returns The type, or null if the value is missing
+   */
+  inferValueType(value) {
+    const trimmedValue = value.trim();
+    if (MISSING_VALUE_LIST.includes(trimmedValue.toLowerCase())) {
+      return null;
+    }
+
+    const match = TYPE_PATTERN_LIST.find((x) => x.pattern.test(trimmedValue));
+    return match ? match.type : 'string';
+  }
+
+  /**
+   * Parse a chunk of delimited text.  Quoted values may contain delimiters, line breaks and
+   * escaped ("") quotes.  Because a row can span chunks, the parser state is kept between calls.
+   * Once the state is set to countOnly, the values aren't kept (only whether they are empty), so
+   * that counting the rows in a large file is faster.
+   * @param {string} text The chunk of text
+   * @param {object} state The parser state (see createParserState)
+   * @param {function} onRow Called with the array of values for each complete row
+   */
+  parseChunk(text, state, onRow) {
+    const { delimiter } = state;
+    for (let index = 0; index < text.length; index++) {
+      const ch = text[index];
+      if (state.inQuotes) {
+        if (ch === '"') {
+          state.inQuotes = false;
+          state.afterQuote = true;
+        } else {
+          state.field = state.countOnly ? 'x' : state.field + ch;
+        }
+      } else if (ch === '"' && state.afterQuote) {
+        // Two quotes in a row within a quoted value is an escaped quote
+        state.field = state.countOnly ? 'x' : state.field + ch;
+        state.inQuotes = true;
+        state.afterQuote = false;
+      } else {
+        state.afterQuote = false;
+        if (ch === '"' && state.field === '') {
+          state.inQuotes = true;
+        } else if (ch === delimiter) {
+          state.row.push(state.field);
+          state.field = '';
+        } else if (ch === '\n' || ch === '\r') {
+          // Treat \r\n as a single line break
+          if (!(ch === '\n' && state.lastWasCarriageReturn)) {
+            state.row.push(state.field);
+            state.field = '';
+            onRow(state.row);
+            state.row = [];
+          }
+        } else {
+          state.field = state.countOnly ? 'x' : state.field + ch;
+        }
+      }
+      state.lastWasCarriageReturn = ch === '\r';
+    }
+  }
+
+  createParserState(delimiter) {
+    return {
+      delimiter,
+      row: [],
+      field: '',
+      inQuotes: false,
+      afterQuote: false,
+      lastWasCarriageReturn: false,
+      countOnly: false,
+    };
+  }
+
+  /**
+   * Create the decoder used to convert the file's bytes into text
+   * @param {object} encoding The encoding from detectEncoding
+   * @returns Function that takes a Buffer and returns the decoded text
+   */
+  createDecoder(encoding) {
+    // Streaming mode keeps incomplete characters at the end of a chunk until the next chunk
+    const decoder = new TextDecoder(encoding.decoding);
+    return (buffer) => decoder.decode(buffer, { stream: true });
+  }
+
+  getMetadata(uri) {
+    const fileSize = fs.statSync(uri).size;
+    const buffer = Buffer.alloc(CHUNK_SIZE);
+    const fd = fs.openSync(uri, 'r');
+    try {
+      let bytesRead = fs.readSync(fd, buffer, 0, CHUNK_SIZE, null);
+      let totalBytesRead = bytesRead;
+      const encoding = this.detectEncoding(buffer.subarray(0, bytesRead), bytesRead < CHUNK_SIZE);
+      const decode = this.createDecoder(encoding);
+      let text = decode(buffer.subarray(encoding.bomLength, bytesRead));
+
+      const delimiter = TAB_EXTENSION_LIST.includes(uri.split('.').pop().toLowerCase())
+        ? '\t'
+        : this.detectDelimiter(text);
+      const state = this.createParserState(delimiter);
+
+      let columns = null;
+      let columnTypes = [];
+      let missingCounts = [];
+      let rowCount = 0;
+      const onRow = (row) => {
+        // Skip blank lines
+        if (row.length === 1 && row[0].trim() === '') {
+          return;
+        }
+
+        if (!columns) {
+          columns = row.map((name) => name.trim());
+          columnTypes = columns.map(() => null);
+          missingCounts = columns.map(() => 0);
+          return;
+        }
+
+        rowCount += 1;
+        for (let index = 0; index < columns.length; index++) {
+          // Rows that are too short are missing the values for the remaining columns
+          if (index >= row.length) {
+            missingCounts[index] += 1;
+          } else if (state.countOnly) {
+            if (row[index] === '') {
+              missingCounts[index] += 1;
+            }
+          } else {
+            const valueType = this.inferValueType(row[index]);
+            if (valueType === null) {
+              missingCounts[index] += 1;
+            }
+            columnTypes[index] = this.combineTypes(columnTypes[index], valueType);
+          }
+        }
+        if (rowCount >= MAX_TYPE_INFERENCE_ROWS) {
+          state.countOnly = true;
+        }
+      };
+
+      while (bytesRead > 0) {
+        this.parseChunk(text, state, onRow);
+        if (totalBytesRead >= MAX_PROFILE_BYTES) {
+          break;
+        }
+        bytesRead = fs.readSync(fd, buffer, 0, CHUNK_SIZE, null);
+        totalBytesRead += bytesRead;
+        text = decode(buffer.subarray(0, bytesRead));
+      }
+
+      const sampled = totalBytesRead < fileSize;
+      if (!sampled && (state.field !== '' || state.row.length > 0)) {
+        // The last row doesn't need to end with a line break
+        state.row.push(state.field);
+        onRow(state.row);
+      } else if (sampled && rowCount > 0) {
+        // The row we stopped in the middle of isn't counted, and we estimate the remaining rows
+        // from the average size of the rows we have read.
+        rowCount = Math.round((rowCount * fileSize) / totalBytesRead);
+      }
+
+      return {
+        encoding: encoding.name,
+        delimiter,
+        columns: (columns || []).map((name, index) => ({
+          name,
+          type: columnTypes[index] || 'unknown',
+          missing: missingCounts[index],
+        })),
+        rowCount,
+        sampled,
+      };
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+}
@@ -0,0 +1,669 @@
+import AssetUtil from '../../../utils/asset';
+
+const fs = require('fs');
+const path = require('path');
+
+// The dependency manifests and lockfiles that we will read, identified by their file name.  The
+// parser is the name of the method that collects the details from the file's contents.
+const MANIFEST_LIST = [
+  {
+    manifest: 'requirements.txt',
+    language: 'python',
+    pattern: /^requirements.*\.txt$/i,
+    parser: 'parseRequirements',
+  },
+  {
+    manifest: 'pyproject.toml',
+    language: 'python',
+    pattern: /^pyproject\.toml$/i,
+    parser: 'parsePyProject',
+  },
+  {
+    manifest: 'Pipfile.lock',
+    language: 'python',
+    pattern: /^pipfile\.lock$/i,
+    parser: 'parsePipfileLock',
+  },
+  {
+    manifest: 'environment.yml',
+    language: 'conda',
+    pattern: /^environment\.ya?ml$/i,
+    parser: 'parseCondaEnvironment',
+  },
+  { manifest: 'renv.lock', language: 'r', pattern: /^renv\.lock$/i, parser: 'parseRenvLock' },
+  { manifest: 'DESCRIPTION', language: 'r', pattern: /^DESCRIPTION$/, parser: 'parseDescription' },
+  { manifest: 'pom.xml', language: 'java', pattern: /^pom\.xml$/i, parser: 'parsePom' },
+  {
+    manifest: 'build.gradle',
+    language: 'java',
+    pattern: /^build\.gradle(?:\.kts)?$/i,
+    parser: 'parseGradle',
+  },
+];
+
+// The fields in an R DESCRIPTION file that list packages
+const DESCRIPTION_PACKAGE_FIELDS = ['Depends', 'Imports', 'LinkingTo', 'Suggests'];
+
+// The Gradle configurations that declare dependencies
+const GRADLE_CONFIGURATIONS =
+  'implementation|api|compile|compileOnly|runtimeOnly|runtime|testImplementation|testCompile|testCompileOnly|testRuntimeOnly|annotationProcessor|kapt';
+
+/**
+ * Metadata:
+ * {
+ *   id: 'StatWrap.EnvironmentHandler',
+ *   manifest: 'requirements.txt',
+ *   language: 'python',
+ *   runtime: { name: 'python', version: '>=3.9' },
+ *   packages: [ { name: 'pandas', version: '2.1.0', pinned: true }, ... ]
+ * }
+ *
+ * The manifest is the type of file (e.g., requirements-dev.txt is a 'requirements.txt' manifest),
+ * and the language is the one the packages are for ('python', 'r' or 'java').  The runtime is
+ * only included if the file says which version of the language is needed.
+ *
+ * A conda environment.yml can include packages for more than one language, so its language is
+ * 'conda' and each package has its own language.  Conda names R packages with an 'r-' prefix
+ * (e.g., 'r-dplyr'), and everything else (including the packages installed with pip) is
+ * considered to be for Python.
+ *
+ * A package is pinned if it must be an exact version, in which case the version is that exact
+ * version.  Otherwise, the version is the constraint as it was written (e.g., '>=1.2,<2'), or
+ * null if there isn't one.  Java packages are named using their group and artifact IDs (e.g.,
+ * 'org.slf4j:slf4j-api').
+ */
+export default class EnvironmentHandler {
+  static id = 'StatWrap.EnvironmentHandler';
+
+  static version = 2;
+
+  id() {
+    return EnvironmentHandler.id;
+  }
+
+  /**
+   * The version of the rules the handler uses to collect metadata (see ScanCache)
+   * @returns The handler version
+   */
+  version() {
+    return EnvironmentHandler.version;
+  }
+
+  /**
+   * Find the type of manifest that a file is, if any
+   * @param {string} uri The URI of the file
+   * @returns The entry from MANIFEST_LIST, or undefined if the file isn't a manifest
+   */
+  getManifestType(uri) {
+    if (!uri) {
+      return undefined;
+    }
+    const fileName = path.basename(uri);
+    return MANIFEST_LIST.find((x) => x.pattern.test(fileName));
+  }
+
+  /**
+   * Determine if a file represented by a URI is one that we want to typically include.
+   * @param {string} uri - A string containing the URI of the asset we want to consider for inclusion
+   */
+  includeFile(uri) {
+    return !!this.getManifestType(uri);
+  }
+
+  /**
+   * Create the entry for a package from a version specification
+   * @param {string} name The package name
+   * @param {string} spec The version specification (e.g., '==1.2.3' or '>=1.0'), if there is one
+   * @returns The package entry
+   */
+  createPackage(name, spec) {
+    const version = spec ? spec.replace(/\s+/g, '') : '';
+    const pinned = /^===?[^,*]+$/.test(version);
+    return {
+      name,
+      version: pinned ? version.replace(/^===?/, '') : version || null,
+      pinned,
+    };
+  }
+
+  /**
+   * Parse a single Python requirement (PEP 508), such as 'pandas[excel]>=2.0 ; python_version>"3.8"'
+   * @param {string} requirement The requirement
+   * @returns The package entry, or null if it isn't a requirement for a named package
+   */
+  parseRequirement(requirement) {
+    if (!requirement) {
+      return null;
+    }
+
+    // Environment markers come after a ;, and requirements files can include options (like
+    // --hash) after the requirement.
+    const text = requirement
+      .split(';')[0]
+      .split(/\s--?[a-z]/)[0]
+      .trim();
+    // For this regex, the match groups:
+    // 0 - full match (not used)
+    // 1 - package name
+    // 2 - version specification or direct reference (e.g., @ https://...)
+    const match = text.match(/^([A-Za-z0-9][A-Za-z0-9._-]*)\s*(?:\[[^\]]*\])?\s*(.*)$/);
+    if (!match || (match[2] !== '' && !/^[<>=!~@(]/.test(match[2]))) {
+      return null;
+    }
+    const spec = match[2].startsWith('@') ? '' : match[2].replace(/^\((.*)\)$/, '$1');
+    return this.createPackage(match[1], spec);
+  }
+
+  parseRequirements(text) {
+    const packages = [];
+    // Lines ending with \ continue on the next line
+    const lines = text.replace(/\\\r?\n/g, ' ').split(/\r?\n/);
+    lines.forEach((line) => {
+      const requirement = line.replace(/(^|\s)#.*$/, '').trim();
+      // Options (e.g., -r other.txt or --index-url) don't declare packages
+      if (requirement === '' || requirement.startsWith('-')) {
+        return;
+      }
+      const entry = this.parseRequirement(requirement);
+      if (entry) {
+        packages.push(entry);
+      }
+    });
+    return { packages };
+  }
+
+  /**
+   * Remove a comment from a line of a TOML file, leaving any # that is within a string
+   * @param {string} line The line
+   * @returns The line without the comment
+   */
+  stripTomlComment(line) {
+    let quote = null;
+    for (let index = 0; index < line.length; index++) {
+      const char = line[index];
+      if (quote) {
+        if (char === '\\' && quote === '"') {
+          index++;
+        } else if (char === quote) {
+          quote = null;
+        }
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '#') {
+        return line.substring(0, index);
+      }
+    }
+    return line;
+  }
+
+  /**
+   * Split the items of a TOML array or inline table at the commas between them, skipping over
+   * nested arrays, tables and strings.
+   * @param {string} text The contents of the array or table, without the surrounding brackets
+   * @returns Array of the items
+   */
+  splitTomlItems(text) {
+    const items = [];
+    let depth = 0;
+    let quote = null;
+    let start = 0;
+    for (let index = 0; index < text.length; index++) {
+      const char = text[index];
+      if (quote) {
+        if (char === '\\' && quote === '"') {
+          index++;
+        } else if (char === quote) {
+          quote = null;
+        }
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '[' || char === '{') {
+        depth++;
+      } else if (char === ']' || char === '}') {
+        depth--;
+      } else if (char === ',' && depth === 0) {
+        items.push(text.substring(start, index));
+        start = index + 1;
+      }
+    }
+    items.push(text.substring(start));
+    return items.map((x) => x.trim()).filter((x) => x !== '');
+  }
+
+  /**
+   * Parse a value from a TOML file.  We only need strings, arrays and inline tables.  Any other
+   * type of value (like a number) is returned as it was written.
+   * @param {string} text The value
+   * @returns The parsed value
+   */
+  parseTomlValue(text) {
+    const value = text.trim();
+    const stringMatch = value.match(/^(["'])([\s\S]*)\1$/);
+    if (stringMatch) {
+      return stringMatch[2];
+    }
+    if (value.startsWith('[') && value.endsWith(']')) {
+      return this.splitTomlItems(value.substring(1, value.length - 1)).map((x) =>
+        this.parseTomlValue(x),
+      );
+    }
+    if (value.startsWith('{') && value.endsWith('}')) {
+      const table = {};
+      this.splitTomlItems(value.substring(1, value.length - 1)).forEach((item) => {
+        const separator = item.indexOf('=');
+        if (separator > 0) {
+          const key = item
+            .substring(0, separator)
+            .trim()
+            .replace(/^["']|["']$/g, '');
+          table[key] = this.parseTomlValue(item.substring(separator + 1));
+        }
+      });
+      return table;
+    }
+    return value;
+  }
+
+  /**
+   * A minimal TOML parser, which is enough to find the dependencies in a pyproject.toml file.
+   * @param {string} text The contents of the TOML file
+   * @returns An object with the keys and values in each table, indexed by the table name (e.g.,
+   *  'tool.poetry.dependencies').  Keys before the first table are in the '' table.
+   */
+  parseToml(text) {
+    const tables = { '': {} };
+    let table = tables[''];
+    let pending = null;
+    text.split(/\r?\n/).forEach((rawLine) => {
+      const line = this.stripTomlComment(rawLine).trim();
+      if (pending) {
+        // Arrays can continue over multiple lines
+        pending.value += ` ${line}`;
+      } else if (line.startsWith('[[')) {
+        // We don't need arrays of tables, so their keys are ignored
+        table = {};
+      } else if (line.startsWith('[')) {
+        const name = line.replace(/^\[|\]$/g, '').trim();
+        tables[name] = tables[name] || {};
+        table = tables[name];
+        return;
+      } else {
+        const match = line.match(/^("[^"]+"|'[^']+'|[\w.-]+)\s*=\s*(.*)$/);
+        if (!match) {
+          return;
+        }
+        pending = { key: match[1].replace(/^["']|["']$/g, ''), value: match[2] };
+      }
+
+      const value = pending.value.trim();
+      const opened = (value.match(/[[{]/g) || []).length;
+      const closed = (value.match(/[\]}]/g) || []).length;
+      if (opened <= closed) {
+        table[pending.key] = this.parseTomlValue(value);
+        pending = null;
+      }
+    });
+    return tables;
+  }
+
+  /**
+   * Create the entry for a package declared with Poetry, where a version without an operator
+   * (e.g., '1.2.3') is an exact version, but one with a ^ or ~ allows a range.
+   * @param {string} name The package name
+   * @param {string|object} value The version, or a table that includes the version
+   * @returns The package entry
+   */
+  createPoetryPackage(name, value) {
+    const version = typeof value === 'string' ? value : value && value.version;
+    if (version && /^\d[\w.+!-]*$/.test(version)) {
+      return this.createPackage(name, `==${version}`);
+    }
+    return this.createPackage(name, version === '*' ? '' : version);
+  }
+
+  parsePyProject(text) {
+    const tables = this.parseToml(text);
+    const packages = [];
+    const result = { packages };
+
+    // Dependencies as defined by PEP 621
+    const project = tables.project || {};
+    if (project['requires-python']) {
+      result.runtime = { name: 'python', version: project['requires-python'] };
+    }
+    const requirements = Array.isArray(project.dependencies) ? [...project.dependencies] : [];
+    Object.values(tables['project.optional-dependencies'] || {}).forEach((group) => {
+      if (Array.isArray(group)) {
+        requirements.push(...group);
+      }
+    });
+    requirements.forEach((requirement) => {
+      const entry = this.parseRequirement(requirement);
+      if (entry) {
+        packages.push(entry);
+      }
+    });
+
+    // Dependencies defined for Poetry, including those in dependency groups
+    Object.keys(tables)
+      .filter((name) => /^tool\.poetry\.(?:group\.[^.]+\.)?(?:dev-)?dependencies$/.test(name))
+      .forEach((name) => {
+        Object.keys(tables[name]).forEach((packageName) => {
+          const value = tables[name][packageName];
+          if (packageName === 'python') {
+            result.runtime = { name: 'python', version: typeof value === 'string' ? value : null };
+          } else {
+            packages.push(this.createPoetryPackage(packageName, value));
+          }
+        });
+      });
+    return result;
+  }
+
+  parsePipfileLock(text) {
+    const lock = JSON.parse(text);
+    const packages = [];
+    const result = { packages };
+    const requires = lock._meta && lock._meta.requires ? lock._meta.requires : {};
+    const pythonVersion = requires.python_full_version || requires.python_version;
+    if (pythonVersion) {
+      result.runtime = { name: 'python', version: pythonVersion };
+    }
+    ['default', 'develop'].forEach((section) => {
+      Object.keys(lock[section] || {}).forEach((name) => {
+        packages.push(this.createPackage(name, lock[section][name].version));
+      });
+    });
+    return result;
+  }
+
+  /**
+   * Parse a conda package specification, such as 'numpy=1.21.0=py39h2' or 'conda-forge::scipy>=1.7'
+   *
+   * Conda treats a version after a single = as a prefix (e.g., 'numpy=1.21' is the same as
+   * 'numpy 1.21.*'), so it is only pinned when the build is also given, as 'conda env export'
+   * writes it.  A version after a space (e.g., 'numpy 1.21.0') or after == is an exact version.
+   * @param {string} spec The package specification
+   * @returns The package entry, or null if it isn't a valid specification
+   */
+  parseCondaSpec(spec) {
+    // For this regex, the match groups:
+    // 0 - full match (not used)
+    // 1 - package name
+    // 2 - version specification
+    const match = spec.replace(/^[^:\s]+::/, '').match(/^([A-Za-z0-9_][\w.-]*)\s*(.*)$/);
+    if (!match) {
+      return null;
+    }
+
+    // A single = (or a space) is followed by the version and then optionally the build.  For this
+    // regex, the match groups:
+    // 0 - full match (not used)
+    // 1 - separator before the version
+    // 2 - version
+    // 3 - build (only used to know if there is one)
+    const versionMatch = match[2].match(/^(=(?!=)|\s*(?=\d))([^=\s]+)(?:[=\s]+(\S+))?/);
+    if (versionMatch) {
+      const version = versionMatch[2];
+      if (version.includes('*')) {
+        return this.createPackage(match[1], version);
+      }
+      return versionMatch[1] === '=' && !versionMatch[3]
+        ? this.createPackage(match[1], `${version}.*`)
+        : this.createPackage(match[1], `==${version}`);
+    }
+    return this.createPackage(match[1], match[2]);
+  }
+
+  parseCondaEnvironment(text) {
+    const packages = [];
+    const result = { packages };
+    let inDependencies = false;
+    let pipIndent = null;
+    text.split(/\r?\n/).forEach((rawLine) => {
+      const line = rawLine.replace(/(^|\s)#.*$/, '');
+      if (line.trim() === '') {
+        return;
+      }
+      // A top-level key starts or ends the list of dependencies
+      if (/^\S/.test(line) && !line.startsWith('-')) {
+        inDependencies = /^dependencies\s*:/.test(line);
+        pipIndent = null;
+        return;
+      }
+      const item = line.match(/^(\s*)-\s*(.+?)\s*$/);
+      if (!inDependencies || !item) {
+        return;
+      }
+
+      const indent = item[1].length;
+      const value = item[2].replace(/^(["'])(.*)\1$/, '$2');
+      if (pipIndent !== null && indent > pipIndent) {
+        const entry = this.parseRequirement(value);
+        if (entry) {
+          packages.push({ ...entry, language: 'python' });
+        }
+        return;
+      }
+
+      pipIndent = null;
+      if (/^pip\s*:$/.test(value)) {
+        // The packages that are installed with pip are in a nested list
+        pipIndent = indent;
+        return;
+      }
+      const entry = this.parseCondaSpec(value);
+      if (entry && entry.name === 'python') {
+        result.runtime = { name: 'python', version: entry.version };
+      } else if (entry) {
+        packages.push({ ...entry, language: /^r-/i.test(entry.name) ? 'r' : 'python' });
+      }
+    });
+    return result;
+  }
+
+  parseRenvLock(text) {
+    const lock = JSON.parse(text);
+    const result = {
+      packages: Object.values(lock.Packages || {}).map((x) => ({
+        name: x.Package,
+        version: x.Version || null,
+        pinned: !!x.Version,
+      })),
+    };
+    if (lock.R && lock.R.Version) {
+      result.runtime = { name: 'R', version: lock.R.Version };
+    }
+    return result;
+  }
+
+  parseDescription(text) {
+    // Fields start at the beginning of a line, and continue on lines that start with whitespace
+    const fields = {};
+    let field = null;
+    text.split(/\r?\n/).forEach((line) => {
+      const match = line.match(/^([\w.@-]+)\s*:\s*(.*)$/);
+      if (match) {
+        field = match[1];
+        fields[field] = match[2];
+      } else if (field && /^\s/.test(line)) {
+        fields[field] += ` ${line.trim()}`;
+      }
+    });
+
+    const packages = [];
+    const result = { packages };
+    DESCRIPTION_PACKAGE_FIELDS.forEach((name) => {
+      if (!fields[name]) {
+        return;
+      }
+      fields[name].split(',').forEach((item) => {
+        // For this regex, the match groups:
+        // 0 - full match (not used)
+        // 1 - package name
+        // 2 - version specification (e.g., >= 1.0)
+        const match = item.trim().match(/^([A-Za-z][\w.]*)\s*(?:\(\s*([^)]*)\))?$/);
+        if (!match) {
+          return;
+        }
+        const spec = match[2] ? match[2].replace(/^==?\s*/, '==') : '';
+        if (match[1] === 'R') {
+          result.runtime = { name: 'R', version: spec.replace(/\s+/g, '') || null };
+        } else {
+          packages.push(this.createPackage(match[1], spec));
+        }
+      });
+    });
+    return result;
+  }
+
+  /**
+   * Get the value of a child element from a block of XML
+   * @param {string} xml The XML
+   * @param {string} tag The name of the element
+   * @returns The text within the element, or null if it isn't found
+   */
+  getXmlValue(xml, tag) {
+    const match = xml.match(new RegExp(`<${tag}>\\s*([^<]*?)\\s*</${tag}>`));
+    return match ? match[1] : null;
+  }
+
+  parsePom(text) {
+    const xml = text.replace(/<!--[\s\S]*?-->/g, '');
+    // Versions are often defined as properties, e.g. <version>${junit.version}</version>
+    const properties = {};
+    const propertiesMatch = xml.match(/<properties>([\s\S]*?)<\/properties>/);
+    if (propertiesMatch) {
+      [...propertiesMatch[1].matchAll(/<([\w.-]+)>\s*([^<]*?)\s*<\/\1>/g)].forEach((match) => {
+        properties[match[1]] = match[2];
+      });
+    }
+
+    const packages = [];
+    [...xml.matchAll(/<dependency>([\s\S]*?)<\/dependency>/g)].forEach((match) => {
+      const groupId = this.getXmlValue(match[1], 'groupId');
+      const artifactId = this.getXmlValue(match[1], 'artifactId');
+      if (!artifactId) {
+        return;
+      }
+      let version = this.getXmlValue(match[1], 'version');
+      if (version) {
+        version = version.replace(/\$\{([^}]+)\}/g, (reference, name) =>
+          properties[name] !== undefined ? properties[name] : reference,
+        );
+      }
+      packages.push({
+        name: groupId ? `${groupId}:${artifactId}` : artifactId,
+        version: version || null,
+        // Version ranges (e.g., [1.0,2.0)) and unresolved properties aren't exact versions
+        pinned: !!version && !/[[\](),$]/.test(version),
+      });
+    });
+    return { packages };
+  }
+
+  parseGradle(text) {
+    const packages = [];
+    const addPackage = (group, artifact, version) => {
+      packages.push({
+        name: group ? `${group}:${artifact}` : artifact,
+        version: version || null,
+        // Dynamic versions (e.g., 1.+ or latest.release), ranges and variables aren't exact
+        pinned: !!version && !/[+[\](),$]|^latest\./.test(version),
+      });
+    };
+
+    // String notation - implementation 'group:name:version' or implementation("group:name:version")
+    const stringMatches = [
+      ...text.matchAll(
+        new RegExp(`^\\s*(?:${GRADLE_CONFIGURATIONS})\\s*\\(?\\s*(['"])([^'"]+)\\1`, 'gm'),
+      ),
+    ];
+    stringMatches.forEach((match) => {
+      // Anything after an @ is the artifact type
+      const parts = match[2].split('@')[0].split(':');
+      if (parts.length >= 2) {
+        addPackage(parts[0], parts[1], parts[2]);
+      }
+    });
+
+    // Map notation - implementation group: 'group', name: 'name', version: 'version'
+    const mapMatches = [
+      ...text.matchAll(
+        new RegExp(
+          `^\\s*(?:${GRADLE_CONFIGURATIONS})\\s*\\(?\\s*group\\s*[:=]\\s*['"]([^'"]+)['"]\\s*,\\s*name\\s*[:=]\\s*['"]([^'"]+)['"](?:\\s*,\\s*version\\s*[:=]\\s*['"]([^'"]+)['"])?`,
+          'gm',
+        ),
+      ),
+    ];
+    mapMatches.forEach((match) => addPackage(match[1], match[2], match[3]));
+    return { packages };
+  }
+
+  /**
+   * Collect the details from a manifest file
+   * @param {string} uri The path to the manifest file
+   * @returns The details to include in the handler's metadata
+   */
+  getMetadata(uri) {
+    const manifestType = this.getManifestType(uri);
+    const contents = fs.readFileSync(uri, 'utf8');
+    return {
+      manifest: manifestType.manifest,
+      language: manifestType.language,
+      ...this[manifestType.parser](contents),
+    };
+  }
+
+  /**
+   * Performs the main scanning and discovery of the asset at the specified URI
+   * @param {string} uri - A string containing the URI that the asset can be found at
+   * @return {object} A JS object containing the details about the specified asset
+   */
+  scan(originalAsset) {
+    const asset = { ...originalAsset };
+    // If we have an invalid asset, just move along.
+    if (!asset || asset === undefined || !asset.type) {
+      return asset;
+    }
+
+    // Only handle files, but need to include directories for recursive processing
+    if (asset.type !== 'file' && asset.type !== 'directory') {
+      return asset;
+    }
+
+    // Files and folders that are left out of the project (see FileHandler), such as StatWrap's own
+    // files or what git ignores, aren't read.
+    if (AssetUtil.isExcluded(asset)) {
+      return asset;
+    }
+
+    if (asset.type === 'directory') {
+      if (asset.children) {
+        const self = this;
+        asset.children.forEach((child, index) => (asset.children[index] = self.scan(child)));
+      }
+      return asset;
+    }
+
+    if (!this.includeFile(asset.uri)) {
+      return asset;
+    }
+
+    // If we already have scanned this file, we won't do it again.
+    const existingMetadata = AssetUtil.getHandlerMetadata(this.id(), asset.metadata);
+    if (existingMetadata) {
+      return asset;
+    }
+
+    let metadata = { id: this.id() };
+    try {
+      metadata = { ...metadata, ...this.getMetadata(asset.uri) };
+    } catch {
+      metadata.error = 'Unable to read environment file';
+    }
+
+    asset.metadata.push(metadata);
+    return asset;
+  }
+}
@@ -0,0 +1,405 @@
+import BaseDataHandler from './baseData';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+// Excel workbook extensions that we will read.  These are all ZIP files containing XML (the older
+// binary .xls format is not supported).
+// All lookups should be lowercase - we will do lowercase conversion before comparison.
+const FILE_EXTENSION_LIST = ['xlsx', 'xlsm'];
+
+// ZIP record signatures
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+
+// The end of central directory record is 22 bytes, followed by a comment of up to 64KB
+const END_OF_CENTRAL_DIRECTORY_LENGTH = 22;
+const MAX_ZIP_COMMENT_LENGTH = 0xffff;
+
+// ZIP compression methods that we support
+const COMPRESSION_METHOD = {
+  STORED: 0,
+  DEFLATED: 8,
+};
+
+// The most compressed data (in bytes) that we will read from a single worksheet or the shared
+// strings.  The column names are at the start, so large workbooks only have the start of each
+// worksheet read.
+const MAX_ENTRY_BYTES = 2 * 1024 * 1024;
+
+// The number of rows used to infer the type of each column
+const MAX_TYPE_INFERENCE_ROWS = 10000;
+
+// Named entities that can appear in the XML text we extract
+const XML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+};
+
+/**
+ * Metadata:
+ * {
+ *   id: 'StatWrap.ExcelHandler',
+ *   sheets: [
+ *     {
+ *       name: 'Sheet1',
+ *       columns: [ { name: 'id', type: 'integer' }, ... ],
+ *       rowCount: 1234
+ *     },
+ *     ...
+ *   ]
+ * }
+ *
+ * The first row in each worksheet that has any values is used for the column names, and the row
+ * count does not include it.  Column types are one of 'integer', 'number', 'boolean', 'date',
+ * 'string' or 'unknown' (if the column has no values).  The row count is null if it can't be
+ * determined without reading the whole worksheet.
+ */
+export default class ExcelHandler extends BaseDataHandler {
+  static id = 'StatWrap.ExcelHandler';
+
+  static version = 1;
+
+  constructor() {
+    super(ExcelHandler.id, FILE_EXTENSION_LIST);
+  }
+
+  id() {
+    return ExcelHandler.id;
+  }
+
+  /**
+   * Read the list of files in the ZIP archive from its central directory
+   * @param {number} fd The file descriptor
+   * @returns Object mapping each file name to its compression method, compressed size and the
+   *   offset of its local header
+   */
+  readZipEntries(fd) {
+    const fileSize = fs.fstatSync(fd).size;
+    const tailLength = Math.min(fileSize, END_OF_CENTRAL_DIRECTORY_LENGTH + MAX_ZIP_COMMENT_LENGTH);
+    const tail = this.readBytes(fd, fileSize - tailLength, tailLength);
+    let endRecord = -1;
+    for (let index = tail.length - END_OF_CENTRAL_DIRECTORY_LENGTH; index >= 0; index--) {
+      if (tail.readUInt32LE(index) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+        endRecord = index;
+        break;
+      }
+    }
+    if (endRecord === -1) {
+      throw new Error('Not a ZIP file');
+    }
+
+    const entryCount = tail.readUInt16LE(endRecord + 10);
+    const directoryLength = tail.readUInt32LE(endRecord + 12);
+    const directoryOffset = tail.readUInt32LE(endRecord + 16);
+    const directory = this.readBytes(fd, directoryOffset, directoryLength);
+    const entries = {};
+    let offset = 0;
+    for (let index = 0; index < entryCount; index++) {
+      if (directory.readUInt32LE(offset) !== CENTRAL_DIRECTORY_SIGNATURE) {
+        throw new Error('Invalid ZIP central directory');
+      }
+      const nameLength = directory.readUInt16LE(offset + 28);
+      const extraLength = directory.readUInt16LE(offset + 30);
+      const commentLength = directory.readUInt16LE(offset + 32);
+      const name = directory.toString('utf8', offset + 46, offset + 46 + nameLength);
+      entries[name] = {
+        method: directory.readUInt16LE(offset + 10),
+        compressedSize: directory.readUInt32LE(offset + 20),
+        headerOffset: directory.readUInt32LE(offset + 42),
+      };
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+  }
+
+  /**
+   * Read and decompress a file from the ZIP archive.  Only the first MAX_ENTRY_BYTES of
+   * compressed data are read, which is decompressed as far as it goes.
+   * @param {number} fd The file descriptor
+   * @param {object} entry The entry from readZipEntries
+   * @returns Object with the text of the file, and if the whole file was read
+   */
+  readZipEntry(fd, entry) {
+    const header = this.readBytes(fd, entry.headerOffset, 30);
+    if (header.length < 30 || header.readUInt32LE(0) !== LOCAL_FILE_HEADER_SIGNATURE) {
+      throw new Error('Invalid ZIP file header');
+    }
+    const dataOffset = entry.headerOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+    const complete = entry.compressedSize <= MAX_ENTRY_BYTES;
+    const data = this.readBytes(fd, dataOffset, Math.min(entry.compressedSize, MAX_ENTRY_BYTES));
+
+    let contents = null;
+    if (entry.method === COMPRESSION_METHOD.STORED) {
+      contents = data;
+    } else if (entry.method === COMPRESSION_METHOD.DEFLATED) {
+      // Flushing (instead of finishing) lets us decompress data that has been cut off
+      contents = zlib.inflateRawSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+    } else {
+      throw new Error(`Unsupported ZIP compression method ${entry.method}`);
+    }
+    return { text: new TextDecoder('utf-8').decode(contents), complete };
+  }
+
+  /**
+   * Replace the XML entities in a piece of text
+   * @param {string} text The text from the XML document
+   * @returns The decoded text
+   */
+  decodeXml(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+      if (entity[0] === '#') {
+        return String.fromCodePoint(
+          entity[1] === 'x' || entity[1] === 'X'
+            ? parseInt(entity.substring(2), 16)
+            : parseInt(entity.substring(1), 10),
+        );
+      }
+      return XML_ENTITIES[entity] !== undefined ? XML_ENTITIES[entity] : match;
+    });
+  }
+
+  /**
+   * Get the value of an attribute from the attributes of an XML element
+   * @param {string} attributes The text of the element's attributes
+   * @param {string} name The attribute name
+   * @returns The decoded attribute value, or null if the attribute isn't set
+   */
+  getAttribute(attributes, name) {
+    const match = new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`).exec(attributes);
+    if (!match) {
+      return null;
+    }
+    return this.decodeXml(match[1] !== undefined ? match[1] : match[2]);
+  }
+
+  /**
+   * Get the text of all <t> elements within an XML fragment.  Rich text is split into runs that
+   * each have their own <t> element.  Phonetic guides (<rPh>) are not part of the value.
+   * @param {string} xml The XML fragment
+   * @returns The text
+   */
+  getText(xml) {
+    const text = [];
+    const pattern = /<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g;
+    const content = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '');
+    let match = pattern.exec(content);
+    while (match) {
+      text.push(this.decodeXml(match[1]));
+      match = pattern.exec(content);
+    }
+    return text.join('');
+  }
+
+  /**
+   * Parse the shared strings, which cells refer to by their position
+   * @param {string} xml The shared strings XML document
+   * @returns Array of strings
+   */
+  parseSharedStrings(xml) {
+    const strings = [];
+    const pattern = /<si>([\s\S]*?)<\/si>|<si\/>/g;
+    let match = pattern.exec(xml);
+    while (match) {
+      strings.push(match[1] ? this.getText(match[1]) : '');
+      match = pattern.exec(xml);
+    }
+    return strings;
+  }
+
+  /**
+   * Convert the letters of a cell reference (e.g., 'AB12') to a 0-based column index
+   * @param {string} reference The cell reference
+   * @returns The column index, or null if the reference isn't valid
+   */
+  getColumnIndex(reference) {
+    const match = /^([A-Z]+)\d*$/i.exec(reference || '');
+    if (!match) {
+      return null;
+    }
+    return (
+      match[1]
+        .toUpperCase()
+        .split('')
+        .reduce((total, letter) => total * 26 + letter.charCodeAt(0) - 64, 0) - 1
+    );
+  }
+
+  /**
+   * Infer the type of a cell from its type attribute and value
+   * @param {string} cellType The cell type attribute (t)
+   * @param {string} value The cell value
+   * @returns The type, or null if the cell has no value
+   */
+  inferCellType(cellType, value) {
+    if (value === null || value === '' || cellType === 'e') {
+      return null;
+    }
+    switch (cellType) {
+      case 's':
+      case 'str':
+      case 'inlineStr':
+        return 'string';
+      case 'b':
+        return 'boolean';
+      case 'd':
+        return 'date';
+      default:
+        return /^-?\d+$/.test(value) ? 'integer' : 'number';
+    }
+  }
+
+  /**
+   * Parse the cells in a row of a worksheet
+   * @param {string} xml The XML within the row element
+   * @param {array} sharedStrings The shared strings for the workbook
+   * @returns Array of cells, with their column index, type and value
+   */
+  parseCells(xml, sharedStrings) {
+    const cells = [];
+    const pattern = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+    let match = pattern.exec(xml);
+    while (match) {
+      const attributes = match[1];
+      const content = match[2] || '';
+      const reference = this.getColumnIndex(this.getAttribute(attributes, 'r'));
+      const cellType = this.getAttribute(attributes, 't') || 'n';
+      let value = null;
+      if (cellType === 'inlineStr') {
+        value = this.getText(content);
+      } else {
+        const valueMatch = /<v>([\s\S]*?)<\/v>/.exec(content);
+        value = valueMatch ? this.decodeXml(valueMatch[1]) : null;
+        if (cellType === 's' && value !== null) {
+          const text = sharedStrings[parseInt(value, 10)];
+          value = text === undefined ? '' : text;
+        }
+      }
+      cells.push({
+        index: reference === null ? cells.length : reference,
+        type: this.inferCellType(cellType, value),
+        value,
+      });
+      match = pattern.exec(xml);
+    }
+    return cells;
+  }
+
+  /**
+   * Collect the columns and row count from a worksheet
+   * @param {string} xml The worksheet XML document
+   * @param {boolean} complete If the whole worksheet was read
+   * @param {array} sharedStrings The shared strings for the workbook
+   * @returns Object with the columns and row count
+   */
+  parseSheet(xml, complete, sharedStrings) {
+    let columns = null;
+    let columnTypes = [];
+    let headerRow = null;
+    let lastRow = null;
+    let rowCount = 0;
+    const pattern = /<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g;
+    let match = pattern.exec(xml);
+    while (match) {
+      const cells = this.parseCells(match[2] || '', sharedStrings);
+      const rowNumber = parseInt(this.getAttribute(match[1], 'r'), 10);
+      if (cells.some((cell) => cell.value !== null && cell.value !== '')) {
+        lastRow = Number.isNaN(rowNumber) ? null : rowNumber;
+        if (!columns) {
+          headerRow = lastRow;
+          columns = [];
+          cells.forEach((cell) => {
+            columns[cell.index] = cell.value === null ? '' : cell.value.trim();
+          });
+          columns = Array.from(columns, (name) => name || '');
+          columnTypes = columns.map(() => null);
+        } else {
+          rowCount += 1;
+          if (rowCount <= MAX_TYPE_INFERENCE_ROWS) {
+            cells.forEach((cell) => {
+              if (cell.index < columns.length) {
+                columnTypes[cell.index] = this.combineTypes(columnTypes[cell.index], cell.type);
+              }
+            });
+          }
+        }
+      }
+      match = pattern.exec(xml);
+    }
+
+    if (!complete) {
+      // Use the range of cells that the worksheet says it uses, if there is one
+      rowCount = null;
+      const dimension = /<dimension\s+ref="[A-Z]*(\d+):[A-Z]*(\d+)"/i.exec(xml);
+      if (dimension && headerRow !== null) {
+        rowCount = Math.max(0, parseInt(dimension[2], 10) - headerRow);
+      }
+    } else if (lastRow !== null && headerRow !== null && rowCount > 0) {
+      // Blank rows in the middle of the data are still rows
+      rowCount = lastRow - headerRow;
+    }
+
+    return {
+      columns: (columns || []).map((name, index) => ({
+        name,
+        type: columnTypes[index] || 'unknown',
+      })),
+      rowCount,
+    };
+  }
+
+  getMetadata(uri) {
+    const fd = fs.openSync(uri, 'r');
+    try {
+      const entries = this.readZipEntries(fd);
+      if (!entries['xl/workbook.xml']) {
+        throw new Error('Not an Excel workbook');
+      }
+
+      // Worksheets are linked to the workbook through its relationships
+      const targets = {};
+      if (entries['xl/_rels/workbook.xml.rels']) {
+        const rels = this.readZipEntry(fd, entries['xl/_rels/workbook.xml.rels']).text;
+        const pattern = /<Relationship\b([^>]*?)\/?>/g;
+        let match = pattern.exec(rels);
+        while (match) {
+          const target = this.getAttribute(match[1], 'Target');
+          if (target) {
+            targets[this.getAttribute(match[1], 'Id')] = target.startsWith('/')
+              ? target.substring(1)
+              : path.posix.join('xl', target);
+          }
+          match = pattern.exec(rels);
+        }
+      }
+
+      const sharedStrings = entries['xl/sharedStrings.xml']
+        ? this.parseSharedStrings(this.readZipEntry(fd, entries['xl/sharedStrings.xml']).text)
+        : [];
+
+      const workbook = this.readZipEntry(fd, entries['xl/workbook.xml']).text;
+      const sheets = [];
+      const pattern = /<sheet\b([^>]*?)\/?>/g;
+      let match = pattern.exec(workbook);
+      while (match) {
+        const name = this.getAttribute(match[1], 'name');
+        const target = targets[this.getAttribute(match[1], 'r:id')];
+        let sheet = { name, columns: [], rowCount: null };
+        if (target && entries[target]) {
+          const contents = this.readZipEntry(fd, entries[target]);
+          sheet = { name, ...this.parseSheet(contents.text, contents.complete, sharedStrings) };
+        }
+        sheets.push(sheet);
+        match = pattern.exec(workbook);
+      }
+      return { sheets };
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+}
@@ -5,6 +5,14 @@ import { StatWrapFiles } from '../../../constants/constants';
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+
+// By default, files larger than this (in bytes) will not have their contents hashed
+const DEFAULT_MAX_HASH_SIZE = 2 * 1024 * 1024 * 1024;
+
+// The number of bytes read at a time when hashing a file, so that large files are never loaded
+// into memory all at once.
+const HASH_CHUNK_SIZE = 1024 * 1024;
 
 /**
  * Metadata:
@@ -15,12 +23,30 @@ const path = require('path');
  *   lastModified: Date,
  *   lastStatusChange: Date,
  *   created: Date,
- *   include: Boolean
+ *   include: Boolean,
+ *   gitIgnored: Boolean (only if the asset is excluded because git ignores it),
+ *   hash: String (SHA-256 hex digest, only if hashing is enabled),
+ *   hashError: String (only if the hash could not be computed)
  * }
+ *
+ * Hashing the contents of files is optional, because it requires reading every file.  It is
+ * enabled with the hashContents option.  Files larger than maxHashSize are not hashed.  If a
+ * scanCache is provided, the hash from the last scan is reused for files that are unchanged.
+ *
+ * If gitIgnoreRules (see GitIgnoreRules) are provided, files and folders that git ignores will not
+ * be included.  They are flagged with gitIgnored so that they can still be shown if requested.
  */
 export default class FileHandler {
   static id = 'StatWrap.FileHandler';
 
+  constructor(options) {
+    const settings = options || {};
+    this.hashContents = !!settings.hashContents;
+    this.maxHashSize = settings.maxHashSize || DEFAULT_MAX_HASH_SIZE;
+    this.scanCache = settings.scanCache || null;
+    this.gitIgnoreRules = settings.gitIgnoreRules || null;
+  }
+
   id() {
     return FileHandler.id;
   }
@@ -33,12 +59,66 @@ export default class FileHandler {
     return AssetUtil.includeAsset(uri);
   }
 
+  /**
+   * Compute the SHA-256 hash of a file's contents.  The file is read in chunks, so this can be
+   * used for files that are too large to hold in memory.
+   * @param {string} uri - The path to the file
+   * @returns {string} The hex digest of the hash
+   */
+  computeHash(uri) {
+    const hash = crypto.createHash('sha256');
+    const buffer = Buffer.alloc(HASH_CHUNK_SIZE);
+    const fd = fs.openSync(uri, 'r');
+    try {
+      let bytesRead = 0;
+      do {
+        bytesRead = fs.readSync(fd, buffer, 0, HASH_CHUNK_SIZE, null);
+        hash.update(buffer.subarray(0, bytesRead));
+      } while (bytesRead > 0);
+    } finally {
+      fs.closeSync(fd);
+    }
+    return hash.digest('hex');
+  }
+
+  /**
+   * Add the content hash for a file to its metadata.  Files that are too large are skipped.
+   * @param {string} uri - The path to the file
+   * @param {object} details - The file system stats for the file
+   * @param {object} metadata - The metadata for the file, which will be updated
+   */
+  addContentHash(uri, details, metadata) {
+    if (details.size > this.maxHashSize) {
+      return;
+    }
+
+    const cachedHash = this.scanCache ? this.scanCache.getHash(uri, details) : null;
+    if (cachedHash) {
+      metadata.hash = cachedHash;
+      // Only what is recorded in this scan is saved, so the hash has to be carried forward
+      this.scanCache.setHash(uri, details, cachedHash);
+      return;
+    }
+
+    try {
+      metadata.hash = this.computeHash(uri);
+    } catch {
+      metadata.hashError = 'Unable to compute the hash for this file';
+      return;
+    }
+
+    if (this.scanCache) {
+      this.scanCache.setHash(uri, details, metadata.hash);
+    }
+  }
+
   /**
    * Performs the main scanning and discovery of the asset at the specified URI
    * @param {string} uri - A string containing the URI that the asset can be found at
+   * @param {boolean} parentExcluded - If the asset is within a folder that is not included
    * @return {object} A JS object containing the details about the specified asset
    */
-  scan(originalAsset) {
+  scan(originalAsset, parentExcluded = false) {
     const asset = { ...originalAsset };
     // If we have an invalid asset, just move along.
     if (!asset || asset === undefined || !asset.type) {
@@ -78,18 +158,36 @@ export default class FileHandler {
     metadata.lastStatusChange = details.ctime;
     metadata.created = details.birthtime;
 
-    // If this is a directory, we are going to traverse and get details
-    // about the contained files and sub-folders
-    if (asset.type === 'directory' && asset.children) {
-      const self = this;
-      asset.children.forEach((child, index) => (asset.children[index] = self.scan(child)));
-    }
-
     // We will collect metadata for files that we would otherwise not show.
     // We will set an additional attribute to indicate if this should or
     // should not be included, and downstream users can determine what to
     // do about it (e.g., hide the file from asset view).
-    metadata.include = this.includeFile(asset.uri);
+    metadata.include = !parentExcluded && this.includeFile(asset.uri);
+    if (
+      metadata.include &&
+      this.gitIgnoreRules &&
+      this.gitIgnoreRules.isIgnored(asset.uri, asset.type === 'directory')
+    ) {
+      metadata.include = false;
+      metadata.gitIgnored = true;
+    }
+
+    // Files that aren't included (e.g., StatWrap's own files) are never hashed
+    if (this.hashContents && asset.type === 'file' && metadata.include) {
+      this.addContentHash(asset.uri, details, metadata);
+    }
+
+    // If this is a directory, we are going to traverse and get details
+    // about the contained files and sub-folders.  Everything within a folder that is never
+    // included (e.g., .statwrap) is left out as well.  What git ignores is checked separately for
+    // each asset, so that it can still be shown when requested.
+    if (asset.type === 'directory' && asset.children) {
+      const self = this;
+      const childrenExcluded = !metadata.include && !metadata.gitIgnored;
+      asset.children.forEach(
+        (child, index) => (asset.children[index] = self.scan(child, childrenExcluded)),
+      );
+    }
 
     asset.metadata.push(metadata);
     return asset;
@@ -0,0 +1,602 @@
+import AssetUtil from '../../../utils/asset';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Image file extensions that we will read.
+// All lookups should be lowercase - we will do lowercase conversion before comparison.
+const FILE_EXTENSION_LIST = ['png', 'jpg', 'jpeg', 'gif', 'bmp', 'tif', 'tiff', 'webp', 'svg'];
+
+// The largest thumbnail dimension (in pixels)
+const THUMBNAIL_SIZE = 256;
+
+// The number of bytes of an SVG file that we will search for the dimensions.  The root element
+// is at the start of the file, after any XML declaration and comments.
+const MAX_SVG_HEADER_BYTES = 64 * 1024;
+
+// The largest EXIF block (in bytes) that we will read
+const MAX_EXIF_BYTES = 1024 * 1024;
+
+// The size (in bytes) of each of the TIFF field types that we read, by the type ID
+const TIFF_TYPE_SIZE = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+// TIFF tags for the dimensions and resolution of the image
+const TIFF_TAG = {
+  IMAGE_WIDTH: 256,
+  IMAGE_LENGTH: 257,
+  X_RESOLUTION: 282,
+  Y_RESOLUTION: 283,
+  RESOLUTION_UNIT: 296,
+  EXIF_IFD: 34665,
+};
+
+// The EXIF tags that we include in the metadata, and the name we use for them
+const EXIF_TAGS = {
+  270: 'description',
+  271: 'make',
+  272: 'model',
+  274: 'orientation',
+  305: 'software',
+  306: 'dateTime',
+  315: 'artist',
+  33432: 'copyright',
+  36867: 'dateTimeOriginal',
+};
+
+// The number of CSS pixels in each of the units that SVG dimensions can be given in
+const SVG_UNIT_PIXELS = { '': 1, px: 1, in: 96, cm: 96 / 2.54, mm: 96 / 25.4, pt: 96 / 72, pc: 16 };
+
+// JPEG start of frame markers, which include the image dimensions.  These are all of the markers
+// from 0xC0 to 0xCF except for DHT (0xC4), JPG (0xC8) and DAC (0xCC).
+const JPEG_SOF_MARKERS = [
+  0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf,
+];
+
+/**
+ * Round a resolution to two decimal places, since converting from other units (e.g., pixels per
+ * meter) leaves a long fraction
+ * @param {number} value The resolution
+ * @returns The rounded resolution
+ */
+function roundResolution(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Metadata:
+ * {
+ *   id: 'StatWrap.ImageHandler',
+ *   format: 'PNG',
+ *   width: 800,
+ *   height: 600,
+ *   dpi: { x: 300, y: 300 },
+ *   exif: { make: 'Canon', model: 'EOS 5D', dateTimeOriginal: '2020:01:01 12:00:00', ... },
+ *   thumbnail: '/path/to/project/.statwrap/thumbnails/0a1b2c....png'
+ * }
+ *
+ * The format is one of 'PNG', 'JPEG', 'GIF', 'BMP', 'TIFF', 'WebP' or 'SVG'.  The resolution and
+ * EXIF details are only included if they are in the file.  The EXIF details are limited to the
+ * tags that describe where the image came from.
+ *
+ * Thumbnails are only created if a thumbnail folder and a function to create the thumbnail are
+ * provided as options.  Creating the thumbnail requires decoding the image, which we rely on the
+ * caller to do (e.g., with Electron's nativeImage).  The function is called with the path to
+ * the image, the path to write the thumbnail (as a PNG) to, and the largest dimension of the
+ * thumbnail, and returns true if the thumbnail was created.
+ */
+export default class ImageHandler {
+  static id = 'StatWrap.ImageHandler';
+
+  static version = 1;
+
+  constructor(options) {
+    const settings = options || {};
+    this.thumbnailFolder = settings.thumbnailFolder || null;
+    this.createThumbnail = settings.createThumbnail || null;
+  }
+
+  id() {
+    return ImageHandler.id;
+  }
+
+  /**
+   * The version of the rules the handler uses to collect metadata (see BaseDataHandler.version)
+   * @returns The handler version
+   */
+  version() {
+    return ImageHandler.version;
+  }
+
+  /**
+   * Determine if a file represented by a URI is one that we want to typically include.
+   * @param {string} uri - A string containing the URI of the asset we want to consider for inclusion
+   */
+  includeFile(uri) {
+    if (!uri || uri === undefined) {
+      return false;
+    }
+
+    const extension = AssetUtil.getExtensionFromUri(uri);
+    return !!extension && FILE_EXTENSION_LIST.includes(extension.toLowerCase());
+  }
+
+  /**
+   * Read a range of bytes from an open file
+   * @param {number} fd The file descriptor
+   * @param {number} position The offset in the file to start reading from
+   * @param {number} length The number of bytes to read
+   * @returns A Buffer with the bytes that were read.  This will be shorter than the requested
+   *   length if the end of the file was reached.
+   */
+  readBytes(fd, position, length) {
+    const buffer = Buffer.alloc(length);
+    let bytesRead = 0;
+    while (bytesRead < length) {
+      const count = fs.readSync(fd, buffer, bytesRead, length - bytesRead, position + bytesRead);
+      if (count <= 0) {
+        break;
+      }
+      bytesRead += count;
+    }
+    return bytesRead < length ? buffer.subarray(0, bytesRead) : buffer;
+  }
+
+  /**
+   * Parse the image file directory (IFD) structure used by TIFF files and EXIF blocks
+   * @param {function} read Function that takes a position and length, and returns the bytes at
+   *   that position (relative to the start of the TIFF header)
+   * @returns Object with the image details from the first IFD, and the EXIF details
+   */
+  parseTiff(read) {
+    const header = read(0, 8);
+    if (header.length < 8) {
+      throw new Error('Invalid TIFF header');
+    }
+    const byteOrder = header.toString('latin1', 0, 2);
+    if (byteOrder !== 'II' && byteOrder !== 'MM') {
+      throw new Error('Invalid TIFF header');
+    }
+    const littleEndian = byteOrder === 'II';
+    const readUInt16 = (buffer, offset) =>
+      littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset);
+    const readUInt32 = (buffer, offset) =>
+      littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+    const readInt32 = (buffer, offset) =>
+      littleEndian ? buffer.readInt32LE(offset) : buffer.readInt32BE(offset);
+
+    // Read each entry in an IFD, returning an object keyed by the tag.  Only the first value
+    // is kept for numeric tags, since the tags we use only have one.
+    const readIfd = (offset) => {
+      const tags = {};
+      const countBuffer = read(offset, 2);
+      if (countBuffer.length < 2) {
+        return tags;
+      }
+      const entryCount = readUInt16(countBuffer, 0);
+      const entries = read(offset + 2, entryCount * 12);
+      for (let index = 0; index + 12 <= entries.length; index += 12) {
+        const tag = readUInt16(entries, index);
+        const type = readUInt16(entries, index + 2);
+        const count = readUInt32(entries, index + 4);
+        const size = TIFF_TYPE_SIZE[type];
+        if (size && count > 0 && size * count <= MAX_EXIF_BYTES) {
+          // Values that fit in 4 bytes are stored in the entry, otherwise it is an offset
+          const data =
+            size * count <= 4
+              ? entries.subarray(index + 8, index + 8 + size * count)
+              : read(readUInt32(entries, index + 8), size * count);
+          if (data.length === size * count) {
+            switch (type) {
+              case 2:
+                tags[tag] = data.toString('utf8').replace(/\0.*$/s, '').trim();
+                break;
+              case 3:
+                tags[tag] = readUInt16(data, 0);
+                break;
+              case 4:
+                tags[tag] = readUInt32(data, 0);
+                break;
+              case 9:
+                tags[tag] = readInt32(data, 0);
+                break;
+              case 5:
+              case 10: {
+                const numerator = type === 5 ? readUInt32(data, 0) : readInt32(data, 0);
+                const denominator = type === 5 ? readUInt32(data, 4) : readInt32(data, 4);
+                tags[tag] = denominator === 0 ? null : numerator / denominator;
+                break;
+              }
+              default:
+                // Bytes (and undefined data) are only used for tags we don't need
+                break;
+            }
+          }
+        }
+      }
+      return tags;
+    };
+
+    const ifd = readIfd(readUInt32(header, 4));
+    const exifIfd = ifd[TIFF_TAG.EXIF_IFD] ? readIfd(ifd[TIFF_TAG.EXIF_IFD]) : {};
+    const exif = {};
+    Object.keys(EXIF_TAGS).forEach((tag) => {
+      const value = ifd[tag] !== undefined ? ifd[tag] : exifIfd[tag];
+      if (value !== undefined && value !== null && value !== '') {
+        exif[EXIF_TAGS[tag]] = value;
+      }
+    });
+
+    // The resolution unit is inches by default (2), and can also be centimeters (3).  If it is
+    // 1 there is no unit, and the resolution is only an aspect ratio.
+    let dpi = null;
+    const unit = ifd[TIFF_TAG.RESOLUTION_UNIT] || 2;
+    if (ifd[TIFF_TAG.X_RESOLUTION] && ifd[TIFF_TAG.Y_RESOLUTION] && (unit === 2 || unit === 3)) {
+      const scale = unit === 3 ? 2.54 : 1;
+      dpi = {
+        x: roundResolution(ifd[TIFF_TAG.X_RESOLUTION] * scale),
+        y: roundResolution(ifd[TIFF_TAG.Y_RESOLUTION] * scale),
+      };
+    }
+
+    return {
+      width: ifd[TIFF_TAG.IMAGE_WIDTH],
+      height: ifd[TIFF_TAG.IMAGE_LENGTH],
+      dpi,
+      exif,
+    };
+  }
+
+  /**
+   * Parse an EXIF block that is embedded in another image format
+   * @param {Buffer} buffer The EXIF block, starting with the TIFF header
+   * @returns Object with the resolution and EXIF details
+   */
+  parseExif(buffer) {
+    try {
+      return this.parseTiff((position, length) => buffer.subarray(position, position + length));
+    } catch {
+      // A bad EXIF block shouldn't keep us from reporting the rest of the image details
+      return { dpi: null, exif: {} };
+    }
+  }
+
+  readPng(fd) {
+    const metadata = { format: 'PNG' };
+    // The signature is followed by chunks, which are a length, type, data and CRC
+    let position = 8;
+    for (;;) {
+      const chunkHeader = this.readBytes(fd, position, 8);
+      if (chunkHeader.length < 8) {
+        break;
+      }
+      const length = chunkHeader.readUInt32BE(0);
+      const type = chunkHeader.toString('latin1', 4, 8);
+      if (type === 'IHDR') {
+        const data = this.readBytes(fd, position + 8, 8);
+        metadata.width = data.readUInt32BE(0);
+        metadata.height = data.readUInt32BE(4);
+      } else if (type === 'pHYs') {
+        // The resolution is in pixels per meter if the unit is 1, otherwise there is no unit
+        const data = this.readBytes(fd, position + 8, 9);
+        if (data.length === 9 && data[8] === 1) {
+          metadata.dpi = {
+            x: roundResolution(data.readUInt32BE(0) * 0.0254),
+            y: roundResolution(data.readUInt32BE(4) * 0.0254),
+          };
+        }
+      } else if (type === 'eXIf' && length <= MAX_EXIF_BYTES) {
+        metadata.exif = this.parseExif(this.readBytes(fd, position + 8, length)).exif;
+      } else if (type === 'IEND') {
+        break;
+      }
+      position += 12 + length;
+    }
+    return metadata;
+  }
+
+  readJpeg(fd) {
+    const metadata = { format: 'JPEG' };
+    let exifDpi = null;
+    // After the start of image marker, the file is a series of segments that each start with a
+    // marker and length.  We stop at the start of the compressed image data.
+    let position = 2;
+    for (;;) {
+      const segmentHeader = this.readBytes(fd, position, 4);
+      if (segmentHeader.length < 4 || segmentHeader[0] !== 0xff) {
+        break;
+      }
+      const marker = segmentHeader[1];
+      // Padding bytes may come before a marker
+      if (marker === 0xff) {
+        position += 1;
+        continue;
+      }
+      const length = segmentHeader.readUInt16BE(2);
+      if (marker === 0xda || marker === 0xd9) {
+        break;
+      }
+      if (JPEG_SOF_MARKERS.includes(marker)) {
+        const data = this.readBytes(fd, position + 4, 5);
+        metadata.height = data.readUInt16BE(1);
+        metadata.width = data.readUInt16BE(3);
+      } else if (marker === 0xe0) {
+        // JFIF density is in dots per inch if the unit is 1, dots per centimeter if it is 2
+        const data = this.readBytes(fd, position + 4, Math.min(length - 2, 14));
+        if (data.length >= 12 && data.toString('latin1', 0, 5) === 'JFIF\0') {
+          const unit = data[7];
+          const scale = unit === 2 ? 2.54 : 1;
+          if (unit === 1 || unit === 2) {
+            metadata.dpi = {
+              x: roundResolution(data.readUInt16BE(8) * scale),
+              y: roundResolution(data.readUInt16BE(10) * scale),
+            };
+          }
+        }
+      } else if (marker === 0xe1 && length - 2 <= MAX_EXIF_BYTES) {
+        const data = this.readBytes(fd, position + 4, length - 2);
+        if (data.toString('latin1', 0, 6) === 'Exif\0\0') {
+          const exif = this.parseExif(data.subarray(6));
+          metadata.exif = exif.exif;
+          exifDpi = exif.dpi;
+        }
+      }
+      position += 2 + length;
+    }
+
+    // The JFIF density takes priority, but not all files include it
+    if (!metadata.dpi && exifDpi) {
+      metadata.dpi = exifDpi;
+    }
+    return metadata;
+  }
+
+  readGif(header) {
+    return {
+      format: 'GIF',
+      width: header.readUInt16LE(6),
+      height: header.readUInt16LE(8),
+    };
+  }
+
+  readBmp(header) {
+    const metadata = {
+      format: 'BMP',
+      width: header.readInt32LE(18),
+      // The height is negative when the rows are stored from the top down
+      height: Math.abs(header.readInt32LE(22)),
+    };
+    // The resolution (in pixels per meter) is only in the larger info headers
+    if (header.readUInt32LE(14) >= 40 && header.readInt32LE(38) > 0) {
+      metadata.dpi = {
+        x: roundResolution(header.readInt32LE(38) * 0.0254),
+        y: roundResolution(header.readInt32LE(42) * 0.0254),
+      };
+    }
+    return metadata;
+  }
+
+  readTiff(fd) {
+    const tiff = this.parseTiff((position, length) => this.readBytes(fd, position, length));
+    const metadata = { format: 'TIFF', width: tiff.width, height: tiff.height };
+    if (tiff.dpi) {
+      metadata.dpi = tiff.dpi;
+    }
+    if (Object.keys(tiff.exif).length > 0) {
+      metadata.exif = tiff.exif;
+    }
+    return metadata;
+  }
+
+  readWebP(fd) {
+    const metadata = { format: 'WebP' };
+    // The RIFF header is followed by chunks, which are a type, length and data (padded to an
+    // even length)
+    let position = 12;
+    for (;;) {
+      const chunkHeader = this.readBytes(fd, position, 8);
+      if (chunkHeader.length < 8) {
+        break;
+      }
+      const type = chunkHeader.toString('latin1', 0, 4);
+      const length = chunkHeader.readUInt32LE(4);
+      if (type === 'VP8X') {
+        // The extended format gives the canvas size as 24-bit values (minus one)
+        const data = this.readBytes(fd, position + 8, 10);
+        metadata.width = data.readUIntLE(4, 3) + 1;
+        metadata.height = data.readUIntLE(7, 3) + 1;
+      } else if (type === 'VP8 ' && metadata.width === undefined) {
+        // Lossy images have the frame size (14 bits each) after the frame tag and start code
+        const data = this.readBytes(fd, position + 8, 10);
+        metadata.width = data.readUInt16LE(6) % 0x4000;
+        metadata.height = data.readUInt16LE(8) % 0x4000;
+      } else if (type === 'VP8L' && metadata.width === undefined) {
+        // Lossless images pack the size (14 bits each, minus one) after the signature byte
+        const bits = this.readBytes(fd, position + 9, 4).readUInt32LE(0);
+        metadata.width = (bits % 0x4000) + 1;
+        metadata.height = (Math.floor(bits / 0x4000) % 0x4000) + 1;
+      } else if (type === 'EXIF' && length <= MAX_EXIF_BYTES) {
+        let data = this.readBytes(fd, position + 8, length);
+        // Some tools include the JPEG style EXIF header
+        if (data.toString('latin1', 0, 6) === 'Exif\0\0') {
+          data = data.subarray(6);
+        }
+        metadata.exif = this.parseExif(data).exif;
+      }
+      position += 8 + length + (length % 2);
+    }
+    return metadata;
+  }
+
+  readSvg(fd) {
+    const text = this.readBytes(fd, 0, MAX_SVG_HEADER_BYTES).toString('utf8');
+    const match = text.match(/<svg\b[^>]*>/i);
+    if (!match) {
+      throw new Error('Not an SVG file');
+    }
+    const getAttribute = (name) => {
+      const attribute = match[0].match(new RegExp(`\\s${name}\\s*=\\s*(["'])(.*?)\\1`, 'i'));
+      return attribute ? attribute[2].trim() : null;
+    };
+    // Dimensions given as a percentage depend on where the image is displayed, so we don't use them
+    const toPixels = (value) => {
+      const parts = value ? value.match(/^([\d.]+)\s*(px|in|cm|mm|pt|pc)?$/i) : null;
+      if (!parts) {
+        return null;
+      }
+      return Math.round(parseFloat(parts[1]) * SVG_UNIT_PIXELS[(parts[2] || '').toLowerCase()]);
+    };
+
+    const metadata = { format: 'SVG' };
+    let width = toPixels(getAttribute('width'));
+    let height = toPixels(getAttribute('height'));
+    // Without a width and height, the image is sized by its view box
+    const viewBox = getAttribute('viewBox');
+    if ((width === null || height === null) && viewBox) {
+      const values = viewBox.split(/[\s,]+/).map((x) => parseFloat(x));
+      if (values.length === 4 && !values.some((x) => Number.isNaN(x))) {
+        width = width === null ? Math.round(values[2]) : width;
+        height = height === null ? Math.round(values[3]) : height;
+      }
+    }
+    if (width !== null && height !== null) {
+      metadata.width = width;
+      metadata.height = height;
+    }
+    return metadata;
+  }
+
+  /**
+   * Collect the details from an image file.  The format is identified from the start of the
+   * file, so images with the wrong extension are still read.
+   * @param {string} uri - The path to the image file
+   * @return {object} The details to include in the handler's metadata
+   */
+  getMetadata(uri) {
+    const fd = fs.openSync(uri, 'r');
+    try {
+      const header = this.readBytes(fd, 0, 54);
+      if (header.toString('latin1', 0, 8) === '\x89PNG\r\n\x1a\n') {
+        return this.readPng(fd);
+      }
+      if (header[0] === 0xff && header[1] === 0xd8) {
+        return this.readJpeg(fd);
+      }
+      const signature = header.toString('latin1', 0, 4);
+      if (signature === 'GIF8' && header.length >= 10) {
+        return this.readGif(header);
+      }
+      if (header.toString('latin1', 0, 2) === 'BM' && header.length >= 30) {
+        return this.readBmp(header);
+      }
+      if (signature === 'II*\0' || signature === 'MM\0*') {
+        return this.readTiff(fd);
+      }
+      if (signature === 'RIFF' && header.toString('latin1', 8, 12) === 'WEBP') {
+        return this.readWebP(fd);
+      }
+      return this.readSvg(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Get the path that the thumbnail for an image is saved to.  The name is a hash of the image
+   * path, so that it is the same each time the project is scanned.
+   * @param {string} uri The path to the image
+   * @returns The path to the thumbnail, or null if thumbnails are not enabled
+   */
+  getThumbnailPath(uri) {
+    if (!this.thumbnailFolder) {
+      return null;
+    }
+    const name = crypto.createHash('sha1').update(uri).digest('hex');
+    return path.join(this.thumbnailFolder, `${name}.png`);
+  }
+
+  /**
+   * Create the thumbnail for an image, and record it in the metadata.  Failing to create a
+   * thumbnail is not an error - the image just won't have one.
+   * @param {string} uri The path to the image
+   * @param {object} metadata The image handler's metadata, which will be updated
+   */
+  addThumbnail(uri, metadata) {
+    const thumbnailPath = this.getThumbnailPath(uri);
+    if (!thumbnailPath || !this.createThumbnail) {
+      return;
+    }
+    try {
+      fs.mkdirSync(this.thumbnailFolder, { recursive: true });
+      if (this.createThumbnail(uri, thumbnailPath, THUMBNAIL_SIZE)) {
+        metadata.thumbnail = thumbnailPath;
+      } else {
+        delete metadata.thumbnail;
+      }
+    } catch (e) {
+      delete metadata.thumbnail;
+    }
+  }
+
+  /**
+   * Performs the main scanning and discovery of the asset at the specified URI
+   * @param {string} uri - A string containing the URI that the asset can be found at
+   * @return {object} A JS object containing the details about the specified asset
+   */
+  scan(originalAsset) {
+    const asset = { ...originalAsset };
+    // If we have an invalid asset, just move along.
+    if (!asset || asset === undefined || !asset.type) {
+      return asset;
+    }
+
+    // Only handle files, but need to include directories for recursive processing
+    if (asset.type !== 'file' && asset.type !== 'directory') {
+      return asset;
+    }
+
+    // Files and folders that are left out of the project (see FileHandler), such as StatWrap's own
+    // files or what git ignores, aren't read.
+    if (AssetUtil.isExcluded(asset)) {
+      return asset;
+    }
+
+    if (asset.type === 'directory') {
+      if (asset.children) {
+        const self = this;
+        asset.children.forEach((child, index) => (asset.children[index] = self.scan(child)));
+      }
+      return asset;
+    }
+
+    if (!this.includeFile(asset.uri)) {
+      return asset;
+    }
+
+    // If we already have scanned this file, we won't do it again.  The metadata may have come
+    // from the scan cache, so we make sure the thumbnail is still where we expect it (the
+    // project may have been moved, or the thumbnail deleted).
+    const existingMetadata = AssetUtil.getHandlerMetadata(this.id(), asset.metadata);
+    if (existingMetadata) {
+      if (
+        existingMetadata.thumbnail &&
+        (existingMetadata.thumbnail !== this.getThumbnailPath(asset.uri) ||
+          !fs.existsSync(existingMetadata.thumbnail))
+      ) {
+        this.addThumbnail(asset.uri, existingMetadata);
+      }
+      return asset;
+    }
+
+    let metadata = { id: this.id() };
+    try {
+      metadata = { ...metadata, ...this.getMetadata(asset.uri) };
+      this.addThumbnail(asset.uri, metadata);
+    } catch {
+      metadata.error = 'Unable to read image file';
+    }
+
+    asset.metadata.push(metadata);
+    return asset;
+  }
+}
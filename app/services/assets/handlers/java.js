@@ -6,6 +6,8 @@ const FILE_EXTENSION_LIST = ['java'];
 export default class JavaHandler extends BaseCodeHandler {
   static id = 'StatWrap.JavaHandler';
 
+  static version = 2;
+
   constructor() {
     super(JavaHandler.id, FILE_EXTENSION_LIST);
   }
@@ -0,0 +1,190 @@
+import BaseCodeHandler from './baseCode';
+import Constants from '../../../constants/constants';
+
+// Julia file extensions that we will scan.
+// All lookups should be lowercase - we will do lowercase conversion before comparison.
+const FILE_EXTENSION_LIST = ['jl'];
+
+// Functions like FileIO's save/load are used for figures as well as data.  We use the extension
+// of the file to decide which type of dependency it is.
+const FIGURE_EXTENSION_LIST = [
+  'png',
+  'jpg',
+  'jpeg',
+  'gif',
+  'svg',
+  'pdf',
+  'eps',
+  'ps',
+  'tif',
+  'tiff',
+  'bmp',
+];
+
+/**
+ * Metadata:
+ * {
+ *   id: 'StatWrap.JuliaHandler'
+ * }
+ */
+export default class JuliaHandler extends BaseCodeHandler {
+  static id = 'StatWrap.JuliaHandler';
+
+  static version = 2;
+
+  constructor() {
+    super(JuliaHandler.id, FILE_EXTENSION_LIST);
+  }
+
+  id() {
+    return JuliaHandler.id;
+  }
+
+  getLibraryId(packageName) {
+    return packageName || '(unknown)';
+  }
+
+  /**
+   * Determine the dependency type for a path, based on its extension
+   * @param {string} path The path (which may be quoted)
+   * @returns A value from Constants.DependencyType
+   */
+  getDependencyTypeForPath(path) {
+    const extension = path.replace(/['"]/g, '').split('.').pop().toLowerCase();
+    return FIGURE_EXTENSION_LIST.includes(extension)
+      ? Constants.DependencyType.FIGURE
+      : Constants.DependencyType.DATA;
+  }
+
+  /**
+   * Utility to collect all matches for a set of functions, where the path is the first string
+   * argument to the function.  This allows for a non-string first argument, such as the
+   * plot in savefig(p, "plot.png"), and for the function to be qualified with the module it
+   * comes from (e.g., FileIO.load).
+   * @param {array} list The collection of inputs or outputs to add to
+   * @param {string} text The code to search
+   * @param {string} functions Regex alternation of the function names to search for
+   * @param {string} type The dependency type to assign to each match.  If not specified, the
+   *  type will be determined from the file extension.
+   */
+  processFunctionMatches(list, text, functions, type) {
+    // For this regex, the match groups:
+    // 0 - full match (not used)
+    // 1 - function name
+    // 2 - quoted path
+    const matches = [
+      ...text.matchAll(
+        new RegExp(
+          `^[^#\\r\\n]*?(?<![\\w.])((?:\\w+\\.)?(?:${functions}))\\s*\\(\\s*(?:[^"#,()\\r\\n]+,\\s*)?(?:raw)?("[^"\\r\\n]+?")`,
+          'gm',
+        ),
+      ),
+    ];
+    for (let index = 0; index < matches.length; index++) {
+      const match = matches[index];
+      const path = match[2].trim();
+      list.push({
+        id: `${match[1]} - ${path}`,
+        type: type || this.getDependencyTypeForPath(path),
+        path,
+      });
+    }
+  }
+
+  /**
+   * Utility to collect open calls, based on the mode the file is opened with
+   * @param {array} list The collection of inputs or outputs to add to
+   * @param {string} text The code to search
+   * @param {function} modeFilter Returns true if the mode (which may be undefined) applies
+   */
+  processFileMatches(list, text, modeFilter) {
+    // For this regex, the match groups:
+    // 0 - full match (not used)
+    // 1 - function name
+    // 2 - quoted path
+    // 3 - quoted mode (optional)
+    const matches = [
+      ...text.matchAll(
+        /^[^#\r\n]*?(?<![\w.])(open)\s*\(\s*("[^"\r\n]+?")\s*(?:,\s*("[^"\r\n]*?"))?/gm,
+      ),
+    ];
+    for (let index = 0; index < matches.length; index++) {
+      const match = matches[index];
+      const path = match[2].trim();
+      const mode = match[3];
+      if (modeFilter(mode)) {
+        list.push({
+          id: `${match[1]} - ${path}`,
+          type: Constants.DependencyType.DATA,
+          path,
+        });
+      }
+    }
+  }
+
+  getInputs(uri, text) {
+    const inputs = [];
+    if (!text || text.trim() === '') {
+      return inputs;
+    }
+
+    // Other Julia code files that are included
+    this.processFunctionMatches(inputs, text, 'include', 'code');
+    // DataFrame(CSV.File(...)) is covered by matching CSV.File
+    this.processFunctionMatches(
+      inputs,
+      text,
+      'CSV\\.read|CSV\\.File|readdlm|XLSX\\.readxlsx|XLSX\\.readtable|Arrow\\.Table|load',
+    );
+    // open defaults to read-only if no mode is specified
+    this.processFileMatches(inputs, text, (mode) => !mode || mode.match(/[r+]/));
+    return inputs;
+  }
+
+  getOutputs(uri, text) {
+    const outputs = [];
+    if (!text || text.trim() === '') {
+      return outputs;
+    }
+
+    this.processFunctionMatches(outputs, text, 'savefig', Constants.DependencyType.FIGURE);
+    this.processFunctionMatches(
+      outputs,
+      text,
+      'CSV\\.write|writedlm|XLSX\\.writetable|Arrow\\.write|save',
+    );
+    this.processFileMatches(outputs, text, (mode) => mode && mode.match(/[wa+]/));
+    return outputs;
+  }
+
+  getLibraries(uri, text) {
+    const libraries = [];
+    if (!text || text.trim() === '') {
+      return libraries;
+    }
+
+    // For this regex, the match groups:
+    // 0 - full match (not used)
+    // 1 - the list of packages (and optionally the specific names) being loaded
+    const matches = [...text.matchAll(/^\s*(?:using|import)\s+([^#\r\n]+)/gm)];
+    for (let index = 0; index < matches.length; index++) {
+      // `using A: x, y` loads specific names from a single package, otherwise there may be a
+      // comma-separated list of packages.
+      const statement = matches[index][1].trim();
+      const packages =
+        statement.indexOf(':') > -1 ? [statement.split(':')[0]] : statement.split(',');
+      packages
+        // We only want the top level package, not any submodule (e.g., Plots.PlotMeasures)
+        .map((p) => p.trim().split(/\s+/)[0].split('.')[0])
+        // A leading '.' refers to a local module (e.g., using .Utils) and becomes an empty string
+        .filter((p) => p !== '')
+        .forEach((packageName) => {
+          libraries.push({
+            id: this.getLibraryId(packageName),
+            package: packageName,
+          });
+        });
+    }
+    return libraries;
+  }
+}
@@ -0,0 +1,259 @@
+import BaseCodeHandler from './baseCode';
+import Constants from '../../../constants/constants';
+
+// MATLAB file extensions that we will scan.  Note that live scripts (.mlx) are zipped
+// XML documents and cannot be read as plain text, so they are not included.
+// All lookups should be lowercase - we will do lowercase conversion before comparison.
+const FILE_EXTENSION_LIST = ['m'];
+
+/**
+ * Metadata:
+ * {
+ *   id: 'StatWrap.MATLABHandler'
+ * }
+ */
+export default class MATLABHandler extends BaseCodeHandler {
+  static id = 'StatWrap.MATLABHandler';
+
+  static version = 2;
+
+  constructor() {
+    super(MATLABHandler.id, FILE_EXTENSION_LIST);
+  }
+
+  id() {
+    return MATLABHandler.id;
+  }
+
+  getLibraryId(packageName) {
+    return packageName || '(unknown)';
+  }
+
+  // MATLAB comments start with %
+  isCommentLine(line) {
+    return /^\s*%/.test(line);
+  }
+
+  /**
+   * Utility to collect matches where the path is the first argument of a function call
+   * (e.g., readtable('data.csv')) or is given using command syntax (e.g., load data.mat)
+   * @param {array} list The collection of inputs or outputs to add to
+   * @param {string} text The code to search
+   * @param {string} functions Regex alternation of the function names to search for
+   * @param {string} type The dependency type to assign to each match
+   * @param {bool} allowCommandSyntax If the functions may be called using command syntax
+   */
+  processFirstArgumentMatches(list, text, functions, type, allowCommandSyntax) {
+    // For this regex, the match groups:
+    // 0 - full match (not used)
+    // 1 - function name
+    // 2 - quoted path
+    const matches = [
+      ...text.matchAll(
+        new RegExp(`^[^%\\r\\n]*?\\b(${functions})\\s*\\(\\s*(['"][^'"\\r\\n]+?['"])`, 'gm'),
+      ),
+    ];
+    for (let index = 0; index < matches.length; index++) {
+      const match = matches[index];
+      const path = match[2].trim();
+      list.push({
+        id: `${match[1]} - ${path}`,
+        type,
+        path,
+      });
+    }
+
+    if (!allowCommandSyntax) {
+      return;
+    }
+
+    // Command syntax has the file name as the first argument that is not an option flag
+    // For this regex, the match groups:
+    // 0 - full match (not used)
+    // 1 - function name
+    // 2 - path
+    const commandMatches = [
+      ...text.matchAll(
+        new RegExp(`^\\s*(${functions})\\s+(?:-\\S+\\s+)*([^\\s('"%;,=-][^\\s;,%]*)`, 'gm'),
+      ),
+    ];
+    for (let index = 0; index < commandMatches.length; index++) {
+      const match = commandMatches[index];
+      const path = match[2].trim();
+      list.push({
+        id: `${match[1]} - ${path}`,
+        type,
+        path,
+      });
+    }
+  }
+
+  /**
+   * Utility to collect matches where the path is the first quoted argument after some other
+   * argument (e.g., writetable(T, 'data.csv') or saveas(gcf, 'figure.png'))
+   * @param {array} list The collection of inputs or outputs to add to
+   * @param {string} text The code to search
+   * @param {string} functions Regex alternation of the function names to search for
+   * @param {string} type The dependency type to assign to each match
+   */
+  processLaterArgumentMatches(list, text, functions, type) {
+    // For this regex, the match groups:
+    // 0 - full match (not used)
+    // 1 - function name
+    // 2 - quoted path
+    const matches = [
+      ...text.matchAll(
+        new RegExp(
+          `^[^%\\r\\n]*?\\b(${functions})\\s*\\([^'"%\\r\\n]*?,\\s*(['"][^'"\\r\\n]+?['"])`,
+          'gm',
+        ),
+      ),
+    ];
+    for (let index = 0; index < matches.length; index++) {
+      const match = matches[index];
+      const path = match[2].trim();
+      list.push({
+        id: `${match[1]} - ${path}`,
+        type,
+        path,
+      });
+    }
+  }
+
+  /**
+   * Utility to collect fopen calls, based on the mode the file is opened with
+   * @param {array} list The collection of inputs or outputs to add to
+   * @param {string} text The code to search
+   * @param {function} modeFilter Returns true if the mode (which may be undefined) applies
+   */
+  processFileMatches(list, text, modeFilter) {
+    // For this regex, the match groups:
+    // 0 - full match (not used)
+    // 1 - function name
+    // 2 - quoted path
+    // 3 - quoted mode (optional)
+    const matches = [
+      ...text.matchAll(
+        /^[^%\r\n]*?\b(fopen)\s*\(\s*(['"][^'"\r\n]+?['"])\s*(?:,\s*(['"][^'"\r\n]*?['"]))?/gm,
+      ),
+    ];
+    for (let index = 0; index < matches.length; index++) {
+      const match = matches[index];
+      const path = match[2].trim();
+      const mode = match[3];
+      if (modeFilter(mode)) {
+        list.push({
+          id: `${match[1]} - ${path}`,
+          type: Constants.DependencyType.DATA,
+          path,
+        });
+      }
+    }
+  }
+
+  getInputs(uri, text) {
+    const inputs = [];
+    if (!text || text.trim() === '') {
+      return inputs;
+    }
+
+    this.processFirstArgumentMatches(
+      inputs,
+      text,
+      'imread',
+      Constants.DependencyType.FIGURE,
+      false,
+    );
+    this.processFirstArgumentMatches(inputs, text, 'load', Constants.DependencyType.DATA, true);
+    this.processFirstArgumentMatches(
+      inputs,
+      text,
+      'readtable|readmatrix|readcell|readtimetable|xlsread|csvread|dlmread|importdata|textread',
+      Constants.DependencyType.DATA,
+      false,
+    );
+    // fopen defaults to read-only if no mode is specified
+    this.processFileMatches(inputs, text, (mode) => !mode || mode.match(/[r+]/));
+    return inputs;
+  }
+
+  getOutputs(uri, text) {
+    const outputs = [];
+    if (!text || text.trim() === '') {
+      return outputs;
+    }
+
+    this.processLaterArgumentMatches(
+      outputs,
+      text,
+      'saveas|exportgraphics|imwrite',
+      Constants.DependencyType.FIGURE,
+    );
+    this.processFirstArgumentMatches(outputs, text, 'save', Constants.DependencyType.DATA, true);
+    this.processLaterArgumentMatches(
+      outputs,
+      text,
+      'writetable|writematrix|writecell|writetimetable|xlswrite|csvwrite|dlmwrite',
+      Constants.DependencyType.DATA,
+    );
+    this.processFileMatches(outputs, text, (mode) => mode && mode.match(/[wa+]/));
+    return outputs;
+  }
+
+  getLibraries(uri, text) {
+    const libraries = [];
+    if (!text || text.trim() === '') {
+      return libraries;
+    }
+
+    // Folders added to the search path.  addpath can take multiple folders, and they may be
+    // wrapped in genpath to include subfolders.
+    // For this regex, the match groups:
+    // 0 - full match (not used)
+    // 1 - the arguments to addpath
+    const addPathMatches = [...text.matchAll(/^[^%\r\n]*?\baddpath\s*\(([^\r\n]+)\)/gm)];
+    for (let index = 0; index < addPathMatches.length; index++) {
+      const folders = [...addPathMatches[index][1].matchAll(/['"]([^'"\r\n]+?)['"]/g)]
+        .map((m) => m[1].trim())
+        // Exclude the position flags
+        .filter((f) => f !== '-begin' && f !== '-end' && f !== '-frozen');
+      folders.forEach((folder) => {
+        libraries.push({
+          id: this.getLibraryId(folder),
+          package: folder,
+        });
+      });
+    }
+
+    // Package imports (e.g., import matlab.io.*)
+    // For this regex, the match groups:
+    // 0 - full match (not used)
+    // 1 - imported package or function
+    const importMatches = [...text.matchAll(/^\s*import\s+([\w.*]+)\s*;?\s*$/gm)];
+    for (let index = 0; index < importMatches.length; index++) {
+      const match = importMatches[index];
+      libraries.push({
+        id: this.getLibraryId(match[1]),
+        package: match[1],
+      });
+    }
+
+    // Toolboxes that are explicitly checked out, or loaded as Octave packages
+    // For this regex, the match groups:
+    // 0 - full match (not used)
+    // 1 - toolbox name
+    const toolboxMatches = [
+      ...text.matchAll(/^[^%\r\n]*?\blicense\s*\(\s*['"]checkout['"]\s*,\s*['"](.+?)['"]/gm),
+      ...text.matchAll(/^\s*pkg\s+load\s+([\w-]+)/gm),
+    ];
+    for (let index = 0; index < toolboxMatches.length; index++) {
+      const match = toolboxMatches[index];
+      libraries.push({
+        id: this.getLibraryId(match[1]),
+        package: match[1],
+      });
+    }
+
+    return libraries;
+  }
+}
@@ -0,0 +1,207 @@
+import BaseCodeHandler from './baseCode';
+import PythonHandler from './python';
+import RHandler from './r';
+
+// Jupyter notebook file extensions that we will scan.
+// All lookups should be lowercase - we will do lowercase conversion before comparison.
+const FILE_EXTENSION_LIST = ['ipynb'];
+
+/**
+ * Metadata:
+ * {
+ *   id: 'StatWrap.NotebookHandler'
+ * }
+ *
+ * A notebook is a JSON document that wraps code cells in some other language.  Instead of
+ * having its own rules, this handler extracts the code cells and delegates the work to the
+ * handler for the notebook's language.
+ */
+export default class NotebookHandler extends BaseCodeHandler {
+  static id = 'StatWrap.NotebookHandler';
+
+  static version = 2;
+
+  constructor() {
+    super(NotebookHandler.id, FILE_EXTENSION_LIST);
+
+    // The handlers that notebook code can be delegated to, keyed by the normalized
+    // language name (see getKernelLanguage).
+    this.languageHandlers = {
+      python: new PythonHandler(),
+      r: new RHandler(),
+    };
+  }
+
+  id() {
+    return NotebookHandler.id;
+  }
+
+  getDelegateHandlers() {
+    return Object.values(this.languageHandlers);
+  }
+
+  /**
+   * Normalize a language or kernel name to one of the keys in languageHandlers
+   * @param {string} name The language or kernel name (e.g., 'python3', 'ir', 'R')
+   * @returns The normalized language name, or null if it is not one we support
+   */
+  normalizeLanguage(name) {
+    if (!name || name.trim() === '') {
+      return null;
+    }
+
+    const language = name.trim().toLowerCase();
+    if (language.startsWith('python')) {
+      return 'python';
+    }
+    // IRkernel registers itself as 'ir'
+    if (language === 'r' || language === 'ir') {
+      return 'r';
+    }
+    return null;
+  }
+
+  /**
+   * Determine the language of the notebook's kernel.  Different versions of Jupyter (and
+   * different kernels) fill in different parts of the metadata, so we check them in order
+   * of how specific they are.
+   * @param {object} notebook The parsed notebook
+   * @returns The normalized language name, or null if it can't be determined
+   */
+  getKernelLanguage(notebook) {
+    if (!notebook || !notebook.metadata) {
+      return null;
+    }
+
+    const { kernelspec, language_info: languageInfo } = notebook.metadata;
+    if (kernelspec && kernelspec.language) {
+      return this.normalizeLanguage(kernelspec.language);
+    }
+    if (languageInfo && languageInfo.name) {
+      return this.normalizeLanguage(languageInfo.name);
+    }
+    if (kernelspec && kernelspec.name) {
+      return this.normalizeLanguage(kernelspec.name);
+    }
+    return null;
+  }
+
+  /**
+   * Extract the code cells from the notebook, grouped by the language they are written in.
+   * This is usually just the kernel language, but cell magics (e.g., %%R from rpy2) allow a
+   * cell to be written in another language.
+   * @param {string} text The raw contents of the notebook file
+   * @returns An object keyed by language, with the combined code for that language
+   */
+  getCodeByLanguage(text) {
+    const code = {};
+    if (!text || text.trim() === '') {
+      return code;
+    }
+
+    let notebook = null;
+    try {
+      notebook = JSON.parse(text);
+    } catch {
+      return code;
+    }
+
+    if (!notebook || !Array.isArray(notebook.cells)) {
+      return code;
+    }
+
+    const kernelLanguage = this.getKernelLanguage(notebook);
+    notebook.cells.forEach((cell) => {
+      if (!cell || cell.cell_type !== 'code' || !cell.source) {
+        return;
+      }
+
+      const source = Array.isArray(cell.source) ? cell.source.join('') : cell.source;
+      let lines = source.split(/\r?\n/);
+      let language = kernelLanguage;
+      const firstLine = lines.length > 0 ? lines[0].trim() : '';
+      if (firstLine.startsWith('%%')) {
+        // A cell magic applies to the whole cell.  If it's one that switches the language
+        // we will use that language, otherwise (e.g., %%bash, %%time) we can't reliably
+        // process the cell so we skip it.
+        language = this.normalizeLanguage(firstLine.substring(2).split(/\s/)[0]);
+        lines = lines.slice(1);
+      }
+
+      if (!language || !this.languageHandlers[language]) {
+        return;
+      }
+
+      // IPython line magics and shell escapes aren't valid Python, so we remove them
+      // before handing off the code.
+      if (language === 'python') {
+        lines = lines.filter((line) => !/^\s*[%!]/.test(line));
+      }
+
+      code[language] = code[language] ? `${code[language]}\n${lines.join('\n')}` : lines.join('\n');
+    });
+
+    return code;
+  }
+
+  /**
+   * Run one of the language handler methods over all of the code found in the notebook
+   * @param {string} uri The URI of the notebook
+   * @param {string} text The raw contents of the notebook file
+   * @param {string} method The handler method to call (e.g., 'getLibraries')
+   * @returns The combined results from all language handlers
+   */
+  processCode(uri, text, method) {
+    const results = [];
+    const code = this.getCodeByLanguage(text);
+    Object.keys(code).forEach((language) => {
+      results.push(...this.languageHandlers[language][method](uri, code[language]));
+    });
+    return results;
+  }
+
+  getInputs(uri, text) {
+    return this.processCode(uri, text, 'getInputs');
+  }
+
+  getOutputs(uri, text) {
+    return this.processCode(uri, text, 'getOutputs');
+  }
+
+  getLibraries(uri, text) {
+    return this.processCode(uri, text, 'getLibraries');
+  }
+
+  /**
+   * Find absolute paths in the notebook's code cells.  The rest of the notebook is left out,
+   * since outputs (e.g., error tracebacks) often include absolute paths that aren't in the code.
+   * @param {string} uri The URI of the notebook
+   * @param {string} text The raw contents of the notebook file
+   * @returns Array of { path, line, snippet, cell }, where the cell number and the line number
+   *  within the cell start at 1
+   */
+  getAbsolutePaths(uri, text) {
+    const absolutePaths = [];
+    let notebook = null;
+    try {
+      notebook = JSON.parse(text);
+    } catch {
+      return absolutePaths;
+    }
+
+    if (!notebook || !Array.isArray(notebook.cells)) {
+      return absolutePaths;
+    }
+
+    notebook.cells.forEach((cell, index) => {
+      if (!cell || cell.cell_type !== 'code' || !cell.source) {
+        return;
+      }
+      const source = Array.isArray(cell.source) ? cell.source.join('') : cell.source;
+      super
+        .getAbsolutePaths(uri, source)
+        .forEach((absolutePath) => absolutePaths.push({ ...absolutePath, cell: index + 1 }));
+    });
+    return absolutePaths;
+  }
+}
@@ -0,0 +1,332 @@
+import BaseDataHandler from './baseData';
+
+const fs = require('fs');
+
+// Parquet file extensions that we will read.
+// All lookups should be lowercase - we will do lowercase conversion before comparison.
+const FILE_EXTENSION_LIST = ['parquet'];
+
+// Parquet files start and end with this magic number
+const MAGIC_NUMBER = 'PAR1';
+
+// The footer is the file metadata, its length (4 bytes) and the magic number
+const FOOTER_LENGTH = 8;
+
+// The largest file metadata (in bytes) that we will read
+const MAX_METADATA_BYTES = 64 * 1024 * 1024;
+
+// Field types in the Thrift compact protocol, which is used to encode the file metadata
+const THRIFT_TYPE = {
+  STOP: 0,
+  BOOLEAN_TRUE: 1,
+  BOOLEAN_FALSE: 2,
+  BYTE: 3,
+  I16: 4,
+  I32: 5,
+  I64: 6,
+  DOUBLE: 7,
+  BINARY: 8,
+  LIST: 9,
+  SET: 10,
+  MAP: 11,
+  STRUCT: 12,
+};
+
+// Field IDs within the Thrift structures that we use
+const FILE_METADATA_FIELD = {
+  SCHEMA: 2,
+  NUM_ROWS: 3,
+};
+const SCHEMA_ELEMENT_FIELD = {
+  TYPE: 1,
+  REPETITION_TYPE: 3,
+  NAME: 4,
+  NUM_CHILDREN: 5,
+  CONVERTED_TYPE: 6,
+  LOGICAL_TYPE: 10,
+};
+
+// Physical types
+const PHYSICAL_TYPE = {
+  BOOLEAN: 0,
+  INT32: 1,
+  INT64: 2,
+  INT96: 3,
+  FLOAT: 4,
+  DOUBLE: 5,
+  BYTE_ARRAY: 6,
+  FIXED_LEN_BYTE_ARRAY: 7,
+};
+
+// Converted types (the original way of annotating physical types) and the column type they
+// represent
+const CONVERTED_TYPES = {
+  0: 'string', // UTF8
+  1: 'map', // MAP
+  2: 'map', // MAP_KEY_VALUE
+  3: 'list', // LIST
+  4: 'string', // ENUM
+  5: 'number', // DECIMAL
+  6: 'date', // DATE
+  7: 'time', // TIME_MILLIS
+  8: 'time', // TIME_MICROS
+  9: 'datetime', // TIMESTAMP_MILLIS
+  10: 'datetime', // TIMESTAMP_MICROS
+  22: 'string', // JSON
+};
+
+// Logical types (which replace converted types), identified by the field set in the union, and
+// the column type they represent
+const LOGICAL_TYPES = {
+  1: 'string', // STRING
+  2: 'map', // MAP
+  3: 'list', // LIST
+  4: 'string', // ENUM
+  5: 'number', // DECIMAL
+  6: 'date', // DATE
+  7: 'time', // TIME
+  8: 'datetime', // TIMESTAMP
+  10: 'integer', // INTEGER
+  12: 'string', // JSON
+  14: 'string', // UUID
+  15: 'number', // FLOAT16
+};
+
+// Repeated fields hold a list of values
+const REPETITION_TYPE_REPEATED = 2;
+
+/**
+ * Metadata:
+ * {
+ *   id: 'StatWrap.ParquetHandler',
+ *   columns: [ { name: 'id', type: 'integer' }, ... ],
+ *   rowCount: 1234
+ * }
+ *
+ * Column types are one of 'integer', 'number', 'boolean', 'string', 'date', 'time', 'datetime',
+ * 'binary', 'list', 'map' or 'struct'.  Nested columns are only listed at the top level.
+ *
+ * Only the file metadata at the end of the file is read - the data itself is skipped.
+ */
+export default class ParquetHandler extends BaseDataHandler {
+  static id = 'StatWrap.ParquetHandler';
+
+  static version = 1;
+
+  constructor() {
+    super(ParquetHandler.id, FILE_EXTENSION_LIST);
+  }
+
+  id() {
+    return ParquetHandler.id;
+  }
+
+  /**
+   * Decode a structure encoded with the Thrift compact protocol.  We don't have the Thrift
+   * definitions at runtime, so each structure is returned as an object keyed by field ID.
+   * @param {Buffer} buffer The encoded data
+   * @returns The decoded structure
+   */
+  decodeThrift(buffer) {
+    let position = 0;
+    const readByte = () => {
+      if (position >= buffer.length) {
+        throw new Error('Unexpected end of Thrift data');
+      }
+      const byte = buffer[position];
+      position += 1;
+      return byte;
+    };
+    const readVarint = () => {
+      // BigInt is used so 64-bit values don't lose precision while they are decoded
+      let result = 0n;
+      let multiplier = 1n;
+      for (;;) {
+        const byte = readByte();
+        result += BigInt(byte % 0x80) * multiplier;
+        if (byte < 0x80) {
+          return result;
+        }
+        multiplier *= 0x80n;
+      }
+    };
+    // Signed integers are zigzag encoded, so small negative numbers are also small
+    const readZigzag = () => {
+      const value = readVarint();
+      return Number(value % 2n === 0n ? value / 2n : -(value + 1n) / 2n);
+    };
+    const readBinary = () => {
+      const length = Number(readVarint());
+      if (position + length > buffer.length) {
+        throw new Error('Unexpected end of Thrift data');
+      }
+      const bytes = buffer.subarray(position, position + length);
+      position += length;
+      return bytes;
+    };
+
+    let readValue = null;
+    const readStruct = () => {
+      const struct = {};
+      let fieldId = 0;
+      for (;;) {
+        const header = readByte();
+        const type = header % 16;
+        if (type === THRIFT_TYPE.STOP) {
+          return struct;
+        }
+        const delta = Math.floor(header / 16);
+        fieldId = delta === 0 ? readZigzag() : fieldId + delta;
+        // Boolean fields keep their value in the field type
+        if (type === THRIFT_TYPE.BOOLEAN_TRUE || type === THRIFT_TYPE.BOOLEAN_FALSE) {
+          struct[fieldId] = type === THRIFT_TYPE.BOOLEAN_TRUE;
+        } else {
+          struct[fieldId] = readValue(type);
+        }
+      }
+    };
+    const readList = () => {
+      const header = readByte();
+      const size = Math.floor(header / 16) === 15 ? Number(readVarint()) : Math.floor(header / 16);
+      const type = header % 16;
+      const list = [];
+      for (let index = 0; index < size; index++) {
+        list.push(readValue(type));
+      }
+      return list;
+    };
+    const readMap = () => {
+      const size = Number(readVarint());
+      const map = [];
+      if (size > 0) {
+        const types = readByte();
+        for (let index = 0; index < size; index++) {
+          map.push([readValue(Math.floor(types / 16)), readValue(types % 16)]);
+        }
+      }
+      return map;
+    };
+    readValue = (type) => {
+      switch (type) {
+        case THRIFT_TYPE.BOOLEAN_TRUE:
+        case THRIFT_TYPE.BOOLEAN_FALSE:
+          // Booleans within lists and maps are stored as a byte
+          return readByte() === THRIFT_TYPE.BOOLEAN_TRUE;
+        case THRIFT_TYPE.BYTE:
+          return readByte();
+        case THRIFT_TYPE.I16:
+        case THRIFT_TYPE.I32:
+        case THRIFT_TYPE.I64:
+          return readZigzag();
+        case THRIFT_TYPE.DOUBLE: {
+          const value = buffer.readDoubleLE(position);
+          position += 8;
+          return value;
+        }
+        case THRIFT_TYPE.BINARY:
+          return readBinary();
+        case THRIFT_TYPE.LIST:
+        case THRIFT_TYPE.SET:
+          return readList();
+        case THRIFT_TYPE.MAP:
+          return readMap();
+        case THRIFT_TYPE.STRUCT:
+          return readStruct();
+        default:
+          throw new Error(`Unknown Thrift type ${type}`);
+      }
+    };
+
+    return readStruct();
+  }
+
+  /**
+   * Determine the column type of a schema element
+   * @param {object} element The schema element
+   * @returns The column type
+   */
+  getColumnType(element) {
+    const logicalType = element[SCHEMA_ELEMENT_FIELD.LOGICAL_TYPE];
+    if (logicalType) {
+      const field = Object.keys(logicalType).find((x) => LOGICAL_TYPES[x]);
+      if (field) {
+        return LOGICAL_TYPES[field];
+      }
+    }
+    const convertedType = CONVERTED_TYPES[element[SCHEMA_ELEMENT_FIELD.CONVERTED_TYPE]];
+    if (convertedType) {
+      return convertedType;
+    }
+
+    // Groups (which don't have a physical type) hold nested columns
+    if (element[SCHEMA_ELEMENT_FIELD.TYPE] === undefined) {
+      return element[SCHEMA_ELEMENT_FIELD.REPETITION_TYPE] === REPETITION_TYPE_REPEATED
+        ? 'list'
+        : 'struct';
+    }
+    switch (element[SCHEMA_ELEMENT_FIELD.TYPE]) {
+      case PHYSICAL_TYPE.BOOLEAN:
+        return 'boolean';
+      case PHYSICAL_TYPE.INT32:
+      case PHYSICAL_TYPE.INT64:
+        return 'integer';
+      case PHYSICAL_TYPE.INT96:
+        // INT96 is only used for legacy timestamps
+        return 'datetime';
+      case PHYSICAL_TYPE.FLOAT:
+      case PHYSICAL_TYPE.DOUBLE:
+        return 'number';
+      default:
+        return 'binary';
+    }
+  }
+
+  getMetadata(uri) {
+    const fileSize = fs.statSync(uri).size;
+    const fd = fs.openSync(uri, 'r');
+    let metadataBuffer = null;
+    try {
+      const footer = this.readBytes(fd, Math.max(0, fileSize - FOOTER_LENGTH), FOOTER_LENGTH);
+      if (footer.length < FOOTER_LENGTH || footer.toString('latin1', 4) !== MAGIC_NUMBER) {
+        throw new Error('Not a Parquet file');
+      }
+      const metadataLength = footer.readUInt32LE(0);
+      if (metadataLength > MAX_METADATA_BYTES || metadataLength > fileSize - FOOTER_LENGTH) {
+        throw new Error('Invalid Parquet file metadata length');
+      }
+      metadataBuffer = this.readBytes(
+        fd,
+        fileSize - FOOTER_LENGTH - metadataLength,
+        metadataLength,
+      );
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    const fileMetadata = this.decodeThrift(metadataBuffer);
+    const schema = fileMetadata[FILE_METADATA_FIELD.SCHEMA] || [];
+    // The schema is a flattened tree.  The first element is the root, and each group is followed
+    // by its children, so we skip over the descendants of nested columns.
+    const columns = [];
+    const rootChildren = schema.length > 0 ? schema[0][SCHEMA_ELEMENT_FIELD.NUM_CHILDREN] || 0 : 0;
+    let index = 1;
+    for (let child = 0; child < rootChildren && index < schema.length; child++) {
+      const element = schema[index];
+      columns.push({
+        name: new TextDecoder('utf-8').decode(element[SCHEMA_ELEMENT_FIELD.NAME]),
+        type: this.getColumnType(element),
+      });
+      let remaining = element[SCHEMA_ELEMENT_FIELD.NUM_CHILDREN] || 0;
+      index += 1;
+      while (remaining > 0 && index < schema.length) {
+        remaining += (schema[index][SCHEMA_ELEMENT_FIELD.NUM_CHILDREN] || 0) - 1;
+        index += 1;
+      }
+    }
+
+    return {
+      columns,
+      rowCount: fileMetadata[FILE_METADATA_FIELD.NUM_ROWS] || 0,
+    };
+  }
+}
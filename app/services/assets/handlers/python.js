@@ -15,6 +15,8 @@ const FILE_EXTENSION_LIST = ['py', 'py3', 'pyi'];
 export default class PythonHandler extends BaseCodeHandler {
   static id = 'StatWrap.PythonHandler';
 
+  static version = 4;
+
   constructor() {
     super(PythonHandler.id, FILE_EXTENSION_LIST);
   }
@@ -37,14 +39,99 @@ export default class PythonHandler extends BaseCodeHandler {
     return id;
   }
 
+  getAssignment(line) {
+    // For this regex, the match groups:
+    // 0 - full match (not used)
+    // 1 - variable name
+    // 2 - assigned expression
+    const match = line.match(/^\s*([A-Za-z_]\w*)\s*=(?!=)\s*(.+?)\s*$/);
+    return match ? { name: match[1], expression: match[2] } : null;
+  }
+
+  /**
+   * Join the parts of a path the way os.path.join and pathlib do, where an absolute part replaces
+   * everything before it.
+   * @param {array} parts The parts of the path
+   * @returns The joined path
+   */
+  joinPath(parts) {
+    return parts.reduce((joined, part) => {
+      if (joined === '' || part.startsWith('/') || /^[A-Za-z]:[\\/]/.test(part)) {
+        return part;
+      }
+      return /[\\/]$/.test(joined) ? `${joined}${part}` : `${joined}/${part}`;
+    }, '');
+  }
+
+  /**
+   * Evaluate the ways that Python code commonly builds a path: os.path.join, and Path objects
+   * from pathlib, which are joined using the / operator.
+   * @param {string} expression The expression to evaluate
+   * @param {object} constants The string values of the variables assigned so far, by name
+   * @returns The string that the expression evaluates to, or null if it can't be evaluated
+   */
+  evaluatePathExpression(expression, constants) {
+    // Raw strings are common for Windows paths
+    const code = expression.trim().replace(/^[rR](?=['"])/, '');
+    const literal = this.parseStringLiteral(code);
+    if (literal !== null) {
+      return literal;
+    }
+    if (/^[A-Za-z_]\w*$/.test(code)) {
+      return constants[code] !== undefined ? constants[code] : null;
+    }
+
+    // Path objects joined with the / operator.  We only need to split at the top level, since
+    // anything within parentheses is evaluated separately.
+    const parts = [];
+    let start = 0;
+    for (let index = 0; index < code.length; index++) {
+      if (code[index] === '"' || code[index] === "'") {
+        index = this.findStringEnd(code, index);
+      } else if (code[index] === '(') {
+        index = this.findClosingParenthesis(code, index);
+        if (index === -1) {
+          return null;
+        }
+      } else if (code[index] === '/') {
+        parts.push(code.substring(start, index));
+        start = index + 1;
+      }
+    }
+    if (parts.length > 0) {
+      parts.push(code.substring(start));
+      const values = parts.map((part) => this.evaluatePathExpression(part, constants));
+      return values.includes(null) ? null : this.joinPath(values);
+    }
+
+    const call = code.match(/^(os\.path\.join|(?:pathlib\.)?(?:Pure)?Path|str)\s*\(/);
+    if (!call || this.findClosingParenthesis(code, call[0].length - 1) !== code.length - 1) {
+      return null;
+    }
+    const args = code.substring(call[0].length, code.length - 1);
+    if (args.trim() === '') {
+      return call[1] === 'os.path.join' || call[1] === 'str' ? null : '.';
+    }
+    const values = this.splitArguments(args).map((arg) =>
+      this.evaluatePathExpression(arg, constants),
+    );
+    // str can take an encoding as well, which isn't part of the path
+    if (values.includes(null) || (call[1] === 'str' && values.length > 1)) {
+      return null;
+    }
+    return this.joinPath(values);
+  }
+
   getInputs(uri, text) {
     const inputs = [];
     if (!text || text.trim() === '') {
       return inputs;
     }
 
+    const code = this.evaluatePathExpressions(text);
+
     const figureMatches = [
-      ...text.matchAll(/(imread)\s*\(\s*(['"]{1,}\s*?[\s\S]+?['"]{1,})[\s\S]*?\)$/gim),
+      ...code.matchAll(/(imread)\s*\(\s*(['"]{1,}\s*?[\s\S]+?['"]{1,})[\s\S]*?\)$/gim),
     ];
     for (let index = 0; index < figureMatches.length; index++) {
       const match = figureMatches[index];
@@ -57,7 +144,7 @@ export default class PythonHandler extends BaseCodeHandler {
     }
 
     const pandasMatches = [
-      ...text.matchAll(
+      ...code.matchAll(
         /(read_table|read_fwf|read_feather|read_parquet|read_csv|read_pickle|read_hdf|read_sql_table|read_sql_query|read_sql|read_excel|read_json|read_html|read_xml|read_stata|read_orc|read_sas|read_spss)\s*\(\s*(['"]{1,}\s*?[\s\S]+?['"]{1,})[\s\S]*?\)/gim,
       ),
     ];
@@ -72,7 +159,7 @@ export default class PythonHandler extends BaseCodeHandler {
     }
 
     const fileMatches = [
-      ...text.matchAll(
+      ...code.matchAll(
         /(open)\s*\(\s*(['"]{1,}\s*?[\s\S]+?['"]{1,})[\s,]*(['"]{1,}[\s\S]+?['"]{1,})?[\s\S]*?\)/gim,
       ),
     ];
@@ -99,8 +186,10 @@ export default class PythonHandler extends BaseCodeHandler {
       return outputs;
     }
 
+    const code = this.evaluatePathExpressions(text);
+
     const figureMatches = [
-      ...text.matchAll(
+      ...code.matchAll(
         /^[^#]*?(plot|savefig|imsave|imwrite|save)\s*\(\s*(['"]{1,}\s*?[\s\S]+?['"]{1,})[\s\S]*?\)$/gm,
       ),
     ];
@@ -115,7 +204,7 @@ export default class PythonHandler extends BaseCodeHandler {
     }
 
     const pandasMatches = [
-      ...text.matchAll(
+      ...code.matchAll(
         /^[^#]*?(to_parquet|to_csv|to_pickle|to_hdf|to_sql|to_excel|to_json|to_html|to_feather|to_latex|to_stata|to_markdown)\s*\(\s*(['"]{1,}\s*?[\s\S]+?['"]{1,})[\s\S]*?\)/gm,
       ),
     ];
@@ -130,7 +219,7 @@ export default class PythonHandler extends BaseCodeHandler {
     }
 
     const fileMatches = [
-      ...text.matchAll(
+      ...code.matchAll(
         /^[^#]*?(open)\s*\(\s*(['"]{1,}\s*?[\s\S]+?['"]{1,})[\s,]*(['"]{1,}[\s\S]+?['"]{1,})?[\s\S]*?\)/gm,
       ),
     ];
@@ -151,6 +240,33 @@ export default class PythonHandler extends BaseCodeHandler {
     return outputs;
   }
 
+  getWorkingDirectories(uri, text) {
+    const directories = [];
+    if (!text || text.trim() === '') {
+      return directories;
+    }
+
+    const code = this.evaluatePathExpressions(text);
+
+    // For this regex, the match groups:
+    // 0 - full match (not used)
+    // 1 - function name (with the os module, if used)
+    // 2 - path (including quotes)
+    const matches = [
+      ...code.matchAll(/^[^#\n]*?\b((?:os\.)?chdir)\s*\(\s*(['"][^'"]+['"])\s*\)/gm),
+    ];
+    for (let index = 0; index < matches.length; index++) {
+      const match = matches[index];
+      const path = match[2].trim();
+      directories.push({
+        id: `${match[1]} - ${path}`,
+        path,
+      });
+    }
+
+    return directories;
+  }
+
   getLibraries(uri, text) {
     const libraries = [];
     if (!text || text.trim() === '') {
@@ -1,10 +1,17 @@
 import p from 'path';
 import BaseCodeHandler from './baseCode';
+import PythonHandler from './python';
+import SQLHandler from './sql';
+import ShellHandler from './shell';
 import Constants from '../../../constants/constants';
 
 // R file extensions that we will scan.
 // All lookups should be lowercase - we will do lowercase conversion before comparison.
-const FILE_EXTENSION_LIST = ['r', 'rmd'];
+const FILE_EXTENSION_LIST = ['r', 'rmd', 'qmd'];
+
+// R Markdown and Quarto documents mix text with chunks of code, which may be written in other
+// languages than R.  These are scanned chunk by chunk instead of as R code.
+const DOCUMENT_EXTENSION_LIST = ['rmd', 'qmd'];
 
 /**
  * Metadata:
@@ -15,24 +22,184 @@ const FILE_EXTENSION_LIST = ['r', 'rmd'];
 export default class RHandler extends BaseCodeHandler {
   static id = 'StatWrap.RHandler';
 
+  static version = 4;
+
   constructor() {
     super(RHandler.id, FILE_EXTENSION_LIST);
+
+    // The handlers that non-R chunks in a document can be delegated to, keyed by the normalized
+    // chunk engine (see getCodeChunks).
+    this.chunkHandlers = {
+      python: new PythonHandler(),
+      sql: new SQLHandler(),
+      bash: new ShellHandler(),
+    };
   }
 
   id() {
     return RHandler.id;
   }
 
+  getDelegateHandlers() {
+    return Object.values(this.chunkHandlers);
+  }
+
   getLibraryId(packageName) {
     return packageName || '(unknown)';
   }
 
+  /**
+   * Determine if a URI refers to an R Markdown or Quarto document
+   * @param {string} uri The URI of the file
+   * @returns true if the file is a document, false otherwise
+   */
+  isDocument(uri) {
+    if (!uri) {
+      return false;
+    }
+    const extension = this.getBaseFileName(uri).split('.').pop().toLowerCase();
+    return DOCUMENT_EXTENSION_LIST.includes(extension);
+  }
+
+  /**
+   * Normalize the engine of a code chunk to a language that we know how to process
+   * @param {string} engine The chunk engine (e.g., 'r', 'python', 'sh')
+   * @returns The normalized engine name, or null if it is not one we support
+   */
+  normalizeEngine(engine) {
+    if (!engine) {
+      return null;
+    }
+
+    const language = engine.trim().toLowerCase();
+    if (language === 'r' || language === 'python' || language === 'sql' || language === 'bash') {
+      return language;
+    }
+    if (language === 'sh') {
+      return 'bash';
+    }
+    return null;
+  }
+
+  /**
+   * Extract the executable code chunks from an R Markdown or Quarto document, grouped by the
+   * engine they are written for.  Only chunks with an engine in braces (```{r}) are run when the
+   * document is rendered - plain fenced code blocks (```r) are just displayed, so they are skipped.
+   * @param {string} text The contents of the document
+   * @returns An object keyed by the normalized engine, with the combined code for that engine
+   */
+  getCodeChunks(text) {
+    const code = {};
+    if (!text || text.trim() === '') {
+      return code;
+    }
+
+    // For this regex, the match groups:
+    // 0 - full match (not used)
+    // 1 - chunk engine
+    // 2 - chunk code
+    const matches = [
+      ...text.matchAll(
+        /^[ \t]*```+[ \t]*\{[ \t]*([\w.]+)[^}\r\n]*\}[ \t]*\r?\n([\s\S]*?)^[ \t]*```+[ \t]*$/gm,
+      ),
+    ];
+    for (let index = 0; index < matches.length; index++) {
+      const match = matches[index];
+      const engine = this.normalizeEngine(match[1]);
+      if (engine) {
+        code[engine] = code[engine] ? `${code[engine]}\n${match[2]}` : match[2];
+      }
+    }
+    return code;
+  }
+
+  /**
+   * Run one of the scanning methods (e.g., getInputs) over each of the code chunks in a document,
+   * using the rules for the language of each chunk.
+   * @param {string} uri The URI of the document
+   * @param {string} text The contents of the document
+   * @param {string} method The name of the scanning method for the other handlers
+   * @param {function} rMethod The R scanning function to use for R chunks
+   * @returns Array of the combined results across all chunks
+   */
+  processDocument(uri, text, method, rMethod) {
+    const results = [];
+    const chunks = this.getCodeChunks(text);
+    Object.keys(chunks).forEach((engine) => {
+      if (engine === 'r') {
+        results.push(...rMethod(chunks[engine]));
+      } else {
+        results.push(...this.chunkHandlers[engine][method](uri, chunks[engine]));
+      }
+    });
+    return results;
+  }
+
   getInputs(uri, text) {
+    if (!text || text.trim() === '') {
+      return [];
+    }
+
+    if (this.isDocument(uri)) {
+      return this.processDocument(uri, text, 'getInputs', (code) => this.getCodeInputs(code));
+    }
+    return this.getCodeInputs(text);
+  }
+
+  getAssignment(line) {
+    // For this regex, the match groups:
+    // 0 - full match (not used)
+    // 1 - variable name
+    // 2 - assigned expression
+    const match = line.match(/^\s*([A-Za-z.][\w.]*)\s*(?:<<-|<-|=(?!=))\s*(.+?)\s*;?\s*$/);
+    return match ? { name: match[1], expression: match[2] } : null;
+  }
+
+  /**
+   * Evaluate the ways that R code commonly builds a path: file.path, and here from the here
+   * package.  The here function gives paths relative to the project root, which is one of the
+   * places we look for the files when the workflow is built, so we leave them as relative paths.
+   * @param {string} expression The expression to evaluate
+   * @param {object} constants The string values of the variables assigned so far, by name
+   * @returns The string that the expression evaluates to, or null if it can't be evaluated
+   */
+  evaluatePathExpression(expression, constants) {
+    const code = expression.trim();
+    const literal = this.parseStringLiteral(code);
+    if (literal !== null) {
+      return literal;
+    }
+    if (/^[A-Za-z.][\w.]*$/.test(code)) {
+      return constants[code] !== undefined ? constants[code] : null;
+    }
+
+    const call = code.match(/^(file\.path|here::here|here)\s*\(/);
+    if (!call || this.findClosingParenthesis(code, call[0].length - 1) !== code.length - 1) {
+      return null;
+    }
+    const args = code.substring(call[0].length, code.length - 1);
+    if (args.trim() === '') {
+      return call[1] === 'file.path' ? null : '.';
+    }
+    const values = this.splitArguments(args).map((arg) =>
+      this.evaluatePathExpression(arg, constants),
+    );
+    return values.includes(null) ? null : values.join('/');
+  }
+
+  /**
+   * Collect the inputs from R code
+   * @param {string} text The R code
+   * @returns Array of inputs
+   */
+  getCodeInputs(text) {
     const inputs = [];
     if (!text || text.trim() === '') {
       return inputs;
     }
 
+    const code = this.evaluatePathExpressions(text);
+
     // We are going to skip image imports for now. May need to look at packages
     // like imager that support this in the future: https://www.rdocumentation.org/packages/imager/versions/0.41.1/topics/load.image
 
@@ -40,7 +207,7 @@ export default class RHandler extends BaseCodeHandler {
     // https://cran.r-project.org/doc/manuals/r-release/R-data.html
     // Tidyverse is similar, just uses _ instead of .
     const baseMatches = [
-      ...text.matchAll(
+      ...code.matchAll(
         /^[^#]*?(read\.table|read\.csv|read\.csv2|read\.DIF|read\.fortran|read\.fwf|read\.ftable|read\.dcf|read\.csv|read\.csv2|scan|read_delim|read_csv|read_csv2|read_excel|read_xls|read_xlsx|read_tsv|read_fwf|read_log|read_table|read_file|read_file_raw|read_lines|read_lines_raw|read_rds)\s*\(\s*(['"]{1,}\s*?[\s\S]+?['"]{1,})[\s\S]*?\)\s*$/gm,
       ),
     ];
@@ -56,7 +223,7 @@ export default class RHandler extends BaseCodeHandler {
 
     // source from other code file
     const sourceMatches = [
-      ...text.matchAll(
+      ...code.matchAll(
         /^[^#]*?(source|sys\.source)\s*\(\s*(['"]{1,}\s*?[\s\S]+?['"]{1,})[\s\S]*?\)\s*$/gm,
       ),
     ];
@@ -77,7 +244,7 @@ export default class RHandler extends BaseCodeHandler {
     // https://stat.ethz.ch/R-manual/R-devel/library/base/html/connections.html
     // TODO: Handle 'open=' parameter
     const fileMatches = [
-      ...text.matchAll(
+      ...code.matchAll(
         /^[^#]*?(file|url|gzfile|bzfile|xzfile|unz|fifo)\s*\(\s*(['"]{1,}\s*?[\s\S]+?['"]{1,})[\s,]*(['"]{1,}[\s\S]+?['"]{1,})?[\s\S]*?\)/gm,
       ),
     ];
@@ -132,14 +299,113 @@ export default class RHandler extends BaseCodeHandler {
     }
   }
 
+  /**
+   * Utility method to get the expected output file extension for a Quarto format
+   * @param {string} format The Quarto format (e.g., html, pdf, revealjs)
+   * @returns A string containing the file extension for the Quarto format, or an empty string
+   *  if the format is not recognized
+   */
+  getQuartoOutputExtension(format) {
+    // Formats can include extensions to the markdown (html+smart), and journal templates are
+    // named for the base format they render to (acm-pdf).
+    const baseFormat = format.split('+')[0].split('-').pop().toLowerCase();
+    switch (baseFormat) {
+      case 'html':
+      case 'revealjs':
+      case 'dashboard':
+        return 'html';
+      case 'pdf':
+      case 'beamer':
+      case 'typst':
+        return 'pdf';
+      case 'docx':
+      case 'odt':
+      case 'rtf':
+      case 'pptx':
+      case 'epub':
+      case 'ipynb':
+        return baseFormat;
+      case 'gfm':
+      case 'commonmark':
+      case 'markdown':
+      case 'md':
+        return 'md';
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Find the list of formats in the Quarto `format:` option of a YAML header.  This may be a
+   * single format (format: html), or a map of formats and their options.
+   * @param {string} headerText The YAML header
+   * @returns Array of format names
+   */
+  getQuartoFormats(headerText) {
+    const formats = [];
+    // For this regex, the match groups:
+    // 0 - full match (not used)
+    // 1 - inline format (optional)
+    const formatMatch = headerText.match(/^format[ \t]*:[ \t]*([^\s#]*)[^\r\n]*$/m);
+    if (!formatMatch) {
+      return formats;
+    }
+
+    if (formatMatch[1] !== '') {
+      formats.push(formatMatch[1].replace(/['"]/g, ''));
+      return formats;
+    }
+
+    // Each format is a key at the first level of indentation below format:.  Anything indented
+    // further are options for that format.
+    const lines = headerText.substring(formatMatch.index + formatMatch[0].length).split(/\r?\n/);
+    let indent = null;
+    for (let index = 0; index < lines.length; index++) {
+      const line = lines[index];
+      if (line.trim() === '') {
+        continue;
+      }
+      const keyMatch = line.match(/^([ \t]+)([\w+-]+)[ \t]*:/);
+      if (!keyMatch || (indent !== null && keyMatch[1].length < indent)) {
+        break;
+      }
+      if (indent === null) {
+        indent = keyMatch[1].length;
+      }
+      if (keyMatch[1].length === indent) {
+        formats.push(keyMatch[2]);
+      }
+    }
+    return formats;
+  }
+
   getOutputs(uri, text) {
+    if (!text || text.trim() === '') {
+      return [];
+    }
+
+    const outputs = this.isDocument(uri)
+      ? this.processDocument(uri, text, 'getOutputs', (code) => this.getCodeOutputs(code))
+      : this.getCodeOutputs(text);
+    outputs.push(...this.getDocumentOutputs(uri, text));
+    return outputs;
+  }
+
+  /**
+   * Collect the outputs from R code
+   * @param {string} text The R code
+   * @returns Array of outputs
+   */
+  getCodeOutputs(text) {
     const outputs = [];
     if (!text || text.trim() === '') {
       return outputs;
     }
 
+    const code = this.evaluatePathExpressions(text);
+
     const figureMatches = [
-      ...text.matchAll(
+      ...code.matchAll(
         /^\s*(pdf|win\.metafile|png|jpeg|bmp|postscript|ggsave)\s*\(\s*(['"]{1,}\s*?[\s\S]+?['"]{1,})[\s\S]*?\)\s*$/gm,
       ),
     ];
@@ -157,7 +423,7 @@ export default class RHandler extends BaseCodeHandler {
     // https://cran.r-project.org/doc/manuals/r-release/R-data.html
     // Tidyverse is similar, just uses _ instead of .
     const baseMatches = [
-      ...text.matchAll(
+      ...code.matchAll(
         /^\s*(write\.table|write|write\.csv|write\.csv2|write\.ftable|write\.dcf|sink|write_delim|write_csv|write_csv2|write_excel_csv|write_excel_csv2|write_tsv|write_file|write_lines|write_rds)\s*\([\s\S]+?\s*,\s*(['"]{1,}\s*?[\s\S]+?['"]{1,})[\s\S]*?\)\s*$/gm,
       ),
     ];
@@ -175,7 +441,7 @@ export default class RHandler extends BaseCodeHandler {
     // https://stat.ethz.ch/R-manual/R-devel/library/base/html/connections.html
     // TODO: Handle 'open=' parameter
     const fileMatches = [
-      ...text.matchAll(
+      ...code.matchAll(
         /^[^#]*?(file|url|gzfile|bzfile|xzfile|unz|fifo)\s*\(\s*(['"]{1,}\s*?[\s\S]+?['"]{1,})[\s,]*(['"]{1,}[\s\S]+?['"]{1,})?[\s\S]*?\)/gm,
       ),
     ];
@@ -193,6 +459,19 @@ export default class RHandler extends BaseCodeHandler {
       }
     }
 
+    return outputs;
+  }
+
+  /**
+   * Collect the rendered outputs of an R Markdown or Quarto document, based on the output
+   * formats in its YAML header.
+   * @param {string} uri The URI of the document
+   * @param {string} text The contents of the document
+   * @returns Array of outputs
+   */
+  getDocumentOutputs(uri, text) {
+    const outputs = [];
+
     // We also want to consider conventions beyond what is in the code.  If the code file is an Rmd,
     // it will generate output as well based on the type of export it's set up to do.
     // This is a two-part match.  Part one gets the first header in the Rmd file.  If one doesn't exist,
@@ -223,10 +502,86 @@ export default class RHandler extends BaseCodeHandler {
       });
     }
 
+    // Quarto documents specify their outputs using format:
+    const formats = this.getQuartoFormats(headerText);
+    for (let index = 0; index < formats.length; index++) {
+      const format = formats[index];
+      const extension = this.getQuartoOutputExtension(format);
+      if (extension !== '') {
+        const baseFileName = p.parse(this.getBaseFileName(uri)).name;
+        outputs.push({
+          id: `${format} - ${baseFileName}.${extension}`,
+          type: Constants.DependencyType.FILE,
+          path: `${baseFileName}.${extension}`,
+        });
+      }
+    }
+
     return outputs;
   }
 
+  getWorkingDirectories(uri, text) {
+    if (!text || text.trim() === '') {
+      return [];
+    }
+
+    if (this.isDocument(uri)) {
+      return this.processDocument(uri, text, 'getWorkingDirectories', (code) =>
+        this.getCodeWorkingDirectories(code),
+      );
+    }
+    return this.getCodeWorkingDirectories(text);
+  }
+
+  /**
+   * Collect the working directories that R code changes to
+   * @param {string} text The R code
+   * @returns Array of working directories
+   */
+  getCodeWorkingDirectories(text) {
+    const directories = [];
+    if (!text || text.trim() === '') {
+      return directories;
+    }
+
+    const code = this.evaluatePathExpressions(text);
+
+    // For this regex, the match groups:
+    // 0 - full match (not used)
+    // 1 - function name
+    // 2 - path (including quotes)
+    const matches = [
+      ...code.matchAll(/^[^#\n]*?(setwd)\s*\(\s*(?:dir\s*=\s*)?(['"][^'"]+['"])\s*\)/gm),
+    ];
+    for (let index = 0; index < matches.length; index++) {
+      const match = matches[index];
+      const path = match[2].trim();
+      directories.push({
+        id: `${match[1]} - ${path}`,
+        path,
+      });
+    }
+
+    return directories;
+  }
+
   getLibraries(uri, text) {
+    if (!text || text.trim() === '') {
+      return [];
+    }
+
+    if (this.isDocument(uri)) {
+      return this.processDocument(uri, text, 'getLibraries', (code) => this.getCodeLibraries(code));
+    }
+    return this.getCodeLibraries(text);
+  }
+
+  /**
+   * Collect the libraries used by R code
+   * @param {string} text The R code
+   * @returns Array of libraries
+   */
+  getCodeLibraries(text) {
     const libraries = [];
     if (!text || text.trim() === '') {
       return libraries;
@@ -14,6 +14,8 @@ const FILE_EXTENSION_LIST = ['sas'];
 export default class SASHandler extends BaseCodeHandler {
   static id = 'StatWrap.SASHandler';
 
+  static version = 3;
+
   constructor() {
     super(SASHandler.id, FILE_EXTENSION_LIST);
   }
@@ -26,6 +28,42 @@ export default class SASHandler extends BaseCodeHandler {
     return packageName || '(unknown)';
   }
 
+  /**
+   * Find the data sets that are referenced through a library in a type of statement (e.g.,
+   * `set raw.survey;`).  We only consider libraries that are assigned by a libname statement in
+   * the code, which leaves out the temporary WORK library and built-in ones like SASHELP.
+   * @param {string} text The SAS code
+   * @param {RegExp} regex The statements to look at.  Group 1 is the statement name, and group 2
+   *  is the rest of the statement.
+   * @returns Array of objects with the statement and the data set reference (e.g., raw.survey)
+   */
+  getLibraryDataSets(text, regex) {
+    const libraries = this.getWorkingDirectories(null, text).map((x) => x.library.toLowerCase());
+    const dataSets = [];
+    if (libraries.length === 0) {
+      return dataSets;
+    }
+
+    const matches = [...text.matchAll(regex)];
+    for (let index = 0; index < matches.length; index++) {
+      const match = matches[index];
+      // Remove data set options, which may be nested - e.g., (where=(age > 18))
+      let statement = match[2];
+      let previous = null;
+      while (statement !== previous) {
+        previous = statement;
+        statement = statement.replace(/\([^()]*\)/g, ' ');
+      }
+      statement.split(/\s+/).forEach((reference) => {
+        const referenceMatch = reference.match(/^(\w+)\.(\w+)$/);
+        if (referenceMatch && libraries.includes(referenceMatch[1].toLowerCase())) {
+          dataSets.push({ statement: match[1], reference });
+        }
+      });
+    }
+    return dataSets;
+  }
+
   getInputs(uri, text) {
     const inputs = [];
     if (!text || text.trim() === '') {
@@ -60,6 +98,16 @@ export default class SASHandler extends BaseCodeHandler {
       });
     }
 
+    const dataSets = this.getLibraryDataSets(text, /^\s*(set|merge)\s+([^;]+);/gim);
+    for (let index = 0; index < dataSets.length; index++) {
+      const dataSet = dataSets[index];
+      inputs.push({
+        id: `${dataSet.statement} - ${dataSet.reference}`,
+        type: Constants.DependencyType.DATA,
+        path: dataSet.reference,
+      });
+    }
+
     return inputs;
   }
 
@@ -114,9 +162,52 @@ export default class SASHandler extends BaseCodeHandler {
       });
     }
 
+    const dataSets = this.getLibraryDataSets(text, /^\s*(data)\s+([^;]+);/gim);
+    for (let index = 0; index < dataSets.length; index++) {
+      const dataSet = dataSets[index];
+      outputs.push({
+        id: `${dataSet.statement} - ${dataSet.reference}`,
+        type: Constants.DependencyType.DATA,
+        path: dataSet.reference,
+      });
+    }
+
     return outputs;
   }
 
+  /**
+   * SAS doesn't usually change its working directory, but a libname statement assigns a folder
+   * to a library, and the data sets in the library are files in that folder.  We record these
+   * folders along with the name of the library.
+   * @param {string} uri The URI of the code file
+   * @param {string} text The SAS code
+   * @returns Array of library folders
+   */
+  getWorkingDirectories(uri, text) {
+    const directories = [];
+    if (!text || text.trim() === '') {
+      return directories;
+    }
+
+    // For this regex, the match groups:
+    // 0 - full match (not used)
+    // 1 - libname
+    // 2 - library name
+    // 3 - path (including quotes)
+    const matches = [...text.matchAll(/^\s*(libname)\s+(\w+)\s+(["'][^"']+["'])/gim)];
+    for (let index = 0; index < matches.length; index++) {
+      const match = matches[index];
+      const path = match[3].trim();
+      directories.push({
+        id: `${match[1]} ${match[2]} - ${path}`,
+        path,
+        library: match[2],
+      });
+    }
+
+    return directories;
+  }
+
   getLibraries(uri, text) {
     const libraries = [];
     if (!text || text.trim() === '') {
@@ -0,0 +1,341 @@
+import BaseDataHandler from './baseData';
+
+const fs = require('fs');
+
+// SAS data file extensions that we will read.
+// All lookups should be lowercase - we will do lowercase conversion before comparison.
+const FILE_EXTENSION_LIST = ['sas7bdat'];
+
+// The magic number at the start of every SAS7BDAT file
+const MAGIC_NUMBER = Buffer.from([
+  0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0xc2, 0xea, 0x81, 0x60,
+  0xb3, 0x14, 0x11, 0xcf, 0xbd, 0x92, 0x08, 0x00, 0x09, 0xc7, 0x31, 0x8c, 0x18, 0x1f, 0x10, 0x11,
+]);
+
+// The number of bytes we read to find the header length
+const MIN_HEADER_LENGTH = 288;
+
+// The variable information is stored in the first pages of the file.  We stop looking for it
+// after this many pages, in case the file isn't laid out the way we expect.
+const MAX_METADATA_PAGES = 1000;
+
+// Encodings that SAS records in the file header, and the label used to create a TextDecoder for
+// them.  The codes not listed here are less common, and we fall back to Windows-1252 (which
+// TextDecoder also uses for ISO-8859-1).
+const ENCODINGS = {
+  20: { name: 'UTF-8', decoding: 'utf-8' },
+  28: { name: 'US-ASCII', decoding: 'utf-8' },
+  29: { name: 'ISO-8859-1', decoding: 'iso-8859-1' },
+  62: { name: 'WINDOWS-1252', decoding: 'windows-1252' },
+};
+const DEFAULT_ENCODING = { name: 'WINDOWS-1252', decoding: 'windows-1252' };
+
+// Page types.  Metadata pages only contain subheaders, and mixed pages contain subheaders
+// followed by data.  Once we reach a data page, there is no more variable information.
+const METADATA_PAGE_TYPE_LIST = [0, 1024, 16384];
+const MIXED_PAGE_TYPE_LIST = [512, 640];
+const DATA_PAGE_TYPE = 256;
+
+// Subheader signatures, as a signed 32-bit integer in the byte order of the file
+const SUBHEADER_SIGNATURE = {
+  ROW_SIZE: -134744073, // F7F7F7F7
+  COLUMN_SIZE: -151587082, // F6F6F6F6
+  COLUMN_TEXT: -3, // FFFFFFFD
+  COLUMN_NAME: -1, // FFFFFFFF
+  COLUMN_ATTRIBUTES: -4, // FFFFFFFC
+  FORMAT_AND_LABEL: -1026, // FFFFFBFE
+};
+
+// Numeric columns that use one of these formats hold dates, or dates with times
+const DATE_FORMAT_PATTERN =
+  /^(?:DATE|DAY|DDMMYY|DOWNAME|JULDAY|JULIAN|MMDDYY|MMYY|MONNAME|MONTH|MONYY|QTR|WEEKDATE|WEEKDAY|WORDDATE|YEAR|YYMM|YYMMDD|YYQ|E8601DA|B8601DA|NLDATE)/i;
+const DATETIME_FORMAT_PATTERN = /^(?:DATETIME|DATEAMPM|E8601DT|B8601DT|NLDATM|MDYAMPM)/i;
+
+/**
+ * Metadata:
+ * {
+ *   id: 'StatWrap.SASDataHandler',
+ *   encoding: 'UTF-8',
+ *   columns: [
+ *     { name: 'visit_date', type: 'date', label: 'Date of visit', format: 'DATE9' },
+ *     ...
+ *   ],
+ *   rowCount: 1234
+ * }
+ *
+ * Column types are one of 'number', 'string', 'date' or 'datetime'.  Dates are numbers in SAS,
+ * so we use the format to tell when a column holds dates.  The label and format for a column are
+ * only included if they are set.  SAS keeps value labels (formats) in a separate catalog file, so
+ * they are not available from the data file.
+ *
+ * Only the file header and the subheaders that describe the columns are read - the data itself
+ * is skipped.
+ */
+export default class SASDataHandler extends BaseDataHandler {
+  static id = 'StatWrap.SASDataHandler';
+
+  static version = 1;
+
+  constructor() {
+    super(SASDataHandler.id, FILE_EXTENSION_LIST);
+  }
+
+  id() {
+    return SASDataHandler.id;
+  }
+
+  /**
+   * Read the file header, which describes the layout of the rest of the file
+   * @param {number} fd The file descriptor
+   * @returns Object with the details needed to read the pages
+   */
+  readHeader(fd) {
+    const header = this.readBytes(fd, 0, MIN_HEADER_LENGTH);
+    if (header.length < MIN_HEADER_LENGTH || !header.subarray(0, 32).equals(MAGIC_NUMBER)) {
+      throw new Error('Not a SAS data file');
+    }
+
+    // Files created on 64-bit systems use 8-byte integers, and have some fields shifted
+    const is64Bit = header[32] === 0x33;
+    const alignment = header[35] === 0x33 ? 4 : 0;
+    const littleEndian = header[37] === 0x01;
+    const readInt32 = (offset) =>
+      littleEndian ? header.readInt32LE(offset) : header.readInt32BE(offset);
+
+    const headerLength = readInt32(196 + alignment);
+    const pageLength = readInt32(200 + alignment);
+    let pageCount = 0;
+    if (is64Bit) {
+      pageCount = Number(
+        littleEndian
+          ? header.readBigInt64LE(204 + alignment)
+          : header.readBigInt64BE(204 + alignment),
+      );
+    } else {
+      pageCount = readInt32(204 + alignment);
+    }
+
+    return {
+      is64Bit,
+      littleEndian,
+      headerLength,
+      pageLength,
+      pageCount,
+      encoding: ENCODINGS[header[70]] || DEFAULT_ENCODING,
+    };
+  }
+
+  /**
+   * Create the functions used to read integers from a page, in the byte order of the file
+   * @param {Buffer} page The page
+   * @param {object} header The file header details
+   * @returns Object with functions to read 16-bit, 32-bit and file-sized integers
+   */
+  createReader(page, header) {
+    const { littleEndian, is64Bit } = header;
+    const reader = {
+      int16: (offset) => (littleEndian ? page.readInt16LE(offset) : page.readInt16BE(offset)),
+      uint16: (offset) => (littleEndian ? page.readUInt16LE(offset) : page.readUInt16BE(offset)),
+      int32: (offset) => (littleEndian ? page.readInt32LE(offset) : page.readInt32BE(offset)),
+    };
+    reader.int = is64Bit
+      ? (offset) => Number(littleEndian ? page.readBigInt64LE(offset) : page.readBigInt64BE(offset))
+      : reader.int32;
+    return reader;
+  }
+
+  /**
+   * Get the signature that identifies the type of a subheader.  On 64-bit files the signature
+   * takes 8 bytes, but the other 4 bytes are only padding.
+   * @param {object} reader The reader from createReader
+   * @param {number} offset The offset of the subheader within the page
+   * @param {object} header The file header details
+   * @returns The signature as a signed 32-bit integer
+   */
+  getSignature(reader, offset, header) {
+    return reader.int32(header.is64Bit && !header.littleEndian ? offset + 4 : offset);
+  }
+
+  /**
+   * Process the subheaders on a page, collecting the details we need into the state
+   * @param {Buffer} page The page
+   * @param {object} header The file header details
+   * @param {object} state The details collected from the subheaders so far
+   */
+  processPage(page, header, state) {
+    const reader = this.createReader(page, header);
+    const intLength = header.is64Bit ? 8 : 4;
+    const pageBitOffset = header.is64Bit ? 32 : 16;
+    const pointerLength = header.is64Bit ? 24 : 12;
+    const subheaderCount = reader.uint16(pageBitOffset + 4);
+
+    for (let index = 0; index < subheaderCount; index++) {
+      const pointer = pageBitOffset + 8 + index * pointerLength;
+      const offset = reader.int(pointer);
+      const length = reader.int(pointer + intLength);
+      const compression = page[pointer + intLength * 2];
+      // Empty and truncated subheaders don't contain anything, and compressed subheaders are rows
+      // of data.
+      if (length > 0 && compression === 0 && offset + length <= page.length) {
+        this.processSubheader(page.subarray(offset, offset + length), header, state);
+      }
+    }
+  }
+
+  /**
+   * Process a single subheader, collecting the details we need into the state
+   * @param {Buffer} subheader The subheader
+   * @param {object} header The file header details
+   * @param {object} state The details collected from the subheaders so far
+   */
+  processSubheader(subheader, header, state) {
+    const reader = this.createReader(subheader, header);
+    const intLength = header.is64Bit ? 8 : 4;
+    const signature = this.getSignature(reader, 0, header);
+
+    switch (signature) {
+      case SUBHEADER_SIGNATURE.ROW_SIZE:
+        state.rowCount = reader.int(6 * intLength);
+        break;
+      case SUBHEADER_SIGNATURE.COLUMN_SIZE:
+        state.columnCount = reader.int(intLength);
+        break;
+      case SUBHEADER_SIGNATURE.COLUMN_TEXT: {
+        // The text blocks are referenced by their position.  Offsets within a block are relative
+        // to the start of the length field that follows the signature.
+        const blockLength = reader.uint16(intLength);
+        state.textBlocks.push(subheader.subarray(intLength, intLength + blockLength));
+        break;
+      }
+      case SUBHEADER_SIGNATURE.COLUMN_NAME: {
+        const pointerCount = Math.floor((subheader.length - 2 * intLength - 12) / 8);
+        for (let index = 0; index < pointerCount; index++) {
+          const pointer = intLength + 8 * (index + 1);
+          state.names.push(
+            this.getText(
+              state,
+              reader.uint16(pointer),
+              reader.uint16(pointer + 2),
+              reader.uint16(pointer + 4),
+            ),
+          );
+        }
+        break;
+      }
+      case SUBHEADER_SIGNATURE.COLUMN_ATTRIBUTES: {
+        const vectorLength = intLength + 8;
+        const vectorCount = Math.floor((subheader.length - 2 * intLength - 12) / vectorLength);
+        for (let index = 0; index < vectorCount; index++) {
+          // A type of 1 is numeric, and 2 is character
+          state.types.push(
+            subheader[2 * intLength + 14 + index * vectorLength] === 1 ? 'number' : 'string',
+          );
+        }
+        break;
+      }
+      case SUBHEADER_SIGNATURE.FORMAT_AND_LABEL: {
+        const base = 3 * intLength;
+        state.formats.push(
+          this.getText(
+            state,
+            reader.uint16(base + 22),
+            reader.uint16(base + 24),
+            reader.uint16(base + 26),
+          ),
+        );
+        state.labels.push(
+          this.getText(
+            state,
+            reader.uint16(base + 28),
+            reader.uint16(base + 30),
+            reader.uint16(base + 32),
+          ),
+        );
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Get a piece of text from one of the column text blocks
+   * @param {object} state The details collected from the subheaders so far
+   * @param {number} blockIndex The position of the text block
+   * @param {number} offset The offset of the text within the block
+   * @param {number} length The length of the text
+   * @returns The raw bytes of the text (which are decoded once the encoding is known)
+   */
+  getText(state, blockIndex, offset, length) {
+    const block = state.textBlocks[Math.min(blockIndex, state.textBlocks.length - 1)];
+    return block ? block.subarray(offset, offset + length) : Buffer.alloc(0);
+  }
+
+  getMetadata(uri) {
+    const fd = fs.openSync(uri, 'r');
+    const state = {
+      rowCount: null,
+      columnCount: null,
+      textBlocks: [],
+      names: [],
+      types: [],
+      formats: [],
+      labels: [],
+    };
+    let header = null;
+    try {
+      header = this.readHeader(fd);
+      const pageLimit = Math.min(header.pageCount, MAX_METADATA_PAGES);
+      for (let pageIndex = 0; pageIndex < pageLimit; pageIndex++) {
+        const page = this.readBytes(
+          fd,
+          header.headerLength + pageIndex * header.pageLength,
+          header.pageLength,
+        );
+        if (page.length < header.pageLength) {
+          break;
+        }
+        const pageType = this.createReader(page, header).int16(header.is64Bit ? 32 : 16);
+        if (pageType === DATA_PAGE_TYPE) {
+          break;
+        }
+        if (METADATA_PAGE_TYPE_LIST.includes(pageType) || MIXED_PAGE_TYPE_LIST.includes(pageType)) {
+          this.processPage(page, header, state);
+        }
+        // Mixed pages hold the rest of the subheaders, followed by the start of the data
+        if (MIXED_PAGE_TYPE_LIST.includes(pageType)) {
+          break;
+        }
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    if (state.rowCount === null || state.names.length === 0) {
+      throw new Error('Unable to find the column information');
+    }
+
+    const decode = (buffer) => this.decodeText(buffer, header.encoding.decoding).trim();
+    const metadata = { encoding: header.encoding.name };
+    metadata.columns = state.names.map((name, index) => {
+      const format = state.formats[index] ? decode(state.formats[index]) : '';
+      let type = state.types[index] || 'string';
+      if (type === 'number' && DATETIME_FORMAT_PATTERN.test(format)) {
+        type = 'datetime';
+      } else if (type === 'number' && DATE_FORMAT_PATTERN.test(format)) {
+        type = 'date';
+      }
+      const column = { name: decode(name), type };
+      const label = state.labels[index] ? decode(state.labels[index]) : '';
+      if (label) {
+        column.label = label;
+      }
+      if (format) {
+        column.format = format;
+      }
+      return column;
+    });
+    metadata.rowCount = state.rowCount;
+    return metadata;
+  }
+}
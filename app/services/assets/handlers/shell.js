@@ -0,0 +1,305 @@
+import BaseCodeHandler from './baseCode';
+import Constants from '../../../constants/constants';
+
+// Shell script and Makefile extensions that we will scan.
+// All lookups should be lowercase - we will do lowercase conversion before comparison.
+const FILE_EXTENSION_LIST = ['sh', 'bash', 'mk'];
+
+// Makefiles usually don't have an extension, so we recognize them by their name.
+// All lookups should be lowercase - we will do lowercase conversion before comparison.
+const MAKEFILE_NAME_LIST = ['makefile', 'gnumakefile'];
+
+// The commands used to run code files in other languages, along with the extensions of the
+// files they run.  The commands and extensions are regex alternations.
+const INVOCATION_LIST = [
+  { commands: 'Rscript|R[ \\t]+CMD[ \\t]+BATCH', extensions: 'r' },
+  { commands: 'python[\\d.]*', extensions: 'py' },
+  { commands: 'stata(?:-?(?:mp|se|ic|be))?(?:-64)?(?:\\.exe)?', extensions: 'do' },
+  { commands: 'sas', extensions: 'sas' },
+  { commands: 'julia', extensions: 'jl' },
+  { commands: 'quarto[ \\t]+render', extensions: 'qmd|rmd|ipynb' },
+  { commands: 'bash|sh|source|\\.', extensions: 'sh|bash' },
+];
+
+// Extensions of files that are considered code when they are Make prerequisites or targets
+const CODE_EXTENSION_LIST = ['r', 'rmd', 'qmd', 'py', 'ipynb', 'do', 'sas', 'jl', 'sh', 'sql'];
+
+// Extensions of files that are considered figures when they are Make prerequisites or targets
+const FIGURE_EXTENSION_LIST = ['png', 'jpg', 'jpeg', 'gif', 'svg', 'pdf', 'eps', 'tif', 'tiff'];
+
+/**
+ * Metadata:
+ * {
+ *   id: 'StatWrap.ShellHandler'
+ * }
+ *
+ * Shell scripts and Makefiles are often used to run the other code in a project.  Instead of
+ * tracking libraries, this handler focuses on the code files that are run (as 'code' inputs),
+ * and for Makefiles the files that each rule depends on and creates.
+ */
+export default class ShellHandler extends BaseCodeHandler {
+  static id = 'StatWrap.ShellHandler';
+
+  static version = 4;
+
+  constructor() {
+    super(ShellHandler.id, FILE_EXTENSION_LIST);
+  }
+
+  id() {
+    return ShellHandler.id;
+  }
+
+  getLibraryId(packageName) {
+    return packageName || '(unknown)';
+  }
+
+  includeFile(uri) {
+    return super.includeFile(uri) || this.isMakefile(uri);
+  }
+
+  /**
+   * Determine if a URI refers to a Makefile
+   * @param {string} uri The URI of the file
+   * @returns true if the file is a Makefile, false otherwise
+   */
+  isMakefile(uri) {
+    if (!uri || uri.trim() === '') {
+      return false;
+    }
+    const fileName = this.getBaseFileName(uri);
+    return (
+      MAKEFILE_NAME_LIST.includes(fileName.toLowerCase()) || fileName.toLowerCase().endsWith('.mk')
+    );
+  }
+
+  /**
+   * Both shell scripts and Makefiles allow a line to be continued with a trailing backslash.
+   * We join these lines so that a command is on a single line.
+   * @param {string} text The code
+   * @returns The code with continued lines joined
+   */
+  joinContinuedLines(text) {
+    return text.replace(/\\\r?\n/g, ' ');
+  }
+
+  /**
+   * Determine the dependency type for a path, based on its extension
+   * @param {string} path The path
+   * @returns 'code' or a value from Constants.DependencyType
+   */
+  getDependencyTypeForPath(path) {
+    const extension = path.split('.').pop().toLowerCase();
+    if (CODE_EXTENSION_LIST.includes(extension)) {
+      return 'code';
+    }
+    return FIGURE_EXTENSION_LIST.includes(extension)
+      ? Constants.DependencyType.FIGURE
+      : Constants.DependencyType.DATA;
+  }
+
+  /**
+   * Parse the rules in a Makefile.  Pattern rules (%.csv), targets or prerequisites that use
+   * variables, and phony targets (e.g., all, clean) are not files, so they are excluded.  The
+   * separators for order-only prerequisites (|) and grouped targets (&:) are also excluded.  The
+   * prerequisites of phony targets (e.g., all: results.csv) are only listed so that they are
+   * built, and so they are excluded as well.
+   * @param {string} text The contents of the Makefile (with continued lines joined)
+   * @returns Array of objects with the targets and prerequisites for each rule
+   */
+  getMakeRules(text) {
+    // For this regex, the match groups:
+    // 0 - full match (not used)
+    // 1 - targets
+    // 2 - prerequisites
+    // A colon that is followed by = is a variable assignment (:=, ::=), not a rule.
+    const matches = [
+      ...text.matchAll(/^([^\s#:=][^#:=\r\n]*?)[ \t]*::?(?![=:])[ \t]*([^=#;\r\n]*)/gm),
+    ];
+    const phonyTargets = matches
+      .filter((m) => m[1].trim() === '.PHONY')
+      .map((m) => m[2].trim().split(/\s+/))
+      .flat();
+    const isFile = (name) =>
+      name !== '' &&
+      name !== '|' &&
+      name !== '&' &&
+      !name.startsWith('.') &&
+      !/[$%]/.test(name) &&
+      !phonyTargets.includes(name);
+
+    return matches
+      .map((m) => {
+        const targets = m[1].trim().split(/\s+/);
+        return {
+          targets: targets.filter(isFile),
+          prerequisites: targets.every((x) => phonyTargets.includes(x))
+            ? []
+            : m[2].trim().split(/\s+/).filter(isFile),
+        };
+      })
+      .filter((r) => r.targets.length > 0 || r.prerequisites.length > 0);
+  }
+
+  /**
+   * Determine if a redirection is to or from a variable (e.g., $OUT, "${file}", or Make's
+   * automatic variables like $@), which we can't resolve to a path.
+   * @param {string} path The redirection target, which may be quoted
+   * @returns {boolean} true if the target is a variable
+   */
+  isVariable(path) {
+    return path.replace(/^['"]/, '').startsWith('$');
+  }
+
+  getInputs(uri, text) {
+    const inputs = [];
+    if (!text || text.trim() === '') {
+      return inputs;
+    }
+
+    const code = this.joinContinuedLines(text);
+
+    // Code files that are run.  We only consider a command when it starts a statement, so that
+    // something like `find . -name x.sh` is not included.  Make recipes may start with @, - or +.
+    // Code passed on the command line (python -c, Rscript -e) or modules (python -m) are skipped.
+    for (let invocationIndex = 0; invocationIndex < INVOCATION_LIST.length; invocationIndex++) {
+      const invocation = INVOCATION_LIST[invocationIndex];
+      // For this regex, the match groups:
+      // 0 - full match (not used)
+      // 1 - command
+      // 2 - opening quote around the path (if any)
+      // 3 - path to the code file
+      const matches = [
+        ...code.matchAll(
+          new RegExp(
+            `(?:^|[;&|(])[ \\t]*[@+-]*(?:(?:then|do|else|time|nohup|exec)[ \\t]+)*(${invocation.commands})(?:[ \\t]+(?!-[cem]\\b)[^\\s;&|()<>]+)*?[ \\t]+(['"]?)([^\\s;&|()<>'"]+\\.(?:${invocation.extensions}))\\2(?=[\\s;&|)]|$)`,
+            'gim',
+          ),
+        ),
+      ];
+      for (let index = 0; index < matches.length; index++) {
+        const match = matches[index];
+        // Normalize the whitespace in the command, since it may have multiple parts
+        const command = match[1].replace(/\s+/g, ' ');
+        const path = match[3].trim();
+        inputs.push({
+          id: `${command} - ${path}`,
+          type: 'code',
+          path,
+        });
+      }
+    }
+
+    // Files that are redirected into a command.  <<, <<< and <( are not files, and neither is
+    // Make's $< automatic variable.
+    // For this regex, the match groups:
+    // 0 - full match (not used)
+    // 1 - path to the file
+    const redirectMatches = [
+      ...code.matchAll(/^[^#\r\n]*?(?<![<\d$])<(?![<(])[ \t]*(['"]?[^\s'";|&<>()]+['"]?)/gm),
+    ];
+    for (let index = 0; index < redirectMatches.length; index++) {
+      const path = redirectMatches[index][1].trim();
+      if (!this.isVariable(path)) {
+        inputs.push({
+          id: `< - ${path}`,
+          type: Constants.DependencyType.DATA,
+          path,
+        });
+      }
+    }
+
+    if (this.isMakefile(uri)) {
+      const rules = this.getMakeRules(code);
+      // Prerequisites that are built by another rule are outputs of the Makefile, not inputs
+      const targets = rules.flatMap((rule) => rule.targets);
+      rules.forEach((rule) => {
+        rule.prerequisites.forEach((path) => {
+          // A code file is often both a prerequisite and run by the recipe, so we only want to
+          // list it once.
+          if (!targets.includes(path) && !inputs.some((x) => x.path === path)) {
+            inputs.push({
+              id: `prerequisite - ${path}`,
+              type: this.getDependencyTypeForPath(path),
+              path,
+            });
+          }
+        });
+      });
+    }
+
+    return inputs;
+  }
+
+  getOutputs(uri, text) {
+    const outputs = [];
+    if (!text || text.trim() === '') {
+      return outputs;
+    }
+
+    const code = this.joinContinuedLines(text);
+
+    // Files that command output is redirected to.  File descriptor redirection (e.g., 2>&1) and
+    // /dev/null are not files we want to track.
+    // For this regex, the match groups:
+    // 0 - full match (not used)
+    // 1 - redirection operator
+    // 2 - path to the file
+    const redirectMatches = [
+      ...code.matchAll(/^[^#\r\n]*?(?<![>&])(>>?)(?!&)[ \t]*(['"]?[^\s'";|&<>()]+['"]?)/gm),
+    ];
+    for (let index = 0; index < redirectMatches.length; index++) {
+      const match = redirectMatches[index];
+      const path = match[2].trim();
+      if (path !== '/dev/null' && !this.isVariable(path)) {
+        outputs.push({
+          id: `${match[1]} - ${path}`,
+          type: Constants.DependencyType.DATA,
+          path,
+        });
+      }
+    }
+
+    if (this.isMakefile(uri)) {
+      const rules = this.getMakeRules(code);
+      rules.forEach((rule) => {
+        rule.targets.forEach((path) => {
+          if (!outputs.some((x) => x.path === path)) {
+            outputs.push({
+              id: `target - ${path}`,
+              type: this.getDependencyTypeForPath(path),
+              path,
+            });
+          }
+        });
+      });
+    }
+
+    return outputs;
+  }
+
+  getLibraries(uri, text) {
+    const libraries = [];
+    if (!text || text.trim() === '' || !this.isMakefile(uri)) {
+      return libraries;
+    }
+
+    // Other Makefiles that are included in this one
+    // For this regex, the match groups:
+    // 0 - full match (not used)
+    // 1 - the list of included files
+    const matches = [...text.matchAll(/^[ \t]*-?(?:include|sinclude)[ \t]+([^#\r\n]+)/gm)];
+    for (let index = 0; index < matches.length; index++) {
+      matches[index][1]
+        .trim()
+        .split(/\s+/)
+        .forEach((file) => {
+          libraries.push({
+            id: this.getLibraryId(file),
+            package: file,
+          });
+        });
+    }
+    return libraries;
+  }
+}
@@ -0,0 +1,164 @@
+import BaseCodeHandler from './baseCode';
+import Constants from '../../../constants/constants';
+
+// SPSS file extensions that we will scan.
+// All lookups should be lowercase - we will do lowercase conversion before comparison.
+const FILE_EXTENSION_LIST = ['sps'];
+
+// SPSS commands can span multiple lines and end with a period.  This matches the body of a command
+// up to the point we are interested in, without running past the end of the command.  Quoted
+// strings are allowed to contain periods (e.g., a file name in an earlier subcommand).
+const COMMAND_BODY = `(?:[^.'"]|'[^'\\r\\n]*'|"[^"\\r\\n]*")*?`;
+
+// A file specification is either a quoted path, or the name of a file handle
+const FILE_SPEC = `(['"][^'"\\r\\n]+?['"]|[^\\s/.'"]+)`;
+
+/**
+ * Metadata:
+ * {
+ *   id: 'StatWrap.SPSSHandler'
+ * }
+ */
+export default class SPSSHandler extends BaseCodeHandler {
+  static id = 'StatWrap.SPSSHandler';
+
+  static version = 2;
+
+  constructor() {
+    super(SPSSHandler.id, FILE_EXTENSION_LIST);
+  }
+
+  id() {
+    return SPSSHandler.id;
+  }
+
+  getLibraryId(packageName) {
+    return packageName || '(unknown)';
+  }
+
+  /**
+   * Utility to collect all matches for a command, where the file specification follows a
+   * specific keyword within that command (e.g., OUTFILE=).
+   * @param {array} list The collection of inputs or outputs to add to
+   * @param {string} text The code to search
+   * @param {string} commands Regex alternation of the command names to search for
+   * @param {string} keywords Regex alternation of the keywords that precede the file
+   * @param {string} type The dependency type to assign to each match
+   */
+  processCommandMatches(list, text, commands, keywords, type) {
+    // For this regex, the match groups:
+    // 0 - full match (not used)
+    // 1 - command name
+    // 2 - file path or file handle
+    const matches = [
+      ...text.matchAll(
+        new RegExp(
+          `^\\s*(${commands})\\b${COMMAND_BODY}\\b(?:${keywords})\\s*=\\s*${FILE_SPEC}`,
+          'gim',
+        ),
+      ),
+    ];
+    for (let index = 0; index < matches.length; index++) {
+      const match = matches[index];
+      // Normalize the whitespace in the command name, since it may span lines
+      const command = match[1].replace(/\s+/g, ' ');
+      const path = match[2].trim();
+      list.push({
+        id: `${command} - ${path}`,
+        type,
+        path,
+      });
+    }
+  }
+
+  getInputs(uri, text) {
+    const inputs = [];
+    if (!text || text.trim() === '') {
+      return inputs;
+    }
+
+    // GET FILE, GET DATA /FILE, GET SAS DATA, GET STATA FILE, GET TRANSLATE FILE, IMPORT FILE
+    this.processCommandMatches(
+      inputs,
+      text,
+      'get\\s+data|get\\s+sas|get\\s+stata|get\\s+translate|get|import',
+      'file|data',
+      Constants.DependencyType.DATA,
+    );
+    return inputs;
+  }
+
+  getOutputs(uri, text) {
+    const outputs = [];
+    if (!text || text.trim() === '') {
+      return outputs;
+    }
+
+    // SAVE OUTFILE, XSAVE OUTFILE, SAVE TRANSLATE OUTFILE, EXPORT OUTFILE, and variants of SAVE
+    // for other file formats.
+    this.processCommandMatches(
+      outputs,
+      text,
+      'save\\s+translate|save\\s+data\\s+collection|save\\s+codepage|save\\s+mdd|xsave|save|export',
+      'outfile',
+      Constants.DependencyType.DATA,
+    );
+
+    // Output documents generated from the viewer
+    this.processCommandMatches(
+      outputs,
+      text,
+      'output\\s+export|output\\s+save',
+      'documentfile|outfile',
+      Constants.DependencyType.FILE,
+    );
+    return outputs;
+  }
+
+  getLibraries(uri, text) {
+    const libraries = [];
+    if (!text || text.trim() === '') {
+      return libraries;
+    }
+
+    // Other syntax files that are run from this one
+    // For this regex, the match groups:
+    // 0 - full match (not used)
+    // 1 - included file name
+    const includeMatches = [
+      ...text.matchAll(
+        new RegExp(`^\\s*(?:insert|include)\\b${COMMAND_BODY}\\bfile\\s*=\\s*['"](.+?)['"]`, 'gim'),
+      ),
+    ];
+    for (let index = 0; index < includeMatches.length; index++) {
+      const match = includeMatches[index];
+      libraries.push({
+        id: this.getLibraryId(match[1]),
+        package: match[1],
+      });
+    }
+
+    // File handle definitions
+    // For this regex, the match groups:
+    // 0 - full match (not used)
+    // 1 - file handle name
+    // 2 - path to file or directory
+    const handleMatches = [
+      ...text.matchAll(
+        new RegExp(
+          `^\\s*file\\s+handle\\s+(\\S+)${COMMAND_BODY}\\bname\\s*=\\s*['"](.+?)['"]`,
+          'gim',
+        ),
+      ),
+    ];
+    for (let index = 0; index < handleMatches.length; index++) {
+      const match = handleMatches[index];
+      libraries.push({
+        id: this.getLibraryId(match[1]),
+        package: match[2],
+      });
+    }
+
+    return libraries;
+  }
+}
@@ -0,0 +1,402 @@
+import BaseDataHandler from './baseData';
+
+const fs = require('fs');
+
+// SPSS data file extensions that we will read.
+// All lookups should be lowercase - we will do lowercase conversion before comparison.
+const FILE_EXTENSION_LIST = ['sav', 'zsav'];
+
+// The length of the file header record
+const HEADER_LENGTH = 176;
+
+// The number of bytes read at a time from the dictionary
+const CHUNK_SIZE = 64 * 1024;
+
+// The largest dictionary (in bytes) that we will read.  The dictionary comes before the data and
+// is normally small, so this only guards against files that aren't valid.
+const MAX_DICTIONARY_BYTES = 64 * 1024 * 1024;
+
+// Record types within the dictionary
+const RECORD_TYPE = {
+  VARIABLE: 2,
+  VALUE_LABELS: 3,
+  VALUE_LABEL_VARIABLES: 4,
+  DOCUMENT: 6,
+  EXTENSION: 7,
+  DICTIONARY_END: 999,
+};
+
+// Subtypes of the extension record that we use
+const EXTENSION_SUBTYPE = {
+  LONG_VARIABLE_NAMES: 13,
+  VERY_LONG_STRINGS: 14,
+  CHARACTER_ENCODING: 20,
+};
+
+// Variables longer than this are split into segments, each stored as a separate variable
+const VERY_LONG_STRING_SEGMENT_WIDTH = 252;
+
+// Names of the print formats, indexed by their format type code.  The codes not listed here are
+// numeric formats that aren't used in practice.
+const FORMAT_NAMES = {
+  1: 'A',
+  2: 'AHEX',
+  3: 'COMMA',
+  4: 'DOLLAR',
+  5: 'F',
+  6: 'IB',
+  7: 'PIBHEX',
+  8: 'P',
+  9: 'PIB',
+  10: 'PK',
+  11: 'RB',
+  12: 'RBHEX',
+  15: 'Z',
+  16: 'N',
+  17: 'E',
+  20: 'DATE',
+  21: 'TIME',
+  22: 'DATETIME',
+  23: 'ADATE',
+  24: 'JDATE',
+  25: 'DTIME',
+  26: 'WKDAY',
+  27: 'MONTH',
+  28: 'MOYR',
+  29: 'QYR',
+  30: 'WKYR',
+  31: 'PCT',
+  32: 'DOT',
+  33: 'CCA',
+  34: 'CCB',
+  35: 'CCC',
+  36: 'CCD',
+  37: 'CCE',
+  38: 'EDATE',
+  39: 'SDATE',
+  40: 'MTIME',
+  41: 'YMDHMS',
+};
+
+// Format type codes for numeric variables that hold dates, and dates with times
+const DATE_FORMAT_LIST = [20, 23, 24, 28, 29, 30, 38, 39];
+const DATETIME_FORMAT_LIST = [22, 41];
+
+/**
+ * Metadata:
+ * {
+ *   id: 'StatWrap.SPSSDataHandler',
+ *   encoding: 'UTF-8',
+ *   label: 'Survey responses',
+ *   columns: [
+ *     { name: 'sex', type: 'number', label: 'Sex of respondent', format: 'F1.0', valueLabels: 'sex' },
+ *     ...
+ *   ],
+ *   rowCount: 1234,
+ *   valueLabels: {
+ *     sex: [ { value: 1, label: 'Male' }, { value: 2, label: 'Female' } ]
+ *   }
+ * }
+ *
+ * Column types are one of 'number', 'string', 'date' or 'datetime'.  Dates are numbers in SPSS,
+ * so we use the print format to tell when a column holds dates.  SPSS doesn't name its value
+ * label sets, so each set is named after the first variable that uses it.  The row count is
+ * null if it isn't recorded in the file header.
+ *
+ * Only the file header and dictionary are read - the data itself is skipped.
+ */
+export default class SPSSDataHandler extends BaseDataHandler {
+  static id = 'StatWrap.SPSSDataHandler';
+
+  static version = 1;
+
+  constructor() {
+    super(SPSSDataHandler.id, FILE_EXTENSION_LIST);
+  }
+
+  id() {
+    return SPSSDataHandler.id;
+  }
+
+  /**
+   * Get the name of the encoding, and the label used to create a TextDecoder for it.  Files
+   * written by older versions of SPSS don't say which encoding they use, so we assume
+   * Windows-1252 (which TextDecoder also uses for ISO-8859-1).
+   * @param {string} name The encoding name from the file, if there is one
+   * @returns Object with the encoding name and decoder label
+   */
+  getEncoding(name) {
+    if (name) {
+      try {
+        // Make sure the encoding is one that we can decode
+        new TextDecoder(name);
+        return { name: name.toUpperCase(), decoding: name };
+      } catch {
+        // Fall back to the default encoding
+      }
+    }
+    return { name: 'WINDOWS-1252', decoding: 'windows-1252' };
+  }
+
+  /**
+   * Get the format type code from a print format
+   * @param {number} format The print format from a variable record
+   * @returns The format type code
+   */
+  getFormatType(format) {
+    return Math.floor(format / 0x10000) % 0x100;
+  }
+
+  /**
+   * Convert a print format to its text representation (e.g., 'F8.2')
+   * @param {number} format The print format from a variable record
+   * @returns The format as text
+   */
+  formatToString(format) {
+    // The format is packed as 0x00TTWWDD (type, width and number of decimal places)
+    const type = this.getFormatType(format);
+    const width = Math.floor(format / 0x100) % 0x100;
+    const decimals = format % 0x100;
+    const name = FORMAT_NAMES[type] || `FORMAT${type}`;
+    return decimals > 0 ? `${name}${width}.${decimals}` : `${name}${width}`;
+  }
+
+  /**
+   * Read the file header and dictionary records, which describe the variables and come before
+   * the data in the file.
+   * @param {number} fd The file descriptor
+   * @returns Object with the header details, variables, value label sets and extension records
+   */
+  readDictionary(fd) {
+    const header = this.readBytes(fd, 0, HEADER_LENGTH);
+    if (header.length < HEADER_LENGTH || !/^\$FL[23]$/.test(header.toString('latin1', 0, 4))) {
+      throw new Error('Not an SPSS data file');
+    }
+
+    // The layout code is always 2 or 3, which tells us the byte order of the file
+    const layoutCode = header.readInt32LE(64);
+    const littleEndian = layoutCode === 2 || layoutCode === 3;
+
+    // Read the rest of the file as needed, in chunks
+    let buffer = Buffer.alloc(0);
+    let bufferStart = HEADER_LENGTH;
+    let position = HEADER_LENGTH;
+    const read = (length) => {
+      if (position - HEADER_LENGTH + length > MAX_DICTIONARY_BYTES) {
+        throw new Error('The dictionary is too large');
+      }
+      if (position + length > bufferStart + buffer.length) {
+        const remaining = buffer.subarray(position - bufferStart);
+        const chunk = this.readBytes(
+          fd,
+          bufferStart + buffer.length,
+          Math.max(CHUNK_SIZE, length - remaining.length),
+        );
+        buffer = Buffer.concat([remaining, chunk]);
+        bufferStart = position;
+        if (buffer.length < length) {
+          throw new Error('Unexpected end of file');
+        }
+      }
+      const bytes = buffer.subarray(position - bufferStart, position - bufferStart + length);
+      position += length;
+      return bytes;
+    };
+    const readInt32 = () => {
+      const bytes = read(4);
+      return littleEndian ? bytes.readInt32LE(0) : bytes.readInt32BE(0);
+    };
+    const readDouble = (bytes) => (littleEndian ? bytes.readDoubleLE(0) : bytes.readDoubleBE(0));
+
+    const dictionary = {
+      caseCount: littleEndian ? header.readInt32LE(80) : header.readInt32BE(80),
+      label: header.subarray(109, 173),
+      // Every variable record, including those that continue a long string variable, so that
+      // the indexes used by value label records line up.
+      records: [],
+      valueLabelSets: [],
+      extensions: {},
+    };
+    let pendingLabels = null;
+    for (;;) {
+      const recordType = readInt32();
+      if (recordType === RECORD_TYPE.VARIABLE) {
+        const type = readInt32();
+        const hasLabel = readInt32();
+        const missingValueCount = readInt32();
+        const printFormat = readInt32();
+        readInt32(); // write format
+        const record = { type, printFormat, name: read(8), label: null };
+        if (hasLabel === 1) {
+          const labelLength = readInt32();
+          record.label = read(labelLength);
+          // Labels are padded to a multiple of 4 bytes
+          read((4 - (labelLength % 4)) % 4);
+        }
+        read(Math.abs(missingValueCount) * 8);
+        dictionary.records.push(record);
+      } else if (recordType === RECORD_TYPE.VALUE_LABELS) {
+        const labelCount = readInt32();
+        pendingLabels = [];
+        for (let index = 0; index < labelCount; index++) {
+          const value = read(8);
+          const labelLength = read(1)[0];
+          const label = read(labelLength);
+          // The length and label are padded to a multiple of 8 bytes
+          read((8 - ((labelLength + 1) % 8)) % 8);
+          pendingLabels.push({ value, numericValue: readDouble(value), label });
+        }
+      } else if (recordType === RECORD_TYPE.VALUE_LABEL_VARIABLES) {
+        const variableCount = readInt32();
+        const variableIndexes = [];
+        for (let index = 0; index < variableCount; index++) {
+          variableIndexes.push(readInt32());
+        }
+        if (pendingLabels) {
+          dictionary.valueLabelSets.push({ labels: pendingLabels, variableIndexes });
+          pendingLabels = null;
+        }
+      } else if (recordType === RECORD_TYPE.DOCUMENT) {
+        read(readInt32() * 80);
+      } else if (recordType === RECORD_TYPE.EXTENSION) {
+        const subtype = readInt32();
+        const size = readInt32();
+        const count = readInt32();
+        dictionary.extensions[subtype] = read(size * count);
+      } else if (recordType === RECORD_TYPE.DICTIONARY_END) {
+        break;
+      } else {
+        throw new Error(`Unknown record type ${recordType}`);
+      }
+    }
+    return { ...dictionary, littleEndian };
+  }
+
+  /**
+   * Parse an extension record made up of NAME=value pairs
+   * @param {Buffer} record The extension record
+   * @param {string} separator The character between each pair
+   * @param {function} decode Function that decodes the record to text
+   * @returns Object mapping the names to values
+   */
+  parsePairs(record, separator, decode) {
+    const pairs = {};
+    if (!record) {
+      return pairs;
+    }
+
+    decode(record)
+      .split(separator)
+      .forEach((pair) => {
+        const index = pair.indexOf('=');
+        if (index > 0) {
+          pairs[pair.substring(0, index).trim()] = pair.substring(index + 1).replace(/\0/g, '');
+        }
+      });
+    return pairs;
+  }
+
+  getMetadata(uri) {
+    const fd = fs.openSync(uri, 'r');
+    let dictionary = null;
+    try {
+      dictionary = this.readDictionary(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    const encodingRecord = dictionary.extensions[EXTENSION_SUBTYPE.CHARACTER_ENCODING];
+    const encoding = this.getEncoding(
+      encodingRecord ? encodingRecord.toString('latin1').trim() : null,
+    );
+    const decode = (buffer) => this.decodeText(buffer, encoding.decoding);
+
+    // Variable names in the variable records are limited to 8 characters, so the full names are
+    // kept in an extension record.
+    const longNames = this.parsePairs(
+      dictionary.extensions[EXTENSION_SUBTYPE.LONG_VARIABLE_NAMES],
+      '\t',
+      (buffer) => new TextDecoder(encoding.decoding).decode(buffer),
+    );
+    const veryLongStrings = this.parsePairs(
+      dictionary.extensions[EXTENSION_SUBTYPE.VERY_LONG_STRINGS],
+      '\t',
+      (buffer) => new TextDecoder(encoding.decoding).decode(buffer),
+    );
+
+    // Map the dictionary index (1-based, and counting continuation records) to the variable
+    const variableByIndex = {};
+    const variables = [];
+    let remainingSegments = 0;
+    dictionary.records.forEach((record, index) => {
+      // A type of -1 marks a record that continues the previous string variable
+      if (record.type === -1) {
+        return;
+      }
+      const shortName = decode(record.name);
+      // Strings longer than 255 characters are stored as a series of segments.  Only the first
+      // segment is kept as the variable.
+      if (remainingSegments > 0) {
+        remainingSegments -= 1;
+        return;
+      }
+      if (veryLongStrings[shortName]) {
+        const width = parseInt(veryLongStrings[shortName], 10);
+        remainingSegments = Math.ceil(width / VERY_LONG_STRING_SEGMENT_WIDTH) - 1;
+      }
+
+      const variable = {
+        name: longNames[shortName] || shortName,
+        formatType: this.getFormatType(record.printFormat),
+        record,
+      };
+      variableByIndex[index + 1] = variable;
+      variables.push(variable);
+    });
+
+    const valueLabels = {};
+    dictionary.valueLabelSets.forEach((set) => {
+      const setVariables = set.variableIndexes.map((x) => variableByIndex[x]).filter((x) => x);
+      if (setVariables.length === 0) {
+        return;
+      }
+      const isString = setVariables[0].record.type > 0;
+      const setName = setVariables[0].name;
+      valueLabels[setName] = set.labels.map((x) => ({
+        value: isString ? decode(x.value) : x.numericValue,
+        label: decode(x.label),
+      }));
+      setVariables.forEach((variable) => {
+        variable.valueLabels = setName;
+      });
+    });
+
+    const metadata = { encoding: encoding.name };
+    const label = decode(dictionary.label);
+    if (label) {
+      metadata.label = label;
+    }
+    metadata.columns = variables.map((variable) => {
+      let type = 'number';
+      if (variable.record.type > 0) {
+        type = 'string';
+      } else if (DATE_FORMAT_LIST.includes(variable.formatType)) {
+        type = 'date';
+      } else if (DATETIME_FORMAT_LIST.includes(variable.formatType)) {
+        type = 'datetime';
+      }
+      const column = { name: variable.name, type };
+      if (variable.record.label) {
+        column.label = decode(variable.record.label);
+      }
+      column.format = this.formatToString(variable.record.printFormat);
+      if (variable.valueLabels) {
+        column.valueLabels = variable.valueLabels;
+      }
+      return column;
+    });
+    metadata.rowCount = dictionary.caseCount >= 0 ? dictionary.caseCount : null;
+    metadata.valueLabels = valueLabels;
+    return metadata;
+  }
+}
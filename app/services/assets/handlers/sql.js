@@ -0,0 +1,271 @@
+import BaseCodeHandler from './baseCode';
+import Constants from '../../../constants/constants';
+
+// SQL file extensions that we will scan.
+// All lookups should be lowercase - we will do lowercase conversion before comparison.
+const FILE_EXTENSION_LIST = ['sql'];
+
+// A table name may be schema (and database) qualified, and each part of the name may be quoted
+// using the conventions of different databases (e.g., "name", [name], `name`).
+const IDENTIFIER = '(?:[\\w$]+|"[^"\\r\\n]+"|\\[[^\\]\\r\\n]+\\]|`[^`\\r\\n]+`)';
+const TABLE_NAME = `(${IDENTIFIER}(?:\\s*\\.\\s*${IDENTIFIER})*)(?![\\w$]|\\s*\\.)`;
+
+// Keywords that can directly follow FROM or JOIN, but are not table names
+const NON_TABLE_KEYWORDS = ['lateral', 'only', 'select', 'values'];
+
+/**
+ * Metadata:
+ * {
+ *   id: 'StatWrap.SQLHandler'
+ * }
+ */
+export default class SQLHandler extends BaseCodeHandler {
+  static id = 'StatWrap.SQLHandler';
+
+  static version = 3;
+
+  constructor() {
+    super(SQLHandler.id, FILE_EXTENSION_LIST);
+  }
+
+  id() {
+    return SQLHandler.id;
+  }
+
+  getLibraryId(packageName) {
+    return packageName || '(unknown)';
+  }
+
+  /**
+   * SQL statements can span multiple lines, so instead of excluding commented lines as we do for
+   * other languages, we remove the comments before searching.  String literals are kept as-is so
+   * that something like '--' within a string is not treated as a comment.
+   * @param {string} text The code to remove comments from
+   * @returns The code with all comments removed
+   */
+  removeComments(text) {
+    return text.replace(/('(?:[^']|'')*')|\/\*[\s\S]*?\*\/|--[^\r\n]*/g, (match, literal) =>
+      literal !== undefined ? literal : ' ',
+    );
+  }
+
+  /**
+   * Table names are never within string literals, so before searching for tables we replace each
+   * literal with an empty one.  That way something like SELECT 'from x' isn't treated as reading
+   * the table x.  The empty literal is kept so that patterns which expect a quoted file path (e.g.,
+   * COPY table FROM 'file.csv') still match.
+   * @param {string} text The code (with comments removed) to remove string literals from
+   * @returns The code with the contents of all string literals removed
+   */
+  removeStringLiterals(text) {
+    return text.replace(/'(?:[^']|'')*'/g, "''");
+  }
+
+  /**
+   * Find the names of common table expressions (WITH name AS (...)).  These look like tables
+   * when they are used in a FROM clause, but only exist within the statement.
+   * @param {string} text The code to search
+   * @returns Array of lowercase CTE names
+   */
+  getCommonTableExpressionNames(text) {
+    // For this regex, the match groups:
+    // 0 - full match (not used)
+    // 1 - CTE name
+    const matches = [
+      ...text.matchAll(
+        new RegExp(
+          `(?:\\bwith(?:\\s+recursive)?|,)\\s+(${IDENTIFIER})\\s*(?:\\([^()]*\\)\\s*)?as\\s*(?:not\\s+)?(?:materialized\\s*)?\\(`,
+          'gi',
+        ),
+      ),
+    ];
+    return matches.map((m) => m[1].toLowerCase());
+  }
+
+  /**
+   * Utility to add a table to the list of inputs or outputs.  Unlike files, the table name is
+   * used as the id (without the statement that referenced it).  That way the same table read by
+   * one script and written by another will be treated as the same dependency, giving us the
+   * table-level lineage across scripts.
+   * @param {array} list The collection of inputs or outputs to add to
+   * @param {string} table The table name
+   */
+  addTable(list, table) {
+    // Normalize whitespace around the schema separator (e.g., "raw . patients")
+    const name = table.replace(/\s*\.\s*/g, '.');
+    if (list.some((x) => x.id === name)) {
+      return;
+    }
+    list.push({
+      id: name,
+      type: Constants.DependencyType.TABLE,
+      path: name,
+    });
+  }
+
+  /**
+   * Utility to collect all matches for statements that reference a file (e.g., COPY ... TO
+   * 'file.csv').  The file path is always a quoted string.
+   * @param {array} list The collection of inputs or outputs to add to
+   * @param {string} text The code to search (with comments removed)
+   * @param {string} pattern Regex to find the statement.  It must contain a group for the
+   *  statement name, followed by a group for the quoted path.
+   */
+  processFileMatches(list, text, pattern) {
+    // For this regex, the match groups:
+    // 0 - full match (not used)
+    // 1 - statement name
+    // 2 - quoted path
+    const matches = [...text.matchAll(new RegExp(pattern, 'gi'))];
+    for (let index = 0; index < matches.length; index++) {
+      const match = matches[index];
+      // Normalize the whitespace in the statement name, since it may span lines
+      const statement = match[1].replace(/\s+/g, ' ');
+      const path = match[2].trim();
+      list.push({
+        id: `${statement} - ${path}`,
+        type: Constants.DependencyType.DATA,
+        path,
+      });
+    }
+  }
+
+  getInputs(uri, text) {
+    const inputs = [];
+    if (!text || text.trim() === '') {
+      return inputs;
+    }
+
+    const code = this.removeComments(text);
+    const tableCode = this.removeStringLiterals(code);
+    const cteNames = this.getCommonTableExpressionNames(tableCode);
+
+    // Tables read in a FROM or JOIN clause.  We need to exclude places where FROM is used for
+    // something other than reading a table, such as DELETE FROM, IS DISTINCT FROM, and functions
+    // like EXTRACT(YEAR FROM dt).  Table functions (e.g., FROM unnest(x)) are also excluded.
+    // For this regex, the match groups:
+    // 0 - full match (not used)
+    // 1 - table name
+    const tableMatches = [
+      ...tableCode.matchAll(
+        new RegExp(
+          `(?<!\\b(?:delete|distinct)\\s+)(?<!\\b(?:extract|substring|trim|overlay|position)\\s*\\([^()]*)\\b(?:from|join)\\s+${TABLE_NAME}(?!\\s*\\()`,
+          'gi',
+        ),
+      ),
+      // COPY table TO 'file' reads from the table
+      ...tableCode.matchAll(
+        new RegExp(`\\bcopy\\s+${TABLE_NAME}\\s*(?:\\([^()]*\\)\\s*)?to\\b`, 'gi'),
+      ),
+    ];
+    for (let index = 0; index < tableMatches.length; index++) {
+      const table = tableMatches[index][1];
+      const lowerTable = table.toLowerCase();
+      if (!NON_TABLE_KEYWORDS.includes(lowerTable) && !cteNames.includes(lowerTable)) {
+        this.addTable(inputs, table);
+      }
+    }
+
+    // Files that are loaded into tables, or queried directly (e.g., DuckDB's FROM 'data.csv')
+    this.processFileMatches(
+      inputs,
+      code,
+      `\\b(copy)\\s+${IDENTIFIER}(?:\\s*\\.\\s*${IDENTIFIER})*\\s*(?:\\([^()]*\\)\\s*)?from\\s+('[^'\\r\\n]+')`,
+    );
+    this.processFileMatches(
+      inputs,
+      code,
+      `\\b(load\\s+data(?:\\s+local)?\\s+infile)\\s+('[^'\\r\\n]+')`,
+    );
+    this.processFileMatches(inputs, code, `(?<!\\bcopy\\s[^;]*)\\b(from|join)\\s+('[^'\\r\\n]+')`);
+    return inputs;
+  }
+
+  getOutputs(uri, text) {
+    const outputs = [];
+    if (!text || text.trim() === '') {
+      return outputs;
+    }
+
+    const code = this.removeComments(text);
+    const tableCode = this.removeStringLiterals(code);
+
+    // Tables that are written to
+    // For this regex, the match groups:
+    // 0 - full match (not used)
+    // 1 - table name
+    const tableMatches = [
+      ...tableCode.matchAll(
+        new RegExp(`\\binsert\\s+(?:into|overwrite\\s+table)\\s+${TABLE_NAME}`, 'gi'),
+      ),
+      ...tableCode.matchAll(
+        new RegExp(
+          `\\bcreate\\s+(?:or\\s+replace\\s+)?(?:(?:global\\s+|local\\s+)?(?:temp|temporary)\\s+|unlogged\\s+)?table\\s+(?:if\\s+not\\s+exists\\s+)?${TABLE_NAME}\\s*(?:\\([^()]*\\)\\s*)?as\\b`,
+          'gi',
+        ),
+      ),
+      // COPY table FROM 'file' writes to the table
+      ...tableCode.matchAll(
+        new RegExp(`\\bcopy\\s+${TABLE_NAME}\\s*(?:\\([^()]*\\)\\s*)?from\\s+'`, 'gi'),
+      ),
+    ];
+    for (let index = 0; index < tableMatches.length; index++) {
+      this.addTable(outputs, tableMatches[index][1]);
+    }
+
+    // Files that are exported.  COPY can export a table or the results of a query.
+    this.processFileMatches(
+      outputs,
+      code,
+      `\\b(copy)\\s+(?:\\((?:[^'()]|'[^'\\r\\n]*'|\\([^()]*\\))*\\)|[^;]*?)\\s*\\bto\\s+('[^'\\r\\n]+')`,
+    );
+    this.processFileMatches(outputs, code, `\\b(into\\s+(?:outfile|dumpfile))\\s+('[^'\\r\\n]+')`);
+    return outputs;
+  }
+
+  getLibraries(uri, text) {
+    const libraries = [];
+    if (!text || text.trim() === '') {
+      return libraries;
+    }
+
+    // Database extensions (e.g., CREATE EXTENSION postgis, or DuckDB's INSTALL/LOAD httpfs)
+    // For this regex, the match groups:
+    // 0 - full match (not used)
+    // 1 - extension name
+    const code = this.removeComments(text);
+    const extensionMatches = [
+      ...code.matchAll(
+        /\bcreate\s+extension\s+(?:if\s+not\s+exists\s+)?["']?([\w-]+)["']?|^\s*(?:install|load)\s+["']?([\w-]+)["']?\s*;/gim,
+      ),
+    ];
+    for (let index = 0; index < extensionMatches.length; index++) {
+      const match = extensionMatches[index];
+      const extension = match[1] || match[2];
+      libraries.push({
+        id: this.getLibraryId(extension),
+        package: extension,
+      });
+    }
+
+    // Other scripts that are run from this one, using client commands (e.g., psql's \i, MySQL's
+    // SOURCE, or sqlcmd's :r)
+    // For this regex, the match groups:
+    // 0 - full match (not used)
+    // 1 - script path
+    const includeMatches = [
+      ...code.matchAll(
+        /^\s*(?:\\i|\\ir|\\include|\\include_relative|source|:r)[ \t]+['"]?([^'";\s]+)/gim,
+      ),
+    ];
+    for (let index = 0; index < includeMatches.length; index++) {
+      const match = includeMatches[index];
+      libraries.push({
+        id: this.getLibraryId(match[1]),
+        package: match[1],
+      });
+    }
+
+    return libraries;
+  }
+}
@@ -14,6 +14,8 @@ const FILE_EXTENSION_LIST = ['do', 'ado'];
 export default class StataHandler extends BaseCodeHandler {
   static id = 'StatWrap.StataHandler';
 
+  static version = 5;
+
   constructor() {
     super(StataHandler.id, FILE_EXTENSION_LIST);
   }
@@ -40,12 +42,72 @@ export default class StataHandler extends BaseCodeHandler {
     }
   }
 
+  /**
+   * Stata code builds paths using macros (e.g., use "$data/survey.dta"), which Stata expands as
+   * text before running each command.  We do the same for the global and local macros that are
+   * defined in the code, going line by line so that a macro has the value it was given most
+   * recently.  References to macros that aren't defined in the code (e.g., in a profile.do) are
+   * left as-is.
+   * @param {string} text The code
+   * @returns The code, with the macros that are defined in it expanded
+   */
+  evaluatePathExpressions(text) {
+    if (!text) {
+      return text;
+    }
+
+    const macros = { global: {}, local: {} };
+    return text
+      .split('\n')
+      .map((line) => {
+        // For this regex, the match groups:
+        // 0 - full match (not used)
+        // 1 - global macro name, when using ${name}
+        // 2 - global macro name, when using $name
+        // 3 - local macro name
+        const code = line.replace(
+          /\$\{(\w+)\}|\$([A-Za-z_]\w*)|`(\w+)'/g,
+          (match, bracedGlobal, global, local) => {
+            const value = local ? macros.local[local] : macros.global[bracedGlobal || global];
+            return value !== undefined ? value : match;
+          },
+        );
+
+        // For this regex, the match groups:
+        // 0 - full match (not used)
+        // 1 - macro type
+        // 2 - macro name
+        // 3 - = if the value is an expression
+        // 4 - value (without any trailing // comment)
+        const definition = code.match(
+          /^\s*(gl(?:obal)?|loc(?:al)?)\s+(\w+)\s*(=)?\s*(.*?)(?:\s+\/\/.*)?\s*$/,
+        );
+        if (definition) {
+          const type = definition[1].startsWith('g') ? 'global' : 'local';
+          // Values may be wrapped in regular or compound quotes (`"..."')
+          const value = definition[4].replace(/^`(".*")'$/, '$1');
+          const literal = this.parseStringLiteral(value);
+          if (literal !== null) {
+            macros[type][definition[2]] = literal;
+          } else if (!definition[3] && value !== '') {
+            macros[type][definition[2]] = value;
+          } else {
+            delete macros[type][definition[2]];
+          }
+        }
+        return code;
+      })
+      .join('\n');
+  }
+
   getInputs(uri, text) {
     const inputs = [];
     if (!text || text.trim() === '') {
       return inputs;
     }
 
+    const code = this.evaluatePathExpressions(text);
+
     // TODO: The following scenarios are not currently handled
     // 1 - Multi-line
     //   export excel \\
@@ -54,7 +116,7 @@ export default class StataHandler extends BaseCodeHandler {
     // 2 - sasxport with 'if' statement
     //   export sasxport5 v1 v2 v3 using mydata if tvar==2010
     const importMatches = [
-      ...text.matchAll(
+      ...code.matchAll(
         /^\s*?((?:import\s+(?:excel|delimited|sasxport|sasxport5|sasxport8|dbase))|(?:infile|inf|infix|xmluse))\s+?(?:(?:.*)using\s+([^,]+?)|([^,]+?))\s*?(?:$|[\r\n,])/gm,
       ),
     ];
@@ -69,6 +131,26 @@ export default class StataHandler extends BaseCodeHandler {
       });
     }
 
+    // Stata datasets may be loaded in full (use "data.dta") or in part, where the path comes after
+    // the variables and conditions (use id age if age > 18 using "data.dta").
+    // For this regex, the match groups:
+    // 0 - full match (not used)
+    // 1 - command
+    // 2 - path, when it follows using
+    // 3 - path, when it follows the command
+    const useMatches = [
+      ...code.matchAll(/^\s*(use)\s+(?:.*\busing\s+([^,\r\n]+?)|([^,\s][^,\r\n]*?))\s*(?:$|,)/gm),
+    ];
+    for (let index = 0; index < useMatches.length; index++) {
+      const match = useMatches[index];
+      const path = match[2] ? match[2].trim() : match[3].trim();
+      inputs.push({
+        id: `${match[1]} - ${path}`,
+        type: Constants.DependencyType.DATA,
+        path,
+      });
+    }
+
     return inputs;
   }
 
@@ -78,8 +160,10 @@ export default class StataHandler extends BaseCodeHandler {
       return outputs;
     }
 
+    const code = this.evaluatePathExpressions(text);
+
     const figureMatches = [
-      ...text.matchAll(/^\s*(gr(?:aph)? export)\s*([\s\S]+?)(?:,[\s\S]+?)?$/gm),
+      ...code.matchAll(/^\s*(gr(?:aph)? export)\s*([\s\S]+?)(?:,[\s\S]+?)?$/gm),
     ];
     for (let index = 0; index < figureMatches.length; index++) {
       const match = figureMatches[index];
@@ -91,7 +175,7 @@ export default class StataHandler extends BaseCodeHandler {
       });
     }
 
-    const logMatches = [...text.matchAll(/^\s*((?:cmd)?log)\s*using\b([\w\W]*?)(?:$|[\r\n,])/gm)];
+    const logMatches = [...code.matchAll(/^\s*((?:cmd)?log)\s*using\b([\w\W]*?)(?:$|[\r\n,])/gm)];
     for (let index = 0; index < logMatches.length; index++) {
       const match = logMatches[index];
       const path = match[2].trim();
@@ -110,7 +194,7 @@ export default class StataHandler extends BaseCodeHandler {
     // 2 - sasxport with 'if' statement
     //   export sasxport5 v1 v2 v3 using mydata if tvar==2010
     const exportMatches = [
-      ...text.matchAll(
+      ...code.matchAll(
         /^\s*?((?:export\s+(?:excel|delimited|sasxport|sasxport5|sasxport8|dbase))|outfile|xmlsave)\s+?(?:(?:.*)using\s+([^,]+?)|([^,]+?))\s*?(?:$|[\r\n,])/gm,
       ),
     ];
@@ -125,8 +209,25 @@ export default class StataHandler extends BaseCodeHandler {
       });
     }
 
+    // Without a path (save, replace), save writes to the dataset that was last used, so there is
+    // nothing new to report.
+    // For this regex, the match groups:
+    // 0 - full match (not used)
+    // 1 - command
+    // 2 - path
+    const saveMatches = [...code.matchAll(/^\s*(save(?:old)?)\s+([^,\s][^,\r\n]*?)\s*(?:$|,)/gm)];
+    for (let index = 0; index < saveMatches.length; index++) {
+      const match = saveMatches[index];
+      const path = match[2].trim();
+      outputs.push({
+        id: `${match[1]} - ${path}`,
+        type: Constants.DependencyType.DATA,
+        path,
+      });
+    }
+
     const putMatches = [
-      ...text.matchAll(/^\s*(putdocx|putexcel|putpdf)\s+save\s+([\s\S]+?)(?:,[\s\S]+?)?$/gm),
+      ...code.matchAll(/^\s*(putdocx|putexcel|putpdf)\s+save\s+([\s\S]+?)(?:,[\s\S]+?)?$/gm),
     ];
     for (let index = 0; index < putMatches.length; index++) {
       const match = putMatches[index];
@@ -141,7 +242,7 @@ export default class StataHandler extends BaseCodeHandler {
     // estout is a package, but used pretty widely and supported in StatTag so we
     // are supporting it here.
     const estMatches = [
-      ...text.matchAll(
+      ...code.matchAll(
         /^\s*(est(?:out|add|tab))\s+(?:using)\s+([^,\r\n,#]+?\.[^,\r\n,#]+?)(?:[, \r\n,#]|$)/gm,
       ),
     ];
@@ -158,7 +259,7 @@ export default class StataHandler extends BaseCodeHandler {
     // tableone is a package, but used pretty widely and supported in StatTag so we
     // are supporting it here.
     const table1Matches = [
-      ...text.matchAll(
+      ...code.matchAll(
         /^\s*(table1)[\s\S]+?(?:saving)\s*?\(\s*([^,\r\n,#]+?\.[^,\r\n,#]+?)\s*[,\r\n,#][\s\S]*?\)\s*?$/gm,
       ),
     ];
@@ -175,6 +276,32 @@ export default class StataHandler extends BaseCodeHandler {
     return outputs;
   }
 
+  getWorkingDirectories(uri, text) {
+    const directories = [];
+    if (!text || text.trim() === '') {
+      return directories;
+    }
+
+    const code = this.evaluatePathExpressions(text);
+
+    // Using cd without a path just reports the current directory, so we require one.
+    // For this regex, the match groups:
+    // 0 - full match (not used)
+    // 1 - command
+    // 2 - path (which may or may not be quoted)
+    const matches = [...code.matchAll(/^\s*(cd|chdir)\s+("[^"]+"|[^\s"]+)\s*$/gm)];
+    for (let index = 0; index < matches.length; index++) {
+      const match = matches[index];
+      const path = match[2].trim();
+      directories.push({
+        id: `${match[1]} - ${path}`,
+        path,
+      });
+    }
+
+    return directories;
+  }
+
   getLibraries(uri, text) {
     const libraries = [];
     if (!text || text.trim() === '') {
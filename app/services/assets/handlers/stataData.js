@@ -0,0 +1,406 @@
+import BaseDataHandler from './baseData';
+
+const fs = require('fs');
+
+// Stata data file extensions that we will read.
+// All lookups should be lowercase - we will do lowercase conversion before comparison.
+const FILE_EXTENSION_LIST = ['dta'];
+
+// Releases that use the XML-like tagged format (Stata 13 and later)
+const TAGGED_RELEASE_LIST = [117, 118, 119];
+
+// Releases that use the older binary format (Stata 8 through 12)
+const BINARY_RELEASE_LIST = [113, 114, 115];
+
+// The largest value label section (in bytes) that we will read.  Value labels normally take up
+// very little space, but we don't want an unusual file to use a lot of memory.
+const MAX_VALUE_LABEL_BYTES = 16 * 1024 * 1024;
+
+// Storage types used by the tagged format.  Values from 1 to 2045 are fixed-width strings.
+const TAGGED_STORAGE_TYPES = {
+  32768: { name: 'strL', type: 'string' },
+  65526: { name: 'double', type: 'number', width: 8 },
+  65527: { name: 'float', type: 'number', width: 4 },
+  65528: { name: 'long', type: 'integer', width: 4 },
+  65529: { name: 'int', type: 'integer', width: 2 },
+  65530: { name: 'byte', type: 'integer', width: 1 },
+};
+
+// Storage types used by the older binary format.  Values from 1 to 244 are fixed-width strings.
+const BINARY_STORAGE_TYPES = {
+  251: { name: 'byte', type: 'integer', width: 1 },
+  252: { name: 'int', type: 'integer', width: 2 },
+  253: { name: 'long', type: 'integer', width: 4 },
+  254: { name: 'float', type: 'number', width: 4 },
+  255: { name: 'double', type: 'number', width: 8 },
+};
+
+// Positions within the map of section offsets in the tagged format
+const MAP_INDEX = {
+  VARIABLE_TYPES: 2,
+  VARNAMES: 3,
+  FORMATS: 5,
+  VALUE_LABEL_NAMES: 6,
+  VARIABLE_LABELS: 7,
+  VALUE_LABELS: 11,
+  END: 12,
+};
+
+/**
+ * Metadata:
+ * {
+ *   id: 'StatWrap.StataDataHandler',
+ *   release: 118,
+ *   label: 'Survey responses',
+ *   columns: [
+ *     { name: 'sex', type: 'integer', label: 'Sex of respondent', format: '%8.0g', valueLabels: 'sexlbl' },
+ *     ...
+ *   ],
+ *   rowCount: 1234,
+ *   valueLabels: {
+ *     sexlbl: [ { value: 1, label: 'Male' }, { value: 2, label: 'Female' } ]
+ *   }
+ * }
+ *
+ * Column types are one of 'integer', 'number', 'string', 'date' or 'datetime'.  Dates are numbers
+ * in Stata, so we use the display format to tell when a column holds dates.  The dataset label,
+ * and the label, format and value label name for a column, are only included if they are set.
+ *
+ * Only the header, variable information and value labels are read - the data itself is skipped.
+ */
+export default class StataDataHandler extends BaseDataHandler {
+  static id = 'StatWrap.StataDataHandler';
+
+  static version = 1;
+
+  constructor() {
+    super(StataDataHandler.id, FILE_EXTENSION_LIST);
+  }
+
+  id() {
+    return StataDataHandler.id;
+  }
+
+  /**
+   * Determine the column type from the storage type and display format.  Stata's date and time
+   * formats all start with %t (or %d, for dates in older files).
+   * @param {object} storageType The storage type (from TAGGED_STORAGE_TYPES or BINARY_STORAGE_TYPES)
+   * @param {string} format The display format
+   * @returns The column type
+   */
+  getColumnType(storageType, format) {
+    if (storageType.type !== 'string' && format) {
+      if (/^%-?t[cC]/.test(format)) {
+        return 'datetime';
+      }
+      if (/^%-?(?:t|d)/.test(format)) {
+        return 'date';
+      }
+    }
+    return storageType.type;
+  }
+
+  /**
+   * Create the metadata for each column from the variable information
+   * @param {object} variables Object with arrays of the storage types, names, formats, value
+   *   label names and labels (in the order the variables appear in the file)
+   * @returns Array of columns
+   */
+  createColumns(variables) {
+    return variables.names.map((name, index) => {
+      const storageType = variables.storageTypes[index];
+      const format = variables.formats[index];
+      const column = { name, type: this.getColumnType(storageType, format) };
+      if (variables.labels[index]) {
+        column.label = variables.labels[index];
+      }
+      if (format) {
+        column.format = format;
+      }
+      if (variables.valueLabelNames[index]) {
+        column.valueLabels = variables.valueLabelNames[index];
+      }
+      return column;
+    });
+  }
+
+  /**
+   * Parse the table of values and labels for a single value label set
+   * @param {Buffer} table The bytes of the value label table
+   * @param {boolean} littleEndian If the file uses little endian byte order
+   * @param {string} encoding The label used to create a TextDecoder for the labels
+   * @returns Array of value and label pairs
+   */
+  parseValueLabelTable(table, littleEndian, encoding) {
+    const readInt32 = (offset) =>
+      littleEndian ? table.readInt32LE(offset) : table.readInt32BE(offset);
+    const count = readInt32(0);
+    const textLength = readInt32(4);
+    const textStart = 8 + count * 8;
+    const text = table.subarray(textStart, textStart + textLength);
+    const entries = [];
+    for (let index = 0; index < count; index++) {
+      const textOffset = readInt32(8 + index * 4);
+      entries.push({
+        value: readInt32(8 + count * 4 + index * 4),
+        label: this.decodeText(text.subarray(textOffset), encoding),
+      });
+    }
+    return entries;
+  }
+
+  /**
+   * Read the metadata from a file in the tagged format used by Stata 13 and later (releases
+   * 117, 118 and 119).  Sections of the file are located using the map that follows the header.
+   * @param {number} fd The file descriptor
+   * @returns The metadata
+   */
+  readTaggedFile(fd) {
+    const header = this.readBytes(fd, 0, 2048);
+    let position = 0;
+    const expectTag = (tag) => {
+      if (header.toString('latin1', position, position + tag.length) !== tag) {
+        throw new Error(`Expected ${tag} at position ${position}`);
+      }
+      position += tag.length;
+    };
+
+    expectTag('<stata_dta><header><release>');
+    const release = parseInt(header.toString('latin1', position, position + 3), 10);
+    if (!TAGGED_RELEASE_LIST.includes(release)) {
+      throw new Error(`Unsupported Stata release ${release}`);
+    }
+    position += 3;
+    expectTag('</release><byteorder>');
+    const littleEndian = header.toString('latin1', position, position + 3) === 'LSF';
+    position += 3;
+    expectTag('</byteorder><K>');
+    let variableCount = 0;
+    if (release === 119) {
+      variableCount = littleEndian ? header.readUInt32LE(position) : header.readUInt32BE(position);
+      position += 4;
+    } else {
+      variableCount = littleEndian ? header.readUInt16LE(position) : header.readUInt16BE(position);
+      position += 2;
+    }
+    expectTag('</K><N>');
+    let rowCount = 0;
+    if (release === 117) {
+      rowCount = littleEndian ? header.readUInt32LE(position) : header.readUInt32BE(position);
+      position += 4;
+    } else {
+      rowCount = Number(
+        littleEndian ? header.readBigUInt64LE(position) : header.readBigUInt64BE(position),
+      );
+      position += 8;
+    }
+    expectTag('</N><label>');
+    let labelLength = 0;
+    if (release === 117) {
+      labelLength = header.readUInt8(position);
+      position += 1;
+    } else {
+      labelLength = littleEndian ? header.readUInt16LE(position) : header.readUInt16BE(position);
+      position += 2;
+    }
+    // Release 117 predates Stata's support for Unicode
+    const encoding = release === 117 ? 'windows-1252' : 'utf-8';
+    const label = this.decodeText(header.subarray(position, position + labelLength), encoding);
+    position += labelLength;
+    expectTag('</label><timestamp>');
+    position += header.readUInt8(position) + 1;
+    expectTag('</timestamp></header><map>');
+    const map = [];
+    for (let index = 0; index < 14; index++) {
+      map.push(
+        Number(littleEndian ? header.readBigUInt64LE(position) : header.readBigUInt64BE(position)),
+      );
+      position += 8;
+    }
+
+    // Read a section that has a fixed-width entry for each variable
+    const readVariableSection = (mapIndex, tag, entryWidth) => {
+      const section = this.readBytes(fd, map[mapIndex] + tag.length, variableCount * entryWidth);
+      const entries = [];
+      for (let index = 0; index < variableCount; index++) {
+        entries.push(section.subarray(index * entryWidth, (index + 1) * entryWidth));
+      }
+      return entries;
+    };
+    const nameWidth = release === 117 ? 33 : 129;
+    const variables = {
+      storageTypes: readVariableSection(MAP_INDEX.VARIABLE_TYPES, '<variable_types>', 2).map(
+        (entry) => {
+          const code = littleEndian ? entry.readUInt16LE(0) : entry.readUInt16BE(0);
+          return code <= 2045 ? { name: `str${code}`, type: 'string' } : TAGGED_STORAGE_TYPES[code];
+        },
+      ),
+      names: readVariableSection(MAP_INDEX.VARNAMES, '<varnames>', nameWidth).map((entry) =>
+        this.decodeText(entry, encoding),
+      ),
+      formats: readVariableSection(MAP_INDEX.FORMATS, '<formats>', release === 117 ? 49 : 57).map(
+        (entry) => this.decodeText(entry, encoding),
+      ),
+      valueLabelNames: readVariableSection(
+        MAP_INDEX.VALUE_LABEL_NAMES,
+        '<value_label_names>',
+        nameWidth,
+      ).map((entry) => this.decodeText(entry, encoding)),
+      labels: readVariableSection(
+        MAP_INDEX.VARIABLE_LABELS,
+        '<variable_labels>',
+        release === 117 ? 81 : 321,
+      ).map((entry) => this.decodeText(entry, encoding)),
+    };
+    if (variables.storageTypes.some((x) => !x)) {
+      throw new Error('Unknown storage type');
+    }
+
+    // Each value label set is stored as <lbl>, the table length, the set name, 3 bytes of
+    // padding, the table itself, and then </lbl>.
+    const valueLabels = {};
+    const valueLabelsStart = map[MAP_INDEX.VALUE_LABELS] + '<value_labels>'.length;
+    const valueLabelsLength = map[MAP_INDEX.END] - valueLabelsStart - '</value_labels>'.length;
+    if (valueLabelsLength > 0 && valueLabelsLength <= MAX_VALUE_LABEL_BYTES) {
+      const section = this.readBytes(fd, valueLabelsStart, valueLabelsLength);
+      let offset = 0;
+      while (section.toString('latin1', offset, offset + 5) === '<lbl>') {
+        offset += 5;
+        const tableLength = littleEndian
+          ? section.readInt32LE(offset)
+          : section.readInt32BE(offset);
+        const name = this.decodeText(
+          section.subarray(offset + 4, offset + 4 + nameWidth),
+          encoding,
+        );
+        const tableStart = offset + 4 + nameWidth + 3;
+        valueLabels[name] = this.parseValueLabelTable(
+          section.subarray(tableStart, tableStart + tableLength),
+          littleEndian,
+          encoding,
+        );
+        offset = tableStart + tableLength + '</lbl>'.length;
+      }
+    }
+
+    return this.createMetadata(release, label, variables, rowCount, valueLabels);
+  }
+
+  /**
+   * Read the metadata from a file in the binary format used by Stata 8 through 12 (releases
+   * 113, 114 and 115).  The value labels are stored after the data, so we calculate where the
+   * data ends from the storage types.
+   * @param {number} fd The file descriptor
+   * @param {number} release The release number from the first byte of the file
+   * @returns The metadata
+   */
+  readBinaryFile(fd, release) {
+    const header = this.readBytes(fd, 0, 109);
+    const littleEndian = header.readUInt8(1) === 2;
+    const readInt32 = (buffer, offset) =>
+      littleEndian ? buffer.readInt32LE(offset) : buffer.readInt32BE(offset);
+    const variableCount = littleEndian ? header.readUInt16LE(4) : header.readUInt16BE(4);
+    const rowCount = littleEndian ? header.readUInt32LE(6) : header.readUInt32BE(6);
+    const encoding = 'windows-1252';
+    const label = this.decodeText(header.subarray(10, 91), encoding);
+
+    const formatWidth = release === 113 ? 12 : 49;
+    const descriptorLength =
+      variableCount * (1 + 33 + formatWidth + 33 + 81) + 2 * (variableCount + 1);
+    const descriptors = this.readBytes(fd, 109, descriptorLength);
+    const readEntries = (start, entryWidth) => {
+      const entries = [];
+      for (let index = 0; index < variableCount; index++) {
+        const offset = start + index * entryWidth;
+        entries.push(this.decodeText(descriptors.subarray(offset, offset + entryWidth), encoding));
+      }
+      return entries;
+    };
+    const namesStart = variableCount;
+    const formatsStart = namesStart + variableCount * 33 + 2 * (variableCount + 1);
+    const valueLabelNamesStart = formatsStart + variableCount * formatWidth;
+    const labelsStart = valueLabelNamesStart + variableCount * 33;
+    const variables = {
+      storageTypes: [...descriptors.subarray(0, variableCount)].map((code) =>
+        code <= 244
+          ? { name: `str${code}`, type: 'string', width: code }
+          : BINARY_STORAGE_TYPES[code],
+      ),
+      names: readEntries(namesStart, 33),
+      formats: readEntries(formatsStart, formatWidth),
+      valueLabelNames: readEntries(valueLabelNamesStart, 33),
+      labels: readEntries(labelsStart, 81),
+    };
+    if (variables.storageTypes.some((x) => !x)) {
+      throw new Error('Unknown storage type');
+    }
+
+    // Skip past the expansion fields, which end with an entry that has a type and length of 0
+    let position = 109 + descriptorLength;
+    for (;;) {
+      const field = this.readBytes(fd, position, 5);
+      if (field.length < 5) {
+        throw new Error('Unexpected end of file');
+      }
+      const fieldLength = readInt32(field, 1);
+      position += 5 + fieldLength;
+      if (field.readUInt8(0) === 0 && fieldLength === 0) {
+        break;
+      }
+    }
+
+    // Each value label set is stored as the table length, the set name, 3 bytes of padding and
+    // the table itself.  These continue until the end of the file.
+    const recordWidth = variables.storageTypes.reduce((total, x) => total + x.width, 0);
+    position += recordWidth * rowCount;
+    const valueLabels = {};
+    const valueLabelsLength = fs.fstatSync(fd).size - position;
+    if (valueLabelsLength > 0 && valueLabelsLength <= MAX_VALUE_LABEL_BYTES) {
+      const section = this.readBytes(fd, position, valueLabelsLength);
+      let offset = 0;
+      while (offset + 40 <= section.length) {
+        const tableLength = readInt32(section, offset);
+        const name = this.decodeText(section.subarray(offset + 4, offset + 37), encoding);
+        const tableStart = offset + 40;
+        valueLabels[name] = this.parseValueLabelTable(
+          section.subarray(tableStart, tableStart + tableLength),
+          littleEndian,
+          encoding,
+        );
+        offset = tableStart + tableLength;
+      }
+    }
+
+    return this.createMetadata(release, label, variables, rowCount, valueLabels);
+  }
+
+  createMetadata(release, label, variables, rowCount, valueLabels) {
+    const metadata = { release };
+    if (label) {
+      metadata.label = label;
+    }
+    metadata.columns = this.createColumns(variables);
+    metadata.rowCount = rowCount;
+    metadata.valueLabels = valueLabels;
+    return metadata;
+  }
+
+  getMetadata(uri) {
+    const fd = fs.openSync(uri, 'r');
+    try {
+      const start = this.readBytes(fd, 0, 1);
+      if (start.length === 0) {
+        throw new Error('The file is empty');
+      }
+      if (start[0] === '<'.charCodeAt(0)) {
+        return this.readTaggedFile(fd);
+      }
+      if (BINARY_RELEASE_LIST.includes(start[0])) {
+        return this.readBinaryFile(fd, start[0]);
+      }
+      throw new Error(`Unsupported Stata release ${start[0]}`);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+}
@@ -0,0 +1,229 @@
+import escapeRegExp from 'lodash/escapeRegExp';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * A set of rules, using the same pattern format as .gitignore files, that determine which files
+ * and folders should be left out of a project.  The rules are read from the .statwrapignore file
+ * in the root of a project, and may be combined with a user's default .statwrapignore file.
+ *
+ * The pattern format follows gitignore:
+ *   - Blank lines and lines starting with # are skipped
+ *   - A leading ! negates the pattern, so a path excluded by an earlier pattern is included again
+ *   - A trailing / only matches folders
+ *   - A pattern containing a / (other than at the end) is relative to the project root, otherwise
+ *     it matches a file or folder name at any level
+ *   - * and ? match anything except /, and [...] matches a range of characters
+ *   - ** at the start or end of a pattern, or between two slashes, matches any number of folders
+ *
+ * Like git, the last matching pattern wins, and a file can't be included again if one of the
+ * folders that contains it is excluded.  Rules can also come from an ignore file in a sub-folder
+ * (like a nested .gitignore file), in which case the patterns are relative to that sub-folder and
+ * only apply to what it contains.
+ */
+export default class IgnoreRules {
+  constructor(rules) {
+    this.rules = rules ? [...rules] : [];
+  }
+
+  /**
+   * Convert a gitignore glob into the equivalent regular expression source.
+   * @param {string} glob The glob, without any leading or trailing /
+   * @returns {string} The regular expression source
+   */
+  static globToRegex(glob) {
+    let regex = '';
+    let index = 0;
+    while (index < glob.length) {
+      const char = glob[index];
+      if (char === '*') {
+        let end = index;
+        while (glob[end] === '*') {
+          end += 1;
+        }
+        const isDoubleStar =
+          end - index === 2 &&
+          (index === 0 || glob[index - 1] === '/') &&
+          (end === glob.length || glob[end] === '/');
+        if (!isDoubleStar) {
+          regex += '[^/]*';
+        } else if (end === glob.length) {
+          regex += '.*';
+        } else {
+          // Skip over the following / since it is part of the optional folders
+          regex += '(?:.*/)?';
+          end += 1;
+        }
+        index = end;
+      } else if (char === '?') {
+        regex += '[^/]';
+        index += 1;
+      } else if (char === '[') {
+        const range = IgnoreRules.rangeToRegex(glob, index);
+        if (range) {
+          regex += range.regex;
+          index = range.end;
+        } else {
+          regex += '\\[';
+          index += 1;
+        }
+      } else if (char === '\\' && index + 1 < glob.length) {
+        regex += escapeRegExp(glob[index + 1]);
+        index += 2;
+      } else {
+        regex += escapeRegExp(char);
+        index += 1;
+      }
+    }
+    return regex;
+  }
+
+  /**
+   * Convert a range of characters (e.g., [a-z] or [!0-9]) that starts at a position in the glob
+   * into a regular expression.
+   * @param {string} glob The glob containing the range
+   * @param {number} start The position of the opening [
+   * @returns {object} The regular expression source and the position after the closing ], or null
+   *  if the range isn't closed (in which case the [ is a regular character)
+   */
+  static rangeToRegex(glob, start) {
+    let index = start + 1;
+    let regex = '[';
+    if (glob[index] === '!' || glob[index] === '^') {
+      regex += '^';
+      index += 1;
+    }
+    // A ] at the start of the range is part of the range and doesn't close it
+    let first = true;
+    while (index < glob.length && (first || glob[index] !== ']')) {
+      let char = glob[index];
+      if (char === '\\' && index + 1 < glob.length) {
+        index += 1;
+        char = glob[index];
+      }
+      regex += char === '-' ? char : escapeRegExp(char);
+      first = false;
+      index += 1;
+    }
+    if (index >= glob.length) {
+      return null;
+    }
+    return { regex: `${regex}]`, end: index + 1 };
+  }
+
+  /**
+   * Parse a single line from an ignore file into a rule.
+   * @param {string} line The line from the ignore file
+   * @param {string} baseDirectory Optional path of the folder containing the ignore file, relative
+   *  to the project root and using / separators.  If not set, the file is in the project root.
+   * @returns {object} The rule, or null if the line doesn't contain a pattern
+   */
+  static parseRule(line, baseDirectory) {
+    if (!line || line.startsWith('#')) {
+      return null;
+    }
+
+    // Trailing spaces are removed, unless they are escaped with a backslash
+    let pattern = line.replace(/(^|[^\\])\s+$/, '$1');
+    let negate = false;
+    if (pattern.startsWith('!')) {
+      negate = true;
+      pattern = pattern.substring(1);
+    }
+    let directoryOnly = false;
+    if (pattern.endsWith('/')) {
+      directoryOnly = true;
+      pattern = pattern.substring(0, pattern.length - 1);
+    }
+    const anchored = pattern.includes('/');
+    if (pattern.startsWith('/')) {
+      pattern = pattern.substring(1);
+    }
+    if (pattern === '') {
+      return null;
+    }
+
+    const base = baseDirectory ? `${escapeRegExp(baseDirectory)}/` : '';
+    const regex = IgnoreRules.globToRegex(pattern);
+    return {
+      pattern: line,
+      negate,
+      directoryOnly,
+      regex: new RegExp(anchored ? `^${base}${regex}$` : `^${base}(?:.*/)?${regex}$`),
+    };
+  }
+
+  /**
+   * Add the rules from the contents of an ignore file.  They are applied after (and so take
+   * precedence over) any existing rules.
+   * @param {string} contents The contents of the ignore file
+   * @param {string} baseDirectory Optional path of the folder containing the ignore file (see
+   *  parseRule)
+   */
+  add(contents, baseDirectory) {
+    if (!contents) {
+      return;
+    }
+    contents.split(/\r?\n/).forEach((line) => {
+      const rule = IgnoreRules.parseRule(line, baseDirectory);
+      if (rule) {
+        this.rules.push(rule);
+      }
+    });
+  }
+
+  /**
+   * Add the rules from an ignore file.  It is not an error if the file doesn't exist.
+   * @param {string} filePath The path to the ignore file
+   * @param {string} baseDirectory Optional path of the folder containing the ignore file (see
+   *  parseRule)
+   * @returns {boolean} true if the file was loaded
+   */
+  loadFile(filePath, baseDirectory) {
+    if (!filePath || !fs.existsSync(filePath)) {
+      return false;
+    }
+    this.add(fs.readFileSync(filePath).toString(), baseDirectory);
+    return true;
+  }
+
+  /**
+   * Determine if a path matches the rules, without considering the folders that contain it.
+   * @param {string} relativePath The path, relative to the project root and using / separators
+   * @param {boolean} isDirectory If the path is for a folder
+   */
+  matches(relativePath, isDirectory) {
+    let ignored = false;
+    this.rules.forEach((rule) => {
+      if ((!rule.directoryOnly || isDirectory) && rule.regex.test(relativePath)) {
+        ignored = !rule.negate;
+      }
+    });
+    return ignored;
+  }
+
+  /**
+   * Determine if a file or folder should be ignored.
+   * @param {string} relativePath The path, relative to the project root
+   * @param {boolean} isDirectory If the path is for a folder
+   * @returns {boolean} true if it is ignored
+   */
+  isIgnored(relativePath, isDirectory) {
+    if (!relativePath || this.rules.length === 0) {
+      return false;
+    }
+
+    const parts = relativePath
+      .split(path.sep)
+      .join('/')
+      .split('/')
+      .filter((part) => part !== '');
+    for (let index = 1; index < parts.length; index++) {
+      if (this.matches(parts.slice(0, index).join('/'), true)) {
+        return true;
+      }
+    }
+    return parts.length > 0 && this.matches(parts.join('/'), isDirectory);
+  }
+}
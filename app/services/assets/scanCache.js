@@ -0,0 +1,259 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Constants = require('../../constants/constants');
+
+// The version of the cache file structure.  If the structure changes, this should be
+// incremented so that older cache files are ignored.
+const CACHE_FORMAT_VERSION = 1;
+
+/**
+ * A persisted cache of the metadata that handlers collected for each file in a project.  This
+ * lets us avoid reading and parsing files that haven't changed since the last scan.
+ *
+ * The cache is saved in the project's .statwrap folder, and has the structure:
+ * {
+ *   formatVersion: 1,
+ *   handlers: { 'StatWrap.RHandler': 1, ... },
+ *   files: {
+ *     'code/analysis.R': {
+ *       size: 1234,
+ *       mtime: 1690000000000,
+ *       metadata: [ ... ],
+ *       hash: { value: 'a1b2...', ctime: 1690000000000 }
+ *     }
+ *   }
+ * }
+ *
+ * A file is considered unchanged if its size and last modified time match what is in the cache.
+ * Because the content hash is used to detect files that were replaced, it also requires the
+ * status change time (which can't be set by tools that preserve the modified time) to match.
+ * Only handlers that report a version (see BaseCodeHandler.version) are cached.  If a handler's
+ * version is different from the one recorded in the cache, the metadata it saved is ignored and
+ * the files will be parsed again.  Handlers that delegate to other handlers include their
+ * delegates' versions in their own, so a change to a delegate also invalidates their metadata.
+ */
+export default class ScanCache {
+  constructor(projectPath, handlers) {
+    this.projectPath = projectPath;
+    this.handlerVersions = {};
+    if (handlers) {
+      handlers.forEach((handler) => {
+        if (handler && typeof handler.version === 'function') {
+          this.handlerVersions[handler.id()] = handler.version();
+        }
+      });
+    }
+
+    // What was loaded from the last scan
+    this.cachedHandlerVersions = {};
+    this.cachedFiles = {};
+
+    // What we have seen in this scan.  Only these entries are saved, so files that have been
+    // deleted will drop out of the cache.
+    this.files = {};
+  }
+
+  getCacheFilePath() {
+    return path.join(
+      this.projectPath.replace('~', os.homedir()),
+      Constants.StatWrapFiles.BASE_FOLDER,
+      Constants.StatWrapFiles.SCAN_CACHE,
+    );
+  }
+
+  /**
+   * Load the cache from the last scan.  A missing or invalid cache file is not an error - it just
+   * means that all files will be scanned.
+   */
+  load() {
+    this.cachedHandlerVersions = {};
+    this.cachedFiles = {};
+    try {
+      const data = fs.readFileSync(this.getCacheFilePath());
+      const cache = JSON.parse(data);
+      if (cache && cache.formatVersion === CACHE_FORMAT_VERSION) {
+        this.cachedHandlerVersions = cache.handlers || {};
+        this.cachedFiles = cache.files || {};
+      }
+    } catch (e) {
+      // Nothing to do - we will start with an empty cache
+    }
+  }
+
+  /**
+   * Save the metadata collected in this scan.  This will create the StatWrap configuration folder
+   * for the project if it doesn't already exist.
+   */
+  save() {
+    const cacheFilePath = this.getCacheFilePath();
+    const configFolder = path.dirname(cacheFilePath);
+    try {
+      fs.accessSync(configFolder);
+    } catch {
+      fs.mkdirSync(configFolder, { recursive: true });
+    }
+
+    fs.writeFileSync(
+      cacheFilePath,
+      JSON.stringify({
+        formatVersion: CACHE_FORMAT_VERSION,
+        handlers: this.handlerVersions,
+        files: this.files,
+      }),
+    );
+  }
+
+  /**
+   * Get the key used to store a file in the cache.  This is the path relative to the project,
+   * with forward slashes, so the cache remains valid if the project folder is moved.
+   * @param {string} uri The absolute path of the file
+   * @returns The cache key
+   */
+  getKey(uri) {
+    return path.relative(this.projectPath, uri).split(path.sep).join('/');
+  }
+
+  /**
+   * Get a timestamp from the file system stats as a number of milliseconds
+   * @param {object} details The file system stats for the file
+   * @param {string} field The name of the timestamp (e.g., 'mtime', 'ctime')
+   * @returns The timestamp, or null if it isn't available
+   */
+  getTimestamp(details, field) {
+    const milliseconds = details[`${field}Ms`];
+    if (milliseconds !== undefined && milliseconds !== null) {
+      return milliseconds;
+    }
+    return details[field] ? new Date(details[field]).getTime() : null;
+  }
+
+  /**
+   * Get the entry from the last scan for a file, if the file hasn't changed
+   * @param {string} uri The absolute path of the file
+   * @param {object} details The file system stats for the file
+   * @returns The cache entry, or null if there isn't one or the file has changed
+   */
+  getEntry(uri, details) {
+    if (!uri || !details) {
+      return null;
+    }
+
+    const entry = this.cachedFiles[this.getKey(uri)];
+    const modifiedTime = this.getTimestamp(details, 'mtime');
+    if (
+      !entry ||
+      modifiedTime === null ||
+      entry.size !== details.size ||
+      entry.mtime !== modifiedTime
+    ) {
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * Get (creating if needed) the entry for a file in this scan
+   * @param {string} uri The absolute path of the file
+   * @param {object} details The file system stats for the file
+   * @returns The cache entry, or null if the file doesn't have a modified time
+   */
+  getCurrentEntry(uri, details) {
+    const modifiedTime = this.getTimestamp(details, 'mtime');
+    if (modifiedTime === null) {
+      return null;
+    }
+
+    const key = this.getKey(uri);
+    const entry = this.files[key];
+    if (entry && entry.size === details.size && entry.mtime === modifiedTime) {
+      return entry;
+    }
+    this.files[key] = { size: details.size, mtime: modifiedTime };
+    return this.files[key];
+  }
+
+  /**
+   * Get the metadata saved for a file in the last scan, if the file hasn't changed.  Only the
+   * metadata from handlers whose version is the same as when it was cached is returned.
+   * @param {string} uri The absolute path of the file
+   * @param {object} details The file system stats for the file
+   * @returns An array of handler metadata.  This will be empty if nothing can be reused.
+   */
+  getMetadata(uri, details) {
+    const entry = this.getEntry(uri, details);
+    if (!entry || !entry.metadata) {
+      return [];
+    }
+
+    return entry.metadata.filter(
+      (m) =>
+        m &&
+        this.handlerVersions[m.id] !== undefined &&
+        this.cachedHandlerVersions[m.id] === this.handlerVersions[m.id],
+    );
+  }
+
+  /**
+   * Record the metadata that was collected for a file in this scan.  Metadata from handlers that
+   * don't have a version, or that reports an error, is not cached so it will be collected again
+   * on the next scan.
+   * @param {string} uri The absolute path of the file
+   * @param {object} details The file system stats for the file
+   * @param {array} metadata The metadata collected by the handlers
+   */
+  setMetadata(uri, details, metadata) {
+    if (!uri || !details || !metadata) {
+      return;
+    }
+
+    const cacheable = metadata.filter(
+      (m) => m && !m.error && this.handlerVersions[m.id] !== undefined,
+    );
+    if (cacheable.length === 0) {
+      return;
+    }
+
+    const entry = this.getCurrentEntry(uri, details);
+    if (entry) {
+      entry.metadata = cacheable;
+    }
+  }
+
+  /**
+   * Get the content hash computed for a file in the last scan, if the file hasn't changed
+   * @param {string} uri The absolute path of the file
+   * @param {object} details The file system stats for the file
+   * @returns The hash, or null if it needs to be computed again
+   */
+  getHash(uri, details) {
+    const entry = this.getEntry(uri, details);
+    if (!entry || !entry.hash) {
+      return null;
+    }
+
+    const statusChangeTime = this.getTimestamp(details, 'ctime');
+    if (statusChangeTime === null || entry.hash.ctime !== statusChangeTime) {
+      return null;
+    }
+    return entry.hash.value;
+  }
+
+  /**
+   * Record the content hash that was computed for a file in this scan
+   * @param {string} uri The absolute path of the file
+   * @param {object} details The file system stats for the file
+   * @param {string} hash The content hash
+   */
+  setHash(uri, details, hash) {
+    if (!uri || !details || !hash) {
+      return;
+    }
+
+    const statusChangeTime = this.getTimestamp(details, 'ctime');
+    const entry = this.getCurrentEntry(uri, details);
+    if (entry && statusChangeTime !== null) {
+      entry.hash = { value: hash, ctime: statusChangeTime };
+    }
+  }
+}
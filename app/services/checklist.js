@@ -1,5 +1,8 @@
 import Constants from '../constants/constants';
 import GeneralUtil from '../utils/general';
+import CodebookUtil from '../utils/codebook';
+import ChecklistUtil from '../utils/checklist';
+import CodebookService from './codebook';
 import pdfMake from 'pdfmake/build/pdfmake';
 import pdfFonts from 'pdfmake/build/vfs_fonts';
 
@@ -9,15 +12,22 @@ const fs = require('fs');
 const os = require('os');
 const path = require('path');
 
+// The file extension and MIME type for each of the text export formats
+const TEXT_FORMATS = {
+  [Constants.ExportFormat.MARKDOWN]: { extension: 'md', mimeType: 'text/markdown' },
+  [Constants.ExportFormat.HTML]: { extension: 'html', mimeType: 'text/html' },
+  [Constants.ExportFormat.JSON]: { extension: 'json', mimeType: 'application/json' },
+};
+
 export default class ChecklistService {
   /**
    * Writes the checklist data to the checklist file
    * @param {string} projectPath The path to the project
-   * @param {object} checklist The checklist data to write
+   * @param {array} checklists The checklists for the project, each with its template and items
    * @throws {Error} If the project path or checklist data is invalid or if there is an error writing the file
    */
-  writeChecklist(projectPath, checklist) {
-    if (!projectPath || !checklist) {
+  writeChecklist(projectPath, checklists) {
+    if (!projectPath || !checklists) {
       throw new Error('Invalid project path or checklist data');
     }
 
@@ -28,13 +38,18 @@ export default class ChecklistService {
       Constants.StatWrapFiles.CHECKLIST,
     );
 
-    fs.writeFileSync(checklistFilePath, JSON.stringify(checklist));
+    const contents = {
+      formatVersion: Constants.CHECKLIST_FORMAT_VERSION,
+      checklists,
+    };
+    fs.writeFileSync(checklistFilePath, JSON.stringify(contents));
   }
 
   /**
-   * Loads the checklist data from the checklist file
+   * Loads the checklist data from the checklist file.  Checklist files from older versions of
+   * StatWrap are migrated to the current format, and saved again.
    * @param {string} projectPath The path to the project
-   * @param {function} callback The callback function to call with the loaded checklist data and error message
+   * @param {function} callback The callback function to call with the error message and the loaded checklists
    */
   loadChecklist(projectPath, callback) {
     if (!projectPath) {
@@ -56,13 +71,94 @@ export default class ChecklistService {
       return;
     }
 
+    let checklist = null;
+    let data = null;
     try {
-      const data = fs.readFileSync(checklistFilePath);
-      const checklist = JSON.parse(data);
-      callback(null, checklist);
+      data = JSON.parse(fs.readFileSync(checklistFilePath));
+      checklist = ChecklistUtil.migrateChecklist(data);
     } catch (err) {
       callback('Error reading or parsing checklist file', null);
+      return;
+    }
+
+    if (checklist && data.formatVersion !== Constants.CHECKLIST_FORMAT_VERSION) {
+      try {
+        fs.writeFileSync(checklistFilePath, JSON.stringify(checklist));
+      } catch (err) {
+        // The migrated checklist can still be used, and it will be saved the next time it changes
+        console.log(err);
+      }
     }
+
+    callback(null, checklist ? checklist.checklists : []);
+  }
+
+  /**
+   * Re-runs the automated checks for the project's checklists after a scan, and saves the checklist
+   * file if the results changed (see ChecklistUtil.reevaluateChecklists).
+   * @param {string} projectPath The path to the project
+   * @param {object} assets The root project asset from the scan
+   * @param {function} callback The callback function to call with the error message and the list of
+   *  checklist items that were flagged as needing review
+   */
+  reevaluateChecklist(projectPath, assets, callback) {
+    this.loadChecklist(projectPath, (error, checklists) => {
+      if (!checklists) {
+        callback(error, null);
+        return;
+      }
+
+      const result = ChecklistUtil.reevaluateChecklists(checklists, assets);
+      if (JSON.stringify(result.checklists) !== JSON.stringify(checklists)) {
+        try {
+          this.writeChecklist(projectPath, result.checklists);
+        } catch (err) {
+          console.log(err);
+          callback('Unable to save the updated checklist', null);
+          return;
+        }
+      }
+      callback(null, result.drift);
+    });
+  }
+
+  /**
+   * Loads the checklist templates that are available to projects.  This is the StatWrap template
+   * followed by the templates that the user has defined as JSON files in the template folder.
+   * Templates that aren't valid, or that have the same ID as one that was already loaded, are
+   * skipped and reported in the list of errors.
+   * @param {string} templateFolder The folder that contains the user-defined templates
+   * @returns {object} The list of templates and the list of errors
+   */
+  loadTemplates(templateFolder) {
+    const templates = [ChecklistUtil.getDefaultTemplate()];
+    const errors = [];
+    if (!templateFolder || !fs.existsSync(templateFolder)) {
+      return { templates, errors };
+    }
+
+    fs.readdirSync(templateFolder)
+      .filter((file) => path.extname(file).toLowerCase() === '.json')
+      .sort()
+      .forEach((file) => {
+        let template = null;
+        try {
+          template = JSON.parse(fs.readFileSync(path.join(templateFolder, file)));
+        } catch (err) {
+          errors.push(`${file}: Unable to read the template`);
+          return;
+        }
+
+        const error = ChecklistUtil.validateTemplate(template);
+        if (error) {
+          errors.push(`${file}: ${error}`);
+        } else if (templates.some((x) => x.id === template.id)) {
+          errors.push(`${file}: There is already a template with the id ${template.id}`);
+        } else {
+          templates.push(template);
+        }
+      });
+    return { templates, errors };
   }
 
   formatStatWrapScanResults(scanResult) {
@@ -74,7 +170,7 @@ export default class ChecklistService {
           { text: key, marginLeft: 25 },
           {
             ul: scanResult[key].length > 0 ?
-              scanResult[key].map((dep, depIndex) => dep) :
+              scanResult[key].map((dep, depIndex) => ChecklistUtil.formatScanResultEntry(dep)) :
               ['No results'],
             marginLeft: 30
           }
@@ -85,13 +181,34 @@ export default class ChecklistService {
     return [];
   }
 
-  generateReport(checklist, reportFileName, exportNotes, project) {
+  generateReport(
+    checklist,
+    reportFileName,
+    exportNotes,
+    project,
+    title = 'Reproducibility Checklist',
+  ) {
     // pdfMake requires base64 encoded images
     const checkedIcon = GeneralUtil.convertImageToBase64(path.join(__dirname, 'images/yes.png'));
     const statWrapLogo = GeneralUtil.convertImageToBase64(
       path.join(__dirname, 'images/banner.png'),
     );
 
+    // The data dictionary is only included if the project has data files that we could read
+    const codebook = CodebookUtil.createCodebook(project.assets, project.path);
+    const codebookContent =
+      codebook.length > 0
+        ? [
+            {
+              text: 'Data Dictionary',
+              style: 'sectionHeader',
+              margin: [0, 10],
+              pageBreak: 'before',
+            },
+            ...new CodebookService().createPdfContent(codebook),
+          ]
+        : [];
+
     const documentDefinition = {
       content: [
         {
@@ -100,7 +217,7 @@ export default class ChecklistService {
           alignment: 'center',
         },
         {
-          text: 'Reproducibility Checklist',
+          text: title,
           style: 'mainHeader',
           alignment: 'center',
           margin: [0, 20],
@@ -326,11 +443,13 @@ export default class ChecklistService {
               { text: '', marginBottom: 15 }
             ];
           }).flat(),
+        ...codebookContent,
       ],
       styles: {
         mainHeader: { fontSize: 22, bold: true, color: '#663399' },
         sectionHeader: { fontSize: 18, bold: true, color: '#8b6fb3', margin: [0, 20] },
         itemSubHeader: { fontSize: 12, margin: [15, 0, 15, 3] },
+        itemHeader: { fontSize: 14, bold: true, color: '#8b6fb3', margin: [0, 10, 0, 5] },
         hyperlink: { color: '#0000EE' },
       },
       defaultStyle: {
@@ -348,4 +467,46 @@ export default class ChecklistService {
 
     pdfMake.createPdf(documentDefinition).download(reportFileName);
   }
+
+  /**
+   * Export a checklist report.  The PDF report is generated by generateReport, and the other
+   * formats have the same content (see ChecklistUtil.createReport).  The file is named after the
+   * checklist.
+   * @param {object} checklist The checklist, with its name, template and items
+   * @param {string} format The export format (one of Constants.ExportFormat, except CSV)
+   * @param {boolean} exportNotes If the notes for each item are included
+   * @param {object} project The project the checklist is for
+   * @throws {Error} If the checklist or format is invalid
+   */
+  exportReport(checklist, format, exportNotes, project) {
+    if (!checklist || !project) {
+      throw new Error('The checklist and project must be specified');
+    }
+
+    const name = checklist.name || 'Reproducibility Checklist';
+    const baseFileName = name.replace(/[^\w-]+/g, '_');
+    if (format === Constants.ExportFormat.PDF) {
+      this.generateReport(checklist.items, `${baseFileName}.pdf`, exportNotes, project, name);
+      return;
+    }
+
+    const textFormat = TEXT_FORMATS[format];
+    if (!textFormat) {
+      throw new Error(`Unsupported checklist format ${format}`);
+    }
+    const report = ChecklistUtil.createReport(checklist, project, exportNotes);
+    let content = null;
+    if (format === Constants.ExportFormat.MARKDOWN) {
+      content = ChecklistUtil.toMarkdown(report);
+    } else if (format === Constants.ExportFormat.HTML) {
+      content = ChecklistUtil.toHTML(report);
+    } else {
+      content = JSON.stringify(report, null, 2);
+    }
+    new CodebookService().downloadTextFile(
+      content,
+      `${baseFileName}.${textFormat.extension}`,
+      textFormat.mimeType,
+    );
+  }
 }
@@ -0,0 +1,179 @@
+import Constants from '../constants/constants';
+import CodebookUtil from '../utils/codebook';
+import GeneralUtil from '../utils/general';
+import pdfMake from 'pdfmake/build/pdfmake';
+import pdfFonts from 'pdfmake/build/vfs_fonts';
+
+pdfMake.vfs = pdfFonts.pdfMake.vfs;
+
+const path = require('path');
+
+// The file extension and MIME type for each of the text export formats
+const TEXT_FORMATS = {
+  [Constants.ExportFormat.MARKDOWN]: { extension: 'md', mimeType: 'text/markdown' },
+  [Constants.ExportFormat.CSV]: { extension: 'csv', mimeType: 'text/csv' },
+};
+
+export default class CodebookService {
+  /**
+   * Create the pdfMake content for the codebook.  This is used on its own for the codebook
+   * export, and is also included in other reports (e.g., the reproducibility checklist).
+   * @param {array} codebook The codebook entries (from CodebookUtil.createCodebook)
+   * @returns {array} The pdfMake content
+   */
+  createPdfContent(codebook) {
+    if (!codebook || codebook.length === 0) {
+      return [{ text: 'No data files were found.', margin: [0, 5] }];
+    }
+
+    return codebook
+      .map((entry) => {
+        const details = [];
+        if (entry.label) {
+          details.push({ text: `Label: ${entry.label}`, margin: [0, 2] });
+        }
+        const rowCount = CodebookUtil.formatRowCount(entry);
+        if (rowCount !== null) {
+          details.push({ text: `Rows: ${rowCount}`, margin: [0, 2] });
+        }
+        details.push({ text: `Variables: ${entry.variables.length}`, margin: [0, 2] });
+
+        const variableTable =
+          entry.variables.length > 0
+            ? {
+                table: {
+                  headerRows: 1,
+                  widths: ['auto', 'auto', '*', '*', 'auto'],
+                  body: [
+                    ['Variable', 'Type', 'Label', 'Value Labels', 'Missing'].map((title) => ({
+                      text: title,
+                      bold: true,
+                    })),
+                    ...entry.variables.map((variable) => [
+                      variable.name,
+                      variable.type,
+                      variable.label,
+                      variable.valueLabels,
+                      variable.missing === null ? '' : variable.missing.toLocaleString(),
+                    ]),
+                  ],
+                },
+                layout: 'lightHorizontalLines',
+                fontSize: 9,
+                margin: [0, 5, 0, 0],
+              }
+            : '';
+
+        return [
+          {
+            text: CodebookUtil.getEntryTitle(entry),
+            style: 'itemHeader',
+            link: entry.uri,
+          },
+          entry.description ? { text: entry.description, margin: [0, 2, 0, 5] } : '',
+          ...details,
+          variableTable,
+          { text: '', marginBottom: 15 },
+        ];
+      })
+      .flat();
+  }
+
+  /**
+   * Generate the codebook as a PDF and download it
+   * @param {array} codebook The codebook entries (from CodebookUtil.createCodebook)
+   * @param {string} fileName The name of the PDF file
+   * @param {object} project The project the codebook was created for
+   */
+  generatePdf(codebook, fileName, project) {
+    // pdfMake requires base64 encoded images
+    const statWrapLogo = GeneralUtil.convertImageToBase64(
+      path.join(__dirname, 'images/banner.png'),
+    );
+
+    const documentDefinition = {
+      content: [
+        {
+          image: statWrapLogo,
+          width: 150,
+          alignment: 'center',
+        },
+        {
+          text: 'Codebook',
+          style: 'mainHeader',
+          alignment: 'center',
+          margin: [0, 20],
+        },
+        {
+          text: `Project Name: ${project.name}`,
+          margin: [0, 5],
+        },
+        {
+          text: `Date: ${new Date().toLocaleDateString()}`,
+          margin: [0, 5, 0, 15],
+        },
+        ...this.createPdfContent(codebook),
+      ],
+      styles: {
+        mainHeader: { fontSize: 22, bold: true, color: '#663399' },
+        itemHeader: { fontSize: 14, bold: true, color: '#8b6fb3', margin: [0, 10, 0, 5] },
+      },
+      defaultStyle: {
+        fontSize: 11,
+      },
+      pageMargins: [40, 25, 40, 60],
+      footer: function (currentPage, pageCount) {
+        return {
+          text: `Page ${currentPage} of ${pageCount}`,
+          alignment: 'center',
+          margin: [0, 30],
+        };
+      },
+    };
+
+    pdfMake.createPdf(documentDefinition).download(fileName);
+  }
+
+  /**
+   * Download text content as a file
+   * @param {string} content The text content of the file
+   * @param {string} fileName The name of the file
+   * @param {string} mimeType The MIME type of the file
+   */
+  downloadTextFile(content, fileName, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Export the codebook (data dictionary) for the data files in a project
+   * @param {object} project The project to create the codebook for
+   * @param {string} format The export format (one of Constants.ExportFormat)
+   * @throws {Error} If the project or format is invalid
+   */
+  exportCodebook(project, format) {
+    if (!project) {
+      throw new Error('The project must be specified');
+    }
+
+    const codebook = CodebookUtil.createCodebook(project.assets, project.path);
+    if (format === Constants.ExportFormat.PDF) {
+      this.generatePdf(codebook, 'Codebook.pdf', project);
+      return;
+    }
+
+    const textFormat = TEXT_FORMATS[format];
+    if (!textFormat) {
+      throw new Error(`Unsupported codebook format ${format}`);
+    }
+    const content =
+      format === Constants.ExportFormat.MARKDOWN
+        ? CodebookUtil.toMarkdown(codebook, project.name)
+        : CodebookUtil.toCSV(codebook);
+    this.downloadTextFile(content, `Codebook.${textFormat.extension}`, textFormat.mimeType);
+  }
+}
@@ -4,6 +4,7 @@ import { cloneDeep } from 'lodash';
 import Constants, { EntityType } from '../constants/constants';
 import AssetUtil from '../utils/asset';
 import ProjectUtil from '../utils/project';
+import FileHandler from './assets/handlers/file';
 
 const fs = require('fs');
 const os = require('os');
@@ -332,6 +333,76 @@ export default class ProjectService {
     return assets;
   }
 
+  /**
+   * Update the history of content hashes for the project's files, based on the hashes collected by
+   * FileHandler during a scan.  The history is stored in the project configuration as
+   * assetHashHistory, keyed by the path of the file relative to the project:
+   * {
+   *   'data/raw.csv': [ { hash, size, lastModified, detected }, ... ]
+   * }
+   * A new entry is only added when a file is first hashed, or when its hash is different from the
+   * most recent entry.  Files that aren't included in the project (see FileHandler) are skipped.
+   * This will modify the projectConfig object directly.
+   *
+   * @param {object} projectConfig The project configuration to update
+   * @param {string} projectPath The root path of the project
+   * @param {object} assets The scanned assets, with absolute URIs
+   * @returns An array of the files whose contents changed, each with the relative uri and the
+   *   previous and current history entries.
+   */
+  updateAssetHashHistory(projectConfig, projectPath, assets) {
+    const changes = [];
+    if (!projectConfig || !assets) {
+      return changes;
+    }
+
+    if (!projectConfig.assetHashHistory) {
+      projectConfig.assetHashHistory = {};
+    }
+    const history = projectConfig.assetHashHistory;
+    const detected = new Date().toISOString();
+
+    const updateAsset = (asset) => {
+      // StatWrap's own files change on every scan, and aren't part of the project
+      if (AssetUtil.isExcluded(asset)) {
+        return;
+      }
+
+      if (asset.children) {
+        asset.children.forEach(updateAsset);
+      }
+
+      const metadata = AssetUtil.getHandlerMetadata(FileHandler.id, asset.metadata);
+      if (asset.type !== Constants.AssetType.FILE || !metadata || !metadata.hash) {
+        return;
+      }
+
+      const uri = AssetUtil.absoluteToRelativePath(projectPath, asset);
+      if (!uri) {
+        return;
+      }
+
+      const entries = history[uri] || [];
+      const previous = entries.length > 0 ? entries[entries.length - 1] : null;
+      if (previous && previous.hash === metadata.hash) {
+        return;
+      }
+
+      const current = {
+        hash: metadata.hash,
+        size: metadata.size,
+        lastModified: metadata.lastModified,
+        detected,
+      };
+      history[uri] = [...entries, current];
+      if (previous) {
+        changes.push({ uri, previous, current });
+      }
+    };
+    updateAsset(assets);
+    return changes;
+  }
+
   /**
    * Utility function to update a note within a notes collection.
    * @param {object} entity The entity that contains a 'notes' collection that we are updating
@@ -15,6 +15,7 @@ const FILE_IGNORE_LIST = [
   Constants.StatWrapFiles.PROJECT,
   Constants.StatWrapFiles.LOG,
   Constants.StatWrapFiles.BASE_FOLDER,
+  Constants.StatWrapFiles.IGNORE,
   '.git',
   '.gitignore',
   '.vs',
@@ -58,14 +59,62 @@ export default class AssetUtil {
     return entry || null;
   }
 
+  /**
+   * Determine if an asset was left out of the project (see FileHandler), such as StatWrap's own
+   * files or what git ignores.
+   * @param {object} asset The asset to check
+   * @returns {boolean} true if the asset is not included
+   */
+  static isExcluded(asset) {
+    if (!asset) {
+      return false;
+    }
+
+    const assetMetadata = AssetUtil.getHandlerMetadata(FileHandler.id, asset.metadata);
+    return !!assetMetadata && assetMetadata.include === false;
+  }
+
+  /**
+   * Determine if an asset was excluded from the project because git ignores it (see FileHandler).
+   * @param {object} asset The asset to check
+   * @returns {boolean} true if git ignores the asset
+   */
+  static isGitIgnored(asset) {
+    if (!asset) {
+      return false;
+    }
+
+    const assetMetadata = AssetUtil.getHandlerMetadata(FileHandler.id, asset.metadata);
+    return !!(assetMetadata && assetMetadata.gitIgnored);
+  }
+
+  /**
+   * Determine if an asset, or any of its descendants, was excluded because git ignores it.
+   * @param {object} asset The asset to check
+   * @returns {boolean} true if git ignores the asset or a descendant
+   */
+  static hasGitIgnoredAssets(asset) {
+    if (!asset) {
+      return false;
+    }
+
+    if (AssetUtil.isGitIgnored(asset)) {
+      return true;
+    }
+
+    return !!asset.children && asset.children.some((c) => AssetUtil.hasGitIgnoredAssets(c));
+  }
+
   /**
    * This is a specialized filter to be placed on top of FileHandler metadata.
    * Given an asset, it will return a filtered object that only includes items
    * (including the base asset itself) and descendants that should be included
    * in a typical view.
    * @param {object} asset
+   * @param {boolean} includeGitIgnored If assets that were excluded only because git ignores
+   *  them should be included
    */
-  static filterIncludedFileAssets(asset) {
+  static filterIncludedFileAssets(asset, includeGitIgnored = false) {
     if (!asset) {
       return null;
     }
@@ -74,7 +123,11 @@ export default class AssetUtil {
     // are (for now) still going to show the asset.  If we do have that metadata, only
     // include assets tagged that way.
     const assetMetadata = AssetUtil.getHandlerMetadata(FileHandler.id, asset.metadata);
-    if (assetMetadata && !assetMetadata.include) {
+    if (
+      assetMetadata &&
+      !assetMetadata.include &&
+      !(includeGitIgnored && assetMetadata.gitIgnored)
+    ) {
       return null;
     }
 
@@ -88,6 +141,7 @@ export default class AssetUtil {
     for (let index = 0; index < filteredAsset.children.length; index++) {
       filteredAsset.children[index] = AssetUtil.filterIncludedFileAssets(
         filteredAsset.children[index],
+        includeGitIgnored,
       );
     }
     filteredAsset.children = filteredAsset.children.filter((c) => c);
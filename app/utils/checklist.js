@@ -1,34 +1,291 @@
 import { union } from 'lodash';
+import { v4 as uuid } from 'uuid';
 import Constants from '../constants/constants';
 import AssetsConfig from '../constants/assets-config';
 import AssetUtil from './asset';
 import WorkflowUtil from './workflow';
+import CodebookUtil from './codebook';
+import GeneralUtil from './general';
 const path = require('path');
 
+// The template that is used when a project hasn't chosen one, built from the standard list of
+// checklist statements
+const DEFAULT_TEMPLATE_ID = 'statwrap-reproducibility';
+
 export default class ChecklistUtil {
   /**
-   * This function initializes the checklist with the statements and seeds other properties
-   * @returns {object} The initialized checklist
+   * This function returns the function that runs an automated scan rule for a checklist item.
+   * The rule names match the statements in the default checklist.
+   * @param {string} rule The name of the scan rule
+   * @returns {function} The scan function, which is given the project assets, or null if the
+   *  rule doesn't exist
+   */
+  static getScanFunction(rule) {
+    const scanFunctions = {
+      Dependency: ChecklistUtil.findProjectLanguagesAndDependencies,
+      Data: ChecklistUtil.findDataFiles,
+      Entrypoint: ChecklistUtil.findEntryPointFiles,
+      Documentation: ChecklistUtil.findDocumentationFiles,
+      AbsolutePaths: ChecklistUtil.findAbsolutePaths,
+    };
+    return (rule && scanFunctions[rule]) || null;
+  }
+
+  /**
+   * This function returns the function that suggests an answer from the results of a scan rule,
+   * which is used to pre-fill the answer for items the user hasn't answered themselves.
+   * @param {string} rule The name of the scan rule
+   * @returns {function} The answer function, or null if the rule doesn't suggest an answer
+   */
+  static getAnswerFunction(rule) {
+    const answerFunctions = {
+      AbsolutePaths: ChecklistUtil.getAbsolutePathsAnswer,
+    };
+    return (rule && answerFunctions[rule]) || null;
+  }
+
+  /**
+   * This function returns the checklist template that StatWrap provides, which has the standard
+   * checklist statements
+   * @returns {object} The default checklist template
    */
-  static initializeChecklist() {
-    const checklist = [];
-    Constants.CHECKLIST.forEach((statement, index) => {
-      checklist.push({
-        id: index + 1,
+  static getDefaultTemplate() {
+    return {
+      id: DEFAULT_TEMPLATE_ID,
+      name: 'StatWrap Reproducibility Checklist',
+      version: '1',
+      description: 'The reproducibility checklist that is included with StatWrap.',
+      items: Constants.CHECKLIST.map((statement) => ({
         name: statement[0],
         statement: statement[1],
+        scan: ChecklistUtil.getScanFunction(statement[0]) ? statement[0] : null,
+      })),
+    };
+  }
+
+  /**
+   * This function returns the details of a template that are saved with a project's checklist
+   * @param {object} template The checklist template
+   * @returns {object} The ID, name and version of the template
+   */
+  static getTemplateReference(template) {
+    const source = template || ChecklistUtil.getDefaultTemplate();
+    return { id: source.id, name: source.name, version: source.version || null };
+  }
+
+  /**
+   * This function validates a checklist template that was defined by the user
+   * @param {object} template The checklist template
+   * @returns {string} A description of the problem with the template, or null if it is valid
+   */
+  static validateTemplate(template) {
+    if (!template || typeof template !== 'object' || Array.isArray(template)) {
+      return 'The template must be a JSON object';
+    }
+    if (!template.id || typeof template.id !== 'string') {
+      return 'The template must have an id';
+    }
+    if (!template.name || typeof template.name !== 'string') {
+      return 'The template must have a name';
+    }
+    if (!Array.isArray(template.items) || template.items.length === 0) {
+      return 'The template must have at least one item';
+    }
+
+    const names = [];
+    for (let index = 0; index < template.items.length; index++) {
+      const item = template.items[index];
+      if (!item || !item.name || !item.statement) {
+        return `Item ${index + 1} must have a name and a statement`;
+      }
+      if (names.includes(item.name)) {
+        return `There is more than one item named ${item.name}`;
+      }
+      names.push(item.name);
+      if (item.scan && !ChecklistUtil.getScanFunction(item.scan)) {
+        return `Item ${item.name} uses a scan rule that doesn't exist (${item.scan})`;
+      }
+      if (
+        item.subItems &&
+        (!Array.isArray(item.subItems) || item.subItems.some((x) => !x || typeof x !== 'string'))
+      ) {
+        return `The sub-items for ${item.name} must be a list of statements`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * This function initializes the checklist with the statements and seeds other properties
+   * @param {object} template The checklist template to use (defaults to the StatWrap template)
+   * @returns {object} The initialized checklist
+   */
+  static initializeChecklist(template = null) {
+    const source = template || ChecklistUtil.getDefaultTemplate();
+    return source.items.map((item, index) => ({
+      id: index + 1,
+      name: item.name,
+      statement: item.statement,
+      scan: item.scan || null,
+      answer: false,
+      scanResult: {},
+      notes: [],
+      assets: [],
+      subChecklist: (item.subItems || []).map((statement) => ({
+        id: uuid(),
+        statement,
         answer: false,
-        scanResult: {},
-        notes: [],
-        assets: [],
-        subChecklist: [],
-      });
+      })),
+    }));
+  }
+
+  /**
+   * This function creates the checklist for a different template, keeping the answers, notes and
+   * assets for items that are in the existing checklist.  Items are matched by name, or by
+   * statement if the name changed.  Items that aren't in the new template are dropped.
+   * @param {object} template The checklist template to change to
+   * @param {array} checklist The existing checklist items
+   * @returns {array} The checklist items for the new template
+   */
+  static applyTemplate(template, checklist) {
+    const existing = checklist || [];
+    return ChecklistUtil.initializeChecklist(template).map((item) => {
+      const match =
+        existing.find((x) => x.name === item.name) ||
+        existing.find((x) => x.statement === item.statement);
+      if (!match) {
+        return item;
+      }
+
+      const updatedItem = {
+        ...item,
+        answer: !!match.answer,
+        scanResult: match.scan === item.scan && match.scanResult ? match.scanResult : {},
+        notes: match.notes || [],
+        assets: match.assets || [],
+        subChecklist: item.subChecklist.map((sub) => {
+          const subMatch = (match.subChecklist || []).find((x) => x.statement === sub.statement);
+          return subMatch ? { ...sub, answer: !!subMatch.answer } : sub;
+        }),
+      };
+      if (match.userAnswered) {
+        updatedItem.userAnswered = true;
+      }
+      if (match.needsReview) {
+        updatedItem.needsReview = match.needsReview;
+      }
+      return updatedItem;
     });
-    return checklist;
   }
 
   /**
-   * This function returns the languages and dependencies of the project
+   * This function creates a new checklist for a project from a template
+   * @param {object} template The checklist template to use (defaults to the StatWrap template)
+   * @param {string} name The name of the checklist (defaults to the name of the template)
+   * @returns {object} The checklist, with its ID, name, template and items
+   */
+  static createChecklist(template = null, name = null) {
+    const source = template || ChecklistUtil.getDefaultTemplate();
+    return {
+      id: uuid(),
+      name: name || source.name,
+      template: ChecklistUtil.getTemplateReference(source),
+      items: ChecklistUtil.initializeChecklist(source),
+    };
+  }
+
+  /**
+   * This function replaces a checklist in the project's list of checklists
+   * @param {array} checklists The project's checklists
+   * @param {object} checklist The updated checklist, which is matched by its ID
+   * @returns {array} A copy of the list of checklists with the updated checklist
+   */
+  static updateChecklist(checklists, checklist) {
+    return (checklists || []).map((x) => (x.id === checklist.id ? checklist : x));
+  }
+
+  /**
+   * This function replaces an item in one of the project's checklists
+   * @param {array} checklists The project's checklists
+   * @param {string} checklistId The ID of the checklist the item is in
+   * @param {object} item The updated checklist item, which is matched by its ID
+   * @returns {array} A copy of the list of checklists with the updated item
+   */
+  static updateChecklistItem(checklists, checklistId, item) {
+    return (checklists || []).map((checklist) =>
+      checklist.id === checklistId
+        ? { ...checklist, items: checklist.items.map((x) => (x.id === item.id ? item : x)) }
+        : checklist,
+    );
+  }
+
+  /**
+   * This function summarizes how much of a checklist has been completed, which is the number of
+   * items that have been answered "Yes"
+   * @param {object} checklist The checklist
+   * @returns {object} The number of completed items, the total number of items, and the percent
+   *  (rounded to a whole number) that are completed
+   */
+  static getChecklistProgress(checklist) {
+    const items = checklist && checklist.items ? checklist.items : [];
+    const completed = items.filter((x) => x.answer).length;
+    return {
+      completed,
+      total: items.length,
+      percent: items.length === 0 ? 0 : Math.round((completed / items.length) * 100),
+    };
+  }
+
+  /**
+   * This function converts the contents of a checklist file to the current format.  The first
+   * version of the file was just the array of checklist items from the default template, so these
+   * are given the scan rule that matches their name.  The second version had a single checklist
+   * and its template.  Checklists from older files are given an ID and named after their template.
+   * @param {object|array} data The parsed contents of the checklist file
+   * @returns {object} The checklists for the project, each with the template it was created from
+   *  and its items, or null if there is no checklist
+   */
+  static migrateChecklist(data) {
+    if (!data) {
+      return null;
+    }
+
+    let checklists = null;
+    if (Array.isArray(data)) {
+      checklists = [{ items: data }];
+    } else if (data.checklists) {
+      checklists = data.checklists;
+    } else {
+      checklists = [{ template: data.template, items: data.items }];
+    }
+
+    return {
+      formatVersion: Constants.CHECKLIST_FORMAT_VERSION,
+      checklists: checklists.map((checklist) => {
+        const template = checklist.template || ChecklistUtil.getTemplateReference(null);
+        return {
+          id: checklist.id || uuid(),
+          name: checklist.name || template.name,
+          template,
+          items: (checklist.items || []).map((item) => {
+            const defaultScan = ChecklistUtil.getScanFunction(item.name) ? item.name : null;
+            return {
+              ...item,
+              scan: item.scan !== undefined ? item.scan : defaultScan,
+              notes: item.notes || [],
+              assets: item.assets || [],
+              subChecklist: item.subChecklist || [],
+            };
+          }),
+        };
+      }),
+    };
+  }
+
+  /**
+   * This function returns the languages and dependencies of the project, along with how well the
+   * versions of the libraries are documented in the project's manifests (see
+   * WorkflowUtil.getLibraryVersionReport)
    * @param {object} asset The root project asset to find the languages and dependencies of
    * @returns {object} An object containing the languages and dependencies found as arrays
    */
@@ -36,6 +293,7 @@ export default class ChecklistUtil {
     // Will be structured as:
     // {
     //    'language': [ 'dependency 1', 'dependency 2']
+    //    'language libraries with pinned versions': [ 'dependency 1 1.0 (requirements.txt)' ]
     //    ...
     // }
     const dependencies = {};
@@ -44,6 +302,23 @@ export default class ChecklistUtil {
     }
 
     ChecklistUtil.findAssetLanguageAndDependencies(asset, dependencies);
+    const versionReport = WorkflowUtil.getLibraryVersionReport(asset);
+    Object.keys(versionReport).forEach((language) => {
+      const { pinned, unpinned, unused } = versionReport[language];
+      dependencies[`${language} libraries with pinned versions`] = pinned.map(
+        (x) => `${x.name} ${x.version} (${x.uri})`,
+      );
+      dependencies[`${language} libraries without pinned versions`] = unpinned.map((x) =>
+        x.manifests.length > 0
+          ? `${x.name} (${x.manifests
+              .map((m) => (m.version ? `${m.version} in ${m.uri}` : m.uri))
+              .join(', ')})`
+          : `${x.name} (not declared)`,
+      );
+      dependencies[`${language} packages declared but not used`] = unused.map((x) =>
+        x.version ? `${x.name} ${x.version} (${x.uri})` : `${x.name} (${x.uri})`,
+      );
+    });
     return dependencies;
   }
 
@@ -53,7 +328,8 @@ export default class ChecklistUtil {
    * @param {object} dependencies Tracks discovered languages and dependencies
    */
   static findAssetLanguageAndDependencies(asset, dependencies) {
-    const includeAsset =  AssetUtil.includeAsset(asset.uri);
+    // Code that git ignores (e.g., in a virtual environment) isn't part of the project
+    const includeAsset = AssetUtil.includeAsset(asset.uri) && !AssetUtil.isGitIgnored(asset);
     if (
       includeAsset &&
       asset.type === Constants.AssetType.FILE &&
@@ -120,7 +396,7 @@ export default class ChecklistUtil {
    * @returns {object} An object containing the data files found
    */
   static findDataFiles(asset, dataFiles = []) {
-    if (!asset || !AssetUtil.includeAsset(asset.uri)) {
+    if (!asset || !AssetUtil.includeAsset(asset.uri) || AssetUtil.isGitIgnored(asset)) {
       return { dataFiles: dataFiles };
     }
 
@@ -129,7 +405,9 @@ export default class ChecklistUtil {
       asset.contentTypes.includes(Constants.AssetContentType.DATA)
     ) {
       const fileName = AssetUtil.getAssetNameFromUri(asset.uri);
-      dataFiles.push(fileName);
+      dataFiles.push(
+        ChecklistUtil.describeDataFile(fileName, WorkflowUtil.getDataFileMetadata(asset)),
+      );
     }
 
     if (asset.children) {
@@ -141,6 +419,37 @@ export default class ChecklistUtil {
     return { dataFiles: dataFiles };
   }
 
+  /**
+   * This function creates a short description of a data file, using the details collected by
+   * the data handlers (if any).  For example: 'survey.dta: 120 rows, 3 columns'
+   * @param {string} fileName The name of the data file
+   * @param {object} dataMetadata The metadata from the data handler (see WorkflowUtil.getDataFileMetadata)
+   * @returns {string} The description of the data file
+   */
+  static describeDataFile(fileName, dataMetadata) {
+    if (!dataMetadata) {
+      return fileName;
+    }
+
+    const pluralize = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+    const describeTable = (table) => {
+      const details = [];
+      if (table.rowCount !== undefined && table.rowCount !== null) {
+        details.push(`${table.sampled ? '~' : ''}${pluralize(table.rowCount, 'row')}`);
+      }
+      details.push(pluralize((table.columns || []).length, 'column'));
+      return details.join(', ');
+    };
+
+    if (dataMetadata.sheets) {
+      const sheets = dataMetadata.sheets.map((sheet) => `${sheet.name}: ${describeTable(sheet)}`);
+      return `${fileName}: ${pluralize(sheets.length, 'sheet')}${
+        sheets.length > 0 ? ` (${sheets.join('; ')})` : ''
+      }`;
+    }
+    return `${fileName}: ${describeTable(dataMetadata)}`;
+  }
+
   /**
    * This function gets the entry point file names from the entryPoints assets array
    * @param {object} asset The asset to find the entry point files within
@@ -163,7 +472,7 @@ export default class ChecklistUtil {
    * @returns {object} An object containing the documentation files found
    */
   static findDocumentationFiles(asset, documentationFiles = []) {
-    if (!asset || !AssetUtil.includeAsset(asset.uri)) {
+    if (!asset || !AssetUtil.includeAsset(asset.uri) || AssetUtil.isGitIgnored(asset)) {
       return { documentationFiles: documentationFiles };
     }
     if (
@@ -182,4 +491,428 @@ export default class ChecklistUtil {
 
     return { documentationFiles: documentationFiles };
   }
+
+  /**
+   * This function finds the absolute paths that the code handlers found in the code files of the
+   * asset and its children recursively
+   * @param {object} asset The root project asset to find the absolute paths within
+   * @param {string} rootUri The URI that the file paths are relative to (defaults to the asset's URI)
+   * @param {array} absolutePaths An array to store the absolute paths found
+   * @returns {object} An object containing the absolute paths found, each with the file (relative
+   *  to the root), line number, code snippet and path
+   */
+  static findAbsolutePaths(asset, rootUri = null, absolutePaths = []) {
+    if (!asset || !AssetUtil.includeAsset(asset.uri) || AssetUtil.isGitIgnored(asset)) {
+      return { absolutePaths: absolutePaths };
+    }
+
+    const root = rootUri || asset.uri;
+    if (asset.type === Constants.AssetType.FILE && asset.metadata) {
+      const file = AssetUtil.absoluteToRelativePath(root, asset) || asset.uri;
+      asset.metadata.forEach((metadata) => {
+        if (metadata && metadata.absolutePaths) {
+          metadata.absolutePaths.forEach((entry) => {
+            absolutePaths.push({ file, ...entry });
+          });
+        }
+      });
+    }
+
+    if (asset.children) {
+      asset.children.forEach((child) => {
+        ChecklistUtil.findAbsolutePaths(child, root, absolutePaths);
+      });
+    }
+
+    return { absolutePaths: absolutePaths };
+  }
+
+  /**
+   * This function suggests the answer for the AbsolutePaths checklist item, which is "Yes" if no
+   * absolute paths were found in the code
+   * @param {object} scanResult The result from findAbsolutePaths
+   * @returns {boolean} The suggested answer
+   */
+  static getAbsolutePathsAnswer(scanResult) {
+    return !!scanResult && !!scanResult.absolutePaths && scanResult.absolutePaths.length === 0;
+  }
+
+  /**
+   * This function finds the changes between two results of a scan rule that mean an item which
+   * was answered "Yes" may no longer be true.  For the file rules this is a file that is no longer
+   * in the project (or no files at all, if the rule hadn't been run before).  For the other rules
+   * it is a new problem, such as a new absolute path or a library without a pinned version.
+   * @param {string} rule The name of the scan rule
+   * @param {object} previousResult The scan result that was saved with the checklist item
+   * @param {object} scanResult The scan result from the latest scan
+   * @returns {array} A description of each change, which is empty if nothing changed
+   */
+  static findScanDrift(rule, previousResult, scanResult) {
+    const previous = previousResult || {};
+    const current = scanResult || {};
+    // Data files are described with their size, which can change without the file being removed
+    const getFileName = (entry) => `${entry}`.split(': ')[0];
+    const findRemovedFiles = (key, fileType) => {
+      if (previous[key] === undefined) {
+        return current[key] && current[key].length > 0
+          ? []
+          : [`No ${fileType} files were found in the project`];
+      }
+      const currentFiles = (current[key] || []).map(getFileName);
+      return previous[key]
+        .map(getFileName)
+        .filter((file) => !currentFiles.includes(file))
+        .map((file) => `The ${fileType} file ${file} is no longer in the project`);
+    };
+
+    switch (rule) {
+      case 'Data':
+        return findRemovedFiles('dataFiles', 'data');
+      case 'Entrypoint':
+        return findRemovedFiles('entryPoints', 'entry point');
+      case 'Documentation':
+        return findRemovedFiles('documentationFiles', 'documentation');
+      case 'AbsolutePaths': {
+        // Line numbers aren't compared, since they change when code is added above the path
+        const getKey = (entry) => `${entry.file}|${entry.cell}|${entry.snippet}`;
+        const previousKeys = (previous.absolutePaths || []).map(getKey);
+        return (current.absolutePaths || [])
+          .filter((entry) => !previousKeys.includes(getKey(entry)))
+          .map(
+            (entry) =>
+              `A new absolute path was found in ${ChecklistUtil.formatScanResultEntry(entry)}`,
+          );
+      }
+      case 'Dependency': {
+        // Libraries are listed by name, followed by where they are declared (if anywhere)
+        const getLibraryName = (entry) => `${entry}`.split(' (')[0];
+        const unpinnedKeys = Object.keys(current).filter((key) =>
+          key.endsWith(' libraries without pinned versions'),
+        );
+        return unpinnedKeys.flatMap((key) => {
+          const language = key.replace(' libraries without pinned versions', '');
+          const previousLibraries = (previous[key] || []).map(getLibraryName);
+          return current[key]
+            .map(getLibraryName)
+            .filter((library) => !previousLibraries.includes(library))
+            .map((library) => `The ${language} library ${library} does not have a pinned version`);
+        });
+      }
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * This function re-runs the automated checks for the items in each of a project's checklists,
+   * which is done after each scan of the project.  Items whose answer is suggested by their scan
+   * rule are updated, unless the user has answered them.  Items that were answered "Yes" are
+   * flagged as needing review if their scan results have drifted (see findScanDrift), including
+   * those whose suggested answer changed as a result.
+   * @param {array} checklists The project's checklists
+   * @param {object} assets The root project asset from the latest scan
+   * @returns {object} The updated copy of the checklists, and the list of items that drifted with
+   *  the ID and name of their checklist, the item ID and statement, and the reasons
+   */
+  static reevaluateChecklists(checklists, assets) {
+    const drift = [];
+    const updatedChecklists = (checklists || []).map((checklist) => ({
+      ...checklist,
+      items: (checklist.items || []).map((item) => {
+        const scanFunction = ChecklistUtil.getScanFunction(item.scan);
+        if (!scanFunction) {
+          return item;
+        }
+
+        const scanResult = scanFunction(assets);
+        const updatedItem = { ...item, scanResult };
+        const answerFunction = ChecklistUtil.getAnswerFunction(item.scan);
+        if (answerFunction && !item.userAnswered) {
+          updatedItem.answer = answerFunction(scanResult);
+          // If the suggested answer is the same, it already reflects the new scan results and
+          // there's nothing to review.  Otherwise, the user should know why it changed.
+          if (updatedItem.answer === item.answer) {
+            return updatedItem;
+          }
+        }
+
+        const reasons = item.answer
+          ? ChecklistUtil.findScanDrift(item.scan, item.scanResult, scanResult)
+          : [];
+        if (reasons.length > 0) {
+          const previousReasons = item.needsReview ? item.needsReview.reasons : [];
+          updatedItem.needsReview = {
+            date: new Date().toISOString(),
+            reasons: [...new Set([...previousReasons, ...reasons])],
+          };
+          drift.push({
+            checklistId: checklist.id,
+            checklistName: checklist.name,
+            itemId: item.id,
+            statement: item.statement,
+            reasons,
+          });
+        }
+        return updatedItem;
+      }),
+    }));
+    return { checklists: updatedChecklists, drift };
+  }
+
+  /**
+   * This function describes an entry from a checklist item's scan result.  Most entries are
+   * already a description, but some have details about where they were found (e.g., the file and
+   * line of an absolute path).
+   * @param {string|object} entry The scan result entry
+   * @returns {string} The description of the entry
+   */
+  static formatScanResultEntry(entry) {
+    if (entry === null || entry === undefined || typeof entry === 'string') {
+      return entry;
+    }
+
+    const location = entry.cell ? `${entry.file} (cell ${entry.cell})` : entry.file;
+    return `${location}, line ${entry.line}: ${entry.snippet}`;
+  }
+
+  /**
+   * This function collects the content of a checklist report.  It has the same content as the PDF
+   * report (see ChecklistService.generateReport), and is the basis for the Markdown and HTML
+   * reports as well as the JSON export.
+   * @param {object} checklist The checklist, with its name, template and items
+   * @param {object} project The project the checklist is for
+   * @param {boolean} exportNotes If the notes for each item are included
+   * @returns {object} The report content
+   */
+  static createReport(checklist, project, exportNotes) {
+    const items = checklist && checklist.items ? checklist.items : [];
+    return {
+      title: checklist && checklist.name ? checklist.name : 'Reproducibility Checklist',
+      template: checklist && checklist.template ? checklist.template : null,
+      project: { id: project ? project.id : null, name: project ? project.name : null },
+      date: new Date().toISOString(),
+      includesNotes: !!exportNotes,
+      items: items.map((item, index) => ({
+        number: `${index + 1}`,
+        name: item.name,
+        statement: item.statement,
+        answer: !!item.answer,
+        subItems: (item.subChecklist || []).map((subItem, subIndex) => ({
+          number: `${index + 1}.${subIndex + 1}`,
+          statement: subItem.statement,
+          answer: !!subItem.answer,
+        })),
+        scanResult: item.scanResult || {},
+        notes: exportNotes && item.notes ? item.notes : [],
+        assets: (item.assets || []).map((asset) => ({
+          name: asset.name || asset.uri,
+          uri: asset.uri,
+          description: asset.description || null,
+        })),
+      })),
+      dataDictionary:
+        project && project.assets ? CodebookUtil.createCodebook(project.assets, project.path) : [],
+    };
+  }
+
+  /**
+   * This function converts a checklist report to Markdown, which can be committed with the project
+   * or included in a README
+   * @param {object} report The report content (from createReport)
+   * @returns {string} The Markdown text
+   */
+  static toMarkdown(report) {
+    // Table cells can't contain pipes or line breaks
+    const escapeCell = (value) => `${value}`.replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+    // Continuation lines need to be indented to stay within a list item
+    const indent = (value, spaces) => `${value}`.replace(/\r?\n/g, `\n${' '.repeat(spaces)}`);
+    const formatAnswer = (answer) => (answer ? 'Yes' : 'No');
+
+    const lines = [
+      `# ${report.title}`,
+      '',
+      '## Project Overview',
+      '',
+      `**Project Name:** ${report.project.name}  `,
+      `**Date:** ${new Date(report.date).toLocaleDateString()}`,
+      '',
+      '## Checklist Summary',
+      '',
+      '| # | Statement | Answer |',
+      '| --- | --- | --- |',
+    ];
+    report.items.forEach((item) => {
+      lines.push(
+        `| ${item.number} | ${escapeCell(item.statement)} | ${formatAnswer(item.answer)} |`,
+      );
+      item.subItems.forEach((subItem) => {
+        lines.push(
+          `| ${subItem.number} | ${escapeCell(subItem.statement)} | ${formatAnswer(subItem.answer)} |`,
+        );
+      });
+    });
+    lines.push('', '## Checklist Details', '');
+
+    report.items.forEach((item) => {
+      lines.push(`### ${item.number}. ${item.statement} (${formatAnswer(item.answer)})`, '');
+      if (item.subItems.length > 0) {
+        item.subItems.forEach((subItem) => {
+          lines.push(`- ${subItem.number} ${subItem.statement} (${formatAnswer(subItem.answer)})`);
+        });
+        lines.push('');
+      }
+
+      const scanKeys = Object.keys(item.scanResult);
+      if (scanKeys.length > 0) {
+        lines.push('**StatWrap Defined Documentation:**', '');
+        scanKeys.forEach((key) => {
+          lines.push(`- ${key}`);
+          const entries = item.scanResult[key] || [];
+          if (entries.length > 0) {
+            entries.forEach((entry) => {
+              lines.push(`  - ${indent(ChecklistUtil.formatScanResultEntry(entry), 4)}`);
+            });
+          } else {
+            lines.push('  - No results');
+          }
+        });
+        lines.push('');
+      }
+
+      if (item.notes.length > 0) {
+        lines.push('**Notes:**', '');
+        item.notes.forEach((note, index) => {
+          lines.push(`${index + 1}. ${indent(note.content, 3)}`);
+        });
+        lines.push('');
+      }
+
+      if (item.assets.length > 0) {
+        lines.push('**Related Assets:**', '');
+        item.assets.forEach((asset, index) => {
+          const link = `[${asset.name}](<${asset.uri}>)`;
+          lines.push(
+            asset.description
+              ? `${index + 1}. ${link} - ${indent(asset.description, 3)}`
+              : `${index + 1}. ${link}`,
+          );
+        });
+        lines.push('');
+      }
+    });
+
+    if (report.dataDictionary.length > 0) {
+      lines.push(CodebookUtil.toMarkdown(report.dataDictionary, null, 2));
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * This function converts a checklist report to a standalone HTML document
+   * @param {object} report The report content (from createReport)
+   * @returns {string} The HTML text
+   */
+  static toHTML(report) {
+    const escape = GeneralUtil.escapeHtml;
+    // Line breaks in notes and descriptions are kept
+    const escapeText = (value) => escape(value).replace(/\r?\n/g, '<br>');
+    const formatAnswer = (answer) =>
+      `<span class="${answer ? 'yes' : 'no'}">${answer ? 'Yes' : 'No'}</span>`;
+
+    const lines = [
+      '<!DOCTYPE html>',
+      '<html lang="en">',
+      '<head>',
+      '<meta charset="utf-8">',
+      `<title>${escape(report.title)}</title>`,
+      '<style>',
+      'body { font-family: sans-serif; max-width: 900px; margin: 20px auto; padding: 0 20px; }',
+      'h1 { color: #663399; }',
+      'h2 { color: #8b6fb3; }',
+      'table { border-collapse: collapse; width: 100%; margin-bottom: 15px; }',
+      'th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; vertical-align: top; }',
+      '.sub-item td:nth-child(2) { padding-left: 25px; }',
+      '.yes { color: green; font-weight: bold; }',
+      '.no { color: red; font-weight: bold; }',
+      '</style>',
+      '</head>',
+      '<body>',
+      `<h1>${escape(report.title)}</h1>`,
+      '<h2>Project Overview</h2>',
+      `<p><strong>Project Name:</strong> ${escape(report.project.name)}<br>`,
+      `<strong>Date:</strong> ${escape(new Date(report.date).toLocaleDateString())}</p>`,
+      '<h2>Checklist Summary</h2>',
+      '<table>',
+      '<tr><th>#</th><th>Statement</th><th>Answer</th></tr>',
+    ];
+    report.items.forEach((item) => {
+      lines.push(
+        `<tr><td>${item.number}</td><td>${escape(item.statement)}</td><td>${formatAnswer(item.answer)}</td></tr>`,
+      );
+      item.subItems.forEach((subItem) => {
+        lines.push(
+          `<tr class="sub-item"><td>${subItem.number}</td><td>${escape(subItem.statement)}</td><td>${formatAnswer(subItem.answer)}</td></tr>`,
+        );
+      });
+    });
+    lines.push('</table>', '<h2>Checklist Details</h2>');
+
+    report.items.forEach((item) => {
+      lines.push(
+        `<h3>${item.number}. ${escape(item.statement)} (${formatAnswer(item.answer)})</h3>`,
+      );
+      if (item.subItems.length > 0) {
+        lines.push('<ul>');
+        item.subItems.forEach((subItem) => {
+          lines.push(
+            `<li>${subItem.number} ${escape(subItem.statement)} (${formatAnswer(subItem.answer)})</li>`,
+          );
+        });
+        lines.push('</ul>');
+      }
+
+      const scanKeys = Object.keys(item.scanResult);
+      if (scanKeys.length > 0) {
+        lines.push('<h4>StatWrap Defined Documentation:</h4>', '<ul>');
+        scanKeys.forEach((key) => {
+          const entries = item.scanResult[key] || [];
+          const entryItems =
+            entries.length > 0
+              ? entries.map(
+                  (entry) => `<li>${escape(ChecklistUtil.formatScanResultEntry(entry))}</li>`,
+                )
+              : ['<li>No results</li>'];
+          lines.push(`<li>${escape(key)}<ul>${entryItems.join('')}</ul></li>`);
+        });
+        lines.push('</ul>');
+      }
+
+      if (item.notes.length > 0) {
+        lines.push('<h4>Notes:</h4>', '<ol>');
+        item.notes.forEach((note) => {
+          lines.push(`<li>${escapeText(note.content)}</li>`);
+        });
+        lines.push('</ol>');
+      }
+
+      if (item.assets.length > 0) {
+        lines.push('<h4>Related Assets:</h4>', '<ol>');
+        item.assets.forEach((asset) => {
+          const link = `<a href="${escape(asset.uri)}">${escape(asset.name)}</a>`;
+          lines.push(
+            asset.description
+              ? `<li>${link}<br>${escapeText(asset.description)}</li>`
+              : `<li>${link}</li>`,
+          );
+        });
+        lines.push('</ol>');
+      }
+    });
+
+    if (report.dataDictionary.length > 0) {
+      lines.push(CodebookUtil.toHTML(report.dataDictionary, null, 2));
+    }
+    lines.push('</body>', '</html>', '');
+    return lines.join('\n');
+  }
 }
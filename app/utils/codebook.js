@@ -0,0 +1,259 @@
+import AssetUtil from './asset';
+import WorkflowUtil from './workflow';
+import GeneralUtil from './general';
+import Constants from '../constants/constants';
+
+// The columns included for each variable in the codebook, in the order they are exported
+const VARIABLE_FIELDS = [
+  { key: 'name', title: 'Variable' },
+  { key: 'type', title: 'Type' },
+  { key: 'label', title: 'Label' },
+  { key: 'valueLabels', title: 'Value Labels' },
+  { key: 'missing', title: 'Missing' },
+];
+
+export default class CodebookUtil {
+  /**
+   * Format the value labels for a variable as a single line of text (e.g., '1 = Male, 2 = Female')
+   * @param {object} column The column from the data handler metadata
+   * @param {object} valueLabels The value label sets from the data handler metadata, keyed by name
+   * @returns {string} The formatted value labels, or an empty string if there are none
+   */
+  static formatValueLabels(column, valueLabels) {
+    if (!column || !column.valueLabels || !valueLabels || !valueLabels[column.valueLabels]) {
+      return '';
+    }
+    return valueLabels[column.valueLabels].map((x) => `${x.value} = ${x.label}`).join(', ');
+  }
+
+  /**
+   * Create a codebook entry for a table of data (a data file, or a sheet within a workbook)
+   * @param {object} table The data handler metadata for the table
+   * @param {object} valueLabels The value label sets for the data file (if any)
+   * @returns {object} The rows and variables for the table
+   */
+  static createTableEntry(table, valueLabels) {
+    return {
+      label: table.label || '',
+      rowCount: table.rowCount === undefined ? null : table.rowCount,
+      sampled: !!table.sampled,
+      variables: (table.columns || []).map((column) => ({
+        name: column.name,
+        type: column.type,
+        label: column.label || '',
+        valueLabels: CodebookUtil.formatValueLabels(column, valueLabels),
+        missing: column.missing === undefined ? null : column.missing,
+      })),
+    };
+  }
+
+  /**
+   * Recursively collect the codebook entries for the data files within an asset
+   * @param {object} asset The asset to search for data files
+   * @param {string} projectPath The path to the project, used to display relative file names
+   * @param {array} codebook The entries found so far, which new entries are added to
+   */
+  static collectCodebookEntries(asset, projectPath, codebook) {
+    const dataMetadata =
+      asset.type === Constants.AssetType.FILE ? WorkflowUtil.getDataFileMetadata(asset) : null;
+    if (dataMetadata) {
+      const entry = {
+        uri: asset.uri,
+        name:
+          (projectPath && AssetUtil.absoluteToRelativePath(projectPath, asset)) ||
+          AssetUtil.getAssetNameFromUri(asset),
+        // The asset notes describe the file as a whole
+        description: (asset.notes || [])
+          .map((note) => note.content)
+          .filter((content) => content)
+          .join('\n\n'),
+      };
+      const tables = dataMetadata.sheets
+        ? dataMetadata.sheets.map((sheet) => ({ sheet: sheet.name, table: sheet }))
+        : [{ sheet: null, table: dataMetadata }];
+      tables.forEach((x) => {
+        codebook.push({
+          ...entry,
+          sheet: x.sheet,
+          ...CodebookUtil.createTableEntry(x.table, dataMetadata.valueLabels),
+        });
+      });
+    }
+
+    if (asset.children) {
+      asset.children.forEach((child) => {
+        CodebookUtil.collectCodebookEntries(child, projectPath, codebook);
+      });
+    }
+  }
+
+  /**
+   * Build the codebook (data dictionary) for all of the data files within an asset.  Archived
+   * data files, and those excluded from the project, are not included.
+   *
+   * Each entry in the codebook describes one table of data.  Most data files have a single table,
+   * but workbooks have one for each sheet.
+   * @param {object} asset The root asset to search for data files
+   * @param {string} projectPath The path to the project, used to display relative file names
+   * @returns {array} The codebook entries
+   */
+  static createCodebook(asset, projectPath) {
+    const codebook = [];
+    const includedAsset = WorkflowUtil.filterArchivedAssets(
+      AssetUtil.filterIncludedFileAssets(asset),
+    );
+    if (includedAsset) {
+      CodebookUtil.collectCodebookEntries(includedAsset, projectPath, codebook);
+    }
+    return codebook;
+  }
+
+  /**
+   * Get the display title for a codebook entry, which includes the sheet name for workbooks
+   * @param {object} entry The codebook entry
+   * @returns {string} The title
+   */
+  static getEntryTitle(entry) {
+    return entry.sheet === null || entry.sheet === undefined
+      ? entry.name
+      : `${entry.name} [${entry.sheet}]`;
+  }
+
+  /**
+   * Format the number of rows in a codebook entry for display
+   * @param {object} entry The codebook entry
+   * @returns {string} The number of rows, or null if it isn't known
+   */
+  static formatRowCount(entry) {
+    if (entry.rowCount === null || entry.rowCount === undefined) {
+      return null;
+    }
+    return entry.sampled
+      ? `~${entry.rowCount.toLocaleString()} (estimated from a sample)`
+      : entry.rowCount.toLocaleString();
+  }
+
+  /**
+   * Convert the codebook to Markdown, with a section and table of variables for each entry
+   * @param {array} codebook The codebook entries (from createCodebook)
+   * @param {string} projectName The name of the project, used in the title
+   * @param {number} headingLevel The level of the title heading, so that the codebook can be
+   *  included in another document (e.g., the reproducibility checklist)
+   * @returns {string} The Markdown text
+   */
+  static toMarkdown(codebook, projectName, headingLevel = 1) {
+    // Table cells can't contain pipes or line breaks
+    const escapeCell = (value) =>
+      value === null || value === undefined
+        ? ''
+        : `${value}`.replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+
+    const heading = '#'.repeat(headingLevel);
+    const lines = [projectName ? `${heading} Codebook: ${projectName}` : `${heading} Codebook`, ''];
+    if (!codebook || codebook.length === 0) {
+      lines.push('No data files were found.', '');
+      return lines.join('\n');
+    }
+
+    codebook.forEach((entry) => {
+      lines.push(`${heading}# ${CodebookUtil.getEntryTitle(entry)}`, '');
+      if (entry.description) {
+        lines.push(entry.description, '');
+      }
+      if (entry.label) {
+        lines.push(`**Label:** ${entry.label}  `);
+      }
+      const rowCount = CodebookUtil.formatRowCount(entry);
+      if (rowCount !== null) {
+        lines.push(`**Rows:** ${rowCount}  `);
+      }
+      lines.push(`**Variables:** ${entry.variables.length}`, '');
+      if (entry.variables.length > 0) {
+        lines.push(`| ${VARIABLE_FIELDS.map((x) => x.title).join(' | ')} |`);
+        lines.push(`| ${VARIABLE_FIELDS.map(() => '---').join(' | ')} |`);
+        entry.variables.forEach((variable) => {
+          lines.push(`| ${VARIABLE_FIELDS.map((x) => escapeCell(variable[x.key])).join(' | ')} |`);
+        });
+        lines.push('');
+      }
+    });
+    return lines.join('\n');
+  }
+
+  /**
+   * Convert the codebook to an HTML fragment, with a section and table of variables for each entry.
+   * This has the same content as the Markdown version.
+   * @param {array} codebook The codebook entries (from createCodebook)
+   * @param {string} projectName The name of the project, used in the title
+   * @param {number} headingLevel The level of the title heading
+   * @returns {string} The HTML text
+   */
+  static toHTML(codebook, projectName, headingLevel = 1) {
+    const escape = GeneralUtil.escapeHtml;
+    const titleTag = `h${headingLevel}`;
+    const entryTag = `h${Math.min(headingLevel + 1, 6)}`;
+    const title = projectName ? `Codebook: ${projectName}` : 'Codebook';
+    const lines = [`<${titleTag}>${escape(title)}</${titleTag}>`];
+    if (!codebook || codebook.length === 0) {
+      lines.push('<p>No data files were found.</p>');
+      return lines.join('\n');
+    }
+
+    codebook.forEach((entry) => {
+      lines.push(`<${entryTag}>${escape(CodebookUtil.getEntryTitle(entry))}</${entryTag}>`);
+      if (entry.description) {
+        lines.push(`<p>${escape(entry.description).replace(/\r?\n/g, '<br>')}</p>`);
+      }
+      const details = [];
+      if (entry.label) {
+        details.push(`<strong>Label:</strong> ${escape(entry.label)}`);
+      }
+      const rowCount = CodebookUtil.formatRowCount(entry);
+      if (rowCount !== null) {
+        details.push(`<strong>Rows:</strong> ${escape(rowCount)}`);
+      }
+      details.push(`<strong>Variables:</strong> ${entry.variables.length}`);
+      lines.push(`<p>${details.join('<br>')}</p>`);
+      if (entry.variables.length > 0) {
+        lines.push('<table>');
+        lines.push(`<tr>${VARIABLE_FIELDS.map((x) => `<th>${x.title}</th>`).join('')}</tr>`);
+        entry.variables.forEach((variable) => {
+          lines.push(
+            `<tr>${VARIABLE_FIELDS.map((x) => `<td>${escape(variable[x.key])}</td>`).join('')}</tr>`,
+          );
+        });
+        lines.push('</table>');
+      }
+    });
+    return lines.join('\n');
+  }
+
+  /**
+   * Convert the codebook to CSV, with one row for each variable.  The file details are repeated
+   * on each row so that the rows can be filtered and sorted.
+   * @param {array} codebook The codebook entries (from createCodebook)
+   * @returns {string} The CSV text
+   */
+  static toCSV(codebook) {
+    const escapeValue = (value) => {
+      if (value === null || value === undefined) {
+        return '';
+      }
+      const text = `${value}`;
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = [['File', 'Sheet', 'File Description', ...VARIABLE_FIELDS.map((x) => x.title)]];
+    (codebook || []).forEach((entry) => {
+      entry.variables.forEach((variable) => {
+        rows.push([
+          entry.name,
+          entry.sheet,
+          entry.description,
+          ...VARIABLE_FIELDS.map((x) => variable[x.key]),
+        ]);
+      });
+    });
+    return `${rows.map((row) => row.map(escapeValue).join(',')).join('\r\n')}\r\n`;
+  }
+}
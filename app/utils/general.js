@@ -178,6 +178,23 @@ export default class GeneralUtil {
     return AllowedUrlProtocols.includes(lowerProtocol);
   }
 
+  /**
+   * Escape text so that it can be included in an HTML document
+   * @param {string} text The text to escape
+   * @returns {string} The escaped text, or an empty string if there is no text
+   */
+  static escapeHtml(text) {
+    if (text === null || text === undefined) {
+      return '';
+    }
+    return `${text}`
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
   /**
    * This function converts an image file to it's Base64 string
    * @param {string} filePath The path to the image file
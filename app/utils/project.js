@@ -709,28 +709,30 @@ export default class ProjectUtil {
    * Given a project, filter the assets that should be displayed
    * @param {Project to filter assets for} project
    * @param {The attribute/facet filter to use, or null} filter
+   * @param {If assets that git ignores should be displayed} includeGitIgnored
    * @returns
    */
-  static filterProjectAssets(project, filter) {
+  static filterProjectAssets(project, filter, includeGitIgnored = false) {
     if (!project || project === undefined || !project.assets || project.assets === undefined) {
       return {};
     }
 
-    return ProjectUtil._filterAssets(project.assets, filter);
+    return ProjectUtil._filterAssets(project.assets, filter, includeGitIgnored);
   }
 
   /**
    * Given an asset, filter and return all remaining items that should be displayed
    * @param {The assets to filter} assets
    * @param {The attribute/facet filter to use, or null} filter
+   * @param {If assets that git ignores should be displayed} includeGitIgnored
    * @returns A collection of filtered assets
    */
-  static _filterAssets(assets, filter) {
+  static _filterAssets(assets, filter, includeGitIgnored = false) {
     if (!assets || assets === undefined) {
       return {};
     }
 
-    let filteredAssetList = AssetUtil.filterIncludedFileAssets(assets);
+    let filteredAssetList = AssetUtil.filterIncludedFileAssets(assets, includeGitIgnored);
 
     if (filter && filter !== undefined) {
       filteredAssetList = ProjectUtil.getFilteredAssets(filteredAssetList, filter);
@@ -787,6 +789,7 @@ export default class ProjectUtil {
           projectConfig.assetGroups,
         );
         projectConfig.externalAssets = cloneDeep(project.externalAssets);
+        projectConfig.environment = cloneDeep(project.environment);
         projectService.saveProjectFile(project.path, projectConfig);
 
         // Reload the project configuration.  Depending on what's changed, we may need to re-load it
@@ -5,6 +5,428 @@ import SASHandler from '../services/assets/handlers/sas';
 import StataHandler from '../services/assets/handlers/stata';
 import Constants from '../constants/constants';
 import JavaHandler from '../services/assets/handlers/java';
+import NotebookHandler from '../services/assets/handlers/notebook';
+import MATLABHandler from '../services/assets/handlers/matlab';
+import SPSSHandler from '../services/assets/handlers/spss';
+import JuliaHandler from '../services/assets/handlers/julia';
+import SQLHandler from '../services/assets/handlers/sql';
+import ShellHandler from '../services/assets/handlers/shell';
+import CSVHandler from '../services/assets/handlers/csv';
+import ExcelHandler from '../services/assets/handlers/excel';
+import ParquetHandler from '../services/assets/handlers/parquet';
+import SASDataHandler from '../services/assets/handlers/sasData';
+import SPSSDataHandler from '../services/assets/handlers/spssData';
+import StataDataHandler from '../services/assets/handlers/stataData';
+import EnvironmentHandler from '../services/assets/handlers/environment';
+
+const path = require('path');
+
+// The handlers that collect the details about data files.  Only one of these will apply to a
+// given file, since each handles different file extensions.
+const DATA_HANDLER_IDS = [
+  CSVHandler.id,
+  ExcelHandler.id,
+  ParquetHandler.id,
+  SASDataHandler.id,
+  SPSSDataHandler.id,
+  StataDataHandler.id,
+];
+
+// Python modules that are part of the standard library, and so are never declared in a manifest.
+// This is sys.stdlib_module_names from Python 3.10 through 3.13, so modules that were removed in
+// later versions (e.g., distutils) are still recognized.
+const PYTHON_STANDARD_LIBRARIES = [
+  '__future__',
+  '_abc',
+  '_aix_support',
+  '_android_support',
+  '_ast',
+  '_asyncio',
+  '_bisect',
+  '_blake2',
+  '_bootsubprocess',
+  '_bz2',
+  '_codecs',
+  '_codecs_cn',
+  '_codecs_hk',
+  '_codecs_iso2022',
+  '_codecs_jp',
+  '_codecs_kr',
+  '_codecs_tw',
+  '_collections',
+  '_collections_abc',
+  '_colorize',
+  '_compat_pickle',
+  '_compression',
+  '_contextvars',
+  '_crypt',
+  '_csv',
+  '_ctypes',
+  '_curses',
+  '_curses_panel',
+  '_datetime',
+  '_dbm',
+  '_decimal',
+  '_elementtree',
+  '_frozen_importlib',
+  '_frozen_importlib_external',
+  '_functools',
+  '_gdbm',
+  '_hashlib',
+  '_heapq',
+  '_imp',
+  '_interpchannels',
+  '_interpqueues',
+  '_interpreters',
+  '_io',
+  '_ios_support',
+  '_json',
+  '_locale',
+  '_lsprof',
+  '_lzma',
+  '_markupbase',
+  '_md5',
+  '_msi',
+  '_multibytecodec',
+  '_multiprocessing',
+  '_opcode',
+  '_opcode_metadata',
+  '_operator',
+  '_osx_support',
+  '_overlapped',
+  '_pickle',
+  '_posixshmem',
+  '_posixsubprocess',
+  '_py_abc',
+  '_pydatetime',
+  '_pydecimal',
+  '_pyio',
+  '_pylong',
+  '_pyrepl',
+  '_queue',
+  '_random',
+  '_scproxy',
+  '_sha1',
+  '_sha2',
+  '_sha256',
+  '_sha3',
+  '_sha512',
+  '_signal',
+  '_sitebuiltins',
+  '_socket',
+  '_sqlite3',
+  '_sre',
+  '_ssl',
+  '_stat',
+  '_statistics',
+  '_string',
+  '_strptime',
+  '_struct',
+  '_suggestions',
+  '_symtable',
+  '_sysconfig',
+  '_thread',
+  '_threading_local',
+  '_tkinter',
+  '_tokenize',
+  '_tracemalloc',
+  '_typing',
+  '_uuid',
+  '_warnings',
+  '_weakref',
+  '_weakrefset',
+  '_winapi',
+  '_wmi',
+  '_zoneinfo',
+  'abc',
+  'aifc',
+  'antigravity',
+  'argparse',
+  'array',
+  'ast',
+  'asynchat',
+  'asyncio',
+  'asyncore',
+  'atexit',
+  'audioop',
+  'base64',
+  'bdb',
+  'binascii',
+  'binhex',
+  'bisect',
+  'builtins',
+  'bz2',
+  'cProfile',
+  'calendar',
+  'cgi',
+  'cgitb',
+  'chunk',
+  'cmath',
+  'cmd',
+  'code',
+  'codecs',
+  'codeop',
+  'collections',
+  'colorsys',
+  'compileall',
+  'concurrent',
+  'configparser',
+  'contextlib',
+  'contextvars',
+  'copy',
+  'copyreg',
+  'crypt',
+  'csv',
+  'ctypes',
+  'curses',
+  'dataclasses',
+  'datetime',
+  'dbm',
+  'decimal',
+  'difflib',
+  'dis',
+  'distutils',
+  'doctest',
+  'email',
+  'encodings',
+  'ensurepip',
+  'enum',
+  'errno',
+  'faulthandler',
+  'fcntl',
+  'filecmp',
+  'fileinput',
+  'fnmatch',
+  'fractions',
+  'ftplib',
+  'functools',
+  'gc',
+  'genericpath',
+  'getopt',
+  'getpass',
+  'gettext',
+  'glob',
+  'graphlib',
+  'grp',
+  'gzip',
+  'hashlib',
+  'heapq',
+  'hmac',
+  'html',
+  'http',
+  'idlelib',
+  'imaplib',
+  'imghdr',
+  'imp',
+  'importlib',
+  'inspect',
+  'io',
+  'ipaddress',
+  'itertools',
+  'json',
+  'keyword',
+  'lib2to3',
+  'linecache',
+  'locale',
+  'logging',
+  'lzma',
+  'mailbox',
+  'mailcap',
+  'marshal',
+  'math',
+  'mimetypes',
+  'mmap',
+  'modulefinder',
+  'msilib',
+  'msvcrt',
+  'multiprocessing',
+  'netrc',
+  'nis',
+  'nntplib',
+  'nt',
+  'ntpath',
+  'nturl2path',
+  'numbers',
+  'opcode',
+  'operator',
+  'optparse',
+  'os',
+  'ossaudiodev',
+  'pathlib',
+  'pdb',
+  'pickle',
+  'pickletools',
+  'pipes',
+  'pkgutil',
+  'platform',
+  'plistlib',
+  'poplib',
+  'posix',
+  'posixpath',
+  'pprint',
+  'profile',
+  'pstats',
+  'pty',
+  'pwd',
+  'py_compile',
+  'pyclbr',
+  'pydoc',
+  'pydoc_data',
+  'pyexpat',
+  'queue',
+  'quopri',
+  'random',
+  're',
+  'readline',
+  'reprlib',
+  'resource',
+  'rlcompleter',
+  'runpy',
+  'sched',
+  'secrets',
+  'select',
+  'selectors',
+  'shelve',
+  'shlex',
+  'shutil',
+  'signal',
+  'site',
+  'smtpd',
+  'smtplib',
+  'sndhdr',
+  'socket',
+  'socketserver',
+  'spwd',
+  'sqlite3',
+  'sre_compile',
+  'sre_constants',
+  'sre_parse',
+  'ssl',
+  'stat',
+  'statistics',
+  'string',
+  'stringprep',
+  'struct',
+  'subprocess',
+  'sunau',
+  'symtable',
+  'sys',
+  'sysconfig',
+  'syslog',
+  'tabnanny',
+  'tarfile',
+  'telnetlib',
+  'tempfile',
+  'termios',
+  'textwrap',
+  'this',
+  'threading',
+  'time',
+  'timeit',
+  'tkinter',
+  'token',
+  'tokenize',
+  'tomllib',
+  'trace',
+  'traceback',
+  'tracemalloc',
+  'tty',
+  'turtle',
+  'turtledemo',
+  'types',
+  'typing',
+  'unicodedata',
+  'unittest',
+  'urllib',
+  'uu',
+  'uuid',
+  'venv',
+  'warnings',
+  'wave',
+  'weakref',
+  'webbrowser',
+  'winreg',
+  'winsound',
+  'wsgiref',
+  'xdrlib',
+  'xml',
+  'xmlrpc',
+  'zipapp',
+  'zipfile',
+  'zipimport',
+  'zlib',
+  'zoneinfo',
+];
+
+// Python modules that are imported with a different name than the package that installs them
+const PYTHON_PACKAGE_NAMES = {
+  attr: 'attrs',
+  bs4: 'beautifulsoup4',
+  cv2: 'opencv-python',
+  dateutil: 'python-dateutil',
+  dotenv: 'python-dotenv',
+  pil: 'pillow',
+  skimage: 'scikit-image',
+  sklearn: 'scikit-learn',
+  yaml: 'pyyaml',
+};
+
+// R packages that are included with R itself
+const R_BASE_PACKAGES = [
+  'base',
+  'compiler',
+  'datasets',
+  'grDevices',
+  'graphics',
+  'grid',
+  'methods',
+  'parallel',
+  'splines',
+  'stats',
+  'stats4',
+  'tcltk',
+  'tools',
+  'utils',
+];
+
+// Java packages that are part of the JDK
+const JAVA_STANDARD_PACKAGES = /^(?:java|javax|jdk|sun|com\.sun|org\.w3c|org\.xml|org\.ietf)\./;
+
+// Java packages that don't share their name with the group of the artifact that provides them
+const JAVA_PACKAGE_NAMES = {
+  'com.google.common': 'com.google.guava:guava',
+};
+
+// Lockfiles include the dependencies of dependencies, so the packages they list are expected to
+// not be used directly by the code.
+const LOCKFILE_MANIFESTS = ['renv.lock', 'Pipfile.lock'];
+
+// The languages that we can match libraries found in code to the packages declared in manifests.
+// Notebooks can have Python or R code, so their libraries are checked for both (see
+// getLibraryPackageNames).
+const LIBRARY_VERSION_LANGUAGES = {
+  Python: {
+    manifestLanguage: 'python',
+    handlers: [PythonHandler.id, NotebookHandler.id],
+    // Packages for the interpreter and installer (e.g., in a conda environment.yml), which code
+    // never imports
+    environmentPackages: ['pip', 'python'],
+  },
+  R: {
+    manifestLanguage: 'r',
+    handlers: [RHandler.id, NotebookHandler.id],
+    environmentPackages: ['r-base'],
+  },
+  Java: { manifestLanguage: 'java', handlers: [JavaHandler.id], environmentPackages: [] },
+};
+
+// The types of dependencies that refer to files, which we try to find within the project
+const FILE_DEPENDENCY_TYPES = [
+  'code',
+  Constants.DependencyType.DATA,
+  Constants.DependencyType.FIGURE,
+  Constants.DependencyType.FILE,
+];
 
 export default class WorkflowUtil {
 
@@ -36,6 +458,21 @@ export default class WorkflowUtil {
     return filteredAsset;
   }
 
+  /**
+   * Get the details that were collected about a data file (e.g., the columns and number of
+   * rows) by one of the data handlers.
+   * @param {object} asset The data file asset
+   * @returns The data handler's metadata, or null if there isn't any or the file couldn't be read
+   */
+  static getDataFileMetadata(asset) {
+    if (!asset || !asset.metadata) {
+      return null;
+    }
+
+    const entry = asset.metadata.find((m) => m && DATA_HANDLER_IDS.includes(m.id) && !m.error);
+    return entry || null;
+  }
+
   static getAssetType(asset) {
     let assetType = 'generic';
     if (!asset) {
@@ -52,6 +489,18 @@ export default class WorkflowUtil {
       assetType = 'stata';
     } else if (AssetUtil.getHandlerMetadata(JavaHandler.id, asset.metadata)) {
       assetType = 'java';
+    } else if (AssetUtil.getHandlerMetadata(NotebookHandler.id, asset.metadata)) {
+      assetType = 'notebook';
+    } else if (AssetUtil.getHandlerMetadata(MATLABHandler.id, asset.metadata)) {
+      assetType = 'matlab';
+    } else if (AssetUtil.getHandlerMetadata(SPSSHandler.id, asset.metadata)) {
+      assetType = 'spss';
+    } else if (AssetUtil.getHandlerMetadata(JuliaHandler.id, asset.metadata)) {
+      assetType = 'julia';
+    } else if (AssetUtil.getHandlerMetadata(SQLHandler.id, asset.metadata)) {
+      assetType = 'sql';
+    } else if (AssetUtil.getHandlerMetadata(ShellHandler.id, asset.metadata)) {
+      assetType = 'shell';
     }
 
     return assetType;
@@ -111,6 +560,8 @@ export default class WorkflowUtil {
       fullName: x.id,
       direction: x.direction,
       value: x.assetType,
+      uri: x.uri,
+      unresolved: x.unresolved,
     }));
     return graph;
   }
@@ -156,8 +607,11 @@ export default class WorkflowUtil {
           continue;
         }
 
-        // Given how we traverse, we can assume assets will be unique
-        graph.nodes.push({ id: entry.asset, assetType: entry.assetType });
+        // Given how we traverse, we can assume assets will be unique.  The exception is when the
+        // asset was already added as the code dependency of another asset.
+        if (!graph.nodes.some((n) => n.id === entry.asset)) {
+          graph.nodes.push({ id: entry.asset, assetType: entry.assetType });
+        }
         for (let depIndex = 0; depIndex < entry.dependencies.length; depIndex++) {
           const dependency = entry.dependencies[depIndex];
 
@@ -190,15 +644,43 @@ export default class WorkflowUtil {
             continue;
           }
 
-          const dependencyId = dependency.id;
+          // If the dependency is a file in the project, we use the file's path as the node so that
+          // every script that reads or writes it is linked to the same node.  If it is another code
+          // file (e.g., a script that is run by a Makefile), we link to that asset's node instead
+          // of creating a separate node.  This lets the graph show how the code files are connected.
+          const isFileDependency = FILE_DEPENDENCY_TYPES.includes(dependency.type);
+          const dependencyAsset = isFileDependency
+            ? WorkflowUtil.findDependencyAsset(entry, dependency, allDeps, filteredAsset.uri)
+            : null;
+          const codeAsset = dependencyAsset && dependency.type === 'code' ? dependencyAsset : null;
+          if (
+            codeAsset &&
+            typeFilter &&
+            typeFilter.values.some((x) => !x.value && x.key === codeAsset.assetType)
+          ) {
+            continue;
+          }
+
+          const dependencyId = dependencyAsset ? dependencyAsset.asset : dependency.id;
           // We need to see if we already have an dependency before we add it as a node (to avoid
           // duplicate nodes with the same ID).
           if (!graph.nodes.some((n) => n.id === dependencyId)) {
-            graph.nodes.push({
-              id: dependencyId,
-              assetType: dependency.type ? dependency.type : Constants.DependencyType.DEPENDENCY,
-              direction: dependency.direction,
-            });
+            const node = codeAsset
+              ? { id: dependencyId, assetType: codeAsset.assetType }
+              : {
+                  id: dependencyId,
+                  assetType: dependency.type
+                    ? dependency.type
+                    : Constants.DependencyType.DEPENDENCY,
+                  direction: dependency.direction,
+                };
+            if (dependencyAsset && !codeAsset) {
+              node.uri = dependencyAsset.uri;
+            } else if (isFileDependency && !dependencyAsset) {
+              // Flag files that we couldn't find, so they can be shown differently
+              node.unresolved = true;
+            }
+            graph.nodes.push(node);
           }
           // Likewise, we have to make sure that any edge is unique before we add it
           const source =
@@ -214,6 +696,118 @@ export default class WorkflowUtil {
     return graph;
   }
 
+  /**
+   * Get the paths (relative to the project root) that a file dependency may refer to, in the order
+   * that they should be tried.  The code may have changed its working directory before using the
+   * file, so we try each of those folders (most recent first), then the folder containing the
+   * code, and then the root of the project.  Relative working directories are followed from the
+   * folder containing the code.  For SAS, a reference to a data set in a library (e.g.,
+   * raw.survey) refers to the data set file in the library's folder.
+   *
+   * Paths outside of the project (including those within a user's home folder) are left out.
+   * @param {string} assetId The path (relative to the project root) of the asset with the dependency
+   * @param {string} dependencyPath The path of the dependency, as it was written in the code
+   * @param {array} workingDirectories The working directories for the asset (see getWorkingDirectories)
+   * @param {string} rootUri The absolute path of the project root
+   * @returns Array of relative paths, using / as the separator
+   */
+  static getDependencyCandidatePaths(assetId, dependencyPath, workingDirectories, rootUri) {
+    const unquote = (p) => (p ? p.replace(/['"]/g, '').trim() : '');
+    const toProjectPath = (folder, filePath) => {
+      if (filePath === '' || filePath.startsWith('~')) {
+        return null;
+      }
+
+      let relativePath = null;
+      if (path.isAbsolute(filePath)) {
+        relativePath = rootUri ? path.relative(rootUri, filePath) : null;
+      } else if (folder !== null) {
+        relativePath = path.join(folder, filePath);
+      }
+      if (relativePath === null || path.isAbsolute(relativePath)) {
+        return null;
+      }
+
+      // Asset paths may use either separator, so we normalize them before comparing
+      relativePath = path.normalize(relativePath).replace(/\\/g, '/');
+      return relativePath === '..' || relativePath.startsWith('../') ? null : relativePath;
+    };
+
+    const dependency = unquote(dependencyPath);
+    if (!assetId || dependency === '') {
+      return [];
+    }
+
+    const scriptFolder = path.dirname(assetId);
+    const folders = [];
+    const libraries = {};
+    let currentFolder = scriptFolder;
+    (workingDirectories || []).forEach((directory) => {
+      if (directory.library) {
+        libraries[directory.library.toLowerCase()] = toProjectPath(
+          scriptFolder,
+          unquote(directory.path),
+        );
+      } else {
+        // If we can't follow a change of directory (e.g., it goes outside of the project), we
+        // can't follow any relative changes after it either.
+        currentFolder = toProjectPath(currentFolder, unquote(directory.path));
+        if (currentFolder !== null) {
+          folders.unshift(currentFolder);
+        }
+      }
+    });
+
+    const libraryMatch = dependency.match(/^(\w+)\.(\w+)$/);
+    if (libraryMatch && libraries[libraryMatch[1].toLowerCase()] !== undefined) {
+      const libraryFolder = libraries[libraryMatch[1].toLowerCase()];
+      const dataSet = `${libraryMatch[2].toLowerCase()}.sas7bdat`;
+      return libraryFolder === null ? [] : [toProjectPath(libraryFolder, dataSet)];
+    }
+
+    const candidates = [];
+    [...folders, scriptFolder, '.'].forEach((folder) => {
+      const candidate = toProjectPath(folder, dependency);
+      if (candidate !== null && !candidates.includes(candidate)) {
+        candidates.push(candidate);
+      }
+    });
+    return candidates;
+  }
+
+  /**
+   * Find the asset in the project that a file dependency (e.g., a data file that is read, or
+   * another code file that is run) refers to.  See getDependencyCandidatePaths for how the
+   * dependency path is resolved.
+   * @param {object} entry The entry from getAllDependencies for the asset with the dependency
+   * @param {object} dependency The file dependency
+   * @param {array} allDeps The list of all assets, from getAllDependencies
+   * @param {string} rootUri The absolute path of the project root
+   * @returns The entry from allDeps for the asset, or null if it is not in the project
+   */
+  static findDependencyAsset(entry, dependency, allDeps, rootUri) {
+    if (!entry || !dependency || !dependency.path || !allDeps) {
+      return null;
+    }
+
+    const candidates = WorkflowUtil.getDependencyCandidatePaths(
+      entry.asset,
+      dependency.path,
+      entry.workingDirectories,
+      rootUri,
+    );
+    const normalize = (p) => path.normalize(p).replace(/\\/g, '/');
+    for (let index = 0; index < candidates.length; index++) {
+      const match = allDeps.find(
+        (x) => x.asset && x.asset !== entry.asset && normalize(x.asset) === candidates[index],
+      );
+      if (match) {
+        return match;
+      }
+    }
+    return null;
+  }
+
   /**
    * Build a tree (hierarchy of nodes) for an asset and all of
    * its descendants
@@ -310,6 +904,12 @@ export default class WorkflowUtil {
     WorkflowUtil._getMetadataDependencies(asset, SASHandler.id, libraries, inputs, outputs);
     WorkflowUtil._getMetadataDependencies(asset, StataHandler.id, libraries, inputs, outputs);
     WorkflowUtil._getMetadataDependencies(asset, JavaHandler.id, libraries, inputs, outputs);
+    WorkflowUtil._getMetadataDependencies(asset, NotebookHandler.id, libraries, inputs, outputs);
+    WorkflowUtil._getMetadataDependencies(asset, MATLABHandler.id, libraries, inputs, outputs);
+    WorkflowUtil._getMetadataDependencies(asset, SPSSHandler.id, libraries, inputs, outputs);
+    WorkflowUtil._getMetadataDependencies(asset, JuliaHandler.id, libraries, inputs, outputs);
+    WorkflowUtil._getMetadataDependencies(asset, SQLHandler.id, libraries, inputs, outputs);
+    WorkflowUtil._getMetadataDependencies(asset, ShellHandler.id, libraries, inputs, outputs);
 
     return libraries
       .map((e) => {
@@ -325,6 +925,23 @@ export default class WorkflowUtil {
       );
   }
 
+  /**
+   * Given an asset, collect the working directories that its code changes to, as found by the
+   * different handlers (see BaseCodeHandler.getWorkingDirectories).
+   * @param {object} asset The asset to find the working directories for
+   * @returns Array of working directories, or an empty array if none are found
+   */
+  static getWorkingDirectories(asset) {
+    if (!asset || !asset.metadata) {
+      return [];
+    }
+
+    return asset.metadata
+      .filter((m) => m && m.workingDirectories)
+      .map((m) => m.workingDirectories)
+      .flat();
+  }
+
   /**
    * Given an asset, get the list of assets (including descendants) and all dependencies
    *
@@ -343,8 +960,10 @@ export default class WorkflowUtil {
       ? [
           {
             asset: rootUri ? asset.uri.replace(rootUri, '').replace(/^\\+|\/+/, '') : asset.uri,
+            uri: asset.uri,
             assetType: WorkflowUtil.getAssetType(asset),
             dependencies: WorkflowUtil.getDependencies(asset),
+            workingDirectories: WorkflowUtil.getWorkingDirectories(asset),
           },
         ]
       : [];
@@ -373,6 +992,12 @@ export default class WorkflowUtil {
     WorkflowUtil._getMetadataDependencies(asset, SASHandler.id, libraries, [], []);
     WorkflowUtil._getMetadataDependencies(asset, StataHandler.id, libraries, [], []);
     WorkflowUtil._getMetadataDependencies(asset, JavaHandler.id, libraries, [], []);
+    WorkflowUtil._getMetadataDependencies(asset, NotebookHandler.id, libraries, [], []);
+    WorkflowUtil._getMetadataDependencies(asset, MATLABHandler.id, libraries, [], []);
+    WorkflowUtil._getMetadataDependencies(asset, SPSSHandler.id, libraries, [], []);
+    WorkflowUtil._getMetadataDependencies(asset, JuliaHandler.id, libraries, [], []);
+    WorkflowUtil._getMetadataDependencies(asset, SQLHandler.id, libraries, [], []);
+    WorkflowUtil._getMetadataDependencies(asset, ShellHandler.id, libraries, [], []);
 
     return libraries;
   }
@@ -400,4 +1025,277 @@ export default class WorkflowUtil {
     }
     return libraries.flat();
   }
+
+  /**
+   * Collect the packages declared in all of the environment manifests (e.g., requirements.txt or
+   * renv.lock) found within the project's assets.
+   *
+   * {
+   *   manifests: [
+   *     { uri: 'requirements.txt', manifest: 'requirements.txt', language: 'python', runtime, packages }
+   *   ]
+   * }
+   *
+   * @param {object} asset The root asset of the project
+   * @param {string} rootUri The root portion of the URI that should be stripped
+   * @returns The project's environment, with the manifests in the order they were found
+   */
+  static getProjectEnvironment(asset, rootUri) {
+    const manifests = [];
+    const addManifests = (current) => {
+      // Manifests that git ignores (e.g., within a virtual environment) aren't for the project
+      if (!current || AssetUtil.isGitIgnored(current)) {
+        return;
+      }
+      const metadata = AssetUtil.getHandlerMetadata(EnvironmentHandler.id, current.metadata);
+      if (metadata && !metadata.error) {
+        manifests.push({
+          uri: (rootUri && AssetUtil.absoluteToRelativePath(rootUri, current)) || current.uri,
+          manifest: metadata.manifest,
+          language: metadata.language,
+          runtime: metadata.runtime || null,
+          packages: metadata.packages || [],
+        });
+      }
+      if (current.children) {
+        current.children.forEach((child) => addManifests(child));
+      }
+    };
+    addManifests(WorkflowUtil.filterArchivedAssets(asset));
+    return { manifests };
+  }
+
+  /**
+   * Get the names of the packages that provide a library found in code, leaving out those that
+   * are part of the language itself.  Python libraries are named as their package would be in
+   * a manifest (see normalizePackageName).
+   * @param {string} language The language (one of the keys in LIBRARY_VERSION_LANGUAGES)
+   * @param {object} library The library from the code handler's metadata
+   * @returns Array of package names
+   */
+  static getLibraryPackageNames(language, library) {
+    if (!library) {
+      return [];
+    }
+
+    if (language === 'Python') {
+      // R libraries (from notebooks) don't have a module or import
+      if (!library.module && !library.import) {
+        return [];
+      }
+      // Relative imports (e.g., from .utils import x) are for modules within the project
+      if (library.module && library.module.startsWith('.')) {
+        return [];
+      }
+      // Without a module, the import can be a list (e.g., import os, sys)
+      const modules = library.module ? [library.module] : library.import.split(',');
+      return modules
+        .map((module) => module.trim().split('.')[0])
+        .filter((module) => module !== '' && !PYTHON_STANDARD_LIBRARIES.includes(module))
+        .map((module) => WorkflowUtil.normalizePackageName(language, module))
+        .map((module) => PYTHON_PACKAGE_NAMES[module] || module);
+    }
+    if (language === 'R') {
+      return library.package && !R_BASE_PACKAGES.includes(library.package) ? [library.package] : [];
+    }
+    if (language === 'Java') {
+      return library.module && !JAVA_STANDARD_PACKAGES.test(`${library.module}.`)
+        ? [library.module]
+        : [];
+    }
+    return [];
+  }
+
+  /**
+   * Normalize a package name so that the different ways it can be written will match.  Python
+   * package names are case insensitive, and treat -, _ and . as the same (see PEP 503).
+   * @param {string} language The language (one of the keys in LIBRARY_VERSION_LANGUAGES)
+   * @param {string} name The package name
+   * @returns The normalized name
+   */
+  static normalizePackageName(language, name) {
+    if (language === 'Python') {
+      return name.toLowerCase().replace(/[-_.]+/g, '-');
+    }
+    return name;
+  }
+
+  /**
+   * Determine if a package declared in a manifest provides a library used in code.  For Java,
+   * the library is a package (e.g., org.apache.commons.math3.stat) and the declared package is
+   * the group and artifact (e.g., org.apache.commons:commons-math3).  These match if the Java
+   * package is within the group, or if it is within the same top-level domain as the group and
+   * includes the artifact name (e.g., com.fasterxml.jackson.databind and
+   * com.fasterxml.jackson.core:jackson-databind).  Conda names R packages in lowercase with an
+   * 'r-' prefix (e.g., r-r6 for R6), which R package names can't otherwise have.
+   * @param {string} language The language (one of the keys in LIBRARY_VERSION_LANGUAGES)
+   * @param {string} libraryName The package name from getLibraryPackageNames
+   * @param {string} packageName The name of the package in the manifest
+   * @returns true if the package provides the library
+   */
+  static isPackageForLibrary(language, libraryName, packageName) {
+    if (language === 'R' && /^r-/i.test(packageName)) {
+      return libraryName.toLowerCase() === packageName.substring(2).toLowerCase();
+    }
+    if (language !== 'Java') {
+      return (
+        WorkflowUtil.normalizePackageName(language, libraryName) ===
+        WorkflowUtil.normalizePackageName(language, packageName)
+      );
+    }
+
+    const alias = Object.keys(JAVA_PACKAGE_NAMES).find(
+      (prefix) => libraryName === prefix || libraryName.startsWith(`${prefix}.`),
+    );
+    if (alias) {
+      return JAVA_PACKAGE_NAMES[alias] === packageName;
+    }
+    const [group, artifact] = packageName.split(':');
+    if (libraryName === group || libraryName.startsWith(`${group}.`)) {
+      return true;
+    }
+    const segments = libraryName.split('.');
+    return (
+      !!artifact &&
+      segments[0] === group.split('.')[0] &&
+      (segments.includes(artifact) || segments.includes(artifact.split('-').pop()))
+    );
+  }
+
+  /**
+   * Collect the libraries used in code for each language, as the packages that provide them
+   * @param {object} asset The asset to collect the libraries from, along with its descendants
+   * @param {object} libraries The package names found so far, as a Set indexed by language
+   */
+  static _collectLibraryPackageNames(asset, libraries) {
+    if (!asset || !AssetUtil.includeAsset(asset.uri) || AssetUtil.isGitIgnored(asset)) {
+      return;
+    }
+
+    Object.keys(LIBRARY_VERSION_LANGUAGES).forEach((language) => {
+      LIBRARY_VERSION_LANGUAGES[language].handlers.forEach((handlerId) => {
+        const metadata = AssetUtil.getHandlerMetadata(handlerId, asset.metadata);
+        if (!metadata || !metadata.libraries) {
+          return;
+        }
+        metadata.libraries.forEach((library) => {
+          WorkflowUtil.getLibraryPackageNames(language, library).forEach((name) =>
+            libraries[language].add(name),
+          );
+        });
+      });
+    });
+
+    if (asset.children) {
+      asset.children.forEach((child) => WorkflowUtil._collectLibraryPackageNames(child, libraries));
+    }
+  }
+
+  /**
+   * Get the manifests that declare packages for a language, with only the packages for that
+   * language.  A conda environment.yml can have packages for more than one language, and so
+   * each of its packages has its own language.
+   * @param {object[]} manifests The manifests from getProjectEnvironment
+   * @param {string} manifestLanguage The language used in the manifests (e.g., 'python')
+   * @returns Array of manifests
+   */
+  static _getLanguageManifests(manifests, manifestLanguage) {
+    return manifests
+      .map((manifest) => ({
+        ...manifest,
+        packages: manifest.packages.filter(
+          (x) => (x.language || manifest.language) === manifestLanguage,
+        ),
+      }))
+      .filter((manifest) => manifest.language === manifestLanguage || manifest.packages.length > 0);
+  }
+
+  /**
+   * Compare the libraries used in code with the packages declared in the project's environment
+   * manifests (see getProjectEnvironment).  This is done for the languages that have manifests
+   * we can read (Python, R and Java).  Libraries from Stata and SAS code are references to other
+   * files or programs, which aren't declared in a manifest, and so aren't included.
+   *
+   * {
+   *   Python: {
+   *     pinned: [ { name: 'pandas', version: '2.1.0', uri: 'requirements.txt' } ],
+   *     unpinned: [ { name: 'numpy', manifests: [ { uri: 'requirements.txt', version: '>=1.24' } ] } ],
+   *     unused: [ { name: 'requests', version: '2.31.0', pinned: true, uri: 'requirements.txt' } ]
+   *   }
+   * }
+   *
+   * A library is unpinned if no manifest pins it to an exact version, and its manifests list is
+   * empty if it isn't declared at all.  Packages in lockfiles are not reported as unused, since
+   * lockfiles also list the dependencies of the packages the code uses.  Neither are packages
+   * for the language itself or its installer (e.g., python and pip in a conda environment).
+   *
+   * @param {object} asset The root asset of the project
+   * @returns The report, indexed by language.  Languages without any libraries or manifests are
+   *  left out.
+   */
+  static getLibraryVersionReport(asset) {
+    const report = {};
+    const filteredAsset = WorkflowUtil.filterArchivedAssets(asset);
+    if (!filteredAsset) {
+      return report;
+    }
+
+    const libraries = {};
+    Object.keys(LIBRARY_VERSION_LANGUAGES).forEach((language) => {
+      libraries[language] = new Set();
+    });
+    WorkflowUtil._collectLibraryPackageNames(filteredAsset, libraries);
+    const { manifests } = WorkflowUtil.getProjectEnvironment(filteredAsset, filteredAsset.uri);
+
+    Object.keys(LIBRARY_VERSION_LANGUAGES).forEach((language) => {
+      const { manifestLanguage, environmentPackages } = LIBRARY_VERSION_LANGUAGES[language];
+      const languageManifests = WorkflowUtil._getLanguageManifests(manifests, manifestLanguage);
+      const libraryNames = [...libraries[language]].sort();
+      if (libraryNames.length === 0 && languageManifests.length === 0) {
+        return;
+      }
+
+      const entry = { pinned: [], unpinned: [], unused: [] };
+      libraryNames.forEach((name) => {
+        const declared = [];
+        languageManifests.forEach((manifest) => {
+          manifest.packages
+            .filter((x) => WorkflowUtil.isPackageForLibrary(language, name, x.name))
+            .forEach((x) => declared.push({ ...x, uri: manifest.uri }));
+        });
+        const pinned = declared.find((x) => x.pinned);
+        if (pinned) {
+          entry.pinned.push({ name, version: pinned.version, uri: pinned.uri });
+        } else {
+          entry.unpinned.push({
+            name,
+            manifests: declared.map((x) => ({ uri: x.uri, version: x.version })),
+          });
+        }
+      });
+
+      languageManifests
+        .filter((manifest) => !LOCKFILE_MANIFESTS.includes(manifest.manifest))
+        .forEach((manifest) => {
+          manifest.packages
+            .filter(
+              (x) =>
+                !environmentPackages.includes(x.name.toLowerCase()) &&
+                !libraryNames.some((name) =>
+                  WorkflowUtil.isPackageForLibrary(language, name, x.name),
+                ),
+            )
+            .forEach((x) =>
+              entry.unused.push({
+                name: x.name,
+                version: x.version,
+                pinned: x.pinned,
+                uri: manifest.uri,
+              }),
+            );
+        });
+      report[language] = entry;
+    });
+    return report;
+  }
 }
@@ -1,6 +1,9 @@
 import fs from 'fs';
 import path from 'path';
 import AssetService from '../../../app/services/assets/asset';
+import IgnoreRules from '../../../app/services/assets/ignoreRules';
+import FileHandler from '../../../app/services/assets/handlers/file';
+import ImageHandler from '../../../app/services/assets/handlers/image';
 
 jest.mock('fs');
 
@@ -201,6 +204,336 @@ describe('services', () => {
           metadata: [{ id: 'Dummy1' }, { id: 'Dummy2' }],
         });
       });
+
+      it('should start with cached metadata for files and update the cache', () => {
+        fs.accessSync.mockReturnValue(true);
+        const stat = new fs.Stats();
+        stat.isDirectory.mockReturnValue(false);
+        stat.isFile.mockReturnValue(true);
+        fs.statSync.mockReturnValue(stat);
+        const scanCache = {
+          getMetadata: jest.fn().mockReturnValue([{ id: 'Cached' }]),
+          setMetadata: jest.fn(),
+        };
+        const testUri = '/Some/Valid/File.txt';
+        const response = new AssetService([new DummyHandler('Dummy1')], null, scanCache).scan(
+          testUri,
+        );
+        expect(scanCache.getMetadata).toHaveBeenCalledWith(testUri, stat);
+        expect(response.metadata).toEqual([{ id: 'Cached' }, { id: 'Dummy1' }]);
+        expect(scanCache.setMetadata).toHaveBeenCalledWith(testUri, stat, response.metadata);
+      });
+
+      it('should not use the cache for directories', () => {
+        fs.accessSync.mockReturnValue(true);
+        fs.readdirSync.mockReturnValueOnce([]);
+        const stat = new fs.Stats();
+        stat.isDirectory.mockReturnValueOnce(true);
+        stat.isFile.mockReturnValueOnce(false);
+        fs.statSync.mockReturnValue(stat);
+        const scanCache = {
+          getMetadata: jest.fn().mockReturnValue([{ id: 'Cached' }]),
+          setMetadata: jest.fn(),
+        };
+        const response = new AssetService(null, null, scanCache).scan('/Some/Valid/Folder');
+        expect(response.metadata).toEqual([]);
+        expect(scanCache.getMetadata).not.toHaveBeenCalled();
+        expect(scanCache.setMetadata).not.toHaveBeenCalled();
+      });
+
+      describe('with ignore rules', () => {
+        // Our fake directory structure is under /Some/Valid/Folder
+        // renv/
+        //      library/
+        //      activate.R
+        // debug.log
+        // keep.log
+        // analysis.R
+        const testUri = '/Some/Valid/Folder';
+        const directories = [
+          testUri,
+          path.join(testUri, 'renv'),
+          path.join(testUri, 'renv', 'library'),
+        ];
+        const mockFileSystem = (ignoreFile) => {
+          fs.accessSync.mockReturnValue(true);
+          fs.readdirSync.mockImplementation((uri) => {
+            if (uri === testUri) {
+              return ['renv', 'debug.log', 'keep.log', 'analysis.R'];
+            }
+            return uri === directories[1] ? ['library', 'activate.R'] : ['dplyr'];
+          });
+          fs.statSync.mockImplementation((uri) => {
+            const isDirectory = directories.includes(uri);
+            return {
+              isDirectory: () => isDirectory,
+              isFile: () => !isDirectory,
+              isSocket: () => false,
+              isSymbolicLink: () => false,
+            };
+          });
+          fs.existsSync.mockImplementation((uri) => ignoreFile !== null && uri === ignoreFile);
+          fs.readFileSync.mockReturnValue(Buffer.from('renv/library/\n*.log\n!keep.log'));
+        };
+        const childUris = (asset) =>
+          asset.children
+            ? asset.children.map((child) => [child.uri, ...childUris(child)]).flat()
+            : [];
+
+        it('should leave out assets from the project .statwrapignore file', () => {
+          mockFileSystem(path.join(testUri, '.statwrapignore'));
+          const response = new AssetService().scan(testUri);
+          expect(childUris(response)).toEqual([
+            path.join(testUri, 'renv'),
+            path.join(testUri, 'renv', 'activate.R'),
+            path.join(testUri, 'keep.log'),
+            path.join(testUri, 'analysis.R'),
+          ]);
+          // Ignored folders are not traversed
+          expect(fs.readdirSync).not.toHaveBeenCalledWith(path.join(testUri, 'renv', 'library'));
+        });
+
+        it('should apply the default rules before the project rules', () => {
+          mockFileSystem(path.join(testUri, '.statwrapignore'));
+          const defaults = new IgnoreRules();
+          defaults.add('analysis.R\nkeep.log');
+          const response = new AssetService(null, null, null, defaults).scan(testUri);
+          expect(childUris(response)).toEqual([
+            path.join(testUri, 'renv'),
+            path.join(testUri, 'renv', 'activate.R'),
+            path.join(testUri, 'keep.log'),
+          ]);
+        });
+
+        it('should include everything when there is no .statwrapignore file', () => {
+          mockFileSystem(null);
+          const response = new AssetService().scan(testUri);
+          expect(childUris(response).length).toEqual(7);
+          expect(fs.readFileSync).not.toHaveBeenCalled();
+        });
+      });
+
+      describe('with symbolic links', () => {
+        // Our fake directory structure is under /Some/Valid/Folder
+        // data -> /Shared/data (a folder containing survey.csv)
+        // loop -> .. (a link back to /Some/Valid)
+        // broken -> missing.csv
+        // analysis.R
+        const testUri = '/Some/Valid/Folder';
+        const sharedUri = '/Shared/data';
+        const fileSystem = {
+          [testUri]: {
+            type: 'directory',
+            ino: 1,
+            children: ['data', 'loop', 'broken', 'analysis.R'],
+          },
+          [path.join(testUri, 'data')]: { type: 'link', target: sharedUri },
+          [sharedUri]: { type: 'directory', ino: 2, children: ['survey.csv'] },
+          [path.join(sharedUri, 'survey.csv')]: { type: 'file', ino: 3 },
+          [path.join(testUri, 'loop')]: { type: 'link', target: testUri, linkText: '..' },
+          [path.join(testUri, 'broken')]: { type: 'link', target: null, linkText: 'missing.csv' },
+          [path.join(testUri, 'analysis.R')]: { type: 'file', ino: 4 },
+        };
+        // Get the path of an entry in our file system, following any links in the folders that
+        // contain it (e.g., /Some/Valid/Folder/data/survey.csv is /Shared/data/survey.csv)
+        const realPath = (uri) => {
+          if (fileSystem[uri] || uri === path.dirname(uri)) {
+            return uri;
+          }
+          const folder = realPath(path.dirname(uri));
+          const entry = fileSystem[folder];
+          const resolvedFolder = entry && entry.type === 'link' ? entry.target : folder;
+          return path.join(resolvedFolder, path.basename(uri));
+        };
+        // Follow links to get to the actual entry in our file system
+        const resolve = (uri) => {
+          const entry = fileSystem[realPath(uri)];
+          if (!entry || entry.type !== 'link') {
+            return entry;
+          }
+          return entry.target ? resolve(entry.target) : null;
+        };
+        const createStats = (entry) => ({
+          dev: 1,
+          ino: entry.ino,
+          isDirectory: () => entry.type === 'directory',
+          isFile: () => entry.type === 'file',
+          isSocket: () => false,
+          isSymbolicLink: () => entry.type === 'link',
+        });
+        const mockFileSystem = () => {
+          fs.accessSync.mockImplementation((uri) => {
+            if (!resolve(uri)) {
+              throw new Error(`ENOENT: no such file or directory, access '${uri}'`);
+            }
+          });
+          fs.lstatSync.mockImplementation((uri) => createStats(fileSystem[realPath(uri)]));
+          fs.statSync.mockImplementation((uri) => createStats(resolve(uri)));
+          fs.readlinkSync.mockImplementation((uri) => {
+            const entry = fileSystem[realPath(uri)];
+            return entry.linkText || entry.target;
+          });
+          fs.readdirSync.mockImplementation((uri) => resolve(uri).children);
+        };
+        const findChild = (asset, name) =>
+          asset.children.find((child) => child.uri === path.join(asset.uri, name));
+
+        it('should record links without following them by default', () => {
+          mockFileSystem();
+          const response = new AssetService().scan(testUri);
+          expect(response.link).toBeUndefined();
+          expect(findChild(response, 'data')).toEqual({
+            uri: path.join(testUri, 'data'),
+            type: 'symlink',
+            contentTypes: ['other'],
+            metadata: [],
+            link: { target: sharedUri, broken: false },
+          });
+          expect(findChild(response, 'loop').link).toEqual({ target: '..', broken: false });
+          expect(findChild(response, 'analysis.R').type).toEqual('file');
+          expect(fs.readdirSync).toHaveBeenCalledTimes(1);
+        });
+
+        it('should record broken links instead of failing', () => {
+          mockFileSystem();
+          let response = new AssetService().scan(testUri);
+          expect(findChild(response, 'broken')).toEqual({
+            uri: path.join(testUri, 'broken'),
+            type: 'symlink',
+            contentTypes: ['other'],
+            metadata: [],
+            link: { target: 'missing.csv', broken: true },
+          });
+
+          response = new AssetService(null, null, null, null, { followLinks: true }).scan(testUri);
+          expect(findChild(response, 'broken').type).toEqual('symlink');
+          expect(findChild(response, 'broken').link.broken).toBe(true);
+        });
+
+        it('should follow links when requested', () => {
+          mockFileSystem();
+          const response = new AssetService(null, null, null, null, { followLinks: true }).scan(
+            testUri,
+          );
+          const data = findChild(response, 'data');
+          expect(data.type).toEqual('directory');
+          expect(data.link).toEqual({ target: sharedUri, broken: false });
+          expect(data.children).toEqual([
+            {
+              uri: path.join(testUri, 'data', 'survey.csv'),
+              type: 'file',
+              contentTypes: ['data'],
+              metadata: [],
+            },
+          ]);
+        });
+
+        it('should not follow a link that loops back to a parent folder', () => {
+          mockFileSystem();
+          const response = new AssetService(null, null, null, null, { followLinks: true }).scan(
+            testUri,
+          );
+          const loop = findChild(response, 'loop');
+          expect(loop.type).toEqual('directory');
+          expect(loop.link).toEqual({ target: '..', broken: false, cycle: true });
+          expect(loop.children).toBeUndefined();
+          // The root folder and the linked data folder
+          expect(fs.readdirSync).toHaveBeenCalledTimes(2);
+        });
+
+        it('should always follow the folder being scanned', () => {
+          mockFileSystem();
+          const response = new AssetService().scan(path.join(testUri, 'data'));
+          expect(response.type).toEqual('directory');
+          expect(response.link).toEqual({ target: sharedUri, broken: false });
+          expect(response.children.length).toEqual(1);
+        });
+      });
+
+      describe('with StatWrap files', () => {
+        // Our fake project is under /Some/Valid/Folder, and starts with just figure.png.  The
+        // thumbnails the image handler creates are written to .statwrap/thumbnails.
+        const testUri = '/Some/Valid/Folder';
+        const thumbnailFolder = path.join(testUri, '.statwrap', 'thumbnails');
+        // The PNG signature and the IHDR chunk, which has the image dimensions
+        const png = Buffer.concat([
+          Buffer.from('\x89PNG\r\n\x1a\n', 'latin1'),
+          Buffer.from([0, 0, 0, 13]),
+          Buffer.from('IHDR', 'latin1'),
+          Buffer.from([0, 0, 0, 10, 0, 0, 0, 20, 8, 6, 0, 0, 0]),
+          Buffer.alloc(4),
+        ]);
+        let folders = null;
+        let files = null;
+        const mockFileSystem = () => {
+          folders = new Set([testUri]);
+          files = { [path.join(testUri, 'figure.png')]: png };
+          const exists = (uri) => folders.has(uri) || !!files[uri];
+          const createStats = (uri) => ({
+            size: files[uri] ? files[uri].length : 0,
+            isDirectory: () => folders.has(uri),
+            isFile: () => !!files[uri],
+            isSocket: () => false,
+            isSymbolicLink: () => false,
+          });
+          fs.accessSync.mockImplementation((uri) => {
+            if (!exists(uri)) {
+              throw new Error(`ENOENT: no such file or directory, access '${uri}'`);
+            }
+          });
+          fs.existsSync.mockImplementation(exists);
+          fs.lstatSync.mockImplementation(createStats);
+          fs.statSync.mockImplementation(createStats);
+          fs.readdirSync.mockImplementation((uri) =>
+            [...folders, ...Object.keys(files)]
+              .filter((x) => x !== uri && path.dirname(x) === uri)
+              .map((x) => path.basename(x)),
+          );
+          fs.mkdirSync.mockImplementation((uri) => {
+            for (let folder = uri; folder !== testUri; folder = path.dirname(folder)) {
+              folders.add(folder);
+            }
+          });
+          let openFile = null;
+          fs.openSync.mockImplementation((uri) => {
+            openFile = files[uri];
+            return 1;
+          });
+          fs.readSync.mockImplementation((fd, buffer, offset, length, position) => {
+            const start = Math.min(position, openFile.length);
+            return openFile.copy(buffer, offset, start, Math.min(start + length, openFile.length));
+          });
+        };
+
+        it('should not send the contents of the .statwrap folder to content handlers', () => {
+          mockFileSystem();
+          const createThumbnail = jest.fn().mockImplementation((uri, thumbnailPath) => {
+            files[thumbnailPath] = png;
+            return true;
+          });
+          const service = new AssetService([
+            new FileHandler(),
+            new ImageHandler({ thumbnailFolder, createThumbnail }),
+          ]);
+
+          service.scan(testUri);
+          // Rescan the project now that the thumbnail has been written
+          const response = service.scan(testUri);
+          service.scan(testUri);
+
+          expect(createThumbnail).toHaveBeenCalledTimes(3);
+          createThumbnail.mock.calls.forEach((call) =>
+            expect(call[0]).toEqual(path.join(testUri, 'figure.png')),
+          );
+          expect(fs.readdirSync(thumbnailFolder).length).toEqual(1);
+
+          const statwrapFolder = response.children.find((x) => x.uri.endsWith('.statwrap'));
+          const thumbnail = statwrapFolder.children[0].children[0];
+          expect(thumbnail.metadata).toEqual([
+            expect.objectContaining({ id: 'StatWrap.FileHandler', include: false }),
+          ]);
+        });
+      });
     });
 
     describe('assetContentType', () => {
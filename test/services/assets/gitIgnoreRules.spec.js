@@ -0,0 +1,88 @@
+import fs from 'fs';
+import path from 'path';
+import GitIgnoreRules from '../../../app/services/assets/gitIgnoreRules';
+
+jest.mock('fs');
+
+const PROJECT_PATH = path.join(path.sep, 'User', 'test', 'Project');
+
+// Mock the ignore files that exist in the project, given as their contents indexed by the path
+// relative to the project root.
+const mockIgnoreFiles = (files) => {
+  const absoluteFiles = {};
+  Object.keys(files).forEach((file) => {
+    absoluteFiles[path.join(PROJECT_PATH, file)] = files[file];
+  });
+  fs.existsSync.mockImplementation((filePath) => absoluteFiles[filePath] !== undefined);
+  fs.readFileSync.mockImplementation((filePath) => Buffer.from(absoluteFiles[filePath]));
+};
+
+describe('services', () => {
+  describe('GitIgnoreRules', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+      jest.clearAllMocks();
+    });
+
+    describe('isIgnored', () => {
+      it('should not ignore anything when there are no ignore files', () => {
+        mockIgnoreFiles({});
+        const rules = new GitIgnoreRules(PROJECT_PATH);
+        expect(rules.isIgnored(path.join(PROJECT_PATH, 'test.log'), false)).toBeFalsy();
+        expect(rules.isIgnored(path.join(PROJECT_PATH, 'a', 'b', 'c.txt'), false)).toBeFalsy();
+      });
+
+      it('should handle invalid paths', () => {
+        mockIgnoreFiles({ '.gitignore': '*' });
+        const rules = new GitIgnoreRules(PROJECT_PATH);
+        expect(rules.isIgnored(null, false)).toBeFalsy();
+        expect(rules.isIgnored(PROJECT_PATH, true)).toBeFalsy();
+        // Paths outside of the project are never ignored
+        expect(rules.isIgnored(path.join(path.sep, 'User', 'test', 'Other'), true)).toBeFalsy();
+        expect(new GitIgnoreRules(null).isIgnored(path.join(PROJECT_PATH, 'a'), true)).toBeFalsy();
+      });
+
+      it('should use the exclude file and nested .gitignore files', () => {
+        mockIgnoreFiles({
+          [path.join('.git', 'info', 'exclude')]: '*.tmp\nnotes.txt',
+          '.gitignore': '__pycache__/\nvenv/\n*.log\n!notes.txt',
+          [path.join('analysis', '.gitignore')]: 'output/\n!debug.log\n*.tmp',
+        });
+        const rules = new GitIgnoreRules(PROJECT_PATH);
+        const isIgnored = (relativePath, isDirectory) =>
+          rules.isIgnored(path.join(PROJECT_PATH, relativePath), isDirectory);
+        expect(isIgnored('venv', true)).toBeTruthy();
+        expect(isIgnored(path.join('venv', 'lib', 'site.py'), false)).toBeTruthy();
+        expect(isIgnored(path.join('code', '__pycache__'), true)).toBeTruthy();
+        expect(isIgnored('scratch.tmp', false)).toBeTruthy();
+        expect(isIgnored('run.log', false)).toBeTruthy();
+        expect(isIgnored(path.join('analysis', 'run.log'), false)).toBeTruthy();
+        expect(isIgnored('analysis.R', false)).toBeFalsy();
+
+        // .gitignore files take precedence over the exclude file
+        expect(isIgnored('notes.txt', false)).toBeFalsy();
+
+        // Nested .gitignore files take precedence over the ones above them, but only apply to the
+        // contents of their folder
+        expect(isIgnored(path.join('analysis', 'debug.log'), false)).toBeFalsy();
+        expect(isIgnored('debug.log', false)).toBeTruthy();
+        expect(isIgnored('output', true)).toBeFalsy();
+        expect(isIgnored(path.join('analysis', 'output'), true)).toBeTruthy();
+        expect(
+          isIgnored(path.join('analysis', 'results', 'output', 'fig.png'), false),
+        ).toBeTruthy();
+      });
+
+      it('should only read each ignore file once', () => {
+        mockIgnoreFiles({ '.gitignore': '*.log' });
+        const rules = new GitIgnoreRules(PROJECT_PATH);
+        rules.isIgnored(path.join(PROJECT_PATH, 'a', 'b', 'test.log'), false);
+        rules.isIgnored(path.join(PROJECT_PATH, 'a', 'b', 'other.log'), false);
+        rules.isIgnored(path.join(PROJECT_PATH, 'a', 'test.log'), false);
+        expect(fs.readFileSync).toHaveBeenCalledTimes(1);
+        // The exclude file and the .gitignore files in the root, a and a/b
+        expect(fs.existsSync).toHaveBeenCalledTimes(4);
+      });
+    });
+  });
+});
@@ -0,0 +1,292 @@
+import fs from 'fs';
+import CSVHandler from '../../../../app/services/assets/handlers/csv';
+
+jest.mock('fs');
+
+// Mock reading a file with the given contents.  The file size reported by statSync can be
+// overridden to simulate a file that is larger than what is read.
+const mockFileContents = (contents, fileSize) => {
+  const data = Buffer.isBuffer(contents) ? contents : Buffer.from(contents);
+  let position = 0;
+  fs.statSync.mockReturnValue({ size: fileSize || data.length });
+  fs.openSync.mockReturnValue(1);
+  fs.readSync.mockImplementation((fd, buffer, offset, length) => {
+    const bytesRead = data.copy(buffer, offset, position, Math.min(position + length, data.length));
+    position += bytesRead;
+    return bytesRead;
+  });
+};
+
+describe('services', () => {
+  describe('CSVHandler', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+      jest.clearAllMocks();
+    });
+
+    describe('id', () => {
+      it('should return an id that matches the class name plus StatWrap pseudo-namespace', () => {
+        expect(new CSVHandler().id()).toEqual(`StatWrap.${CSVHandler.name}`);
+      });
+    });
+
+    describe('includeFile', () => {
+      it('should include delimited text files and exclude others', () => {
+        const handler = new CSVHandler();
+        expect(handler.includeFile('/User/test/Project/data.csv')).toBeTruthy();
+        expect(handler.includeFile('C:/test/Project/Data.CSV')).toBeTruthy();
+        expect(handler.includeFile('/User/test/Project/data.tsv')).toBeTruthy();
+        expect(handler.includeFile('/User/test/Project/data.tab')).toBeTruthy();
+        expect(handler.includeFile('/User/test/Project/data.csv.bak')).toBeFalsy();
+        expect(handler.includeFile('/User/test/Project/data.xlsx')).toBeFalsy();
+        expect(handler.includeFile('/User/test/Project/.csv')).toBeFalsy();
+        expect(handler.includeFile(null)).toBeFalsy();
+      });
+    });
+
+    describe('scan', () => {
+      it('should return a response with details for a valid asset', () => {
+        mockFileContents('id,name\n1,a\n2,b\n');
+        const testAsset = {
+          uri: '/Some/Valid/data.csv',
+          type: 'file',
+          metadata: [],
+        };
+        const response = new CSVHandler().scan(testAsset);
+        expect(response.metadata[0]).toEqual({
+          id: 'StatWrap.CSVHandler',
+          encoding: 'UTF-8',
+          delimiter: ',',
+          columns: [
+            { name: 'id', type: 'integer', missing: 0 },
+            { name: 'name', type: 'string', missing: 0 },
+          ],
+          rowCount: 2,
+          sampled: false,
+        });
+        expect(fs.closeSync).toHaveBeenCalledWith(1);
+      });
+
+      it('should return a response with just the handler name if the file cannot be read', () => {
+        fs.statSync.mockImplementationOnce(() => {
+          throw new Error();
+        });
+        const testAsset = {
+          uri: '/Some/Invalid/data.csv',
+          type: 'file',
+          metadata: [],
+        };
+        const response = new CSVHandler().scan(testAsset);
+        expect(response.metadata[0]).toEqual({
+          id: 'StatWrap.CSVHandler',
+          error: 'Unable to read data file',
+        });
+      });
+
+      it('should not scan a file that already has metadata', () => {
+        const testAsset = {
+          uri: '/Some/Valid/data.csv',
+          type: 'file',
+          metadata: [{ id: 'StatWrap.CSVHandler', rowCount: 1 }],
+        };
+        const response = new CSVHandler().scan(testAsset);
+        expect(response.metadata.length).toEqual(1);
+        expect(fs.openSync).not.toHaveBeenCalled();
+      });
+
+      it('should scan files within a directory', () => {
+        mockFileContents('a\n1\n');
+        const testAsset = {
+          uri: '/Some/Valid',
+          type: 'directory',
+          metadata: [],
+          children: [
+            { uri: '/Some/Valid/data.csv', type: 'file', metadata: [] },
+            { uri: '/Some/Valid/code.R', type: 'file', metadata: [] },
+          ],
+        };
+        const response = new CSVHandler().scan(testAsset);
+        expect(response.metadata.length).toEqual(0);
+        expect(response.children[0].metadata[0].rowCount).toEqual(1);
+        expect(response.children[1].metadata.length).toEqual(0);
+      });
+    });
+
+    describe('detectEncoding', () => {
+      it('should detect byte order marks', () => {
+        const handler = new CSVHandler();
+        expect(handler.detectEncoding(Buffer.from([0xef, 0xbb, 0xbf, 0x61]))).toEqual({
+          name: 'UTF-8',
+          decoding: 'utf-8',
+          bomLength: 3,
+        });
+        expect(handler.detectEncoding(Buffer.from([0xff, 0xfe, 0x61, 0x00])).name).toEqual(
+          'UTF-16LE',
+        );
+        expect(handler.detectEncoding(Buffer.from([0xfe, 0xff, 0x00, 0x61])).name).toEqual(
+          'UTF-16BE',
+        );
+      });
+
+      it('should fall back to ISO-8859-1 for text that is not valid UTF-8', () => {
+        const handler = new CSVHandler();
+        expect(handler.detectEncoding(Buffer.from('café', 'latin1')).name).toEqual('ISO-8859-1');
+        expect(handler.detectEncoding(Buffer.from('café', 'utf8')).name).toEqual('UTF-8');
+      });
+
+      it('should not be confused by a character split at the end of the buffer', () => {
+        const buffer = Buffer.from('abcé', 'utf8');
+        expect(
+          new CSVHandler().detectEncoding(buffer.subarray(0, buffer.length - 1), false).name,
+        ).toEqual('UTF-8');
+      });
+    });
+
+    describe('detectDelimiter', () => {
+      it('should detect common delimiters', () => {
+        const handler = new CSVHandler();
+        expect(handler.detectDelimiter('a,b,c\n1,2,3\n')).toEqual(',');
+        expect(handler.detectDelimiter('a;b;c\n1,5;2,5;3\n')).toEqual(';');
+        expect(handler.detectDelimiter('a\tb\n1\t2\n')).toEqual('\t');
+        expect(handler.detectDelimiter('a|b\n1|2\n')).toEqual('|');
+      });
+
+      it('should ignore delimiters within quoted values', () => {
+        expect(new CSVHandler().detectDelimiter('"a,b";c\n"1,000";2\n')).toEqual(';');
+      });
+
+      it('should default to a comma', () => {
+        const handler = new CSVHandler();
+        expect(handler.detectDelimiter('')).toEqual(',');
+        expect(handler.detectDelimiter('single\n1\n')).toEqual(',');
+      });
+    });
+
+    describe('inferValueType', () => {
+      it('should infer the type of values', () => {
+        const handler = new CSVHandler();
+        expect(handler.inferValueType('12')).toEqual('integer');
+        expect(handler.inferValueType('-3')).toEqual('integer');
+        expect(handler.inferValueType('1.5')).toEqual('number');
+        expect(handler.inferValueType('1e-5')).toEqual('number');
+        expect(handler.inferValueType('TRUE')).toEqual('boolean');
+        expect(handler.inferValueType('2020-01-31')).toEqual('date');
+        expect(handler.inferValueType('1/31/2020')).toEqual('date');
+        expect(handler.inferValueType('2020-01-31T12:30:00Z')).toEqual('datetime');
+        expect(handler.inferValueType('abc')).toEqual('string');
+      });
+
+      it('should treat missing values as having no type', () => {
+        const handler = new CSVHandler();
+        expect(handler.inferValueType('')).toBeNull();
+        expect(handler.inferValueType(' NA ')).toBeNull();
+        expect(handler.inferValueType('.')).toBeNull();
+      });
+    });
+
+    describe('combineTypes', () => {
+      it('should combine compatible types', () => {
+        const handler = new CSVHandler();
+        expect(handler.combineTypes(null, 'integer')).toEqual('integer');
+        expect(handler.combineTypes('integer', null)).toEqual('integer');
+        expect(handler.combineTypes('integer', 'number')).toEqual('number');
+        expect(handler.combineTypes('datetime', 'date')).toEqual('datetime');
+        expect(handler.combineTypes('integer', 'boolean')).toEqual('string');
+        expect(handler.combineTypes('string', 'integer')).toEqual('string');
+      });
+    });
+
+    describe('getMetadata', () => {
+      it('should handle quoted values', () => {
+        mockFileContents(
+          'id,"comment, with comma",score\r\n1,"He said ""hi""\r\nthen left",2.5\r\n2,,NA\r\n',
+        );
+        const metadata = new CSVHandler().getMetadata('/test/data.csv');
+        expect(metadata.columns).toEqual([
+          { name: 'id', type: 'integer', missing: 0 },
+          { name: 'comment, with comma', type: 'string', missing: 1 },
+          { name: 'score', type: 'number', missing: 1 },
+        ]);
+        expect(metadata.rowCount).toEqual(2);
+      });
+
+      it('should handle files without a trailing line break and with blank lines', () => {
+        mockFileContents('a,b\n\n1,2\n3,4');
+        const metadata = new CSVHandler().getMetadata('/test/data.csv');
+        expect(metadata.rowCount).toEqual(2);
+      });
+
+      it('should use tabs for TSV files', () => {
+        mockFileContents('a\tb,c\n1\t2,3\n');
+        const metadata = new CSVHandler().getMetadata('/test/data.tsv');
+        expect(metadata.delimiter).toEqual('\t');
+        expect(metadata.columns.map((c) => c.name)).toEqual(['a', 'b,c']);
+      });
+
+      it('should report columns without any values as unknown', () => {
+        mockFileContents('a,b\n1,\n2,\n');
+        const metadata = new CSVHandler().getMetadata('/test/data.csv');
+        expect(metadata.columns[1]).toEqual({ name: 'b', type: 'unknown', missing: 2 });
+      });
+
+      it('should count missing values, including values missing from short rows', () => {
+        mockFileContents('a,b,c\n1,NA,x\nnull,2\n.,n/a,\n');
+        const metadata = new CSVHandler().getMetadata('/test/data.csv');
+        expect(metadata.columns.map((c) => c.missing)).toEqual([2, 2, 2]);
+      });
+
+      it('should handle an empty file', () => {
+        mockFileContents('');
+        const metadata = new CSVHandler().getMetadata('/test/data.csv');
+        expect(metadata.columns).toEqual([]);
+        expect(metadata.rowCount).toEqual(0);
+        expect(metadata.sampled).toEqual(false);
+      });
+
+      it('should decode UTF-16 files', () => {
+        const text = 'naïve,b\n1,2\n';
+        mockFileContents(Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(text, 'utf16le')]));
+        let metadata = new CSVHandler().getMetadata('/test/data.csv');
+        expect(metadata.encoding).toEqual('UTF-16LE');
+        expect(metadata.columns.map((c) => c.name)).toEqual(['naïve', 'b']);
+
+        mockFileContents(
+          Buffer.concat([Buffer.from([0xfe, 0xff]), Buffer.from(text, 'utf16le').swap16()]),
+        );
+        metadata = new CSVHandler().getMetadata('/test/data.csv');
+        expect(metadata.encoding).toEqual('UTF-16BE');
+        expect(metadata.columns.map((c) => c.name)).toEqual(['naïve', 'b']);
+      });
+
+      it('should decode ISO-8859-1 files', () => {
+        mockFileContents(Buffer.from('café,b\n1,2\n', 'latin1'));
+        const metadata = new CSVHandler().getMetadata('/test/data.csv');
+        expect(metadata.encoding).toEqual('ISO-8859-1');
+        expect(metadata.columns[0].name).toEqual('café');
+      });
+
+      it('should estimate the row count when the file is sampled', () => {
+        // The file appears to be twice as large as what can be read, with the last row cut off
+        const contents = 'a,b\n1,2\n3,4\n5,6\n7,';
+        mockFileContents(contents, contents.length * 2);
+        const metadata = new CSVHandler().getMetadata('/test/data.csv');
+        expect(metadata.sampled).toEqual(true);
+        expect(metadata.rowCount).toEqual(6);
+      });
+
+      it('should count rows that are not used to infer types', () => {
+        const rows = [];
+        for (let index = 0; index < 10005; index++) {
+          rows.push(index < 10000 ? `${index},"x"` : '"1.5",""');
+        }
+        mockFileContents(`a,b\n${rows.join('\n')}\n`);
+        const metadata = new CSVHandler().getMetadata('/test/data.csv');
+        expect(metadata.rowCount).toEqual(10005);
+        // Values after the type inference limit are not considered
+        expect(metadata.columns[0].type).toEqual('integer');
+        // Empty values are still counted as missing
+        expect(metadata.columns[1].missing).toEqual(5);
+      });
+    });
+  });
+});
@@ -0,0 +1,389 @@
+import fs from 'fs';
+import EnvironmentHandler from '../../../../app/services/assets/handlers/environment';
+
+jest.mock('fs');
+
+describe('services', () => {
+  describe('EnvironmentHandler', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+      jest.clearAllMocks();
+    });
+
+    describe('id', () => {
+      it('should return an id that matches the class name plus StatWrap pseudo-namespace', () => {
+        expect(new EnvironmentHandler().id()).toEqual(`StatWrap.${EnvironmentHandler.name}`);
+      });
+    });
+
+    describe('includeFile', () => {
+      it('should include manifest files and exclude others', () => {
+        const handler = new EnvironmentHandler();
+        expect(handler.includeFile('/User/test/Project/requirements.txt')).toBeTruthy();
+        expect(handler.includeFile('/User/test/Project/requirements-dev.txt')).toBeTruthy();
+        expect(handler.includeFile('/User/test/Project/pyproject.toml')).toBeTruthy();
+        expect(handler.includeFile('/User/test/Project/Pipfile.lock')).toBeTruthy();
+        expect(handler.includeFile('/User/test/Project/environment.yaml')).toBeTruthy();
+        expect(handler.includeFile('/User/test/Project/renv.lock')).toBeTruthy();
+        expect(handler.includeFile('/User/test/Project/DESCRIPTION')).toBeTruthy();
+        expect(handler.includeFile('/User/test/Project/pom.xml')).toBeTruthy();
+        expect(handler.includeFile('/User/test/Project/build.gradle.kts')).toBeTruthy();
+        expect(handler.includeFile('/User/test/Project/notes.txt')).toBeFalsy();
+        expect(handler.includeFile('/User/test/Project/Pipfile')).toBeFalsy();
+        expect(handler.includeFile('/User/test/Project/description.md')).toBeFalsy();
+        expect(handler.includeFile(null)).toBeFalsy();
+      });
+    });
+
+    describe('scan', () => {
+      it('should only scan manifest files and recurse into directories', () => {
+        fs.readFileSync.mockReturnValue('numpy==1.26.0\n');
+        const response = new EnvironmentHandler().scan({
+          uri: '/User/test/Project',
+          type: 'directory',
+          metadata: [],
+          children: [
+            { uri: '/User/test/Project/requirements.txt', type: 'file', metadata: [] },
+            { uri: '/User/test/Project/analysis.py', type: 'file', metadata: [] },
+          ],
+        });
+        expect(response.metadata).toEqual([]);
+        expect(response.children[0].metadata).toEqual([
+          {
+            id: 'StatWrap.EnvironmentHandler',
+            manifest: 'requirements.txt',
+            language: 'python',
+            packages: [{ name: 'numpy', version: '1.26.0', pinned: true }],
+          },
+        ]);
+        expect(response.children[1].metadata).toEqual([]);
+        expect(fs.readFileSync).toHaveBeenCalledTimes(1);
+      });
+
+      it('should not scan a file again if it already has metadata', () => {
+        const metadata = [{ id: 'StatWrap.EnvironmentHandler', packages: [] }];
+        const response = new EnvironmentHandler().scan({
+          uri: '/User/test/Project/renv.lock',
+          type: 'file',
+          metadata,
+        });
+        expect(response.metadata).toEqual(metadata);
+        expect(fs.readFileSync).not.toHaveBeenCalled();
+      });
+
+      it('should return a response with just the handler name if the file is not valid', () => {
+        fs.readFileSync.mockReturnValue('{ not valid JSON');
+        const response = new EnvironmentHandler().scan({
+          uri: '/User/test/Project/renv.lock',
+          type: 'file',
+          metadata: [],
+        });
+        expect(response.metadata[0]).toEqual({
+          id: 'StatWrap.EnvironmentHandler',
+          error: 'Unable to read environment file',
+        });
+      });
+    });
+
+    describe('parseRequirements', () => {
+      it('should find pinned and unpinned packages', () => {
+        const result = new EnvironmentHandler().parseRequirements(
+          [
+            '# Data processing',
+            '-r base.txt',
+            '--index-url https://pypi.example.org/simple',
+            'pandas==2.1.0',
+            'numpy >= 1.24, <2   # need the new API',
+            'scipy',
+            'requests[socks]===2.31.0 ; python_version > "3.8"',
+            'matplotlib==3.*',
+            'statsmodels==0.14.0 \\',
+            '    --hash=sha256:abc123',
+            'mypkg @ https://example.org/mypkg-1.0.tar.gz',
+            '-e .',
+            './local/package',
+          ].join('\n'),
+        );
+        expect(result).toEqual({
+          packages: [
+            { name: 'pandas', version: '2.1.0', pinned: true },
+            { name: 'numpy', version: '>=1.24,<2', pinned: false },
+            { name: 'scipy', version: null, pinned: false },
+            { name: 'requests', version: '2.31.0', pinned: true },
+            { name: 'matplotlib', version: '==3.*', pinned: false },
+            { name: 'statsmodels', version: '0.14.0', pinned: true },
+            { name: 'mypkg', version: null, pinned: false },
+          ],
+        });
+      });
+    });
+
+    describe('parsePyProject', () => {
+      it('should find PEP 621 dependencies', () => {
+        const result = new EnvironmentHandler().parsePyProject(
+          [
+            '[build-system]',
+            'requires = ["setuptools>=61"]',
+            '',
+            '[project]',
+            'name = "analysis"',
+            'requires-python = ">=3.9"',
+            'dependencies = [',
+            '  "pandas==2.1.0",  # pinned',
+            "  'numpy>=1.24',",
+            ']',
+            '',
+            '[project.optional-dependencies]',
+            'plots = ["seaborn"]',
+          ].join('\n'),
+        );
+        expect(result).toEqual({
+          runtime: { name: 'python', version: '>=3.9' },
+          packages: [
+            { name: 'pandas', version: '2.1.0', pinned: true },
+            { name: 'numpy', version: '>=1.24', pinned: false },
+            { name: 'seaborn', version: null, pinned: false },
+          ],
+        });
+      });
+
+      it('should find Poetry dependencies', () => {
+        const result = new EnvironmentHandler().parsePyProject(
+          [
+            '[tool.poetry.dependencies]',
+            'python = "^3.10"',
+            'pandas = "2.1.0"',
+            'numpy = "^1.24"',
+            'scipy = { version = "1.11.2", optional = true }',
+            'requests = "*"',
+            '',
+            '[tool.poetry.group.dev.dependencies]',
+            'pytest = "~7.4"',
+          ].join('\n'),
+        );
+        expect(result).toEqual({
+          runtime: { name: 'python', version: '^3.10' },
+          packages: [
+            { name: 'pandas', version: '2.1.0', pinned: true },
+            { name: 'numpy', version: '^1.24', pinned: false },
+            { name: 'scipy', version: '1.11.2', pinned: true },
+            { name: 'requests', version: null, pinned: false },
+            { name: 'pytest', version: '~7.4', pinned: false },
+          ],
+        });
+      });
+    });
+
+    describe('parsePipfileLock', () => {
+      it('should find default and development packages', () => {
+        const result = new EnvironmentHandler().parsePipfileLock(
+          JSON.stringify({
+            _meta: { requires: { python_version: '3.11' } },
+            default: { pandas: { version: '==2.1.0' }, localpkg: { path: '.' } },
+            develop: { pytest: { version: '==7.4.2' } },
+          }),
+        );
+        expect(result).toEqual({
+          runtime: { name: 'python', version: '3.11' },
+          packages: [
+            { name: 'pandas', version: '2.1.0', pinned: true },
+            { name: 'localpkg', version: null, pinned: false },
+            { name: 'pytest', version: '7.4.2', pinned: true },
+          ],
+        });
+      });
+    });
+
+    describe('parseCondaEnvironment', () => {
+      it('should find conda and pip packages', () => {
+        const result = new EnvironmentHandler().parseCondaEnvironment(
+          [
+            'name: analysis',
+            'channels:',
+            '  - conda-forge',
+            'dependencies:',
+            '  - python=3.10',
+            '  - numpy=1.26.0=py310h1',
+            '  - conda-forge::scipy>=1.11',
+            '  - pandas',
+            '  - r-base 4.3.1',
+            '  - matplotlib=3.8.*',
+            '  - pip',
+            '  - pip:',
+            '      - requests==2.31.0',
+            '      - "tqdm"',
+            '  - seaborn # plots',
+            'prefix: /opt/conda/envs/analysis',
+          ].join('\n'),
+        );
+        expect(result).toEqual({
+          runtime: { name: 'python', version: '3.10.*' },
+          packages: [
+            { name: 'numpy', version: '1.26.0', pinned: true, language: 'python' },
+            { name: 'scipy', version: '>=1.11', pinned: false, language: 'python' },
+            { name: 'pandas', version: null, pinned: false, language: 'python' },
+            { name: 'r-base', version: '4.3.1', pinned: true, language: 'r' },
+            { name: 'matplotlib', version: '3.8.*', pinned: false, language: 'python' },
+            { name: 'pip', version: null, pinned: false, language: 'python' },
+            { name: 'requests', version: '2.31.0', pinned: true, language: 'python' },
+            { name: 'tqdm', version: null, pinned: false, language: 'python' },
+            { name: 'seaborn', version: null, pinned: false, language: 'python' },
+          ],
+        });
+      });
+
+      it('should find R packages', () => {
+        const result = new EnvironmentHandler().parseCondaEnvironment(
+          [
+            'dependencies:',
+            '  - r-base=4.3',
+            '  - r-dplyr=1.1.3=r43hd8ed1ab_0',
+            '  - conda-forge::r-ggplot2>=3.4',
+          ].join('\n'),
+        );
+        expect(result).toEqual({
+          packages: [
+            { name: 'r-base', version: '4.3.*', pinned: false, language: 'r' },
+            { name: 'r-dplyr', version: '1.1.3', pinned: true, language: 'r' },
+            { name: 'r-ggplot2', version: '>=3.4', pinned: false, language: 'r' },
+          ],
+        });
+      });
+
+      it('should only pin a version after a single = when the build is included', () => {
+        const result = new EnvironmentHandler().parseCondaEnvironment(
+          [
+            'dependencies:',
+            '  - numpy=1.26.0',
+            '  - scipy=1.11.3=py310hb13e2d6_1',
+            '  - pandas==2.1.1',
+            '  - seaborn 0.13.0',
+          ].join('\n'),
+        );
+        expect(result.packages).toEqual([
+          { name: 'numpy', version: '1.26.0.*', pinned: false, language: 'python' },
+          { name: 'scipy', version: '1.11.3', pinned: true, language: 'python' },
+          { name: 'pandas', version: '2.1.1', pinned: true, language: 'python' },
+          { name: 'seaborn', version: '0.13.0', pinned: true, language: 'python' },
+        ]);
+      });
+    });
+
+    describe('parseRenvLock', () => {
+      it('should find the R version and packages', () => {
+        const result = new EnvironmentHandler().parseRenvLock(
+          JSON.stringify({
+            R: { Version: '4.3.1', Repositories: [] },
+            Packages: {
+              dplyr: { Package: 'dplyr', Version: '1.1.3', Source: 'Repository' },
+              ggplot2: { Package: 'ggplot2', Version: '3.4.4', Source: 'Repository' },
+            },
+          }),
+        );
+        expect(result).toEqual({
+          runtime: { name: 'R', version: '4.3.1' },
+          packages: [
+            { name: 'dplyr', version: '1.1.3', pinned: true },
+            { name: 'ggplot2', version: '3.4.4', pinned: true },
+          ],
+        });
+      });
+    });
+
+    describe('parseDescription', () => {
+      it('should find packages from each dependency field', () => {
+        const result = new EnvironmentHandler().parseDescription(
+          [
+            'Package: analysis',
+            'Version: 0.1.0',
+            'Depends: R (>= 4.1.0)',
+            'Imports:',
+            '    dplyr (>= 1.1.0),',
+            '    ggplot2,',
+            '    tidyr (== 1.3.0)',
+            'Suggests: testthat (>= 3.0.0)',
+            'License: MIT',
+          ].join('\n'),
+        );
+        expect(result).toEqual({
+          runtime: { name: 'R', version: '>=4.1.0' },
+          packages: [
+            { name: 'dplyr', version: '>=1.1.0', pinned: false },
+            { name: 'ggplot2', version: null, pinned: false },
+            { name: 'tidyr', version: '1.3.0', pinned: true },
+            { name: 'testthat', version: '>=3.0.0', pinned: false },
+          ],
+        });
+      });
+    });
+
+    describe('parsePom', () => {
+      it('should find dependencies and resolve version properties', () => {
+        const result = new EnvironmentHandler().parsePom(
+          [
+            '<project>',
+            '  <properties>',
+            '    <junit.version>5.10.0</junit.version>',
+            '  </properties>',
+            '  <dependencies>',
+            '    <dependency>',
+            '      <groupId>org.apache.commons</groupId>',
+            '      <artifactId>commons-math3</artifactId>',
+            '      <version>3.6.1</version>',
+            '    </dependency>',
+            '    <dependency>',
+            '      <groupId>org.junit.jupiter</groupId>',
+            '      <artifactId>junit-jupiter</artifactId>',
+            '      <version>${junit.version}</version>',
+            '    </dependency>',
+            '    <!-- <dependency><artifactId>old</artifactId></dependency> -->',
+            '    <dependency>',
+            '      <groupId>com.google.guava</groupId>',
+            '      <artifactId>guava</artifactId>',
+            '      <version>[30.0,)</version>',
+            '    </dependency>',
+            '    <dependency>',
+            '      <groupId>org.slf4j</groupId>',
+            '      <artifactId>slf4j-api</artifactId>',
+            '    </dependency>',
+            '  </dependencies>',
+            '</project>',
+          ].join('\n'),
+        );
+        expect(result).toEqual({
+          packages: [
+            { name: 'org.apache.commons:commons-math3', version: '3.6.1', pinned: true },
+            { name: 'org.junit.jupiter:junit-jupiter', version: '5.10.0', pinned: true },
+            { name: 'com.google.guava:guava', version: '[30.0,)', pinned: false },
+            { name: 'org.slf4j:slf4j-api', version: null, pinned: false },
+          ],
+        });
+      });
+    });
+
+    describe('parseGradle', () => {
+      it('should find dependencies in string and map notation', () => {
+        const result = new EnvironmentHandler().parseGradle(
+          [
+            'dependencies {',
+            "    implementation 'org.apache.commons:commons-math3:3.6.1'",
+            '    testImplementation("org.junit.jupiter:junit-jupiter:5.+")',
+            '    api "com.google.guava:guava:$guavaVersion"',
+            "    runtimeOnly group: 'org.slf4j', name: 'slf4j-simple', version: '2.0.9'",
+            "    compileOnly 'org.projectlombok:lombok'",
+            '}',
+          ].join('\n'),
+        );
+        expect(result).toEqual({
+          packages: [
+            { name: 'org.apache.commons:commons-math3', version: '3.6.1', pinned: true },
+            { name: 'org.junit.jupiter:junit-jupiter', version: '5.+', pinned: false },
+            { name: 'com.google.guava:guava', version: '$guavaVersion', pinned: false },
+            { name: 'org.projectlombok:lombok', version: null, pinned: false },
+            { name: 'org.slf4j:slf4j-simple', version: '2.0.9', pinned: true },
+          ],
+        });
+      });
+    });
+  });
+});
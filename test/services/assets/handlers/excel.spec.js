@@ -0,0 +1,238 @@
+import fs from 'fs';
+import ExcelHandler from '../../../../app/services/assets/handlers/excel';
+
+const zlib = require('zlib');
+
+jest.mock('fs');
+
+// Mock reading a file with the given contents, from any position
+const mockFileContents = (contents) => {
+  fs.statSync.mockReturnValue({ size: contents.length });
+  fs.fstatSync.mockReturnValue({ size: contents.length });
+  fs.openSync.mockReturnValue(1);
+  fs.readSync.mockImplementation((fd, buffer, offset, length, position) => {
+    const start = Math.min(position, contents.length);
+    return contents.copy(buffer, offset, start, Math.min(start + length, contents.length));
+  });
+};
+
+// Create a ZIP archive with the given files (an object of file names and contents)
+const createZip = (files) => {
+  const localParts = [];
+  const directoryParts = [];
+  let offset = 0;
+  Object.keys(files).forEach((name) => {
+    const nameBytes = Buffer.from(name);
+    const contents = Buffer.from(files[name]);
+    const compressed = zlib.deflateRawSync(contents);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(contents.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    localParts.push(local, nameBytes, compressed);
+
+    const directory = Buffer.alloc(46);
+    directory.writeUInt32LE(0x02014b50, 0);
+    directory.writeUInt16LE(20, 4);
+    directory.writeUInt16LE(20, 6);
+    directory.writeUInt16LE(8, 10);
+    directory.writeUInt32LE(compressed.length, 20);
+    directory.writeUInt32LE(contents.length, 24);
+    directory.writeUInt16LE(nameBytes.length, 28);
+    directory.writeUInt32LE(offset, 42);
+    directoryParts.push(directory, nameBytes);
+
+    offset += local.length + nameBytes.length + compressed.length;
+  });
+
+  const directory = Buffer.concat(directoryParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...localParts, directory, end]);
+};
+
+const WORKBOOK = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+  <sheets>
+    <sheet name="Results &amp; Notes" sheetId="1" r:id="rId1"/>
+    <sheet name="Empty" sheetId="2" r:id="rId2"/>
+  </sheets>
+</workbook>`;
+
+const RELATIONSHIPS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>
+  <Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="/xl/worksheets/sheet2.xml"/>
+  <Relationship Id="rId3" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/sharedStrings" Target="sharedStrings.xml"/>
+</Relationships>`;
+
+const SHARED_STRINGS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<sst xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" count="4" uniqueCount="4">
+  <si><t>id</t></si>
+  <si><r><t>sco</t></r><r><rPr><b/></rPr><t>re</t></r></si>
+  <si><t>name</t><rPh sb="0" eb="1"><t>ignored</t></rPh></si>
+  <si><t xml:space="preserve">Alice </t></si>
+</sst>`;
+
+const SHEET = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+  <dimension ref="A1:D4"/>
+  <sheetData>
+    <row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="C1" t="s"><v>2</v></c><c r="D1" t="inlineStr"><is><t>passed</t></is></c></row>
+    <row r="2"><c r="A2"><v>1</v></c><c r="B2"><v>90.5</v></c><c r="C2" t="s"><v>3</v></c><c r="D2" t="b"><v>1</v></c></row>
+    <row r="4"><c r="A4"><v>2</v></c><c r="B4"><v>85</v></c><c r="D4" t="b"><v>0</v></c></row>
+  </sheetData>
+</worksheet>`;
+
+const EMPTY_SHEET = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+  <dimension ref="A1"/>
+  <sheetData/>
+</worksheet>`;
+
+const createWorkbook = () =>
+  createZip({
+    '[Content_Types].xml': '<Types/>',
+    'xl/workbook.xml': WORKBOOK,
+    'xl/_rels/workbook.xml.rels': RELATIONSHIPS,
+    'xl/sharedStrings.xml': SHARED_STRINGS,
+    'xl/worksheets/sheet1.xml': SHEET,
+    'xl/worksheets/sheet2.xml': EMPTY_SHEET,
+  });
+
+describe('services', () => {
+  describe('ExcelHandler', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+      jest.clearAllMocks();
+    });
+
+    describe('id', () => {
+      it('should return an id that matches the class name plus StatWrap pseudo-namespace', () => {
+        expect(new ExcelHandler().id()).toEqual(`StatWrap.${ExcelHandler.name}`);
+      });
+    });
+
+    describe('includeFile', () => {
+      it('should include Excel workbooks and exclude others', () => {
+        const handler = new ExcelHandler();
+        expect(handler.includeFile('/User/test/Project/data.xlsx')).toBeTruthy();
+        expect(handler.includeFile('C:/test/Project/Data.XLSX')).toBeTruthy();
+        expect(handler.includeFile('/User/test/Project/macros.xlsm')).toBeTruthy();
+        expect(handler.includeFile('/User/test/Project/old.xls')).toBeFalsy();
+        expect(handler.includeFile('/User/test/Project/data.csv')).toBeFalsy();
+        expect(handler.includeFile(null)).toBeFalsy();
+      });
+    });
+
+    describe('scan', () => {
+      it('should return a response with details for a valid asset', () => {
+        mockFileContents(createWorkbook());
+        const testAsset = {
+          uri: '/Some/Valid/data.xlsx',
+          type: 'file',
+          metadata: [],
+        };
+        const response = new ExcelHandler().scan(testAsset);
+        expect(response.metadata[0]).toEqual({
+          id: 'StatWrap.ExcelHandler',
+          sheets: [
+            {
+              name: 'Results & Notes',
+              columns: [
+                { name: 'id', type: 'integer' },
+                { name: 'score', type: 'number' },
+                { name: 'name', type: 'string' },
+                { name: 'passed', type: 'boolean' },
+              ],
+              rowCount: 3,
+            },
+            { name: 'Empty', columns: [], rowCount: 0 },
+          ],
+        });
+        expect(fs.closeSync).toHaveBeenCalledWith(1);
+      });
+
+      it('should return a response with just the handler name if the file is not valid', () => {
+        mockFileContents(Buffer.from('This is not a ZIP file'));
+        const testAsset = {
+          uri: '/Some/Invalid/data.xlsx',
+          type: 'file',
+          metadata: [],
+        };
+        const response = new ExcelHandler().scan(testAsset);
+        expect(response.metadata[0]).toEqual({
+          id: 'StatWrap.ExcelHandler',
+          error: 'Unable to read data file',
+        });
+        expect(fs.closeSync).toHaveBeenCalledWith(1);
+      });
+    });
+
+    describe('getMetadata', () => {
+      it('should throw an error for a ZIP file that is not a workbook', () => {
+        mockFileContents(createZip({ 'word/document.xml': '<document/>' }));
+        expect(() => new ExcelHandler().getMetadata('/test/data.xlsx')).toThrow(
+          'Not an Excel workbook',
+        );
+      });
+    });
+
+    describe('parseSheet', () => {
+      it('should use the dimension for the row count if the sheet was not completely read', () => {
+        const handler = new ExcelHandler();
+        // The last row was cut off
+        const xml =
+          '<worksheet><dimension ref="A2:B1000"/><sheetData><row r="2"><c r="A2" t="inlineStr"><is><t>a</t></is></c></row><row r="3"><c r="A3"><v>1';
+        expect(handler.parseSheet(xml, false, [])).toEqual({
+          columns: [{ name: 'a', type: 'unknown' }],
+          rowCount: 998,
+        });
+      });
+
+      it('should handle cells without a reference', () => {
+        const handler = new ExcelHandler();
+        const xml =
+          '<sheetData><row><c t="s"><v>0</v></c><c t="s"><v>1</v></c></row><row><c><v>1</v></c><c t="str"><v>x</v></c></row></sheetData>';
+        expect(handler.parseSheet(xml, true, ['a', 'b'])).toEqual({
+          columns: [
+            { name: 'a', type: 'integer' },
+            { name: 'b', type: 'string' },
+          ],
+          rowCount: 1,
+        });
+      });
+    });
+
+    describe('getColumnIndex', () => {
+      it('should convert cell references to column indexes', () => {
+        const handler = new ExcelHandler();
+        expect(handler.getColumnIndex('A1')).toEqual(0);
+        expect(handler.getColumnIndex('Z10')).toEqual(25);
+        expect(handler.getColumnIndex('AA3')).toEqual(26);
+        expect(handler.getColumnIndex('ab3')).toEqual(27);
+        expect(handler.getColumnIndex('1A')).toBeNull();
+        expect(handler.getColumnIndex(null)).toBeNull();
+      });
+    });
+
+    describe('decodeXml', () => {
+      it('should replace XML entities', () => {
+        const handler = new ExcelHandler();
+        expect(handler.decodeXml('a &amp; b &lt;c&gt; &quot;d&quot; &apos;e&apos;')).toEqual(
+          'a & b <c> "d" \'e\'',
+        );
+        expect(handler.decodeXml('&#233;&#xE9;')).toEqual('éé');
+        expect(handler.decodeXml('&unknown;')).toEqual('&unknown;');
+      });
+    });
+  });
+});
@@ -169,6 +169,201 @@ describe('services', () => {
         expect(response.children[1].metadata[0]).toEqual(expectedMetadata);
         expect(response.children[1].children[0].metadata[0]).toEqual(expectedMetadata);
       });
+
+      it('should exclude everything within a folder that is not included', () => {
+        fs.accessSync.mockReturnValue(true);
+        fs.statSync.mockReturnValue(new fs.Stats());
+        const response = new FileHandler().scan({
+          uri: '/Some/Valid/Folder/.statwrap',
+          type: 'directory',
+          metadata: [],
+          children: [
+            {
+              uri: '/Some/Valid/Folder/.statwrap/thumbnails',
+              type: 'directory',
+              metadata: [],
+              children: [
+                {
+                  uri: '/Some/Valid/Folder/.statwrap/thumbnails/0a1b2c.png',
+                  type: 'file',
+                  metadata: [],
+                },
+              ],
+            },
+          ],
+        });
+        expect(response.metadata[0].include).toBe(false);
+        expect(response.children[0].metadata[0].include).toBe(false);
+        expect(response.children[0].children[0].metadata[0].include).toBe(false);
+      });
+    });
+
+    describe('hashing', () => {
+      const mockFileContents = (contents) => {
+        const data = Buffer.from(contents);
+        let position = 0;
+        fs.openSync.mockReturnValue(1);
+        fs.readSync.mockImplementation((fd, buffer, offset, length) => {
+          const bytesRead = data.copy(
+            buffer,
+            offset,
+            position,
+            Math.min(position + length, data.length),
+          );
+          position += bytesRead;
+          return bytesRead;
+        });
+      };
+
+      const mockStats = (size) => {
+        fs.accessSync.mockReturnValue(true);
+        const stat = new fs.Stats();
+        stat.size = size;
+        stat.mtimeMs = 1690000000000;
+        stat.ctimeMs = 1690000000000;
+        fs.statSync.mockReturnValue(stat);
+        return stat;
+      };
+
+      const testAsset = () => ({
+        uri: '/Some/Valid/File.csv',
+        type: 'file',
+        metadata: [],
+      });
+
+      it('should not hash file contents by default', () => {
+        mockStats(3);
+        const response = new FileHandler().scan(testAsset());
+        expect(response.metadata[0].hash).toBeUndefined();
+        expect(fs.openSync).not.toHaveBeenCalled();
+      });
+
+      it('should compute the SHA-256 hash of the file contents', () => {
+        mockStats(3);
+        mockFileContents('abc');
+        const response = new FileHandler({ hashContents: true }).scan(testAsset());
+        expect(response.metadata[0].hash).toEqual(
+          'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad',
+        );
+        expect(fs.closeSync).toHaveBeenCalledWith(1);
+      });
+
+      it('should not hash directories', () => {
+        mockStats(0);
+        const response = new FileHandler({ hashContents: true }).scan({
+          uri: '/Some/Valid/Folder',
+          type: 'directory',
+          metadata: [],
+        });
+        expect(response.metadata[0].hash).toBeUndefined();
+        expect(fs.openSync).not.toHaveBeenCalled();
+      });
+
+      it('should not hash files larger than the size limit', () => {
+        mockStats(1000);
+        const response = new FileHandler({ hashContents: true, maxHashSize: 999 }).scan(
+          testAsset(),
+        );
+        expect(response.metadata[0].hash).toBeUndefined();
+        expect(response.metadata[0].hashError).toBeUndefined();
+        expect(fs.openSync).not.toHaveBeenCalled();
+      });
+
+      it('should record an error if the file cannot be read', () => {
+        mockStats(3);
+        fs.openSync.mockImplementation(() => {
+          throw new Error('EACCES');
+        });
+        const response = new FileHandler({ hashContents: true }).scan(testAsset());
+        expect(response.metadata[0].hash).toBeUndefined();
+        expect(response.metadata[0].hashError).toEqual('Unable to compute the hash for this file');
+      });
+
+      it('should reuse the hash from the scan cache if available', () => {
+        const stat = mockStats(3);
+        const scanCache = {
+          getHash: jest.fn().mockReturnValue('cached'),
+          setHash: jest.fn(),
+        };
+        const response = new FileHandler({ hashContents: true, scanCache }).scan(testAsset());
+        expect(response.metadata[0].hash).toEqual('cached');
+        expect(scanCache.getHash).toHaveBeenCalledWith('/Some/Valid/File.csv', stat);
+        // The hash is kept for the next scan
+        expect(scanCache.setHash).toHaveBeenCalledWith('/Some/Valid/File.csv', stat, 'cached');
+        expect(fs.openSync).not.toHaveBeenCalled();
+      });
+
+      it('should not hash files that are not included', () => {
+        mockStats(3);
+        const response = new FileHandler({ hashContents: true }).scan({
+          uri: '/Some/Valid/.statwrap/.statwrap.log',
+          type: 'file',
+          metadata: [],
+        });
+        expect(response.metadata[0].include).toBe(false);
+        expect(response.metadata[0].hash).toBeUndefined();
+        expect(fs.openSync).not.toHaveBeenCalled();
+      });
+
+      it('should save the computed hash to the scan cache', () => {
+        const stat = mockStats(3);
+        mockFileContents('abc');
+        const scanCache = {
+          getHash: jest.fn().mockReturnValue(null),
+          setHash: jest.fn(),
+        };
+        new FileHandler({ hashContents: true, scanCache }).scan(testAsset());
+        expect(scanCache.setHash).toHaveBeenCalledWith(
+          '/Some/Valid/File.csv',
+          stat,
+          'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad',
+        );
+      });
+    });
+
+    describe('git ignore rules', () => {
+      const mockStats = () => {
+        fs.accessSync.mockReturnValue(true);
+        fs.statSync.mockReturnValue(new fs.Stats());
+      };
+
+      it('should exclude and flag assets that git ignores', () => {
+        mockStats();
+        const gitIgnoreRules = { isIgnored: jest.fn().mockReturnValue(true) };
+        const response = new FileHandler({ gitIgnoreRules }).scan({
+          uri: '/Some/Valid/venv',
+          type: 'directory',
+          metadata: [],
+        });
+        expect(response.metadata[0].include).toBe(false);
+        expect(response.metadata[0].gitIgnored).toBe(true);
+        expect(gitIgnoreRules.isIgnored).toHaveBeenCalledWith('/Some/Valid/venv', true);
+      });
+
+      it('should include assets that git does not ignore', () => {
+        mockStats();
+        const gitIgnoreRules = { isIgnored: jest.fn().mockReturnValue(false) };
+        const response = new FileHandler({ gitIgnoreRules }).scan({
+          uri: '/Some/Valid/File.csv',
+          type: 'file',
+          metadata: [],
+        });
+        expect(response.metadata[0].include).toBe(true);
+        expect(response.metadata[0].gitIgnored).toBeUndefined();
+        expect(gitIgnoreRules.isIgnored).toHaveBeenCalledWith('/Some/Valid/File.csv', false);
+      });
+
+      it('should not flag assets that are already excluded', () => {
+        mockStats();
+        const gitIgnoreRules = { isIgnored: jest.fn().mockReturnValue(true) };
+        const response = new FileHandler({ gitIgnoreRules }).scan({
+          uri: '/Some/Valid/.DS_Store',
+          type: 'file',
+          metadata: [],
+        });
+        expect(response.metadata[0].include).toBe(false);
+        expect(response.metadata[0].gitIgnored).toBeUndefined();
+      });
     });
   });
 });
@@ -0,0 +1,458 @@
+import fs from 'fs';
+import ImageHandler from '../../../../app/services/assets/handlers/image';
+
+const path = require('path');
+
+jest.mock('fs');
+
+// Mock reading a file with the given contents, from any position
+const mockFileContents = (contents) => {
+  fs.openSync.mockReturnValue(1);
+  fs.readSync.mockImplementation((fd, buffer, offset, length, position) => {
+    const start = Math.min(position, contents.length);
+    return contents.copy(buffer, offset, start, Math.min(start + length, contents.length));
+  });
+};
+
+const uint16BE = (value) => {
+  const buffer = Buffer.alloc(2);
+  buffer.writeUInt16BE(value);
+  return buffer;
+};
+
+const uint32BE = (value) => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32BE(value);
+  return buffer;
+};
+
+const uint32LE = (value) => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32LE(value);
+  return buffer;
+};
+
+// Create the bytes for a TIFF structure (used for TIFF files and EXIF blocks).  Each entry is
+// { tag, type, value }, where the value is a string (ASCII), number (SHORT or LONG) or an array
+// of [numerator, denominator] (RATIONAL).  The EXIF entries are written to a separate IFD.
+const createTiff = (littleEndian, entries, exifEntries) => {
+  const write16 = (buffer, value, offset) =>
+    littleEndian ? buffer.writeUInt16LE(value, offset) : buffer.writeUInt16BE(value, offset);
+  const write32 = (buffer, value, offset) =>
+    littleEndian ? buffer.writeUInt32LE(value, offset) : buffer.writeUInt32BE(value, offset);
+
+  const header = Buffer.alloc(8);
+  header.write(littleEndian ? 'II' : 'MM', 0, 'latin1');
+  write16(header, 42, 2);
+  write32(header, 8, 4);
+
+  const parts = [header];
+  let dataOffset = 0;
+  const ifdEntries = exifEntries ? [...entries, { tag: 34665, type: 4, value: 0 }] : entries;
+  const ifdLength = 2 + ifdEntries.length * 12 + 4;
+  const exifIfdOffset = 8 + ifdLength;
+  const exifIfdLength = exifEntries ? 2 + exifEntries.length * 12 + 4 : 0;
+  dataOffset = exifIfdOffset + exifIfdLength;
+  const dataParts = [];
+
+  const createIfd = (ifd) => {
+    const buffer = Buffer.alloc(2 + ifd.length * 12 + 4);
+    write16(buffer, ifd.length, 0);
+    ifd.forEach((entry, index) => {
+      const position = 2 + index * 12;
+      write16(buffer, entry.tag, position);
+      write16(buffer, entry.type, position + 2);
+      if (entry.type === 2) {
+        const text = Buffer.from(`${entry.value}\0`);
+        write32(buffer, text.length, position + 4);
+        if (text.length <= 4) {
+          text.copy(buffer, position + 8);
+        } else {
+          write32(buffer, dataOffset, position + 8);
+          dataParts.push(text);
+          dataOffset += text.length;
+        }
+      } else if (entry.type === 5) {
+        const rational = Buffer.alloc(8);
+        write32(rational, entry.value[0], 0);
+        write32(rational, entry.value[1], 4);
+        write32(buffer, 1, position + 4);
+        write32(buffer, dataOffset, position + 8);
+        dataParts.push(rational);
+        dataOffset += 8;
+      } else {
+        write32(buffer, 1, position + 4);
+        const value = entry.tag === 34665 ? exifIfdOffset : entry.value;
+        if (entry.type === 3) {
+          write16(buffer, value, position + 8);
+        } else {
+          write32(buffer, value, position + 8);
+        }
+      }
+    });
+    return buffer;
+  };
+
+  parts.push(createIfd(ifdEntries));
+  if (exifEntries) {
+    parts.push(createIfd(exifEntries));
+  }
+  return Buffer.concat([...parts, ...dataParts]);
+};
+
+const EXIF = createTiff(
+  false,
+  [
+    { tag: 271, type: 2, value: 'Canon' },
+    { tag: 272, type: 2, value: 'EOS 5D' },
+    { tag: 274, type: 3, value: 1 },
+    { tag: 282, type: 5, value: [240, 1] },
+    { tag: 283, type: 5, value: [240, 1] },
+    { tag: 296, type: 3, value: 2 },
+  ],
+  [{ tag: 36867, type: 2, value: '2020:01:02 03:04:05' }],
+);
+
+const EXPECTED_EXIF = {
+  make: 'Canon',
+  model: 'EOS 5D',
+  orientation: 1,
+  dateTimeOriginal: '2020:01:02 03:04:05',
+};
+
+const pngChunk = (type, data) =>
+  Buffer.concat([uint32BE(data.length), Buffer.from(type, 'latin1'), data, Buffer.alloc(4)]);
+
+const createPng = () =>
+  Buffer.concat([
+    Buffer.from('\x89PNG\r\n\x1a\n', 'latin1'),
+    pngChunk('IHDR', Buffer.concat([uint32BE(800), uint32BE(600), Buffer.from([8, 2, 0, 0, 0])])),
+    // 11811 pixels per meter is 300 DPI
+    pngChunk('pHYs', Buffer.concat([uint32BE(11811), uint32BE(11811), Buffer.from([1])])),
+    pngChunk('eXIf', EXIF),
+    pngChunk('IDAT', Buffer.alloc(100)),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+
+const jpegSegment = (marker, data) =>
+  Buffer.concat([Buffer.from([0xff, marker]), uint16BE(data.length + 2), data]);
+
+const createJpeg = (includeJfif) =>
+  Buffer.concat([
+    Buffer.from([0xff, 0xd8]),
+    includeJfif
+      ? jpegSegment(
+          0xe0,
+          Buffer.concat([
+            Buffer.from('JFIF\0', 'latin1'),
+            Buffer.from([1, 2, 1]),
+            uint16BE(300),
+            uint16BE(300),
+            Buffer.from([0, 0]),
+          ]),
+        )
+      : Buffer.alloc(0),
+    jpegSegment(0xe1, Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), EXIF])),
+    jpegSegment(0xdb, Buffer.alloc(65)),
+    jpegSegment(0xc2, Buffer.concat([Buffer.from([8]), uint16BE(480), uint16BE(640)])),
+    jpegSegment(0xda, Buffer.alloc(10)),
+    Buffer.alloc(100),
+    Buffer.from([0xff, 0xd9]),
+  ]);
+
+const createWebP = (chunks) => {
+  const body = Buffer.concat(
+    chunks.map(([type, data]) =>
+      Buffer.concat([
+        Buffer.from(type, 'latin1'),
+        uint32LE(data.length),
+        data,
+        Buffer.alloc(data.length % 2),
+      ]),
+    ),
+  );
+  return Buffer.concat([
+    Buffer.from('RIFF', 'latin1'),
+    uint32LE(body.length + 4),
+    Buffer.from('WEBP', 'latin1'),
+    body,
+  ]);
+};
+
+describe('services', () => {
+  describe('ImageHandler', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+      jest.clearAllMocks();
+    });
+
+    describe('id', () => {
+      it('should return an id that matches the class name plus StatWrap pseudo-namespace', () => {
+        expect(new ImageHandler().id()).toEqual(`StatWrap.${ImageHandler.name}`);
+      });
+    });
+
+    describe('includeFile', () => {
+      it('should include image files and exclude others', () => {
+        const handler = new ImageHandler();
+        expect(handler.includeFile('/User/test/Project/figure.png')).toBeTruthy();
+        expect(handler.includeFile('C:/test/Project/Figure.JPG')).toBeTruthy();
+        expect(handler.includeFile('/User/test/Project/plot.svg')).toBeTruthy();
+        expect(handler.includeFile('/User/test/Project/scan.tiff')).toBeTruthy();
+        expect(handler.includeFile('/User/test/Project/report.pdf')).toBeFalsy();
+        expect(handler.includeFile(null)).toBeFalsy();
+      });
+    });
+
+    describe('scan', () => {
+      const thumbnailFolder = path.join('/User/test/Project', '.statwrap', 'thumbnails');
+
+      it('should return a response with details for a valid asset', () => {
+        mockFileContents(createPng());
+        const testAsset = {
+          uri: '/Some/Valid/figure.png',
+          type: 'file',
+          metadata: [],
+        };
+        const response = new ImageHandler().scan(testAsset);
+        expect(response.metadata[0]).toEqual({
+          id: 'StatWrap.ImageHandler',
+          format: 'PNG',
+          width: 800,
+          height: 600,
+          dpi: { x: 300, y: 300 },
+          exif: EXPECTED_EXIF,
+        });
+        expect(fs.closeSync).toHaveBeenCalledWith(1);
+      });
+
+      it('should return a response with just the handler name if the file is not valid', () => {
+        mockFileContents(Buffer.from('This is not an image'));
+        const testAsset = {
+          uri: '/Some/Invalid/figure.png',
+          type: 'file',
+          metadata: [],
+        };
+        const response = new ImageHandler().scan(testAsset);
+        expect(response.metadata[0]).toEqual({
+          id: 'StatWrap.ImageHandler',
+          error: 'Unable to read image file',
+        });
+        expect(fs.closeSync).toHaveBeenCalledWith(1);
+      });
+
+      it('should create a thumbnail when it is enabled', () => {
+        mockFileContents(createPng());
+        const createThumbnail = jest.fn().mockReturnValue(true);
+        const handler = new ImageHandler({ thumbnailFolder, createThumbnail });
+        const response = handler.scan({
+          uri: '/Some/Valid/figure.png',
+          type: 'file',
+          metadata: [],
+        });
+        const thumbnailPath = handler.getThumbnailPath('/Some/Valid/figure.png');
+        expect(path.dirname(thumbnailPath)).toEqual(thumbnailFolder);
+        expect(fs.mkdirSync).toHaveBeenCalledWith(thumbnailFolder, { recursive: true });
+        expect(createThumbnail).toHaveBeenCalledWith('/Some/Valid/figure.png', thumbnailPath, 256);
+        expect(response.metadata[0].thumbnail).toEqual(thumbnailPath);
+      });
+
+      it('should not include a thumbnail if it could not be created', () => {
+        mockFileContents(createPng());
+        const createThumbnail = jest.fn().mockReturnValue(false);
+        let response = new ImageHandler({ thumbnailFolder, createThumbnail }).scan({
+          uri: '/Some/Valid/figure.png',
+          type: 'file',
+          metadata: [],
+        });
+        expect(response.metadata[0].thumbnail).toBeUndefined();
+
+        createThumbnail.mockImplementation(() => {
+          throw new Error('Unable to write');
+        });
+        response = new ImageHandler({ thumbnailFolder, createThumbnail }).scan({
+          uri: '/Some/Valid/figure.png',
+          type: 'file',
+          metadata: [],
+        });
+        expect(response.metadata[0].format).toEqual('PNG');
+        expect(response.metadata[0].thumbnail).toBeUndefined();
+      });
+
+      it('should recreate a thumbnail that is missing or from another location', () => {
+        const createThumbnail = jest.fn().mockReturnValue(true);
+        const handler = new ImageHandler({ thumbnailFolder, createThumbnail });
+        const thumbnailPath = handler.getThumbnailPath('/Some/Valid/figure.png');
+
+        // The thumbnail exists where we expect it, so nothing needs to be done
+        fs.existsSync.mockReturnValue(true);
+        let response = handler.scan({
+          uri: '/Some/Valid/figure.png',
+          type: 'file',
+          metadata: [{ id: 'StatWrap.ImageHandler', format: 'PNG', thumbnail: thumbnailPath }],
+        });
+        expect(createThumbnail).not.toHaveBeenCalled();
+        expect(fs.openSync).not.toHaveBeenCalled();
+
+        // The project was moved
+        response = handler.scan({
+          uri: '/Some/Valid/figure.png',
+          type: 'file',
+          metadata: [{ id: 'StatWrap.ImageHandler', format: 'PNG', thumbnail: '/Old/thumb.png' }],
+        });
+        expect(response.metadata[0].thumbnail).toEqual(thumbnailPath);
+
+        // The thumbnail was deleted
+        fs.existsSync.mockReturnValue(false);
+        handler.scan({
+          uri: '/Some/Valid/figure.png',
+          type: 'file',
+          metadata: [{ id: 'StatWrap.ImageHandler', format: 'PNG', thumbnail: thumbnailPath }],
+        });
+        expect(createThumbnail).toHaveBeenCalledTimes(2);
+        expect(fs.openSync).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('getMetadata', () => {
+      it('should read JPEG files', () => {
+        mockFileContents(createJpeg(true));
+        expect(new ImageHandler().getMetadata('/test/photo.jpg')).toEqual({
+          format: 'JPEG',
+          width: 640,
+          height: 480,
+          // The JFIF density is used instead of the EXIF resolution
+          dpi: { x: 300, y: 300 },
+          exif: EXPECTED_EXIF,
+        });
+      });
+
+      it('should use the EXIF resolution for JPEG files without JFIF', () => {
+        mockFileContents(createJpeg(false));
+        expect(new ImageHandler().getMetadata('/test/photo.jpg').dpi).toEqual({ x: 240, y: 240 });
+      });
+
+      it('should read GIF files', () => {
+        const contents = Buffer.alloc(20);
+        contents.write('GIF89a', 'latin1');
+        contents.writeUInt16LE(320, 6);
+        contents.writeUInt16LE(200, 8);
+        mockFileContents(contents);
+        expect(new ImageHandler().getMetadata('/test/animation.gif')).toEqual({
+          format: 'GIF',
+          width: 320,
+          height: 200,
+        });
+      });
+
+      it('should read BMP files', () => {
+        const contents = Buffer.alloc(54);
+        contents.write('BM', 'latin1');
+        contents.writeUInt32LE(40, 14);
+        contents.writeInt32LE(100, 18);
+        contents.writeInt32LE(-50, 22);
+        contents.writeInt32LE(3780, 38);
+        contents.writeInt32LE(3780, 42);
+        mockFileContents(contents);
+        expect(new ImageHandler().getMetadata('/test/image.bmp')).toEqual({
+          format: 'BMP',
+          width: 100,
+          height: 50,
+          dpi: { x: 96.01, y: 96.01 },
+        });
+      });
+
+      it('should read TIFF files', () => {
+        mockFileContents(
+          createTiff(true, [
+            { tag: 256, type: 4, value: 2000 },
+            { tag: 257, type: 3, value: 1000 },
+            { tag: 282, type: 5, value: [600, 1] },
+            { tag: 283, type: 5, value: [300, 1] },
+            { tag: 296, type: 3, value: 3 },
+            { tag: 305, type: 2, value: 'R' },
+          ]),
+        );
+        expect(new ImageHandler().getMetadata('/test/scan.tif')).toEqual({
+          format: 'TIFF',
+          width: 2000,
+          height: 1000,
+          dpi: { x: 1524, y: 762 },
+          exif: { software: 'R' },
+        });
+      });
+
+      it('should read WebP files', () => {
+        const handler = new ImageHandler();
+        const extended = Buffer.alloc(10);
+        extended.writeUIntLE(1023, 4, 3);
+        extended.writeUIntLE(767, 7, 3);
+        mockFileContents(
+          createWebP([
+            ['VP8X', extended],
+            ['EXIF', Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), EXIF])],
+          ]),
+        );
+        expect(handler.getMetadata('/test/image.webp')).toEqual({
+          format: 'WebP',
+          width: 1024,
+          height: 768,
+          exif: EXPECTED_EXIF,
+        });
+
+        const lossy = Buffer.alloc(10);
+        lossy.writeUInt16LE(400, 6);
+        lossy.writeUInt16LE(300, 8);
+        mockFileContents(createWebP([['VP8 ', lossy]]));
+        expect(handler.getMetadata('/test/image.webp')).toEqual({
+          format: 'WebP',
+          width: 400,
+          height: 300,
+        });
+
+        // The size is packed as 14 bits each, minus one
+        const lossless = Buffer.alloc(5);
+        lossless[0] = 0x2f;
+        lossless.writeUInt32LE(399 + 299 * 0x4000, 1);
+        mockFileContents(createWebP([['VP8L', lossless]]));
+        expect(handler.getMetadata('/test/image.webp')).toEqual({
+          format: 'WebP',
+          width: 400,
+          height: 300,
+        });
+      });
+
+      it('should read SVG files', () => {
+        const handler = new ImageHandler();
+        mockFileContents(
+          Buffer.from(
+            '<?xml version="1.0"?>\n<!-- Plot -->\n<svg xmlns="http://www.w3.org/2000/svg" width="5in" height=\'288pt\' viewBox="0 0 360 288">',
+          ),
+        );
+        expect(handler.getMetadata('/test/plot.svg')).toEqual({
+          format: 'SVG',
+          width: 480,
+          height: 384,
+        });
+
+        mockFileContents(Buffer.from('<svg viewBox="0,0,720.5 432" width="100%">'));
+        expect(handler.getMetadata('/test/plot.svg')).toEqual({
+          format: 'SVG',
+          width: 721,
+          height: 432,
+        });
+
+        mockFileContents(Buffer.from('<svg width="100%">'));
+        expect(handler.getMetadata('/test/plot.svg')).toEqual({ format: 'SVG' });
+      });
+    });
+
+    describe('parseExif', () => {
+      it('should ignore EXIF blocks that are not valid', () => {
+        const handler = new ImageHandler();
+        expect(handler.parseExif(Buffer.from('XX'))).toEqual({ dpi: null, exif: {} });
+        expect(handler.parseExif(Buffer.from('ZZ*\0\0\0\0\0'))).toEqual({ dpi: null, exif: {} });
+      });
+    });
+  });
+});
@@ -0,0 +1,229 @@
+import fs from 'fs';
+import JuliaHandler from '../../../../app/services/assets/handlers/julia';
+import Constants from '../../../../app/constants/constants';
+
+jest.mock('fs');
+
+describe('services', () => {
+  describe('JuliaHandler', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+      jest.clearAllMocks();
+    });
+
+    describe('id', () => {
+      it('should return an id that matches the class name plus StatWrap pseudo-namespace', () => {
+        expect(new JuliaHandler().id()).toEqual(`StatWrap.${JuliaHandler.name}`);
+      });
+    });
+
+    describe('includeFile', () => {
+      it('should include Julia files and exclude others', () => {
+        const handler = new JuliaHandler();
+        expect(handler.includeFile('/User/test/Project/analysis.jl')).toBeTruthy();
+        expect(handler.includeFile('C:/test/Project/Analysis.JL')).toBeTruthy();
+        expect(handler.includeFile('/User/test/Project/analysis.jld2')).toBeFalsy();
+        expect(handler.includeFile('/User/test/Project/analysis.jl.bak')).toBeFalsy();
+        expect(handler.includeFile('/User/test/Project/.jl')).toBeFalsy();
+        expect(handler.includeFile(null)).toBeFalsy();
+      });
+    });
+
+    describe('scan', () => {
+      it('should return a response with details for a valid asset', () => {
+        fs.readFileSync.mockReturnValue('using CSV\ndf = CSV.read("data.csv", DataFrame)');
+        const testAsset = {
+          uri: '/Some/Valid/File.jl',
+          type: 'file',
+          metadata: [],
+        };
+        const response = new JuliaHandler().scan(testAsset);
+        expect(fs.readFileSync).toHaveBeenCalledTimes(1);
+        expect(response.metadata[0]).toEqual({
+          id: 'StatWrap.JuliaHandler',
+          libraries: [{ id: 'CSV', package: 'CSV' }],
+          inputs: [
+            {
+              id: 'CSV.read - "data.csv"',
+              type: Constants.DependencyType.DATA,
+              path: '"data.csv"',
+            },
+          ],
+          outputs: [],
+        });
+      });
+
+      it('should return a response with just the handler name if the file cannot be read', () => {
+        fs.readFileSync.mockImplementationOnce(() => {
+          throw new Error();
+        });
+        const testAsset = {
+          uri: '/Some/Invalid/Path.jl',
+          type: 'file',
+          metadata: [],
+        };
+        const response = new JuliaHandler().scan(testAsset);
+        expect(response.metadata[0]).toEqual({
+          id: 'StatWrap.JuliaHandler',
+          error: 'Unable to read code file',
+        });
+      });
+    });
+
+    describe('getLibraries', () => {
+      it('should handle empty/blank inputs', () => {
+        expect(new JuliaHandler().getLibraries('test.uri', '').length).toEqual(0);
+        expect(new JuliaHandler().getLibraries('test.uri', null).length).toEqual(0);
+        expect(new JuliaHandler().getLibraries('test.uri', undefined).length).toEqual(0);
+        expect(new JuliaHandler().getLibraries('test.uri', 'println("hello")').length).toEqual(0);
+      });
+
+      it('should retrieve packages from using and import statements', () => {
+        const libraries = new JuliaHandler().getLibraries(
+          'test.uri',
+          'using CSV, DataFrames\nusing Plots: plot, savefig\nimport Statistics\nusing Plots.PlotMeasures',
+        );
+        expect(libraries).toEqual([
+          { id: 'CSV', package: 'CSV' },
+          { id: 'DataFrames', package: 'DataFrames' },
+          { id: 'Plots', package: 'Plots' },
+          { id: 'Statistics', package: 'Statistics' },
+          { id: 'Plots', package: 'Plots' },
+        ]);
+      });
+
+      it('should ignore local modules and commented out lines', () => {
+        expect(
+          new JuliaHandler().getLibraries('test.uri', 'using .Utils\n# using CSV\n  #import Stats')
+            .length,
+        ).toEqual(0);
+      });
+    });
+
+    describe('getInputs', () => {
+      it('should handle empty/blank inputs', () => {
+        expect(new JuliaHandler().getInputs('test.uri', '').length).toEqual(0);
+        expect(new JuliaHandler().getInputs('test.uri', null).length).toEqual(0);
+        expect(new JuliaHandler().getInputs('test.uri', undefined).length).toEqual(0);
+      });
+
+      it('should retrieve included code files', () => {
+        const inputs = new JuliaHandler().getInputs('test.uri', 'include("utils.jl")');
+        expect(inputs).toEqual([{ id: 'include - "utils.jl"', type: 'code', path: '"utils.jl"' }]);
+      });
+
+      it('should retrieve data read using functions', () => {
+        const inputs = new JuliaHandler().getInputs(
+          'test.uri',
+          'df = CSV.read("data/raw.csv", DataFrame)\n' +
+            'df2 = DataFrame(CSV.File("other.csv"))\n' +
+            'd = FileIO.load("results.jld2")\n' +
+            'img = load("photo.png")\n' +
+            'm = download("https://example.com/file.csv")',
+        );
+        expect(inputs).toEqual([
+          {
+            id: 'CSV.read - "data/raw.csv"',
+            type: Constants.DependencyType.DATA,
+            path: '"data/raw.csv"',
+          },
+          {
+            id: 'CSV.File - "other.csv"',
+            type: Constants.DependencyType.DATA,
+            path: '"other.csv"',
+          },
+          {
+            id: 'FileIO.load - "results.jld2"',
+            type: Constants.DependencyType.DATA,
+            path: '"results.jld2"',
+          },
+          {
+            id: 'load - "photo.png"',
+            type: Constants.DependencyType.FIGURE,
+            path: '"photo.png"',
+          },
+        ]);
+      });
+
+      it('should only retrieve files opened for reading', () => {
+        const inputs = new JuliaHandler().getInputs(
+          'test.uri',
+          'f1 = open("a.txt")\nf2 = open("b.txt", "r")\nf3 = open("c.txt", "w")\nf4 = open("d.txt", "r+")',
+        );
+        expect(inputs.map((i) => i.path)).toEqual(['"a.txt"', '"b.txt"', '"d.txt"']);
+      });
+
+      it('should ignore commented out lines', () => {
+        expect(
+          new JuliaHandler().getInputs('test.uri', '# df = CSV.read("data.csv", DataFrame)').length,
+        ).toEqual(0);
+      });
+    });
+
+    describe('getOutputs', () => {
+      it('should handle empty/blank inputs', () => {
+        expect(new JuliaHandler().getOutputs('test.uri', '').length).toEqual(0);
+        expect(new JuliaHandler().getOutputs('test.uri', null).length).toEqual(0);
+        expect(new JuliaHandler().getOutputs('test.uri', undefined).length).toEqual(0);
+      });
+
+      it('should retrieve figures', () => {
+        const outputs = new JuliaHandler().getOutputs(
+          'test.uri',
+          'savefig(p, "figure1.png")\nsavefig("figure2.pdf")\nsave("figure3.svg", fig)',
+        );
+        expect(outputs).toEqual([
+          {
+            id: 'savefig - "figure1.png"',
+            type: Constants.DependencyType.FIGURE,
+            path: '"figure1.png"',
+          },
+          {
+            id: 'savefig - "figure2.pdf"',
+            type: Constants.DependencyType.FIGURE,
+            path: '"figure2.pdf"',
+          },
+          {
+            id: 'save - "figure3.svg"',
+            type: Constants.DependencyType.FIGURE,
+            path: '"figure3.svg"',
+          },
+        ]);
+      });
+
+      it('should retrieve data outputs', () => {
+        const outputs = new JuliaHandler().getOutputs(
+          'test.uri',
+          'CSV.write("out.csv", df)\n' +
+            'writedlm("matrix.txt", A)\n' +
+            'save("results.jld2", "x", x)\n' +
+            'open("log.txt", "a") do io\nend',
+        );
+        expect(outputs).toEqual([
+          {
+            id: 'CSV.write - "out.csv"',
+            type: Constants.DependencyType.DATA,
+            path: '"out.csv"',
+          },
+          {
+            id: 'writedlm - "matrix.txt"',
+            type: Constants.DependencyType.DATA,
+            path: '"matrix.txt"',
+          },
+          {
+            id: 'save - "results.jld2"',
+            type: Constants.DependencyType.DATA,
+            path: '"results.jld2"',
+          },
+          { id: 'open - "log.txt"', type: Constants.DependencyType.DATA, path: '"log.txt"' },
+        ]);
+      });
+
+      it('should ignore commented out lines', () => {
+        expect(
+          new JuliaHandler().getOutputs('test.uri', '# CSV.write("out.csv", df)').length,
+        ).toEqual(0);
+      });
+    });
+  });
+});
@@ -0,0 +1,255 @@
+import fs from 'fs';
+import MATLABHandler from '../../../../app/services/assets/handlers/matlab';
+import Constants from '../../../../app/constants/constants';
+
+jest.mock('fs');
+
+describe('services', () => {
+  describe('MATLABHandler', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+      jest.clearAllMocks();
+    });
+
+    describe('id', () => {
+      it('should return an id that matches the class name plus StatWrap pseudo-namespace', () => {
+        expect(new MATLABHandler().id()).toEqual(`StatWrap.${MATLABHandler.name}`);
+      });
+    });
+
+    describe('includeFile', () => {
+      it('should include MATLAB files and exclude others', () => {
+        const handler = new MATLABHandler();
+        expect(handler.includeFile('/User/test/Project/analysis.m')).toBeTruthy();
+        expect(handler.includeFile('C:/test/Project/Analysis.M')).toBeTruthy();
+        expect(handler.includeFile('/User/test/Project/analysis.mat')).toBeFalsy();
+        expect(handler.includeFile('/User/test/Project/analysis.mlx')).toBeFalsy();
+        expect(handler.includeFile('/User/test/Project/analysis.m.bak')).toBeFalsy();
+        expect(handler.includeFile('/User/test/Project/.m')).toBeFalsy();
+        expect(handler.includeFile(null)).toBeFalsy();
+      });
+    });
+
+    describe('scan', () => {
+      it('should return a response with details for a valid asset', () => {
+        fs.readFileSync.mockReturnValue("addpath('lib');\ndata = readtable('data.csv');");
+        const testAsset = {
+          uri: '/Some/Valid/File.m',
+          type: 'file',
+          metadata: [],
+        };
+        const response = new MATLABHandler().scan(testAsset);
+        expect(fs.readFileSync).toHaveBeenCalledTimes(1);
+        expect(response.metadata[0]).toEqual({
+          id: 'StatWrap.MATLABHandler',
+          libraries: [{ id: 'lib', package: 'lib' }],
+          inputs: [
+            {
+              id: "readtable - 'data.csv'",
+              type: Constants.DependencyType.DATA,
+              path: "'data.csv'",
+            },
+          ],
+          outputs: [],
+        });
+      });
+
+      it('should return a response with just the handler name if the file cannot be read', () => {
+        fs.readFileSync.mockImplementationOnce(() => {
+          throw new Error();
+        });
+        const testAsset = {
+          uri: '/Some/Invalid/Path.m',
+          type: 'file',
+          metadata: [],
+        };
+        const response = new MATLABHandler().scan(testAsset);
+        expect(response.metadata[0]).toEqual({
+          id: 'StatWrap.MATLABHandler',
+          error: 'Unable to read code file',
+        });
+      });
+    });
+
+    describe('getLibraries', () => {
+      it('should handle empty/blank inputs', () => {
+        expect(new MATLABHandler().getLibraries('test.uri', '').length).toEqual(0);
+        expect(new MATLABHandler().getLibraries('test.uri', null).length).toEqual(0);
+        expect(new MATLABHandler().getLibraries('test.uri', undefined).length).toEqual(0);
+        expect(new MATLABHandler().getLibraries('test.uri', 'disp("hello")').length).toEqual(0);
+      });
+
+      it('should retrieve folders added to the path', () => {
+        const libraries = new MATLABHandler().getLibraries(
+          'test.uri',
+          "addpath('utils');\naddpath(genpath(\"toolbox/export_fig\"));\naddpath('a', 'b', '-end');",
+        );
+        expect(libraries.map((l) => l.id)).toEqual(['utils', 'toolbox/export_fig', 'a', 'b']);
+      });
+
+      it('should retrieve imports and toolboxes', () => {
+        const libraries = new MATLABHandler().getLibraries(
+          'test.uri',
+          "import matlab.io.*\nlicense('checkout', 'Statistics_Toolbox');\npkg load statistics",
+        );
+        expect(libraries).toEqual([
+          { id: 'matlab.io.*', package: 'matlab.io.*' },
+          { id: 'Statistics_Toolbox', package: 'Statistics_Toolbox' },
+          { id: 'statistics', package: 'statistics' },
+        ]);
+      });
+
+      it('should ignore commented out lines', () => {
+        expect(
+          new MATLABHandler().getLibraries('test.uri', "% addpath('utils')\n  %import x.y").length,
+        ).toEqual(0);
+      });
+    });
+
+    describe('getInputs', () => {
+      it('should handle empty/blank inputs', () => {
+        expect(new MATLABHandler().getInputs('test.uri', '').length).toEqual(0);
+        expect(new MATLABHandler().getInputs('test.uri', null).length).toEqual(0);
+        expect(new MATLABHandler().getInputs('test.uri', undefined).length).toEqual(0);
+      });
+
+      it('should retrieve data read using functions', () => {
+        const inputs = new MATLABHandler().getInputs(
+          'test.uri',
+          "T = readtable('data/raw.csv', 'Delimiter', ',');\n" +
+            'M = xlsread("book.xlsx");\n' +
+            "S = load('results.mat');\n" +
+            "img = imread('photo.png');",
+        );
+        expect(inputs).toEqual([
+          {
+            id: "imread - 'photo.png'",
+            type: Constants.DependencyType.FIGURE,
+            path: "'photo.png'",
+          },
+          {
+            id: "load - 'results.mat'",
+            type: Constants.DependencyType.DATA,
+            path: "'results.mat'",
+          },
+          {
+            id: "readtable - 'data/raw.csv'",
+            type: Constants.DependencyType.DATA,
+            path: "'data/raw.csv'",
+          },
+          {
+            id: 'xlsread - "book.xlsx"',
+            type: Constants.DependencyType.DATA,
+            path: '"book.xlsx"',
+          },
+        ]);
+      });
+
+      it('should retrieve data loaded using command syntax', () => {
+        const inputs = new MATLABHandler().getInputs(
+          'test.uri',
+          'load data.mat\nload -ascii values.txt\nload(filename)\nload = 1;',
+        );
+        expect(inputs).toEqual([
+          { id: 'load - data.mat', type: Constants.DependencyType.DATA, path: 'data.mat' },
+          { id: 'load - values.txt', type: Constants.DependencyType.DATA, path: 'values.txt' },
+        ]);
+      });
+
+      it('should only retrieve files opened for reading', () => {
+        const inputs = new MATLABHandler().getInputs(
+          'test.uri',
+          "f1 = fopen('a.txt');\nf2 = fopen('b.txt', 'r');\nf3 = fopen('c.txt', 'w');\nf4 = fopen('d.txt', 'r+');",
+        );
+        expect(inputs.map((i) => i.path)).toEqual(["'a.txt'", "'b.txt'", "'d.txt'"]);
+      });
+
+      it('should ignore commented out lines', () => {
+        expect(
+          new MATLABHandler().getInputs('test.uri', "% T = readtable('data.csv');").length,
+        ).toEqual(0);
+      });
+    });
+
+    describe('getOutputs', () => {
+      it('should handle empty/blank inputs', () => {
+        expect(new MATLABHandler().getOutputs('test.uri', '').length).toEqual(0);
+        expect(new MATLABHandler().getOutputs('test.uri', null).length).toEqual(0);
+        expect(new MATLABHandler().getOutputs('test.uri', undefined).length).toEqual(0);
+      });
+
+      it('should retrieve figures', () => {
+        const outputs = new MATLABHandler().getOutputs(
+          'test.uri',
+          "saveas(gcf, 'figure1.png');\n" +
+            "exportgraphics(ax, 'figure2.pdf', 'Resolution', 300);\n" +
+            "imwrite(A, map, 'figure3.gif');",
+        );
+        expect(outputs).toEqual([
+          {
+            id: "saveas - 'figure1.png'",
+            type: Constants.DependencyType.FIGURE,
+            path: "'figure1.png'",
+          },
+          {
+            id: "exportgraphics - 'figure2.pdf'",
+            type: Constants.DependencyType.FIGURE,
+            path: "'figure2.pdf'",
+          },
+          {
+            id: "imwrite - 'figure3.gif'",
+            type: Constants.DependencyType.FIGURE,
+            path: "'figure3.gif'",
+          },
+        ]);
+      });
+
+      it('should retrieve data outputs', () => {
+        const outputs = new MATLABHandler().getOutputs(
+          'test.uri',
+          "save('results.mat', 'x', 'y');\n" +
+            'save -v7.3 big.mat x\n' +
+            "writetable(T, 'out.csv');\n" +
+            "fid = fopen('log.txt', 'a');",
+        );
+        expect(outputs).toEqual([
+          {
+            id: "save - 'results.mat'",
+            type: Constants.DependencyType.DATA,
+            path: "'results.mat'",
+          },
+          { id: 'save - big.mat', type: Constants.DependencyType.DATA, path: 'big.mat' },
+          {
+            id: "writetable - 'out.csv'",
+            type: Constants.DependencyType.DATA,
+            path: "'out.csv'",
+          },
+          { id: "fopen - 'log.txt'", type: Constants.DependencyType.DATA, path: "'log.txt'" },
+        ]);
+      });
+
+      it('should ignore commented out lines', () => {
+        expect(
+          new MATLABHandler().getOutputs('test.uri', "% writetable(T, 'out.csv');").length,
+        ).toEqual(0);
+      });
+    });
+
+    describe('getAbsolutePaths', () => {
+      it('should skip MATLAB comments', () => {
+        expect(
+          new MATLABHandler().getAbsolutePaths(
+            'test.m',
+            "% data = load('C:\\old\\data.mat');\ndata = load('C:\\data\\data.mat');",
+          ),
+        ).toEqual([
+          {
+            path: 'C:\\data\\data.mat',
+            line: 2,
+            snippet: "data = load('C:\\data\\data.mat');",
+          },
+        ]);
+      });
+    });
+  });
+});
@@ -0,0 +1,253 @@
+import fs from 'fs';
+import NotebookHandler from '../../../../app/services/assets/handlers/notebook';
+import PythonHandler from '../../../../app/services/assets/handlers/python';
+import Constants from '../../../../app/constants/constants';
+
+jest.mock('fs');
+
+// Utility to build the JSON contents of a notebook from a kernel language and a list of cell sources
+const createNotebook = (language, cells, metadata) =>
+  JSON.stringify({
+    cells: cells.map((c) =>
+      typeof c === 'object' && !Array.isArray(c) ? c : { cell_type: 'code', source: c },
+    ),
+    metadata: metadata || { kernelspec: { language, name: language } },
+    nbformat: 4,
+    nbformat_minor: 5,
+  });
+
+describe('services', () => {
+  describe('NotebookHandler', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+      jest.clearAllMocks();
+    });
+
+    describe('id', () => {
+      it('should return an id that matches the class name plus StatWrap pseudo-namespace', () => {
+        expect(new NotebookHandler().id()).toEqual(`StatWrap.${NotebookHandler.name}`);
+      });
+    });
+
+    describe('version', () => {
+      it('should include the versions of the handlers it delegates to', () => {
+        const handler = new NotebookHandler();
+        const version = handler.version();
+        expect(version.startsWith(`${NotebookHandler.version}+`)).toBeTruthy();
+        expect(version).toContain(`StatWrap.PythonHandler:${PythonHandler.version}`);
+        expect(version).toContain(`StatWrap.RHandler:${handler.languageHandlers.r.version()}`);
+
+        // A change to a delegate changes the notebook handler's version
+        jest.spyOn(PythonHandler.prototype, 'version').mockReturnValue(99);
+        expect(handler.version()).not.toEqual(version);
+      });
+    });
+
+    describe('includeFile', () => {
+      it('should include notebook files and exclude others', () => {
+        const handler = new NotebookHandler();
+        expect(handler.includeFile('/User/test/Project/analysis.ipynb')).toBeTruthy();
+        expect(handler.includeFile('C:/test/Project/Analysis.IPYNB')).toBeTruthy();
+        expect(handler.includeFile('/User/test/Project/analysis.py')).toBeFalsy();
+        expect(handler.includeFile('/User/test/Project/analysis.ipynb.bak')).toBeFalsy();
+        expect(handler.includeFile('/User/test/Project/.ipynb')).toBeFalsy();
+        expect(handler.includeFile(null)).toBeFalsy();
+      });
+    });
+
+    describe('getKernelLanguage', () => {
+      it('should handle empty/invalid notebooks', () => {
+        const handler = new NotebookHandler();
+        expect(handler.getKernelLanguage(null)).toBeNull();
+        expect(handler.getKernelLanguage({})).toBeNull();
+        expect(handler.getKernelLanguage({ metadata: {} })).toBeNull();
+      });
+
+      it('should use the kernelspec language first', () => {
+        expect(
+          new NotebookHandler().getKernelLanguage({
+            metadata: { kernelspec: { language: 'R', name: 'python3' } },
+          }),
+        ).toEqual('r');
+      });
+
+      it('should fall back to the language_info and then the kernel name', () => {
+        const handler = new NotebookHandler();
+        expect(
+          handler.getKernelLanguage({ metadata: { language_info: { name: 'python' } } }),
+        ).toEqual('python');
+        expect(handler.getKernelLanguage({ metadata: { kernelspec: { name: 'ir' } } })).toEqual(
+          'r',
+        );
+        expect(
+          handler.getKernelLanguage({ metadata: { kernelspec: { name: 'python3' } } }),
+        ).toEqual('python');
+      });
+
+      it('should return null for unsupported languages', () => {
+        expect(
+          new NotebookHandler().getKernelLanguage({
+            metadata: { kernelspec: { language: 'julia' } },
+          }),
+        ).toBeNull();
+      });
+    });
+
+    describe('getCodeByLanguage', () => {
+      it('should handle empty/invalid inputs', () => {
+        const handler = new NotebookHandler();
+        expect(handler.getCodeByLanguage(null)).toEqual({});
+        expect(handler.getCodeByLanguage('')).toEqual({});
+        expect(handler.getCodeByLanguage('not json')).toEqual({});
+        expect(handler.getCodeByLanguage('{}')).toEqual({});
+      });
+
+      it('should only include code cells', () => {
+        const code = new NotebookHandler().getCodeByLanguage(
+          createNotebook('python', [
+            { cell_type: 'markdown', source: ['import markdown'] },
+            ['import sys\n', 'print(sys.path)'],
+            'import os',
+          ]),
+        );
+        expect(code).toEqual({ python: 'import sys\nprint(sys.path)\nimport os' });
+      });
+
+      it('should remove line magics and shell commands from Python code', () => {
+        const code = new NotebookHandler().getCodeByLanguage(
+          createNotebook('python', [
+            ['%matplotlib inline\n', '!pip install pandas\n', 'import pandas'],
+          ]),
+        );
+        expect(code).toEqual({ python: 'import pandas' });
+      });
+
+      it('should route cells with a language cell magic to that language', () => {
+        const code = new NotebookHandler().getCodeByLanguage(
+          createNotebook('python', [['%%R\n', 'library(dplyr)'], 'import sys']),
+        );
+        expect(code).toEqual({ r: 'library(dplyr)', python: 'import sys' });
+      });
+
+      it('should skip cells with other cell magics', () => {
+        const code = new NotebookHandler().getCodeByLanguage(
+          createNotebook('python', [['%%bash\n', 'python other.py'], 'import sys']),
+        );
+        expect(code).toEqual({ python: 'import sys' });
+      });
+
+      it('should skip all code when the kernel language is not supported', () => {
+        expect(
+          new NotebookHandler().getCodeByLanguage(createNotebook('julia', ['using CSV'])),
+        ).toEqual({});
+      });
+    });
+
+    describe('scan', () => {
+      it('should return a response with details for a valid Python notebook', () => {
+        fs.readFileSync.mockReturnValue(
+          createNotebook('python', [
+            'import pandas as pd',
+            "df = pd.read_csv('data.csv')",
+            "df.to_csv('out.csv')",
+          ]),
+        );
+
+        const testAsset = {
+          uri: '/Some/Valid/Analysis.ipynb',
+          type: 'file',
+          metadata: [],
+        };
+        const response = new NotebookHandler().scan(testAsset);
+        expect(fs.readFileSync).toHaveBeenCalledTimes(1);
+        expect(response.metadata[0]).toEqual({
+          id: 'StatWrap.NotebookHandler',
+          libraries: [{ id: 'pandas', module: null, import: 'pandas', alias: 'pd' }],
+          inputs: [
+            {
+              id: "read_csv - 'data.csv'",
+              type: Constants.DependencyType.DATA,
+              path: "'data.csv'",
+            },
+          ],
+          outputs: [
+            { id: "to_csv - 'out.csv'", type: Constants.DependencyType.DATA, path: "'out.csv'" },
+          ],
+        });
+      });
+
+      it('should return a response with details for a valid R notebook', () => {
+        fs.readFileSync.mockReturnValue(
+          createNotebook('R', ['library(readr)', 'source("helpers.R")']),
+        );
+
+        const testAsset = {
+          uri: '/Some/Valid/Analysis.ipynb',
+          type: 'file',
+          metadata: [],
+        };
+        const response = new NotebookHandler().scan(testAsset);
+        expect(response.metadata[0]).toEqual({
+          id: 'StatWrap.NotebookHandler',
+          libraries: [{ id: 'readr', package: 'readr' }],
+          inputs: [{ id: 'source - "helpers.R"', type: 'code', path: '"helpers.R"' }],
+          outputs: [],
+        });
+      });
+
+      it('should return empty results for an invalid notebook', () => {
+        fs.readFileSync.mockReturnValue('{ invalid');
+        const testAsset = {
+          uri: '/Some/Valid/Analysis.ipynb',
+          type: 'file',
+          metadata: [],
+        };
+        const response = new NotebookHandler().scan(testAsset);
+        expect(response.metadata[0]).toEqual({
+          id: 'StatWrap.NotebookHandler',
+          libraries: [],
+          inputs: [],
+          outputs: [],
+        });
+      });
+
+      it('should only add the metadata once', () => {
+        const handler = new NotebookHandler();
+        const testAsset = {
+          uri: '/Some/Valid/Analysis.ipynb',
+          type: 'file',
+          metadata: [{ id: handler.id() }],
+        };
+        const response = handler.scan(testAsset);
+        expect(fs.readFileSync).toHaveBeenCalledTimes(0);
+        expect(response.metadata.length).toEqual(1);
+      });
+    });
+
+    describe('getAbsolutePaths', () => {
+      it('should find absolute paths in code cells with the cell number', () => {
+        const notebook = createNotebook('python', [
+          { cell_type: 'markdown', source: 'Data is in /Users/me/data' },
+          'import pandas as pd',
+          {
+            cell_type: 'code',
+            source: ['x = 1\n', "df = pd.read_csv('/home/me/data.csv')"],
+            outputs: [{ text: 'File /home/me/lib/site-packages/pandas/io.py' }],
+          },
+        ]);
+        expect(new NotebookHandler().getAbsolutePaths('test.ipynb', notebook)).toEqual([
+          {
+            path: '/home/me/data.csv',
+            line: 2,
+            snippet: "df = pd.read_csv('/home/me/data.csv')",
+            cell: 3,
+          },
+        ]);
+      });
+      it('should handle invalid notebooks', () => {
+        expect(new NotebookHandler().getAbsolutePaths('test.ipynb', 'not JSON')).toEqual([]);
+        expect(new NotebookHandler().getAbsolutePaths('test.ipynb', '{}')).toEqual([]);
+      });
+    });
+  });
+});
@@ -0,0 +1,238 @@
+import fs from 'fs';
+import ParquetHandler from '../../../../app/services/assets/handlers/parquet';
+
+jest.mock('fs');
+
+// Mock reading a file with the given contents, from any position
+const mockFileContents = (contents) => {
+  fs.statSync.mockReturnValue({ size: contents.length });
+  fs.openSync.mockReturnValue(1);
+  fs.readSync.mockImplementation((fd, buffer, offset, length, position) => {
+    const start = Math.min(position, contents.length);
+    return contents.copy(buffer, offset, start, Math.min(start + length, contents.length));
+  });
+};
+
+// A minimal encoder for the Thrift compact protocol.  Structures are arrays of
+// [fieldId, type, value], where type is one of the names below.
+const TYPES = { i32: 5, i64: 6, binary: 8, list: 9, struct: 12 };
+
+const varint = (value) => {
+  const bytes = [];
+  let remaining = BigInt(value);
+  do {
+    const byte = Number(remaining % 128n);
+    remaining /= 128n;
+    bytes.push(remaining > 0n ? byte + 128 : byte);
+  } while (remaining > 0n);
+  return Buffer.from(bytes);
+};
+
+const zigzag = (value) => varint(value >= 0 ? BigInt(value) * 2n : BigInt(-value) * 2n - 1n);
+
+let encodeStruct = null;
+const encodeValue = (type, value) => {
+  switch (type) {
+    case 'i32':
+    case 'i64':
+      return zigzag(value);
+    case 'binary': {
+      const bytes = Buffer.from(value);
+      return Buffer.concat([varint(bytes.length), bytes]);
+    }
+    case 'list':
+      // Lists are always of structures here
+      return Buffer.concat([
+        Buffer.from([Math.min(value.length, 15) * 16 + TYPES.struct]),
+        value.length >= 15 ? varint(value.length) : Buffer.alloc(0),
+        ...value.map((x) => encodeStruct(x)),
+      ]);
+    default:
+      return encodeStruct(value);
+  }
+};
+encodeStruct = (fields) => {
+  const parts = [];
+  let lastId = 0;
+  fields.forEach(([id, type, value]) => {
+    const delta = id - lastId;
+    if (delta > 0 && delta <= 15) {
+      parts.push(Buffer.from([delta * 16 + TYPES[type]]));
+    } else {
+      parts.push(Buffer.from([TYPES[type]]), zigzag(id));
+    }
+    parts.push(encodeValue(type, value));
+    lastId = id;
+  });
+  parts.push(Buffer.from([0]));
+  return Buffer.concat(parts);
+};
+
+// Schema elements: 1 = type, 3 = repetition type, 4 = name, 5 = number of children,
+// 6 = converted type, 10 = logical type
+const SCHEMA = [
+  [
+    [4, 'binary', 'schema'],
+    [5, 'i32', 6],
+  ],
+  [
+    [1, 'i32', 2],
+    [3, 'i32', 0],
+    [4, 'binary', 'id'],
+  ],
+  [
+    [1, 'i32', 6],
+    [3, 'i32', 1],
+    [4, 'binary', 'name'],
+    [6, 'i32', 0],
+  ],
+  [
+    [1, 'i32', 1],
+    [3, 'i32', 1],
+    [4, 'binary', 'visit'],
+    [10, 'struct', [[6, 'struct', []]]],
+  ],
+  [
+    [1, 'i32', 5],
+    [3, 'i32', 1],
+    [4, 'binary', 'score'],
+  ],
+  // A list column, which has a nested group and element
+  [
+    [3, 'i32', 1],
+    [4, 'binary', 'tags'],
+    [5, 'i32', 1],
+    [6, 'i32', 3],
+  ],
+  [
+    [3, 'i32', 2],
+    [4, 'binary', 'list'],
+    [5, 'i32', 1],
+  ],
+  [
+    [1, 'i32', 6],
+    [3, 'i32', 1],
+    [4, 'binary', 'element'],
+    [6, 'i32', 0],
+  ],
+  [
+    [1, 'i32', 3],
+    [3, 'i32', 1],
+    [4, 'binary', 'créé'],
+  ],
+];
+
+const createFile = (rowCount) => {
+  const metadata = encodeStruct([
+    [1, 'i32', 1],
+    [2, 'list', SCHEMA],
+    [3, 'i64', rowCount],
+    [4, 'list', []],
+    [6, 'binary', 'parquet-cpp-arrow version 14.0.0'],
+  ]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32LE(metadata.length);
+  return Buffer.concat([
+    Buffer.from('PAR1'),
+    Buffer.alloc(100),
+    metadata,
+    length,
+    Buffer.from('PAR1'),
+  ]);
+};
+
+describe('services', () => {
+  describe('ParquetHandler', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+      jest.clearAllMocks();
+    });
+
+    describe('id', () => {
+      it('should return an id that matches the class name plus StatWrap pseudo-namespace', () => {
+        expect(new ParquetHandler().id()).toEqual(`StatWrap.${ParquetHandler.name}`);
+      });
+    });
+
+    describe('includeFile', () => {
+      it('should include Parquet files and exclude others', () => {
+        const handler = new ParquetHandler();
+        expect(handler.includeFile('/User/test/Project/data.parquet')).toBeTruthy();
+        expect(handler.includeFile('C:/test/Project/Data.PARQUET')).toBeTruthy();
+        expect(handler.includeFile('/User/test/Project/data.csv')).toBeFalsy();
+        expect(handler.includeFile(null)).toBeFalsy();
+      });
+    });
+
+    describe('scan', () => {
+      it('should return a response with details for a valid asset', () => {
+        mockFileContents(createFile(5000000000));
+        const testAsset = {
+          uri: '/Some/Valid/data.parquet',
+          type: 'file',
+          metadata: [],
+        };
+        const response = new ParquetHandler().scan(testAsset);
+        expect(response.metadata[0]).toEqual({
+          id: 'StatWrap.ParquetHandler',
+          columns: [
+            { name: 'id', type: 'integer' },
+            { name: 'name', type: 'string' },
+            { name: 'visit', type: 'date' },
+            { name: 'score', type: 'number' },
+            { name: 'tags', type: 'list' },
+            { name: 'créé', type: 'datetime' },
+          ],
+          rowCount: 5000000000,
+        });
+        expect(fs.closeSync).toHaveBeenCalledWith(1);
+      });
+
+      it('should return a response with just the handler name if the file is not valid', () => {
+        mockFileContents(Buffer.from('This is not a Parquet file'));
+        const testAsset = {
+          uri: '/Some/Invalid/data.parquet',
+          type: 'file',
+          metadata: [],
+        };
+        const response = new ParquetHandler().scan(testAsset);
+        expect(response.metadata[0]).toEqual({
+          id: 'StatWrap.ParquetHandler',
+          error: 'Unable to read data file',
+        });
+        expect(fs.closeSync).toHaveBeenCalledWith(1);
+      });
+    });
+
+    describe('getMetadata', () => {
+      it('should throw an error if the metadata length is not valid', () => {
+        const contents = createFile(1);
+        contents.writeUInt32LE(contents.length, contents.length - 8);
+        mockFileContents(contents);
+        expect(() => new ParquetHandler().getMetadata('/test/data.parquet')).toThrow(
+          'Invalid Parquet file metadata length',
+        );
+      });
+    });
+
+    describe('decodeThrift', () => {
+      it('should decode negative numbers, booleans and long field IDs', () => {
+        // Field 1 is i32 -3, field 2 is true, field 40 is false, then the end of the structure
+        const buffer = Buffer.concat([
+          Buffer.from([0x15]),
+          zigzag(-3),
+          Buffer.from([0x11, 0x02]),
+          zigzag(40),
+          Buffer.from([0x00]),
+        ]);
+        expect(new ParquetHandler().decodeThrift(buffer)).toEqual({ 1: -3, 2: true, 40: false });
+      });
+
+      it('should throw an error if the data ends unexpectedly', () => {
+        expect(() => new ParquetHandler().decodeThrift(Buffer.from([0x15]))).toThrow(
+          'Unexpected end of Thrift data',
+        );
+      });
+    });
+  });
+});
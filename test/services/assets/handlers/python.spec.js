@@ -97,6 +97,20 @@ describe('services', () => {
         expect(response.metadata.length).toEqual(1);
       });
 
+      it('should not read files or folders that git ignores', () => {
+        const gitIgnored = { id: 'StatWrap.FileHandler', include: false, gitIgnored: true };
+        const testAsset = {
+          uri: '/Test/venv',
+          type: 'directory',
+          metadata: [gitIgnored],
+          children: [{ uri: '/Test/venv/site.py', type: 'file', metadata: [gitIgnored] }],
+        };
+        const response = new PythonHandler().scan(testAsset);
+        expect(fs.readFileSync).not.toHaveBeenCalled();
+        expect(response.children[0].metadata).toEqual([gitIgnored]);
+        expect(new PythonHandler().scan(testAsset.children[0]).metadata).toEqual([gitIgnored]);
+      });
+
       it('should return a response with just the handler name if the file cannot be read', () => {
         fs.readFileSync.mockImplementationOnce(() => {
           throw new Error();
@@ -673,5 +687,80 @@ describe('services', () => {
         expect(new PythonHandler().getLibraryId(undefined, 'import')).toEqual('import');
       });
     });
+
+    describe('getWorkingDirectories', () => {
+      it('should handle empty/blank inputs', () => {
+        expect(new PythonHandler().getWorkingDirectories('test.py', null).length).toEqual(0);
+        expect(new PythonHandler().getWorkingDirectories('test.py', '').length).toEqual(0);
+      });
+      it('should find changes to the working directory', () => {
+        const directories = new PythonHandler().getWorkingDirectories(
+          'test.py',
+          "import os\nos.chdir('../data')\nfrom os import chdir\nchdir(\"output\")\n# os.chdir('old')",
+        );
+        expect(directories).toEqual([
+          { id: "os.chdir - '../data'", path: "'../data'" },
+          { id: 'chdir - "output"', path: '"output"' },
+        ]);
+      });
+      it('should ignore calls that are not to chdir or do not use a string', () => {
+        expect(
+          new PythonHandler().getWorkingDirectories('test.py', "mychdir('data')").length,
+        ).toEqual(0);
+        expect(
+          new PythonHandler().getWorkingDirectories('test.py', 'os.chdir(path)').length,
+        ).toEqual(0);
+      });
+    });
+
+    describe('evaluatePathExpressions', () => {
+      it('should handle empty/blank inputs', () => {
+        expect(new PythonHandler().evaluatePathExpressions(null)).toBeNull();
+        expect(new PythonHandler().evaluatePathExpressions('')).toEqual('');
+      });
+      it('should find inputs and outputs built with os.path.join', () => {
+        const text =
+          "import os\nBASE = 'results'\nplt.savefig(os.path.join(BASE, 'out.png'))\nwith open(os.path.join(BASE, 'log.txt'), 'w') as f:\n  f.write('done')";
+        expect(new PythonHandler().getOutputs('test.py', text)).toEqual([
+          { id: 'savefig - "results/out.png"', type: 'figure', path: '"results/out.png"' },
+          { id: 'open - "results/log.txt"', type: 'data', path: '"results/log.txt"' },
+        ]);
+      });
+      it('should find inputs and outputs built with pathlib', () => {
+        const text =
+          'from pathlib import Path\nROOT = Path("data")\nRAW = ROOT / "raw"\ndf = pd.read_csv(RAW / "survey.csv")\ndf.to_csv(str(Path(ROOT) / "clean.csv"))';
+        const handler = new PythonHandler();
+        expect(handler.getInputs('test.py', text)).toEqual([
+          { id: 'read_csv - "data/raw/survey.csv"', type: 'data', path: '"data/raw/survey.csv"' },
+        ]);
+        expect(handler.getOutputs('test.py', text)).toEqual([
+          { id: 'to_csv - "data/clean.csv"', type: 'data', path: '"data/clean.csv"' },
+        ]);
+      });
+      it('should join absolute paths the way Python does', () => {
+        const handler = new PythonHandler();
+        expect(handler.evaluatePathExpression("os.path.join('a', '/b', 'c')", {})).toEqual('/b/c');
+        expect(handler.evaluatePathExpression("Path('a/') / 'b'", {})).toEqual('a/b');
+        expect(handler.evaluatePathExpression("r'C:\\data' / 'x.csv'", {})).toEqual(
+          'C:\\data/x.csv',
+        );
+        expect(handler.evaluatePathExpression('Path()', {})).toEqual('.');
+        expect(handler.evaluatePathExpression("str(b'x', 'utf-8')", {})).toBeNull();
+        expect(handler.evaluatePathExpression('total // 2', {})).toBeNull();
+      });
+      it('should leave expressions that cannot be evaluated', () => {
+        const text =
+          'x = get_dir()\npd.read_csv(os.path.join(x, "a.csv"))\nPath(__file__).parent / "b.csv"';
+        expect(new PythonHandler().evaluatePathExpressions(text)).toEqual(text);
+      });
+      it('should find working directories built from variables', () => {
+        expect(
+          new PythonHandler().getWorkingDirectories(
+            'test.py',
+            "BASE = 'analysis'\nos.chdir(os.path.join(BASE, 'data'))",
+          ),
+        ).toEqual([{ id: 'os.chdir - "analysis/data"', path: '"analysis/data"' }]);
+      });
+    });
   });
 });
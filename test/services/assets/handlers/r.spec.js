@@ -1,5 +1,8 @@
 import fs from 'fs';
 import RHandler from '../../../../app/services/assets/handlers/r';
+import PythonHandler from '../../../../app/services/assets/handlers/python';
+import SQLHandler from '../../../../app/services/assets/handlers/sql';
+import ShellHandler from '../../../../app/services/assets/handlers/shell';
 import Constants from '../../../../app/constants/constants';
 
 jest.mock('fs');
@@ -17,6 +20,15 @@ describe('services', () => {
       });
     });
 
+    describe('version', () => {
+      it('should include the versions of the chunk handlers it delegates to', () => {
+        expect(new RHandler().version()).toEqual(
+          `${RHandler.version}+StatWrap.PythonHandler:${PythonHandler.version}` +
+            `+StatWrap.SQLHandler:${SQLHandler.version}+StatWrap.ShellHandler:${ShellHandler.version}`,
+        );
+      });
+    });
+
     describe('includeFile', () => {
       it('should exclude invalid URIs', () => {
         const handler = new RHandler();
@@ -57,6 +69,8 @@ describe('services', () => {
         expect(handler.includeFile('/User/test/Project/code/test.R')).toBeTruthy();
         expect(handler.includeFile('C:/test/Project/test.RMD')).toBeTruthy();
         expect(handler.includeFile('C:/test/Project/test.rMd')).toBeTruthy();
+        expect(handler.includeFile('/User/test/Project/report.qmd')).toBeTruthy();
+        expect(handler.includeFile('C:/test/Project/Report.QMD')).toBeTruthy();
         expect(handler.includeFile('mine.R')).toBeTruthy();
         expect(handler.includeFile('mine.r')).toBeTruthy();
       });
@@ -619,6 +633,25 @@ describe('services', () => {
         path: 'test.html',
       });
     });
+    it('should infer Quarto output', () => {
+      let outputs = new RHandler().getOutputs('test.qmd', '---\ntitle: Test\nformat: html\n---');
+      expect(outputs).toEqual([
+        { id: 'html - test.html', type: Constants.DependencyType.FILE, path: 'test.html' },
+      ]);
+      outputs = new RHandler().getOutputs(
+        'test.qmd',
+        '---\r\nformat:\r\n  pdf:\r\n    toc: true\r\n    docx: false\r\n  revealjs: default\r\n  acm-pdf: default\r\nexecute:\r\n  echo: false\r\n---',
+      );
+      expect(outputs).toEqual([
+        { id: 'pdf - test.pdf', type: Constants.DependencyType.FILE, path: 'test.pdf' },
+        { id: 'revealjs - test.html', type: Constants.DependencyType.FILE, path: 'test.html' },
+        { id: 'acm-pdf - test.pdf', type: Constants.DependencyType.FILE, path: 'test.pdf' },
+      ]);
+      // Formats we don't know the output of are skipped
+      expect(new RHandler().getOutputs('test.qmd', '---\nformat: "unknown"\n---').length).toEqual(
+        0,
+      );
+    });
     it('should handle multiple connection statements in a single string', () => {
       const libraries = new RHandler().getOutputs(
         'test.uri',
@@ -832,6 +865,69 @@ describe('services', () => {
         expect(new RHandler().getInputs('test.uri', "  #   source ( 'test.r' )").length).toEqual(0);
       });
     });
+    describe('documents', () => {
+      const document =
+        '---\ntitle: "Analysis"\nformat: html\n---\n\n' +
+        'Some text that mentions library(fake) and read.csv("fake.csv")\n\n' +
+        '```{r setup, include=FALSE}\nlibrary(dplyr)\ndf <- read.csv("data.csv")\n```\n\n' +
+        '```{python}\n#| label: py-chunk\nimport pandas as pd\npd.read_csv("other.csv")\n```\n\n' +
+        '```{sql, connection=con}\nSELECT * FROM raw.visits\n```\n\n' +
+        '```{bash}\nRscript clean.R < input.txt > cleaned.txt 2>&1\n```\n\n' +
+        '```r\nlibrary(shown)\n```\n\n' +
+        '```{r}\nwrite.csv(df, "out.csv")\n```\n';
+
+      it('should only scan R Markdown and Quarto files as documents', () => {
+        const handler = new RHandler();
+        expect(handler.isDocument('/User/test/report.Rmd')).toBeTruthy();
+        expect(handler.isDocument('C:\\test\\report.qmd')).toBeTruthy();
+        expect(handler.isDocument('/User/test/analysis.R')).toBeFalsy();
+        expect(handler.isDocument(null)).toBeFalsy();
+      });
+
+      it('should group executable code chunks by engine', () => {
+        const chunks = new RHandler().getCodeChunks(document);
+        expect(Object.keys(chunks)).toEqual(['r', 'python', 'sql', 'bash']);
+        expect(chunks.r).toEqual(
+          'library(dplyr)\ndf <- read.csv("data.csv")\n\nwrite.csv(df, "out.csv")\n',
+        );
+      });
+
+      it('should retrieve libraries from each chunk language', () => {
+        const libraries = new RHandler().getLibraries('/test/report.qmd', document);
+        expect(libraries.map((l) => l.id)).toEqual(['dplyr', 'pandas']);
+      });
+
+      it('should retrieve inputs from each chunk language', () => {
+        const inputs = new RHandler().getInputs('/test/report.Rmd', document);
+        expect(inputs).toEqual([
+          { id: 'read.csv - "data.csv"', type: Constants.DependencyType.DATA, path: '"data.csv"' },
+          {
+            id: 'read_csv - "other.csv"',
+            type: Constants.DependencyType.DATA,
+            path: '"other.csv"',
+          },
+          { id: 'raw.visits', type: Constants.DependencyType.TABLE, path: 'raw.visits' },
+          { id: 'Rscript - clean.R', type: 'code', path: 'clean.R' },
+          { id: '< - input.txt', type: Constants.DependencyType.DATA, path: 'input.txt' },
+        ]);
+      });
+
+      it('should retrieve outputs from each chunk language and the rendered document', () => {
+        const outputs = new RHandler().getOutputs('/test/report.qmd', document);
+        expect(outputs).toEqual([
+          { id: 'write.csv - "out.csv"', type: Constants.DependencyType.DATA, path: '"out.csv"' },
+          { id: '> - cleaned.txt', type: Constants.DependencyType.DATA, path: 'cleaned.txt' },
+          { id: 'html - report.html', type: Constants.DependencyType.FILE, path: 'report.html' },
+        ]);
+      });
+
+      it('should handle documents without code chunks', () => {
+        const handler = new RHandler();
+        expect(handler.getInputs('/test/report.qmd', '# Just text\nread.csv("x.csv")')).toEqual([]);
+        expect(handler.getLibraries('/test/report.qmd', 'library(dplyr)')).toEqual([]);
+      });
+    });
+
     describe('getLibraryId', () => {
       it('should return a default label when parameter is missing', () => {
         expect(new RHandler().getLibraryId('')).toEqual('(unknown)');
@@ -842,5 +938,192 @@ describe('services', () => {
         expect(new RHandler().getLibraryId('testlib')).toEqual('testlib');
       });
     });
+
+    describe('getWorkingDirectories', () => {
+      it('should handle empty/blank inputs', () => {
+        expect(new RHandler().getWorkingDirectories('test.r', null).length).toEqual(0);
+        expect(new RHandler().getWorkingDirectories('test.r', '').length).toEqual(0);
+      });
+      it('should find changes to the working directory', () => {
+        const directories = new RHandler().getWorkingDirectories(
+          'test.r',
+          'setwd("../data")\nx <- read.csv("raw.csv")\nsetwd(dir = \'/Project/output\')\n# setwd("old")',
+        );
+        expect(directories).toEqual([
+          { id: 'setwd - "../data"', path: '"../data"' },
+          { id: "setwd - '/Project/output'", path: "'/Project/output'" },
+        ]);
+      });
+      it('should ignore setwd calls that do not use a string', () => {
+        expect(new RHandler().getWorkingDirectories('test.r', 'setwd(dir)').length).toEqual(0);
+        expect(new RHandler().getWorkingDirectories('test.r', 'setwd()').length).toEqual(0);
+      });
+      it('should find changes within the R chunks of a document', () => {
+        const directories = new RHandler().getWorkingDirectories(
+          'test.Rmd',
+          '# Report\n\n```{r}\nsetwd("data")\n```\n\nsetwd("text")',
+        );
+        expect(directories).toEqual([{ id: 'setwd - "data"', path: '"data"' }]);
+      });
+    });
+
+    describe('scan working directories', () => {
+      it('should only include working directories in the metadata when there are any', () => {
+        fs.readFileSync.mockReturnValue('setwd("data")\nx <- read.csv("raw.csv")');
+        let response = new RHandler().scan({ uri: '/Some/File.r', type: 'file', metadata: [] });
+        expect(response.metadata[0].workingDirectories).toEqual([
+          { id: 'setwd - "data"', path: '"data"' },
+        ]);
+
+        fs.readFileSync.mockReturnValue('x <- read.csv("raw.csv")');
+        response = new RHandler().scan({ uri: '/Some/File.r', type: 'file', metadata: [] });
+        expect(response.metadata[0].workingDirectories).toBeUndefined();
+      });
+    });
+
+    describe('evaluatePathExpressions', () => {
+      it('should handle empty/blank inputs', () => {
+        expect(new RHandler().evaluatePathExpressions(null)).toBeNull();
+        expect(new RHandler().evaluatePathExpressions('')).toEqual('');
+      });
+      it('should find inputs and outputs built with file.path', () => {
+        const text =
+          'data_dir <- "data"\nraw <- read.csv(file.path(data_dir, "raw.csv"))\nout_file = file.path(data_dir, "clean", "clean.csv")\nwrite.csv(raw, out_file)';
+        const handler = new RHandler();
+        expect(handler.getInputs('test.r', text)).toEqual([
+          { id: 'read.csv - "data/raw.csv"', type: 'data', path: '"data/raw.csv"' },
+        ]);
+        expect(handler.getOutputs('test.r', text)).toEqual([
+          {
+            id: 'write.csv - "data/clean/clean.csv"',
+            type: 'data',
+            path: '"data/clean/clean.csv"',
+          },
+        ]);
+      });
+      it('should find inputs and outputs built with here', () => {
+        const text =
+          'library(here)\nx <- read_csv(here::here("data", "x.csv"))\nggsave(file.path(here(), "figures", "x.png"))';
+        const handler = new RHandler();
+        expect(handler.getInputs('test.r', text)).toEqual([
+          { id: 'read_csv - "data/x.csv"', type: 'data', path: '"data/x.csv"' },
+        ]);
+        expect(handler.getOutputs('test.r', text)).toEqual([
+          { id: 'ggsave - "./figures/x.png"', type: 'figure', path: '"./figures/x.png"' },
+        ]);
+      });
+      it('should use the value a variable has at the time it is used', () => {
+        const text =
+          'f <- "a.csv"\nread.csv(f)\nf <- "b.csv"\nread.csv(f)\nf <- get_file()\nread.csv(f)';
+        expect(new RHandler().evaluatePathExpressions(text)).toEqual(
+          'f <- "a.csv"\nread.csv("a.csv")\nf <- "b.csv"\nread.csv("b.csv")\nf <- get_file()\nread.csv(f)',
+        );
+      });
+      it('should leave expressions that cannot be evaluated', () => {
+        expect(
+          new RHandler().evaluatePathExpressions(
+            'read.csv(file.path(unknown, "x.csv"))\nfile.path(fsep = "\\\\")\n# read.csv(file.path("a", "b"))',
+          ),
+        ).toEqual(
+          'read.csv(file.path(unknown, "x.csv"))\nfile.path(fsep = "\\\\")\n# read.csv(file.path("a", "b"))',
+        );
+      });
+      it('should replace named arguments and nested calls', () => {
+        expect(
+          new RHandler().evaluatePathExpressions(
+            'd <- "out"\nwrite.csv(df, file = file.path(d, "x.csv"), row.names = FALSE)\nprint(nchar(d))',
+          ),
+        ).toEqual(
+          'd <- "out"\nwrite.csv(df, file = "out/x.csv", row.names = FALSE)\nprint(nchar("out"))',
+        );
+      });
+      it('should not change the libraries that are found', () => {
+        const libraries = new RHandler().getLibraries('test.r', 'pkg <- "dplyr"\nlibrary(pkg)');
+        expect(libraries).toEqual([{ id: 'pkg', package: 'pkg' }]);
+      });
+      it('should find working directories built from variables', () => {
+        expect(
+          new RHandler().getWorkingDirectories(
+            'test.r',
+            'root <- "analysis"\nsetwd(file.path(root, "data"))',
+          ),
+        ).toEqual([{ id: 'setwd - "analysis/data"', path: '"analysis/data"' }]);
+      });
+    });
+
+    describe('getAbsolutePaths', () => {
+      it('should handle empty/blank inputs', () => {
+        expect(new RHandler().getAbsolutePaths('test.r', null)).toEqual([]);
+        expect(new RHandler().getAbsolutePaths('test.r', '')).toEqual([]);
+      });
+      it('should find each type of absolute path with its line', () => {
+        const paths = new RHandler().getAbsolutePaths(
+          'test.r',
+          [
+            'x <- read.csv("C:/Users/me/data.csv")',
+            "y <- read.csv('D:\\Shared Data\\survey.csv')",
+            'z <- readRDS("\\\\\\\\server\\\\share\\\\model.rds")',
+            '  setwd("/Users/me/project")',
+            'save(x, file = "/home/me/x.RData")',
+            'source("~/helpers.R")',
+            'home <- path.expand("~")',
+          ].join('\n'),
+        );
+        expect(paths).toEqual([
+          {
+            path: 'C:/Users/me/data.csv',
+            line: 1,
+            snippet: 'x <- read.csv("C:/Users/me/data.csv")',
+          },
+          {
+            path: 'D:\\Shared Data\\survey.csv',
+            line: 2,
+            snippet: "y <- read.csv('D:\\Shared Data\\survey.csv')",
+          },
+          {
+            path: '\\\\\\\\server\\\\share\\\\model.rds',
+            line: 3,
+            snippet: 'z <- readRDS("\\\\\\\\server\\\\share\\\\model.rds")',
+          },
+          { path: '/Users/me/project', line: 4, snippet: 'setwd("/Users/me/project")' },
+          { path: '/home/me/x.RData', line: 5, snippet: 'save(x, file = "/home/me/x.RData")' },
+          { path: '~/helpers.R', line: 6, snippet: 'source("~/helpers.R")' },
+          { path: '~', line: 7, snippet: 'home <- path.expand("~")' },
+        ]);
+      });
+      it('should not include relative paths, URLs, formulas or comments', () => {
+        expect(
+          new RHandler().getAbsolutePaths(
+            'test.r',
+            [
+              'x <- read.csv("data/raw.csv")',
+              'y <- read.csv("https://example.org/home/data.csv")',
+              'z <- read.csv("file:///Users/me/data.csv")',
+              'model <- lm(y ~ x, data = df)',
+              '# x <- read.csv("C:/old/data.csv")',
+              'w <- "/opt/data/x.csv"',
+            ].join('\n'),
+          ),
+        ).toEqual([]);
+      });
+    });
+
+    describe('scan absolute paths', () => {
+      it('should only include absolute paths in the metadata when there are any', () => {
+        fs.readFileSync.mockReturnValue('x <- read.csv("C:/data/raw.csv")');
+        let response = new RHandler().scan({
+          uri: '/Some/Valid/Test.r',
+          type: 'file',
+          metadata: [],
+        });
+        expect(response.metadata[0].absolutePaths).toEqual([
+          { path: 'C:/data/raw.csv', line: 1, snippet: 'x <- read.csv("C:/data/raw.csv")' },
+        ]);
+
+        fs.readFileSync.mockReturnValue('x <- read.csv("raw.csv")');
+        response = new RHandler().scan({ uri: '/Some/Valid/Test.r', type: 'file', metadata: [] });
+        expect(response.metadata[0].absolutePaths).toBeUndefined();
+      });
+    });
   });
 });
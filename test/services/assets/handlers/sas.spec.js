@@ -718,5 +718,41 @@ describe('services', () => {
         expect(libraries.length).toEqual(3);
       });
     });
+
+    describe('getWorkingDirectories', () => {
+      it('should handle empty/blank inputs', () => {
+        expect(new SASHandler().getWorkingDirectories('test.sas', null).length).toEqual(0);
+        expect(new SASHandler().getWorkingDirectories('test.sas', '').length).toEqual(0);
+      });
+      it('should find the folders assigned to libraries', () => {
+        const directories = new SASHandler().getWorkingDirectories(
+          'test.sas',
+          'libname raw \'../data/raw\';\n  LIBNAME out "/Project/output" access=readonly;',
+        );
+        expect(directories).toEqual([
+          { id: "libname raw - '../data/raw'", path: "'../data/raw'", library: 'raw' },
+          { id: 'LIBNAME out - "/Project/output"', path: '"/Project/output"', library: 'out' },
+        ]);
+      });
+    });
+
+    describe('library data sets', () => {
+      it('should find data sets read and written through assigned libraries', () => {
+        const text =
+          "libname raw '../data';\nlibname out 'output';\ndata out.cohort(keep=id age);\n  set raw.survey(where=(age > 18)) sashelp.class;\n  merge raw.visits work.temp;\nrun;\ndata _null_;\nrun;";
+        expect(new SASHandler().getInputs('test.sas', text)).toEqual([
+          { id: 'set - raw.survey', type: 'data', path: 'raw.survey' },
+          { id: 'merge - raw.visits', type: 'data', path: 'raw.visits' },
+        ]);
+        expect(new SASHandler().getOutputs('test.sas', text)).toEqual([
+          { id: 'data - out.cohort', type: 'data', path: 'out.cohort' },
+        ]);
+      });
+      it('should not include data sets when there are no assigned libraries', () => {
+        const text = 'data work.cohort;\n  set sashelp.class;\nrun;';
+        expect(new SASHandler().getInputs('test.sas', text).length).toEqual(0);
+        expect(new SASHandler().getOutputs('test.sas', text).length).toEqual(0);
+      });
+    });
   });
 });
@@ -0,0 +1,222 @@
+import fs from 'fs';
+import SASDataHandler from '../../../../app/services/assets/handlers/sasData';
+
+jest.mock('fs');
+
+// Mock reading a file with the given contents, from any position
+const mockFileContents = (contents) => {
+  fs.statSync.mockReturnValue({ size: contents.length });
+  fs.openSync.mockReturnValue(1);
+  fs.readSync.mockImplementation((fd, buffer, offset, length, position) => {
+    const start = Math.min(position, contents.length);
+    return contents.copy(buffer, offset, start, Math.min(start + length, contents.length));
+  });
+};
+
+const MAGIC_NUMBER = [
+  0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0xc2, 0xea, 0x81, 0x60,
+  0xb3, 0x14, 0x11, 0xcf, 0xbd, 0x92, 0x08, 0x00, 0x09, 0xc7, 0x31, 0x8c, 0x18, 0x1f, 0x10, 0x11,
+];
+
+const HEADER_LENGTH = 1024;
+const PAGE_LENGTH = 4096;
+
+const COLUMNS = [
+  { name: 'id', numeric: true, format: '', label: 'Identifier' },
+  { name: 'visit', numeric: true, format: 'DATE', label: 'Date of visit' },
+  { name: 'city', numeric: false, format: '$', label: '' },
+];
+
+// Create a file with a single metadata page, in little endian byte order.  Offsets within the
+// subheaders depend on the integer length (4 bytes for 32-bit files, 8 bytes for 64-bit).
+const createFile = (is64Bit, rowCount) => {
+  const intLength = is64Bit ? 8 : 4;
+  const writeInt = (buffer, offset, value) => {
+    if (is64Bit) {
+      buffer.writeBigInt64LE(BigInt(value), offset);
+    } else {
+      buffer.writeInt32LE(value, offset);
+    }
+  };
+  const signature = (length, value) => {
+    const subheader = Buffer.alloc(length);
+    subheader.writeInt32LE(value, 0);
+    return subheader;
+  };
+
+  const header = Buffer.alloc(HEADER_LENGTH);
+  Buffer.from(MAGIC_NUMBER).copy(header, 0);
+  header[32] = is64Bit ? 0x33 : 0x22;
+  header[35] = is64Bit ? 0x33 : 0x22;
+  const alignment = is64Bit ? 4 : 0;
+  header[37] = 0x01; // Little endian
+  header[70] = 20; // UTF-8
+  header.writeInt32LE(HEADER_LENGTH, 196 + alignment);
+  header.writeInt32LE(PAGE_LENGTH, 200 + alignment);
+  if (is64Bit) {
+    header.writeBigInt64LE(1n, 204 + alignment);
+  } else {
+    header.writeInt32LE(1, 204 + alignment);
+  }
+
+  // All of the names, formats and labels are kept in a single text block, which starts with its
+  // length
+  let textBlock = Buffer.from('    SAS   ');
+  const addText = (value) => {
+    const entry = { offset: textBlock.length, length: Buffer.byteLength(value) };
+    textBlock = Buffer.concat([textBlock, Buffer.from(value)]);
+    return entry;
+  };
+  const columnTexts = COLUMNS.map((column) => ({
+    name: addText(column.name),
+    format: addText(column.format),
+    label: addText(column.label),
+  }));
+
+  const subheaders = [];
+  const rowSize = signature(intLength * 16, -134744073);
+  writeInt(rowSize, 6 * intLength, rowCount);
+  subheaders.push(rowSize);
+
+  const columnSize = signature(intLength * 3, -151587082);
+  writeInt(columnSize, intLength, COLUMNS.length);
+  subheaders.push(columnSize);
+
+  const columnText = signature(intLength + textBlock.length, -3);
+  textBlock.writeUInt16LE(textBlock.length, 0);
+  textBlock.copy(columnText, intLength);
+  subheaders.push(columnText);
+
+  const columnName = signature(8 * COLUMNS.length + 2 * intLength + 12, -1);
+  columnTexts.forEach((x, index) => {
+    const pointer = intLength + 8 * (index + 1);
+    columnName.writeUInt16LE(0, pointer);
+    columnName.writeUInt16LE(x.name.offset, pointer + 2);
+    columnName.writeUInt16LE(x.name.length, pointer + 4);
+  });
+  subheaders.push(columnName);
+
+  const columnAttributes = signature((intLength + 8) * COLUMNS.length + 2 * intLength + 12, -4);
+  COLUMNS.forEach((column, index) => {
+    columnAttributes[2 * intLength + 14 + index * (intLength + 8)] = column.numeric ? 1 : 2;
+  });
+  subheaders.push(columnAttributes);
+
+  columnTexts.forEach((x) => {
+    const formatAndLabel = signature(3 * intLength + 64, -1026);
+    const base = 3 * intLength;
+    formatAndLabel.writeUInt16LE(0, base + 22);
+    formatAndLabel.writeUInt16LE(x.format.offset, base + 24);
+    formatAndLabel.writeUInt16LE(x.format.length, base + 26);
+    formatAndLabel.writeUInt16LE(0, base + 28);
+    formatAndLabel.writeUInt16LE(x.label.offset, base + 30);
+    formatAndLabel.writeUInt16LE(x.label.length, base + 32);
+    subheaders.push(formatAndLabel);
+  });
+
+  // The pointers to each subheader follow the page header, and the subheaders are stored from
+  // the end of the page
+  const page = Buffer.alloc(PAGE_LENGTH);
+  const pageBitOffset = is64Bit ? 32 : 16;
+  const pointerLength = is64Bit ? 24 : 12;
+  page.writeInt16LE(0, pageBitOffset); // Metadata page
+  page.writeUInt16LE(subheaders.length, pageBitOffset + 4);
+  let offset = PAGE_LENGTH;
+  subheaders.forEach((subheader, index) => {
+    offset -= subheader.length;
+    subheader.copy(page, offset);
+    const pointer = pageBitOffset + 8 + index * pointerLength;
+    writeInt(page, pointer, offset);
+    writeInt(page, pointer + intLength, subheader.length);
+  });
+
+  return Buffer.concat([header, page]);
+};
+
+const EXPECTED_COLUMNS = [
+  { name: 'id', type: 'number', label: 'Identifier' },
+  { name: 'visit', type: 'date', label: 'Date of visit', format: 'DATE' },
+  { name: 'city', type: 'string', format: '$' },
+];
+
+describe('services', () => {
+  describe('SASDataHandler', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+      jest.clearAllMocks();
+    });
+
+    describe('id', () => {
+      it('should return an id that matches the class name plus StatWrap pseudo-namespace', () => {
+        expect(new SASDataHandler().id()).toEqual(`StatWrap.${SASDataHandler.name}`);
+      });
+    });
+
+    describe('includeFile', () => {
+      it('should include SAS data files and exclude others', () => {
+        const handler = new SASDataHandler();
+        expect(handler.includeFile('/User/test/Project/data.sas7bdat')).toBeTruthy();
+        expect(handler.includeFile('C:/test/Project/Data.SAS7BDAT')).toBeTruthy();
+        expect(handler.includeFile('/User/test/Project/code.sas')).toBeFalsy();
+        expect(handler.includeFile('/User/test/Project/view.sas7bvew')).toBeFalsy();
+        expect(handler.includeFile(null)).toBeFalsy();
+      });
+    });
+
+    describe('scan', () => {
+      it('should return a response with details for a valid asset', () => {
+        mockFileContents(createFile(false, 42));
+        const testAsset = {
+          uri: '/Some/Valid/data.sas7bdat',
+          type: 'file',
+          metadata: [],
+        };
+        const response = new SASDataHandler().scan(testAsset);
+        expect(response.metadata[0]).toEqual({
+          id: 'StatWrap.SASDataHandler',
+          encoding: 'UTF-8',
+          columns: EXPECTED_COLUMNS,
+          rowCount: 42,
+        });
+        expect(fs.closeSync).toHaveBeenCalledWith(1);
+      });
+
+      it('should return a response with just the handler name if the file is not valid', () => {
+        mockFileContents(Buffer.alloc(1024));
+        const testAsset = {
+          uri: '/Some/Invalid/data.sas7bdat',
+          type: 'file',
+          metadata: [],
+        };
+        const response = new SASDataHandler().scan(testAsset);
+        expect(response.metadata[0]).toEqual({
+          id: 'StatWrap.SASDataHandler',
+          error: 'Unable to read data file',
+        });
+        expect(fs.closeSync).toHaveBeenCalledWith(1);
+      });
+    });
+
+    describe('getMetadata', () => {
+      it('should read files created on 64-bit systems', () => {
+        mockFileContents(createFile(true, 7));
+        const metadata = new SASDataHandler().getMetadata('/test/data.sas7bdat');
+        expect(metadata).toEqual({
+          encoding: 'UTF-8',
+          columns: EXPECTED_COLUMNS,
+          rowCount: 7,
+        });
+      });
+
+      it('should throw an error if the column information is missing', () => {
+        const contents = createFile(false, 1);
+        // Change the page to a data page
+        contents.writeInt16LE(256, HEADER_LENGTH + 16);
+        mockFileContents(contents);
+        expect(() => new SASDataHandler().getMetadata('/test/data.sas7bdat')).toThrow(
+          'Unable to find the column information',
+        );
+      });
+    });
+  });
+});
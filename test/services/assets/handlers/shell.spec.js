@@ -0,0 +1,308 @@
+import fs from 'fs';
+import ShellHandler from '../../../../app/services/assets/handlers/shell';
+import Constants from '../../../../app/constants/constants';
+
+jest.mock('fs');
+
+describe('services', () => {
+  describe('ShellHandler', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+      jest.clearAllMocks();
+    });
+
+    describe('id', () => {
+      it('should return an id that matches the class name plus StatWrap pseudo-namespace', () => {
+        expect(new ShellHandler().id()).toEqual(`StatWrap.${ShellHandler.name}`);
+      });
+    });
+
+    describe('includeFile', () => {
+      it('should include shell scripts and Makefiles and exclude others', () => {
+        const handler = new ShellHandler();
+        expect(handler.includeFile('/User/test/Project/run_all.sh')).toBeTruthy();
+        expect(handler.includeFile('C:/test/Project/Run.BASH')).toBeTruthy();
+        expect(handler.includeFile('/User/test/Project/Makefile')).toBeTruthy();
+        expect(handler.includeFile('/User/test/Project/makefile')).toBeTruthy();
+        expect(handler.includeFile('/User/test/Project/GNUmakefile')).toBeTruthy();
+        expect(handler.includeFile('/User/test/Project/rules.mk')).toBeTruthy();
+        expect(handler.includeFile('/User/test/Project/Makefile.bak')).toBeFalsy();
+        expect(handler.includeFile('/User/test/Project/run.sh.bak')).toBeFalsy();
+        expect(handler.includeFile('/User/test/Project/.sh')).toBeFalsy();
+        expect(handler.includeFile(null)).toBeFalsy();
+      });
+    });
+
+    describe('scan', () => {
+      it('should return a response with details for a valid asset', () => {
+        fs.readFileSync.mockReturnValue('Rscript code/clean.R > logs/clean.log');
+        const testAsset = {
+          uri: '/Some/Valid/run_all.sh',
+          type: 'file',
+          metadata: [],
+        };
+        const response = new ShellHandler().scan(testAsset);
+        expect(fs.readFileSync).toHaveBeenCalledTimes(1);
+        expect(response.metadata[0]).toEqual({
+          id: 'StatWrap.ShellHandler',
+          libraries: [],
+          inputs: [{ id: 'Rscript - code/clean.R', type: 'code', path: 'code/clean.R' }],
+          outputs: [
+            {
+              id: '> - logs/clean.log',
+              type: Constants.DependencyType.DATA,
+              path: 'logs/clean.log',
+            },
+          ],
+        });
+      });
+
+      it('should return a response with just the handler name if the file cannot be read', () => {
+        fs.readFileSync.mockImplementationOnce(() => {
+          throw new Error();
+        });
+        const testAsset = {
+          uri: '/Some/Invalid/Makefile',
+          type: 'file',
+          metadata: [],
+        };
+        const response = new ShellHandler().scan(testAsset);
+        expect(response.metadata[0]).toEqual({
+          id: 'StatWrap.ShellHandler',
+          error: 'Unable to read code file',
+        });
+      });
+    });
+
+    describe('getLibraries', () => {
+      it('should handle empty/blank inputs', () => {
+        expect(new ShellHandler().getLibraries('Makefile', '').length).toEqual(0);
+        expect(new ShellHandler().getLibraries('Makefile', null).length).toEqual(0);
+        expect(new ShellHandler().getLibraries('Makefile', undefined).length).toEqual(0);
+      });
+
+      it('should retrieve included Makefiles', () => {
+        const libraries = new ShellHandler().getLibraries(
+          '/test/Makefile',
+          'include config.mk rules.mk\n-include local.mk\n# include old.mk',
+        );
+        expect(libraries.map((l) => l.id)).toEqual(['config.mk', 'rules.mk', 'local.mk']);
+      });
+
+      it('should not look for includes in shell scripts', () => {
+        expect(new ShellHandler().getLibraries('/test/run.sh', 'include x.mk').length).toEqual(0);
+      });
+    });
+
+    describe('getInputs', () => {
+      it('should handle empty/blank inputs', () => {
+        expect(new ShellHandler().getInputs('test.sh', '').length).toEqual(0);
+        expect(new ShellHandler().getInputs('test.sh', null).length).toEqual(0);
+        expect(new ShellHandler().getInputs('test.sh', undefined).length).toEqual(0);
+      });
+
+      it('should retrieve code files that are run', () => {
+        const inputs = new ShellHandler().getInputs(
+          'test.sh',
+          '#!/bin/bash\n' +
+            'set -e\n' +
+            'Rscript --vanilla 01_clean.R\n' +
+            'R CMD BATCH 02_model.R\n' +
+            'python3 -u scripts/prep.py --fast && python "plots.py"\n' +
+            'stata-mp -b do analysis.do\n' +
+            'sas -log logs/x.log -sysin tables.sas\n' +
+            'julia sim.jl\n' +
+            'quarto render report.qmd\n' +
+            'if [ -f x ]; then bash helpers/setup.sh; fi\n' +
+            'source ./env.sh\n' +
+            '. config.sh\n' +
+            'Rscript \\\n  continued.R',
+        );
+        expect(inputs.map((i) => i.id)).toEqual([
+          'Rscript - 01_clean.R',
+          'R CMD BATCH - 02_model.R',
+          'Rscript - continued.R',
+          'python3 - scripts/prep.py',
+          'python - plots.py',
+          'stata-mp - analysis.do',
+          'sas - tables.sas',
+          'julia - sim.jl',
+          'quarto render - report.qmd',
+          'bash - helpers/setup.sh',
+          'source - ./env.sh',
+          '. - config.sh',
+        ]);
+        expect(inputs.every((i) => i.type === 'code')).toBeTruthy();
+      });
+
+      it('should not include commands that are not running code files', () => {
+        const inputs = new ShellHandler().getInputs(
+          'test.sh',
+          'python -m pip install x.py\n' +
+            'Rscript -e "rmarkdown::render(\'x.Rmd\')"\n' +
+            'find . -name x.sh\n' +
+            'echo Rscript x.R\n' +
+            '# Rscript old.R',
+        );
+        expect(inputs.length).toEqual(0);
+      });
+
+      it('should retrieve files redirected as input', () => {
+        const inputs = new ShellHandler().getInputs(
+          'test.sh',
+          'sort < data/raw.txt\ncat <<EOF\ntext\nEOF\ndiff <(ls a) b',
+        );
+        expect(inputs).toEqual([
+          { id: '< - data/raw.txt', type: Constants.DependencyType.DATA, path: 'data/raw.txt' },
+        ]);
+      });
+
+      it('should not treat variables as redirected files', () => {
+        const inputs = new ShellHandler().getInputs(
+          '/test/Makefile',
+          'data/all.csv: data/raw.csv\n\tcat $< > $@\n\tsort < "$(IN)" | uniq < $$IN > $$OUT',
+        );
+        expect(inputs).toEqual([
+          {
+            id: 'prerequisite - data/raw.csv',
+            type: Constants.DependencyType.DATA,
+            path: 'data/raw.csv',
+          },
+        ]);
+      });
+
+      it('should retrieve Make prerequisites', () => {
+        const inputs = new ShellHandler().getInputs(
+          '/test/Makefile',
+          'R := Rscript\n' +
+            '.PHONY: all clean\n' +
+            'all: results/model.rds figures/fit.png\n\n' +
+            'data/clean.csv: code/clean.R data/raw.csv\n' +
+            '\tRscript code/clean.R\n\n' +
+            'results/model.rds figures/fit.png: code/model.py \\\n    data/clean.csv | results\n' +
+            '\t@python code/model.py\n\n' +
+            '%.html: %.Rmd\n' +
+            '\t$(R) -e "rmarkdown::render(\'$<\')"\n\n' +
+            'clean:\n' +
+            '\trm -rf results',
+        );
+        expect(inputs).toEqual([
+          { id: 'Rscript - code/clean.R', type: 'code', path: 'code/clean.R' },
+          { id: 'python - code/model.py', type: 'code', path: 'code/model.py' },
+          {
+            id: 'prerequisite - data/raw.csv',
+            type: Constants.DependencyType.DATA,
+            path: 'data/raw.csv',
+          },
+          {
+            id: 'prerequisite - results',
+            type: Constants.DependencyType.DATA,
+            path: 'results',
+          },
+        ]);
+      });
+
+      it('should not include prerequisites that the Makefile builds', () => {
+        const handler = new ShellHandler();
+        const makefile =
+          'all: results.csv figure.png\n\n' +
+          'results.csv: analyze.py data.csv\n' +
+          '\tpython analyze.py\n\n' +
+          'figure.png: plot.R results.csv\n' +
+          '\tRscript plot.R\n';
+        const expected = [
+          { id: 'Rscript - plot.R', type: 'code', path: 'plot.R' },
+          { id: 'python - analyze.py', type: 'code', path: 'analyze.py' },
+          {
+            id: 'prerequisite - data.csv',
+            type: Constants.DependencyType.DATA,
+            path: 'data.csv',
+          },
+        ];
+        expect(handler.getInputs('/test/Makefile', makefile)).toEqual(expected);
+        expect(handler.getInputs('/test/Makefile', `.PHONY: all\n${makefile}`)).toEqual(expected);
+      });
+
+      it('should not include prerequisites of phony targets', () => {
+        const inputs = new ShellHandler().getInputs(
+          '/test/Makefile',
+          '.PHONY: all\nall: report.html summary.csv\nreport.html: report.qmd data.csv\n' +
+            '\tquarto render report.qmd',
+        );
+        expect(inputs).toEqual([
+          { id: 'quarto render - report.qmd', type: 'code', path: 'report.qmd' },
+          {
+            id: 'prerequisite - data.csv',
+            type: Constants.DependencyType.DATA,
+            path: 'data.csv',
+          },
+        ]);
+      });
+    });
+
+    describe('getOutputs', () => {
+      it('should handle empty/blank inputs', () => {
+        expect(new ShellHandler().getOutputs('test.sh', '').length).toEqual(0);
+        expect(new ShellHandler().getOutputs('test.sh', null).length).toEqual(0);
+        expect(new ShellHandler().getOutputs('test.sh', undefined).length).toEqual(0);
+      });
+
+      it('should retrieve files that output is redirected to', () => {
+        const outputs = new ShellHandler().getOutputs(
+          'test.sh',
+          'cat a.txt > b.txt\necho x >> log.txt 2>&1\nrun > /dev/null\n# echo y > z.txt',
+        );
+        expect(outputs).toEqual([
+          { id: '> - b.txt', type: Constants.DependencyType.DATA, path: 'b.txt' },
+          { id: '>> - log.txt', type: Constants.DependencyType.DATA, path: 'log.txt' },
+        ]);
+      });
+
+      it('should not treat variables as files that output is redirected to', () => {
+        const outputs = new ShellHandler().getOutputs(
+          '/test/Makefile',
+          'data/all.csv: data/raw.csv\n\tcat $< > $@\n\techo done >> "$(LOG)"',
+        );
+        expect(outputs).toEqual([
+          {
+            id: 'target - data/all.csv',
+            type: Constants.DependencyType.DATA,
+            path: 'data/all.csv',
+          },
+        ]);
+        expect(new ShellHandler().getOutputs('run.sh', 'echo x > "$OUT"\necho y > ${LOG}')).toEqual(
+          [],
+        );
+      });
+
+      it('should retrieve Make targets', () => {
+        const outputs = new ShellHandler().getOutputs(
+          '/test/Makefile',
+          '.PHONY: all\nall: report.html\nreport.html: report.Rmd\n\tquarto render report.Rmd\n' +
+            'figures/a.png figures/b.png &: plots.py\n\tpython plots.py\nOUT = out.csv',
+        );
+        expect(outputs).toEqual([
+          {
+            id: 'target - report.html',
+            type: Constants.DependencyType.DATA,
+            path: 'report.html',
+          },
+          {
+            id: 'target - figures/a.png',
+            type: Constants.DependencyType.FIGURE,
+            path: 'figures/a.png',
+          },
+          {
+            id: 'target - figures/b.png',
+            type: Constants.DependencyType.FIGURE,
+            path: 'figures/b.png',
+          },
+        ]);
+      });
+
+      it('should not look for Make targets in shell scripts', () => {
+        expect(new ShellHandler().getOutputs('/test/run.sh', 'a.csv: b.csv').length).toEqual(0);
+      });
+    });
+  });
+});
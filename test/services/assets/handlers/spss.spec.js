@@ -0,0 +1,214 @@
+import fs from 'fs';
+import SPSSHandler from '../../../../app/services/assets/handlers/spss';
+import Constants from '../../../../app/constants/constants';
+
+jest.mock('fs');
+
+describe('services', () => {
+  describe('SPSSHandler', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+      jest.clearAllMocks();
+    });
+
+    describe('id', () => {
+      it('should return an id that matches the class name plus StatWrap pseudo-namespace', () => {
+        expect(new SPSSHandler().id()).toEqual(`StatWrap.${SPSSHandler.name}`);
+      });
+    });
+
+    describe('includeFile', () => {
+      it('should include SPSS syntax files and exclude others', () => {
+        const handler = new SPSSHandler();
+        expect(handler.includeFile('/User/test/Project/analysis.sps')).toBeTruthy();
+        expect(handler.includeFile('C:/test/Project/Analysis.SPS')).toBeTruthy();
+        expect(handler.includeFile('/User/test/Project/data.sav')).toBeFalsy();
+        expect(handler.includeFile('/User/test/Project/analysis.sps.bak')).toBeFalsy();
+        expect(handler.includeFile('/User/test/Project/.sps')).toBeFalsy();
+        expect(handler.includeFile(null)).toBeFalsy();
+      });
+    });
+
+    describe('scan', () => {
+      it('should return a response with details for a valid asset', () => {
+        fs.readFileSync.mockReturnValue(
+          "GET FILE='data/raw.sav'.\nSAVE OUTFILE='data/clean.sav'.\nINSERT FILE='helpers.sps'.",
+        );
+        const testAsset = {
+          uri: '/Some/Valid/File.sps',
+          type: 'file',
+          metadata: [],
+        };
+        const response = new SPSSHandler().scan(testAsset);
+        expect(fs.readFileSync).toHaveBeenCalledTimes(1);
+        expect(response.metadata[0]).toEqual({
+          id: 'StatWrap.SPSSHandler',
+          libraries: [{ id: 'helpers.sps', package: 'helpers.sps' }],
+          inputs: [
+            {
+              id: "GET - 'data/raw.sav'",
+              type: Constants.DependencyType.DATA,
+              path: "'data/raw.sav'",
+            },
+          ],
+          outputs: [
+            {
+              id: "SAVE - 'data/clean.sav'",
+              type: Constants.DependencyType.DATA,
+              path: "'data/clean.sav'",
+            },
+          ],
+        });
+      });
+
+      it('should return a response with just the handler name if the file cannot be read', () => {
+        fs.readFileSync.mockImplementationOnce(() => {
+          throw new Error();
+        });
+        const testAsset = {
+          uri: '/Some/Invalid/Path.sps',
+          type: 'file',
+          metadata: [],
+        };
+        const response = new SPSSHandler().scan(testAsset);
+        expect(response.metadata[0]).toEqual({
+          id: 'StatWrap.SPSSHandler',
+          error: 'Unable to read code file',
+        });
+      });
+    });
+
+    describe('getLibraries', () => {
+      it('should handle empty/blank inputs', () => {
+        expect(new SPSSHandler().getLibraries('test.uri', '').length).toEqual(0);
+        expect(new SPSSHandler().getLibraries('test.uri', null).length).toEqual(0);
+        expect(new SPSSHandler().getLibraries('test.uri', undefined).length).toEqual(0);
+        expect(new SPSSHandler().getLibraries('test.uri', 'FREQUENCIES age.').length).toEqual(0);
+      });
+
+      it('should retrieve inserted and included syntax files', () => {
+        const libraries = new SPSSHandler().getLibraries(
+          'test.uri',
+          "INSERT FILE='setup.sps'.\ninclude file = \"C:\\syntax\\recode.sps\".\nINSERT SYNTAX=BATCH ERROR=STOP\n  /FILE='models.sps'.",
+        );
+        expect(libraries).toEqual([
+          { id: 'setup.sps', package: 'setup.sps' },
+          { id: 'C:\\syntax\\recode.sps', package: 'C:\\syntax\\recode.sps' },
+          { id: 'models.sps', package: 'models.sps' },
+        ]);
+      });
+
+      it('should retrieve file handles', () => {
+        const libraries = new SPSSHandler().getLibraries(
+          'test.uri',
+          "FILE HANDLE rawdata /NAME='/Users/test/data'.",
+        );
+        expect(libraries).toEqual([{ id: 'rawdata', package: '/Users/test/data' }]);
+      });
+
+      it('should ignore comments', () => {
+        expect(
+          new SPSSHandler().getLibraries('test.uri', "* INSERT FILE='setup.sps'.").length,
+        ).toEqual(0);
+      });
+    });
+
+    describe('getInputs', () => {
+      it('should handle empty/blank inputs', () => {
+        expect(new SPSSHandler().getInputs('test.uri', '').length).toEqual(0);
+        expect(new SPSSHandler().getInputs('test.uri', null).length).toEqual(0);
+        expect(new SPSSHandler().getInputs('test.uri', undefined).length).toEqual(0);
+      });
+
+      it('should retrieve GET FILE and IMPORT inputs', () => {
+        const inputs = new SPSSHandler().getInputs(
+          'test.uri',
+          "GET FILE='raw.sav'.\nget file = \"other.sav\" /KEEP=id age.\nIMPORT FILE='old.por'.\nGET FILE=rawdata.",
+        );
+        expect(inputs).toEqual([
+          { id: "GET - 'raw.sav'", type: Constants.DependencyType.DATA, path: "'raw.sav'" },
+          { id: 'get - "other.sav"', type: Constants.DependencyType.DATA, path: '"other.sav"' },
+          { id: "IMPORT - 'old.por'", type: Constants.DependencyType.DATA, path: "'old.por'" },
+          { id: 'GET - rawdata', type: Constants.DependencyType.DATA, path: 'rawdata' },
+        ]);
+      });
+
+      it('should retrieve GET DATA inputs spanning multiple lines', () => {
+        const inputs = new SPSSHandler().getInputs(
+          'test.uri',
+          "GET DATA\r\n  /TYPE=XLSX\r\n  /FILE='survey.xlsx'\r\n  /SHEET=name 'Sheet1'.",
+        );
+        expect(inputs).toEqual([
+          {
+            id: "GET DATA - 'survey.xlsx'",
+            type: Constants.DependencyType.DATA,
+            path: "'survey.xlsx'",
+          },
+        ]);
+      });
+
+      it('should retrieve other statistical package formats', () => {
+        const inputs = new SPSSHandler().getInputs(
+          'test.uri',
+          "GET SAS DATA='study.sas7bdat'.\nGET STATA FILE='study.dta'.",
+        );
+        expect(inputs.map((i) => i.path)).toEqual(["'study.sas7bdat'", "'study.dta'"]);
+      });
+
+      it('should not run past the end of a command', () => {
+        expect(
+          new SPSSHandler().getInputs('test.uri', "GET DATA /TYPE=ODBC.\nSAVE OUTFILE='x.sav'.")
+            .length,
+        ).toEqual(0);
+      });
+    });
+
+    describe('getOutputs', () => {
+      it('should handle empty/blank inputs', () => {
+        expect(new SPSSHandler().getOutputs('test.uri', '').length).toEqual(0);
+        expect(new SPSSHandler().getOutputs('test.uri', null).length).toEqual(0);
+        expect(new SPSSHandler().getOutputs('test.uri', undefined).length).toEqual(0);
+      });
+
+      it('should retrieve saved and exported data', () => {
+        const outputs = new SPSSHandler().getOutputs(
+          'test.uri',
+          "SAVE OUTFILE='clean.sav'\n  /DROP=temp.\nXSAVE OUTFILE='x.sav'.\nSAVE TRANSLATE OUTFILE='clean.csv'\n  /TYPE=CSV.\nEXPORT OUTFILE='clean.por'.",
+        );
+        expect(outputs).toEqual([
+          { id: "SAVE - 'clean.sav'", type: Constants.DependencyType.DATA, path: "'clean.sav'" },
+          { id: "XSAVE - 'x.sav'", type: Constants.DependencyType.DATA, path: "'x.sav'" },
+          {
+            id: "SAVE TRANSLATE - 'clean.csv'",
+            type: Constants.DependencyType.DATA,
+            path: "'clean.csv'",
+          },
+          {
+            id: "EXPORT - 'clean.por'",
+            type: Constants.DependencyType.DATA,
+            path: "'clean.por'",
+          },
+        ]);
+      });
+
+      it('should retrieve exported output documents', () => {
+        const outputs = new SPSSHandler().getOutputs(
+          'test.uri',
+          "OUTPUT EXPORT\n  /CONTENTS EXPORT=ALL\n  /PDF DOCUMENTFILE='results.pdf'.\nOUTPUT SAVE OUTFILE='results.spv'.",
+        );
+        expect(outputs).toEqual([
+          {
+            id: "OUTPUT EXPORT - 'results.pdf'",
+            type: Constants.DependencyType.FILE,
+            path: "'results.pdf'",
+          },
+          {
+            id: "OUTPUT SAVE - 'results.spv'",
+            type: Constants.DependencyType.FILE,
+            path: "'results.spv'",
+          },
+        ]);
+      });
+    });
+  });
+});
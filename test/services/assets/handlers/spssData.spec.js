@@ -0,0 +1,244 @@
+import fs from 'fs';
+import SPSSDataHandler from '../../../../app/services/assets/handlers/spssData';
+
+jest.mock('fs');
+
+// Mock reading a file with the given contents, from any position
+const mockFileContents = (contents) => {
+  fs.statSync.mockReturnValue({ size: contents.length });
+  fs.openSync.mockReturnValue(1);
+  fs.readSync.mockImplementation((fd, buffer, offset, length, position) => {
+    const start = Math.min(position, contents.length);
+    return contents.copy(buffer, offset, start, Math.min(start + length, contents.length));
+  });
+};
+
+// Create a fixed-width, space padded text field
+const text = (value, width) => {
+  const buffer = Buffer.alloc(width, ' ');
+  buffer.write(value, 'utf8');
+  return buffer;
+};
+
+const int32 = (value) => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeInt32LE(value);
+  return buffer;
+};
+
+const double = (value) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeDoubleLE(value);
+  return buffer;
+};
+
+// Print formats are packed as 0x00TTWWDD (type, width and number of decimal places)
+const format = (type, width, decimals) => type * 0x10000 + width * 0x100 + decimals;
+
+const header = (caseCount, label) =>
+  Buffer.concat([
+    Buffer.from('$FL2'),
+    text('@(#) SPSS DATA FILE', 60),
+    int32(2), // layout code
+    int32(4), // nominal case size
+    int32(0), // compression
+    int32(0), // weight index
+    int32(caseCount),
+    double(100),
+    text('01 Jan 20', 9),
+    text('12:00:00', 8),
+    text(label, 64),
+    Buffer.alloc(3),
+  ]);
+
+const variableRecord = (type, name, printFormat, label) => {
+  const parts = [int32(2), int32(type), int32(label ? 1 : 0), int32(0)];
+  parts.push(int32(printFormat), int32(printFormat), text(name, 8));
+  if (label) {
+    const labelBytes = Buffer.from(label, 'utf8');
+    parts.push(int32(labelBytes.length), labelBytes);
+    parts.push(Buffer.alloc((4 - (labelBytes.length % 4)) % 4, ' '));
+  }
+  return Buffer.concat(parts);
+};
+
+const valueLabelRecords = (labels, variableIndexes) => {
+  const parts = [int32(3), int32(labels.length)];
+  labels.forEach((x) => {
+    parts.push(typeof x.value === 'string' ? text(x.value, 8) : double(x.value));
+    const labelBytes = Buffer.from(x.label, 'utf8');
+    parts.push(Buffer.from([labelBytes.length]), labelBytes);
+    parts.push(Buffer.alloc((8 - ((labelBytes.length + 1) % 8)) % 8, ' '));
+  });
+  parts.push(int32(4), int32(variableIndexes.length), ...variableIndexes.map((x) => int32(x)));
+  return Buffer.concat(parts);
+};
+
+const extensionRecord = (subtype, contents) => {
+  const data = Buffer.from(contents, 'utf8');
+  return Buffer.concat([int32(7), int32(subtype), int32(1), int32(data.length), data]);
+};
+
+const createFile = () =>
+  Buffer.concat([
+    header(25, 'Survey data'),
+    variableRecord(0, 'ID', format(5, 8, 0), 'Identifier'),
+    variableRecord(0, 'SEX', format(5, 1, 0), 'Sex of respondent'),
+    variableRecord(0, 'VISIT', format(20, 11, 0), null),
+    // A 12 character string takes two records
+    variableRecord(12, 'CITYNAME', format(1, 12, 0), 'City'),
+    variableRecord(-1, '', 0, null),
+    variableRecord(0, 'INCOME', format(5, 8, 2), null),
+    valueLabelRecords(
+      [
+        { value: 1, label: 'Male' },
+        { value: 2, label: 'Female' },
+      ],
+      [2],
+    ),
+    valueLabelRecords([{ value: 'NYC', label: 'New York City' }], [4]),
+    // Document record
+    int32(6),
+    int32(1),
+    text('A document line', 80),
+    extensionRecord(13, 'ID=id\tSEX=sex\tVISIT=visit_date\tCITYNAME=city_name\tINCOME=income'),
+    extensionRecord(20, 'UTF-8'),
+    int32(999),
+    int32(0),
+    // The data would follow
+    Buffer.alloc(64),
+  ]);
+
+describe('services', () => {
+  describe('SPSSDataHandler', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+      jest.clearAllMocks();
+    });
+
+    describe('id', () => {
+      it('should return an id that matches the class name plus StatWrap pseudo-namespace', () => {
+        expect(new SPSSDataHandler().id()).toEqual(`StatWrap.${SPSSDataHandler.name}`);
+      });
+    });
+
+    describe('includeFile', () => {
+      it('should include SPSS data files and exclude others', () => {
+        const handler = new SPSSDataHandler();
+        expect(handler.includeFile('/User/test/Project/data.sav')).toBeTruthy();
+        expect(handler.includeFile('C:/test/Project/Data.SAV')).toBeTruthy();
+        expect(handler.includeFile('/User/test/Project/data.zsav')).toBeTruthy();
+        expect(handler.includeFile('/User/test/Project/syntax.sps')).toBeFalsy();
+        expect(handler.includeFile(null)).toBeFalsy();
+      });
+    });
+
+    describe('scan', () => {
+      it('should return a response with details for a valid asset', () => {
+        mockFileContents(createFile());
+        const testAsset = {
+          uri: '/Some/Valid/data.sav',
+          type: 'file',
+          metadata: [],
+        };
+        const response = new SPSSDataHandler().scan(testAsset);
+        expect(response.metadata[0]).toEqual({
+          id: 'StatWrap.SPSSDataHandler',
+          encoding: 'UTF-8',
+          label: 'Survey data',
+          columns: [
+            { name: 'id', type: 'number', label: 'Identifier', format: 'F8' },
+            {
+              name: 'sex',
+              type: 'number',
+              label: 'Sex of respondent',
+              format: 'F1',
+              valueLabels: 'sex',
+            },
+            { name: 'visit_date', type: 'date', format: 'DATE11' },
+            {
+              name: 'city_name',
+              type: 'string',
+              label: 'City',
+              format: 'A12',
+              valueLabels: 'city_name',
+            },
+            { name: 'income', type: 'number', format: 'F8.2' },
+          ],
+          rowCount: 25,
+          valueLabels: {
+            sex: [
+              { value: 1, label: 'Male' },
+              { value: 2, label: 'Female' },
+            ],
+            city_name: [{ value: 'NYC', label: 'New York City' }],
+          },
+        });
+        expect(fs.closeSync).toHaveBeenCalledWith(1);
+      });
+
+      it('should return a response with just the handler name if the file is not valid', () => {
+        mockFileContents(Buffer.from('This is not an SPSS file'));
+        const testAsset = {
+          uri: '/Some/Invalid/data.sav',
+          type: 'file',
+          metadata: [],
+        };
+        const response = new SPSSDataHandler().scan(testAsset);
+        expect(response.metadata[0]).toEqual({
+          id: 'StatWrap.SPSSDataHandler',
+          error: 'Unable to read data file',
+        });
+        expect(fs.closeSync).toHaveBeenCalledWith(1);
+      });
+    });
+
+    describe('getMetadata', () => {
+      it('should use the short names and default encoding when the extensions are missing', () => {
+        mockFileContents(
+          Buffer.concat([
+            header(-1, ''),
+            variableRecord(0, 'AGE', format(5, 3, 0), null),
+            int32(999),
+            int32(0),
+          ]),
+        );
+        const metadata = new SPSSDataHandler().getMetadata('/test/data.sav');
+        expect(metadata).toEqual({
+          encoding: 'WINDOWS-1252',
+          columns: [{ name: 'AGE', type: 'number', format: 'F3' }],
+          rowCount: null,
+          valueLabels: {},
+        });
+      });
+
+      it('should combine the segments of very long strings', () => {
+        // A 300 character string is stored as two variables, each taking 32 records
+        mockFileContents(
+          Buffer.concat([
+            header(1, ''),
+            variableRecord(255, 'NOTES', format(1, 255, 0), null),
+            ...Array.from({ length: 31 }, () => variableRecord(-1, '', 0, null)),
+            variableRecord(255, 'NOTES0', format(1, 255, 0), null),
+            ...Array.from({ length: 31 }, () => variableRecord(-1, '', 0, null)),
+            variableRecord(0, 'AGE', format(5, 3, 0), null),
+            extensionRecord(14, 'NOTES=00300\0\t'),
+            int32(999),
+            int32(0),
+          ]),
+        );
+        const metadata = new SPSSDataHandler().getMetadata('/test/data.sav');
+        expect(metadata.columns.map((x) => x.name)).toEqual(['NOTES', 'AGE']);
+      });
+    });
+
+    describe('formatToString', () => {
+      it('should convert print formats to text', () => {
+        const handler = new SPSSDataHandler();
+        expect(handler.formatToString(format(5, 8, 2))).toEqual('F8.2');
+        expect(handler.formatToString(format(1, 20, 0))).toEqual('A20');
+        expect(handler.formatToString(format(22, 20, 0))).toEqual('DATETIME20');
+      });
+    });
+  });
+});
@@ -0,0 +1,273 @@
+import fs from 'fs';
+import SQLHandler from '../../../../app/services/assets/handlers/sql';
+import Constants from '../../../../app/constants/constants';
+
+jest.mock('fs');
+
+describe('services', () => {
+  describe('SQLHandler', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+      jest.clearAllMocks();
+    });
+
+    describe('id', () => {
+      it('should return an id that matches the class name plus StatWrap pseudo-namespace', () => {
+        expect(new SQLHandler().id()).toEqual(`StatWrap.${SQLHandler.name}`);
+      });
+    });
+
+    describe('includeFile', () => {
+      it('should include SQL files and exclude others', () => {
+        const handler = new SQLHandler();
+        expect(handler.includeFile('/User/test/Project/extract.sql')).toBeTruthy();
+        expect(handler.includeFile('C:/test/Project/Extract.SQL')).toBeTruthy();
+        expect(handler.includeFile('/User/test/Project/data.sqlite')).toBeFalsy();
+        expect(handler.includeFile('/User/test/Project/extract.sql.bak')).toBeFalsy();
+        expect(handler.includeFile('/User/test/Project/.sql')).toBeFalsy();
+        expect(handler.includeFile(null)).toBeFalsy();
+      });
+    });
+
+    describe('scan', () => {
+      it('should return a response with details for a valid asset', () => {
+        fs.readFileSync.mockReturnValue(
+          'CREATE EXTENSION postgis;\nINSERT INTO cohort\nSELECT * FROM raw.visits;',
+        );
+        const testAsset = {
+          uri: '/Some/Valid/File.sql',
+          type: 'file',
+          metadata: [],
+        };
+        const response = new SQLHandler().scan(testAsset);
+        expect(fs.readFileSync).toHaveBeenCalledTimes(1);
+        expect(response.metadata[0]).toEqual({
+          id: 'StatWrap.SQLHandler',
+          libraries: [{ id: 'postgis', package: 'postgis' }],
+          inputs: [{ id: 'raw.visits', type: Constants.DependencyType.TABLE, path: 'raw.visits' }],
+          outputs: [{ id: 'cohort', type: Constants.DependencyType.TABLE, path: 'cohort' }],
+        });
+      });
+
+      it('should return a response with just the handler name if the file cannot be read', () => {
+        fs.readFileSync.mockImplementationOnce(() => {
+          throw new Error();
+        });
+        const testAsset = {
+          uri: '/Some/Invalid/Path.sql',
+          type: 'file',
+          metadata: [],
+        };
+        const response = new SQLHandler().scan(testAsset);
+        expect(response.metadata[0]).toEqual({
+          id: 'StatWrap.SQLHandler',
+          error: 'Unable to read code file',
+        });
+      });
+    });
+
+    describe('getLibraries', () => {
+      it('should handle empty/blank inputs', () => {
+        expect(new SQLHandler().getLibraries('test.uri', '').length).toEqual(0);
+        expect(new SQLHandler().getLibraries('test.uri', null).length).toEqual(0);
+        expect(new SQLHandler().getLibraries('test.uri', undefined).length).toEqual(0);
+        expect(new SQLHandler().getLibraries('test.uri', 'SELECT 1;').length).toEqual(0);
+      });
+
+      it('should retrieve database extensions', () => {
+        const libraries = new SQLHandler().getLibraries(
+          'test.uri',
+          'CREATE EXTENSION IF NOT EXISTS "uuid-ossp";\nINSTALL httpfs;\nLOAD httpfs;',
+        );
+        expect(libraries).toEqual([
+          { id: 'uuid-ossp', package: 'uuid-ossp' },
+          { id: 'httpfs', package: 'httpfs' },
+          { id: 'httpfs', package: 'httpfs' },
+        ]);
+      });
+
+      it('should retrieve other scripts that are run', () => {
+        const libraries = new SQLHandler().getLibraries(
+          'test.uri',
+          "\\i setup.sql\n\\ir 'views/cohort.sql'\nSOURCE load.sql;\n:r helpers.sql\nSELECT source\nFROM t;",
+        );
+        expect(libraries.map((l) => l.id)).toEqual([
+          'setup.sql',
+          'views/cohort.sql',
+          'load.sql',
+          'helpers.sql',
+        ]);
+      });
+
+      it('should ignore comments', () => {
+        expect(
+          new SQLHandler().getLibraries('test.uri', '-- CREATE EXTENSION postgis;\n/* \\i x.sql */')
+            .length,
+        ).toEqual(0);
+      });
+    });
+
+    describe('getInputs', () => {
+      it('should handle empty/blank inputs', () => {
+        expect(new SQLHandler().getInputs('test.uri', '').length).toEqual(0);
+        expect(new SQLHandler().getInputs('test.uri', null).length).toEqual(0);
+        expect(new SQLHandler().getInputs('test.uri', undefined).length).toEqual(0);
+      });
+
+      it('should retrieve tables read in FROM and JOIN clauses', () => {
+        const inputs = new SQLHandler().getInputs(
+          'test.uri',
+          'SELECT p.id, v.dt\nFROM raw.patients p\n  LEFT JOIN "raw"."Visits" v ON v.pid = p.id\n' +
+            '  INNER JOIN [dbo].[labs] l ON l.pid = p.id\n' +
+            'WHERE p.id IN (SELECT pid FROM `excluded`)\n' +
+            'UNION SELECT id, dt FROM raw . patients;',
+        );
+        expect(inputs).toEqual([
+          { id: 'raw.patients', type: Constants.DependencyType.TABLE, path: 'raw.patients' },
+          {
+            id: '"raw"."Visits"',
+            type: Constants.DependencyType.TABLE,
+            path: '"raw"."Visits"',
+          },
+          { id: '[dbo].[labs]', type: Constants.DependencyType.TABLE, path: '[dbo].[labs]' },
+          { id: '`excluded`', type: Constants.DependencyType.TABLE, path: '`excluded`' },
+        ]);
+      });
+
+      it('should not treat other uses of FROM as tables', () => {
+        const inputs = new SQLHandler().getInputs(
+          'test.uri',
+          'WITH recent AS (SELECT * FROM visits), counts (n) AS (SELECT count(*) FROM recent)\n' +
+            "SELECT EXTRACT(YEAR FROM dt), TRIM(BOTH ' ' FROM name)\n" +
+            'FROM recent, LATERAL unnest(codes) AS c\n' +
+            'WHERE a IS DISTINCT FROM b;\n' +
+            'DELETE FROM staging;\n' +
+            'SELECT * FROM generate_series(1, 10);',
+        );
+        expect(inputs.map((i) => i.id)).toEqual(['visits']);
+      });
+
+      it('should retrieve files that are read', () => {
+        const inputs = new SQLHandler().getInputs(
+          'test.uri',
+          "COPY raw.visits (id, dt) FROM '/data/visits.csv' WITH (FORMAT csv);\n" +
+            "LOAD DATA LOCAL INFILE 'labs.txt' INTO TABLE labs;\n" +
+            "SELECT * FROM 'events.parquet';",
+        );
+        expect(inputs).toEqual([
+          {
+            id: "COPY - '/data/visits.csv'",
+            type: Constants.DependencyType.DATA,
+            path: "'/data/visits.csv'",
+          },
+          {
+            id: "LOAD DATA LOCAL INFILE - 'labs.txt'",
+            type: Constants.DependencyType.DATA,
+            path: "'labs.txt'",
+          },
+          {
+            id: "FROM - 'events.parquet'",
+            type: Constants.DependencyType.DATA,
+            path: "'events.parquet'",
+          },
+        ]);
+      });
+
+      it('should retrieve tables exported with COPY', () => {
+        const inputs = new SQLHandler().getInputs('test.uri', "COPY cohort TO 'cohort.csv';");
+        expect(inputs).toEqual([
+          { id: 'cohort', type: Constants.DependencyType.TABLE, path: 'cohort' },
+        ]);
+      });
+
+      it('should ignore comments', () => {
+        expect(
+          new SQLHandler().getInputs(
+            'test.uri',
+            "-- SELECT * FROM old_table\n/* SELECT *\n FROM other_table */\nSELECT '--' AS x;",
+          ).length,
+        ).toEqual(0);
+      });
+
+      it('should ignore string literals', () => {
+        const inputs = new SQLHandler().getInputs(
+          'test.uri',
+          "SELECT 'from x' AS label, 'it''s -- join y' AS note FROM visits\n" +
+            "WHERE code = '/* from z */';",
+        );
+        expect(inputs.map((i) => i.id)).toEqual(['visits']);
+      });
+    });
+
+    describe('getOutputs', () => {
+      it('should handle empty/blank inputs', () => {
+        expect(new SQLHandler().getOutputs('test.uri', '').length).toEqual(0);
+        expect(new SQLHandler().getOutputs('test.uri', null).length).toEqual(0);
+        expect(new SQLHandler().getOutputs('test.uri', undefined).length).toEqual(0);
+      });
+
+      it('should retrieve tables that are written', () => {
+        const outputs = new SQLHandler().getOutputs(
+          'test.uri',
+          'INSERT INTO analytics.cohort (id, dt)\nSELECT id, dt FROM raw.visits;\n' +
+            'CREATE TEMP TABLE IF NOT EXISTS tmp_counts AS\nSELECT count(*) FROM raw.visits;\n' +
+            'CREATE OR REPLACE TABLE summary AS SELECT 1;\n' +
+            'CREATE TABLE lookup (id int, name text);\n' +
+            "COPY raw.labs FROM 'labs.csv';\n" +
+            'INSERT INTO analytics.cohort VALUES (1, now());',
+        );
+        expect(outputs).toEqual([
+          {
+            id: 'analytics.cohort',
+            type: Constants.DependencyType.TABLE,
+            path: 'analytics.cohort',
+          },
+          { id: 'tmp_counts', type: Constants.DependencyType.TABLE, path: 'tmp_counts' },
+          { id: 'summary', type: Constants.DependencyType.TABLE, path: 'summary' },
+          { id: 'raw.labs', type: Constants.DependencyType.TABLE, path: 'raw.labs' },
+        ]);
+      });
+
+      it('should retrieve exported files', () => {
+        const outputs = new SQLHandler().getOutputs(
+          'test.uri',
+          "COPY cohort TO '/out/cohort.csv' WITH CSV HEADER;\n" +
+            "COPY (SELECT * FROM cohort WHERE dt > '2020-01-01') TO 'recent.csv';\n" +
+            "SELECT * FROM cohort INTO OUTFILE 'cohort.tsv';",
+        );
+        expect(outputs).toEqual([
+          {
+            id: "COPY - '/out/cohort.csv'",
+            type: Constants.DependencyType.DATA,
+            path: "'/out/cohort.csv'",
+          },
+          {
+            id: "COPY - 'recent.csv'",
+            type: Constants.DependencyType.DATA,
+            path: "'recent.csv'",
+          },
+          {
+            id: "INTO OUTFILE - 'cohort.tsv'",
+            type: Constants.DependencyType.DATA,
+            path: "'cohort.tsv'",
+          },
+        ]);
+      });
+
+      it('should ignore comments', () => {
+        expect(
+          new SQLHandler().getOutputs('test.uri', '-- INSERT INTO cohort SELECT 1;').length,
+        ).toEqual(0);
+      });
+
+      it('should ignore string literals', () => {
+        const outputs = new SQLHandler().getOutputs(
+          'test.uri',
+          "INSERT INTO log (msg) VALUES ('insert into audit');\n" +
+            "COPY visits FROM '/data/visits.csv';",
+        );
+        expect(outputs.map((o) => o.id)).toEqual(['log', 'visits']);
+      });
+    });
+  });
+});
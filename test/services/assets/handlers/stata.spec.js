@@ -555,6 +555,22 @@ describe('services', () => {
         );
         expect(libraries.length).toEqual(3);
       });
+      it('should retrieve save locations for datasets', () => {
+        const outputs = new StataHandler().getOutputs(
+          'test.do',
+          'save "data/clean.dta", replace\n' +
+            '  saveold old, version(12)\r\n' +
+            'save results.dta\n' +
+            'save, replace\n' +
+            'estimates save model\n' +
+            '* save old.dta',
+        );
+        expect(outputs).toEqual([
+          { id: 'save - "data/clean.dta"', type: 'data', path: '"data/clean.dta"' },
+          { id: 'saveold - old', type: 'data', path: 'old' },
+          { id: 'save - results.dta', type: 'data', path: 'results.dta' },
+        ]);
+      });
       it('should retrieve save locations for put* commands', () => {
         let libraries = new StataHandler().getOutputs('test.uri', "putdocx save 'test', replace");
         expect(libraries.length).toEqual(1);
@@ -838,6 +854,111 @@ describe('services', () => {
         );
         expect(libraries.length).toEqual(3);
       });
+      it('should retrieve datasets that are used', () => {
+        const inputs = new StataHandler().getInputs(
+          'test.do',
+          'use "data/survey.dta", clear\n' +
+            '  use id age if age > 18 using survey2\n' +
+            'use auto\r\n' +
+            'sysuse auto\n' +
+            '* use old.dta\n' +
+            'Use upper.dta',
+        );
+        expect(inputs).toEqual([
+          { id: 'use - "data/survey.dta"', type: 'data', path: '"data/survey.dta"' },
+          { id: 'use - survey2', type: 'data', path: 'survey2' },
+          { id: 'use - auto', type: 'data', path: 'auto' },
+        ]);
+      });
+    });
+
+    describe('getWorkingDirectories', () => {
+      it('should handle empty/blank inputs', () => {
+        expect(new StataHandler().getWorkingDirectories('test.do', null).length).toEqual(0);
+        expect(new StataHandler().getWorkingDirectories('test.do', '').length).toEqual(0);
+      });
+      it('should find changes to the working directory', () => {
+        const directories = new StataHandler().getWorkingDirectories(
+          'test.do',
+          'cd "../My Data"\nuse survey\n  chdir output  \ncd\n* cd old',
+        );
+        expect(directories).toEqual([
+          { id: 'cd - "../My Data"', path: '"../My Data"' },
+          { id: 'chdir - output', path: 'output' },
+        ]);
+      });
+    });
+
+    describe('evaluatePathExpressions', () => {
+      it('should handle empty/blank inputs', () => {
+        expect(new StataHandler().evaluatePathExpressions(null)).toBeNull();
+        expect(new StataHandler().evaluatePathExpressions('')).toEqual('');
+      });
+      it('should find inputs and outputs built with macros', () => {
+        const text =
+          'global data "../data"\nglobal out ${data}/output // Results\nlocal fig `"figure.png"\'\nimport delimited using "$data/raw.csv"\nexport delimited using "${out}/clean.csv"\ngraph export "$out/`fig\'"';
+        const handler = new StataHandler();
+        expect(handler.getInputs('test.do', text)).toEqual([
+          { id: 'import delimited - "../data/raw.csv"', type: 'data', path: '"../data/raw.csv"' },
+        ]);
+        expect(handler.getOutputs('test.do', text)).toEqual([
+          {
+            id: 'graph export - "../data/output/figure.png"',
+            type: 'figure',
+            path: '"../data/output/figure.png"',
+          },
+          {
+            id: 'export delimited - "../data/output/clean.csv"',
+            type: 'data',
+            path: '"../data/output/clean.csv"',
+          },
+        ]);
+      });
+      it('should find datasets that are used and saved with macros', () => {
+        const text =
+          'global data "data"\nuse "$data/x.dta"\nuse id using "${data}/y.dta", clear\nsave "$data/out.dta", replace';
+        const handler = new StataHandler();
+        expect(handler.getInputs('test.do', text)).toEqual([
+          { id: 'use - "data/x.dta"', type: 'data', path: '"data/x.dta"' },
+          { id: 'use - "data/y.dta"', type: 'data', path: '"data/y.dta"' },
+        ]);
+        expect(handler.getOutputs('test.do', text)).toEqual([
+          { id: 'save - "data/out.dta"', type: 'data', path: '"data/out.dta"' },
+        ]);
+      });
+      it('should use the value a macro has at the time it is used', () => {
+        expect(
+          new StataHandler().evaluatePathExpressions(
+            'gl f a.dta\nuse $f\ngl f "b.dta"\nuse $f\nglobal f = 1 + 2\nuse $f',
+          ),
+        ).toEqual('gl f a.dta\nuse a.dta\ngl f "b.dta"\nuse b.dta\nglobal f = 1 + 2\nuse $f');
+      });
+      it('should leave macros that are not defined in the code', () => {
+        const text = 'use "$root/data.dta"\nuse "`file\'"\nsave ${S_DATE}';
+        expect(new StataHandler().evaluatePathExpressions(text)).toEqual(text);
+      });
+      it('should find working directories built from macros', () => {
+        expect(
+          new StataHandler().getWorkingDirectories(
+            'test.do',
+            'global root "C:/project"\ncd "$root/data"',
+          ),
+        ).toEqual([{ id: 'cd - "C:/project/data"', path: '"C:/project/data"' }]);
+      });
+    });
+
+    describe('getAbsolutePaths', () => {
+      it('should find absolute paths that are not quoted', () => {
+        expect(
+          new StataHandler().getAbsolutePaths(
+            'test.do',
+            '* cd C:\\old\ncd /Users/me/project, nostop\nuse "data.dta"\nsave ~/out.dta',
+          ),
+        ).toEqual([
+          { path: '/Users/me/project', line: 2, snippet: 'cd /Users/me/project, nostop' },
+          { path: '~/out.dta', line: 4, snippet: 'save ~/out.dta' },
+        ]);
+      });
     });
   });
 });
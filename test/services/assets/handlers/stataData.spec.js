@@ -0,0 +1,300 @@
+import fs from 'fs';
+import StataDataHandler from '../../../../app/services/assets/handlers/stataData';
+
+jest.mock('fs');
+
+// Mock reading a file with the given contents, from any position
+const mockFileContents = (contents) => {
+  fs.statSync.mockReturnValue({ size: contents.length });
+  fs.fstatSync.mockReturnValue({ size: contents.length });
+  fs.openSync.mockReturnValue(1);
+  fs.readSync.mockImplementation((fd, buffer, offset, length, position) => {
+    const start = Math.min(position, contents.length);
+    return contents.copy(buffer, offset, start, Math.min(start + length, contents.length));
+  });
+};
+
+// Create a fixed-width, null padded text field
+const text = (value, width) => {
+  const buffer = Buffer.alloc(width);
+  buffer.write(value, 'utf8');
+  return buffer;
+};
+
+const uint16 = (value) => {
+  const buffer = Buffer.alloc(2);
+  buffer.writeUInt16LE(value);
+  return buffer;
+};
+
+const int32 = (value) => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeInt32LE(value);
+  return buffer;
+};
+
+const uint64 = (value) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64LE(BigInt(value));
+  return buffer;
+};
+
+// Create a value label table (without the set name and length that come before it)
+const valueLabelTable = (labels) => {
+  const offsets = [];
+  const texts = [];
+  let textLength = 0;
+  labels.forEach((x) => {
+    offsets.push(int32(textLength));
+    const labelText = Buffer.from(`${x.label}\0`, 'utf8');
+    texts.push(labelText);
+    textLength += labelText.length;
+  });
+  return Buffer.concat([
+    int32(labels.length),
+    int32(textLength),
+    ...offsets,
+    ...labels.map((x) => int32(x.value)),
+    ...texts,
+  ]);
+};
+
+const VARIABLES = [
+  { name: 'id', type: 65528, format: '%12.0g', valueLabels: '', label: 'Identifier' },
+  { name: 'sex', type: 65530, format: '%8.0g', valueLabels: 'sexlbl', label: 'Sex of respondent' },
+  { name: 'visit', type: 65527, format: '%td', valueLabels: '', label: '' },
+  { name: 'city', type: 20, format: '%20s', valueLabels: '', label: 'City' },
+];
+
+const VALUE_LABELS = {
+  sexlbl: [
+    { value: 1, label: 'Male' },
+    { value: 2, label: 'Female' },
+  ],
+};
+
+// Create a release 118 (Stata 14+) file in little endian byte order
+const createTaggedFile = (rowCount) => {
+  const header = Buffer.concat([
+    Buffer.from('<stata_dta><header><release>118</release><byteorder>LSF</byteorder><K>'),
+    uint16(VARIABLES.length),
+    Buffer.from('</K><N>'),
+    uint64(rowCount),
+    Buffer.from('</N><label>'),
+    uint16('Survey data'.length),
+    Buffer.from('Survey data</label><timestamp>'),
+    Buffer.from([17]),
+    Buffer.from('01 Jan 2020 12:00</timestamp></header>'),
+  ]);
+  const sections = [
+    Buffer.concat([
+      Buffer.from('<variable_types>'),
+      ...VARIABLES.map((x) => uint16(x.type)),
+      Buffer.from('</variable_types>'),
+    ]),
+    Buffer.concat([
+      Buffer.from('<varnames>'),
+      ...VARIABLES.map((x) => text(x.name, 129)),
+      Buffer.from('</varnames>'),
+    ]),
+    Buffer.concat([
+      Buffer.from('<sortlist>'),
+      Buffer.alloc(4 * (VARIABLES.length + 1)),
+      Buffer.from('</sortlist>'),
+    ]),
+    Buffer.concat([
+      Buffer.from('<formats>'),
+      ...VARIABLES.map((x) => text(x.format, 57)),
+      Buffer.from('</formats>'),
+    ]),
+    Buffer.concat([
+      Buffer.from('<value_label_names>'),
+      ...VARIABLES.map((x) => text(x.valueLabels, 129)),
+      Buffer.from('</value_label_names>'),
+    ]),
+    Buffer.concat([
+      Buffer.from('<variable_labels>'),
+      ...VARIABLES.map((x) => text(x.label, 321)),
+      Buffer.from('</variable_labels>'),
+    ]),
+    Buffer.from('<characteristics></characteristics>'),
+    Buffer.concat([Buffer.from('<data>'), Buffer.alloc(rowCount * 29), Buffer.from('</data>')]),
+    Buffer.from('<strls></strls>'),
+    Buffer.concat([
+      Buffer.from('<value_labels>'),
+      ...Object.keys(VALUE_LABELS).map((name) => {
+        const table = valueLabelTable(VALUE_LABELS[name]);
+        return Buffer.concat([
+          Buffer.from('<lbl>'),
+          int32(table.length),
+          text(name, 129),
+          Buffer.alloc(3),
+          table,
+          Buffer.from('</lbl>'),
+        ]);
+      }),
+      Buffer.from('</value_labels>'),
+    ]),
+    Buffer.from('</stata_dta>'),
+  ];
+
+  // The map is 14 offsets: the start of the file, the map itself, each section, and the end
+  const mapLength = '<map>'.length + 14 * 8 + '</map>'.length;
+  const offsets = [0, header.length];
+  let offset = header.length + mapLength;
+  sections.forEach((section) => {
+    offsets.push(offset);
+    offset += section.length;
+  });
+  offsets.push(offset);
+  const map = Buffer.concat([
+    Buffer.from('<map>'),
+    ...offsets.map((x) => uint64(x)),
+    Buffer.from('</map>'),
+  ]);
+  return Buffer.concat([header, map, ...sections]);
+};
+
+// Create a release 114 (Stata 10/11) file in little endian byte order
+const createBinaryFile = (rowCount) => {
+  const binaryTypes = { 65528: 253, 65530: 251, 65527: 254 };
+  const header = Buffer.concat([
+    Buffer.from([114, 2, 1, 0]),
+    uint16(VARIABLES.length),
+    int32(rowCount),
+    text('Survey data', 81),
+    text('01 Jan 2020 12:00', 18),
+  ]);
+  const table = valueLabelTable(VALUE_LABELS.sexlbl);
+  return Buffer.concat([
+    header,
+    Buffer.from(VARIABLES.map((x) => binaryTypes[x.type] || x.type)),
+    ...VARIABLES.map((x) => text(x.name, 33)),
+    Buffer.alloc(2 * (VARIABLES.length + 1)),
+    ...VARIABLES.map((x) => text(x.format, 49)),
+    ...VARIABLES.map((x) => text(x.valueLabels, 33)),
+    ...VARIABLES.map((x) => text(x.label, 81)),
+    // One expansion field, followed by the end marker
+    Buffer.from([1]),
+    int32(3),
+    Buffer.from('abc'),
+    Buffer.alloc(5),
+    // Each row is 4 + 1 + 4 + 20 bytes
+    Buffer.alloc(rowCount * 29, 0xff),
+    int32(table.length),
+    text('sexlbl', 33),
+    Buffer.alloc(3),
+    table,
+  ]);
+};
+
+const EXPECTED_COLUMNS = [
+  { name: 'id', type: 'integer', label: 'Identifier', format: '%12.0g' },
+  {
+    name: 'sex',
+    type: 'integer',
+    label: 'Sex of respondent',
+    format: '%8.0g',
+    valueLabels: 'sexlbl',
+  },
+  { name: 'visit', type: 'date', format: '%td' },
+  { name: 'city', type: 'string', label: 'City', format: '%20s' },
+];
+
+describe('services', () => {
+  describe('StataDataHandler', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+      jest.clearAllMocks();
+    });
+
+    describe('id', () => {
+      it('should return an id that matches the class name plus StatWrap pseudo-namespace', () => {
+        expect(new StataDataHandler().id()).toEqual(`StatWrap.${StataDataHandler.name}`);
+      });
+    });
+
+    describe('includeFile', () => {
+      it('should include Stata data files and exclude others', () => {
+        const handler = new StataDataHandler();
+        expect(handler.includeFile('/User/test/Project/data.dta')).toBeTruthy();
+        expect(handler.includeFile('C:/test/Project/Data.DTA')).toBeTruthy();
+        expect(handler.includeFile('/User/test/Project/code.do')).toBeFalsy();
+        expect(handler.includeFile('/User/test/Project/data.dta.bak')).toBeFalsy();
+        expect(handler.includeFile(null)).toBeFalsy();
+      });
+    });
+
+    describe('scan', () => {
+      it('should return a response with details for a valid asset', () => {
+        mockFileContents(createTaggedFile(2));
+        const testAsset = {
+          uri: '/Some/Valid/data.dta',
+          type: 'file',
+          metadata: [],
+        };
+        const response = new StataDataHandler().scan(testAsset);
+        expect(response.metadata[0]).toEqual({
+          id: 'StatWrap.StataDataHandler',
+          release: 118,
+          label: 'Survey data',
+          columns: EXPECTED_COLUMNS,
+          rowCount: 2,
+          valueLabels: VALUE_LABELS,
+        });
+        expect(fs.closeSync).toHaveBeenCalledWith(1);
+      });
+
+      it('should return a response with just the handler name if the file is not valid', () => {
+        mockFileContents(Buffer.from('This is not a Stata file'));
+        const testAsset = {
+          uri: '/Some/Invalid/data.dta',
+          type: 'file',
+          metadata: [],
+        };
+        const response = new StataDataHandler().scan(testAsset);
+        expect(response.metadata[0]).toEqual({
+          id: 'StatWrap.StataDataHandler',
+          error: 'Unable to read data file',
+        });
+        expect(fs.closeSync).toHaveBeenCalledWith(1);
+      });
+    });
+
+    describe('getMetadata', () => {
+      it('should read files in the binary format used by older releases', () => {
+        mockFileContents(createBinaryFile(3));
+        const metadata = new StataDataHandler().getMetadata('/test/data.dta');
+        expect(metadata).toEqual({
+          release: 114,
+          label: 'Survey data',
+          columns: EXPECTED_COLUMNS,
+          rowCount: 3,
+          valueLabels: VALUE_LABELS,
+        });
+      });
+
+      it('should throw an error for releases that are not supported', () => {
+        mockFileContents(Buffer.from([110, 2, 1, 0]));
+        expect(() => new StataDataHandler().getMetadata('/test/data.dta')).toThrow(
+          'Unsupported Stata release 110',
+        );
+      });
+    });
+
+    describe('getColumnType', () => {
+      it('should use the display format to identify dates', () => {
+        const handler = new StataDataHandler();
+        const double = { type: 'number' };
+        expect(handler.getColumnType(double, '%td')).toEqual('date');
+        expect(handler.getColumnType(double, '%tdCCYY-NN-DD')).toEqual('date');
+        expect(handler.getColumnType(double, '%tm')).toEqual('date');
+        expect(handler.getColumnType(double, '%d')).toEqual('date');
+        expect(handler.getColumnType(double, '%tc')).toEqual('datetime');
+        expect(handler.getColumnType(double, '%tC')).toEqual('datetime');
+        expect(handler.getColumnType(double, '%9.0g')).toEqual('number');
+        expect(handler.getColumnType({ type: 'string' }, '%td')).toEqual('string');
+      });
+    });
+  });
+});
@@ -0,0 +1,182 @@
+import fs from 'fs';
+import IgnoreRules from '../../../app/services/assets/ignoreRules';
+
+jest.mock('fs');
+
+const createRules = (contents) => {
+  const rules = new IgnoreRules();
+  rules.add(contents);
+  return rules;
+};
+
+describe('services', () => {
+  describe('IgnoreRules', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+      jest.clearAllMocks();
+    });
+
+    describe('parseRule', () => {
+      it('should skip blank lines and comments', () => {
+        expect(IgnoreRules.parseRule('')).toBeNull();
+        expect(IgnoreRules.parseRule(null)).toBeNull();
+        expect(IgnoreRules.parseRule('   ')).toBeNull();
+        expect(IgnoreRules.parseRule('# Comment')).toBeNull();
+        expect(IgnoreRules.parseRule('/')).toBeNull();
+        expect(IgnoreRules.parseRule('!')).toBeNull();
+      });
+
+      it('should identify negated and folder rules', () => {
+        expect(IgnoreRules.parseRule('!keep.log')).toMatchObject({
+          pattern: '!keep.log',
+          negate: true,
+          directoryOnly: false,
+        });
+        expect(IgnoreRules.parseRule('scratch/')).toMatchObject({
+          negate: false,
+          directoryOnly: true,
+        });
+      });
+    });
+
+    describe('add', () => {
+      it('should add a rule for each pattern', () => {
+        const rules = createRules('# Logs\r\n*.log\r\n\r\n!keep.log\n');
+        expect(rules.rules.map((rule) => rule.pattern)).toEqual(['*.log', '!keep.log']);
+        rules.add(null);
+        expect(rules.rules.length).toEqual(2);
+      });
+
+      it('should keep rules that it was created with', () => {
+        const defaults = createRules('*.log');
+        const rules = new IgnoreRules(defaults.rules);
+        rules.add('*.tmp');
+        expect(rules.rules.length).toEqual(2);
+        expect(defaults.rules.length).toEqual(1);
+      });
+    });
+
+    describe('loadFile', () => {
+      it('should not fail if the file does not exist', () => {
+        fs.existsSync.mockReturnValue(false);
+        const rules = new IgnoreRules();
+        expect(rules.loadFile('/User/test/Project/.statwrapignore')).toBeFalsy();
+        expect(rules.loadFile(null)).toBeFalsy();
+        expect(rules.rules).toEqual([]);
+        expect(fs.readFileSync).not.toHaveBeenCalled();
+      });
+
+      it('should add the rules from the file', () => {
+        fs.existsSync.mockReturnValue(true);
+        fs.readFileSync.mockReturnValue(Buffer.from('*.log\nscratch/'));
+        const rules = new IgnoreRules();
+        expect(rules.loadFile('/User/test/Project/.statwrapignore')).toBeTruthy();
+        expect(rules.rules.length).toEqual(2);
+      });
+    });
+
+    describe('isIgnored', () => {
+      it('should not ignore anything when there are no rules', () => {
+        const rules = new IgnoreRules();
+        expect(rules.isIgnored('test.log', false)).toBeFalsy();
+        expect(createRules('*').isIgnored('', false)).toBeFalsy();
+        expect(createRules('*').isIgnored(null, false)).toBeFalsy();
+      });
+
+      it('should match names at any level', () => {
+        const rules = createRules('*.log\ndebug?.txt');
+        expect(rules.isIgnored('test.log', false)).toBeTruthy();
+        expect(rules.isIgnored('output/run/test.log', false)).toBeTruthy();
+        expect(rules.isIgnored('debug1.txt', false)).toBeTruthy();
+        expect(rules.isIgnored('debug10.txt', false)).toBeFalsy();
+        expect(rules.isIgnored('test.log.txt', false)).toBeFalsy();
+        expect(rules.isIgnored('logs', true)).toBeFalsy();
+      });
+
+      it('should only match folders for patterns ending in /', () => {
+        const rules = createRules('scratch/');
+        expect(rules.isIgnored('scratch', true)).toBeTruthy();
+        expect(rules.isIgnored('analysis/scratch', true)).toBeTruthy();
+        expect(rules.isIgnored('scratch', false)).toBeFalsy();
+        // Everything within the folder is ignored too
+        expect(rules.isIgnored('scratch/notes.txt', false)).toBeTruthy();
+      });
+
+      it('should match patterns with a / relative to the root', () => {
+        const rules = createRules('/output.csv\ndata/raw/*.csv');
+        expect(rules.isIgnored('output.csv', false)).toBeTruthy();
+        expect(rules.isIgnored('analysis/output.csv', false)).toBeFalsy();
+        expect(rules.isIgnored('data/raw/survey.csv', false)).toBeTruthy();
+        expect(rules.isIgnored('data/raw/2020/survey.csv', false)).toBeFalsy();
+        expect(rules.isIgnored('other/data/raw/survey.csv', false)).toBeFalsy();
+      });
+
+      it('should match any number of folders with **', () => {
+        let rules = createRules('renv/library/**');
+        expect(rules.isIgnored('renv/library', true)).toBeFalsy();
+        expect(rules.isIgnored('renv/library/R-4.3', true)).toBeTruthy();
+        expect(rules.isIgnored('renv/library/R-4.3/x86_64/dplyr/DESCRIPTION', false)).toBeTruthy();
+        expect(rules.isIgnored('renv/activate.R', false)).toBeFalsy();
+
+        rules = createRules('**/cache\na/**/b.txt');
+        expect(rules.isIgnored('cache', true)).toBeTruthy();
+        expect(rules.isIgnored('x/y/cache', false)).toBeTruthy();
+        expect(rules.isIgnored('a/b.txt', false)).toBeTruthy();
+        expect(rules.isIgnored('a/x/y/b.txt', false)).toBeTruthy();
+        expect(rules.isIgnored('c/a/b.txt', false)).toBeFalsy();
+
+        // ** that isn't its own path component is the same as *
+        rules = createRules('out**.txt');
+        expect(rules.isIgnored('output.txt', false)).toBeTruthy();
+        expect(rules.isIgnored('out/put.txt', false)).toBeFalsy();
+      });
+
+      it('should match ranges of characters', () => {
+        const rules = createRules('run[0-9].csv\nfile[!a].txt\nodd[.txt');
+        expect(rules.isIgnored('run5.csv', false)).toBeTruthy();
+        expect(rules.isIgnored('runA.csv', false)).toBeFalsy();
+        expect(rules.isIgnored('fileb.txt', false)).toBeTruthy();
+        expect(rules.isIgnored('filea.txt', false)).toBeFalsy();
+        expect(rules.isIgnored('odd[.txt', false)).toBeTruthy();
+      });
+
+      it('should treat escaped characters as literals', () => {
+        const rules = createRules('\\#notes.txt\n\\!important.txt\nspace\\ \nstar\\*.txt');
+        expect(rules.isIgnored('#notes.txt', false)).toBeTruthy();
+        expect(rules.isIgnored('!important.txt', false)).toBeTruthy();
+        expect(rules.isIgnored('space ', false)).toBeTruthy();
+        expect(rules.isIgnored('star*.txt', false)).toBeTruthy();
+        expect(rules.isIgnored('starry.txt', false)).toBeFalsy();
+      });
+
+      it('should use the last matching rule', () => {
+        const rules = createRules('*.log\n!keep.log\nold/keep.log');
+        expect(rules.isIgnored('test.log', false)).toBeTruthy();
+        expect(rules.isIgnored('keep.log', false)).toBeFalsy();
+        expect(rules.isIgnored('logs/keep.log', false)).toBeFalsy();
+        expect(rules.isIgnored('old/keep.log', false)).toBeTruthy();
+      });
+
+      it('should only apply rules from a sub-folder to its contents', () => {
+        const rules = createRules('*.log');
+        rules.add('*.csv\n/output/\n!keep.log', 'analysis/run1');
+        expect(rules.isIgnored('data.csv', false)).toBeFalsy();
+        expect(rules.isIgnored('analysis/data.csv', false)).toBeFalsy();
+        expect(rules.isIgnored('analysis/run1/data.csv', false)).toBeTruthy();
+        expect(rules.isIgnored('analysis/run1/sub/data.csv', false)).toBeTruthy();
+        expect(rules.isIgnored('analysis/run1/output', true)).toBeTruthy();
+        expect(rules.isIgnored('analysis/run1/sub/output', true)).toBeFalsy();
+        expect(rules.isIgnored('keep.log', false)).toBeTruthy();
+        expect(rules.isIgnored('analysis/run1/keep.log', false)).toBeFalsy();
+      });
+
+      it('should not include a file again if its folder is ignored', () => {
+        const rules = createRules('build/\n!build/keep.txt\nlogs/*\n!logs/keep.txt');
+        expect(rules.isIgnored('build/keep.txt', false)).toBeTruthy();
+        expect(rules.isIgnored('logs', true)).toBeFalsy();
+        expect(rules.isIgnored('logs/test.txt', false)).toBeTruthy();
+        expect(rules.isIgnored('logs/keep.txt', false)).toBeFalsy();
+      });
+    });
+  });
+});
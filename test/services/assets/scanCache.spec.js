@@ -0,0 +1,386 @@
+import fs from 'fs';
+import path from 'path';
+import ScanCache from '../../../app/services/assets/scanCache';
+import AssetService from '../../../app/services/assets/asset';
+import PythonHandler from '../../../app/services/assets/handlers/python';
+import FileHandler from '../../../app/services/assets/handlers/file';
+
+jest.mock('fs');
+
+class VersionedHandler {
+  constructor(id, version) {
+    this._id = id;
+    this._version = version;
+  }
+
+  id() {
+    return this._id;
+  }
+
+  version() {
+    return this._version;
+  }
+}
+
+class UnversionedHandler {
+  id() {
+    return 'Unversioned';
+  }
+}
+
+const projectPath = '/Some/Valid/Project';
+const fileUri = path.join(projectPath, 'code', 'analysis.py');
+const fileDetails = { size: 100, mtimeMs: 1690000000000 };
+
+const cacheContents = (handlers, metadata) =>
+  JSON.stringify({
+    formatVersion: 1,
+    handlers,
+    files: {
+      'code/analysis.py': { size: 100, mtime: 1690000000000, metadata },
+    },
+  });
+
+describe('services', () => {
+  describe('ScanCache', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+      jest.clearAllMocks();
+    });
+
+    describe('constructor', () => {
+      it('should only track handlers that have a version', () => {
+        const cache = new ScanCache(projectPath, [
+          new VersionedHandler('A', 2),
+          new UnversionedHandler(),
+          null,
+        ]);
+        expect(cache.handlerVersions).toEqual({ A: 2 });
+      });
+
+      it('should be okay with no handlers', () => {
+        expect(new ScanCache(projectPath, null).handlerVersions).toEqual({});
+      });
+    });
+
+    describe('load', () => {
+      it('should start empty if the cache file does not exist', () => {
+        fs.readFileSync.mockImplementationOnce(() => {
+          throw new Error('ENOENT');
+        });
+        const cache = new ScanCache(projectPath, [new VersionedHandler('A', 1)]);
+        cache.load();
+        expect(cache.getMetadata(fileUri, fileDetails)).toEqual([]);
+      });
+
+      it('should start empty if the cache file is invalid', () => {
+        fs.readFileSync.mockReturnValueOnce('{ not json');
+        const cache = new ScanCache(projectPath, [new VersionedHandler('A', 1)]);
+        cache.load();
+        expect(cache.getMetadata(fileUri, fileDetails)).toEqual([]);
+      });
+
+      it('should ignore a cache file with a different format version', () => {
+        fs.readFileSync.mockReturnValueOnce(
+          JSON.stringify({ formatVersion: 0, handlers: { A: 1 }, files: {} }),
+        );
+        const cache = new ScanCache(projectPath, [new VersionedHandler('A', 1)]);
+        cache.load();
+        expect(cache.cachedFiles).toEqual({});
+      });
+
+      it('should read the cache from the project configuration folder', () => {
+        fs.readFileSync.mockReturnValueOnce(cacheContents({ A: 1 }, [{ id: 'A' }]));
+        const cache = new ScanCache(projectPath, [new VersionedHandler('A', 1)]);
+        cache.load();
+        expect(fs.readFileSync).toHaveBeenCalledWith(
+          path.join(projectPath, '.statwrap', '.statwrap-scan-cache.json'),
+        );
+      });
+    });
+
+    describe('getMetadata', () => {
+      it('should return cached metadata for an unchanged file', () => {
+        fs.readFileSync.mockReturnValueOnce(
+          cacheContents({ A: 1, B: 1 }, [{ id: 'A', inputs: [] }, { id: 'B' }]),
+        );
+        const cache = new ScanCache(projectPath, [
+          new VersionedHandler('A', 1),
+          new VersionedHandler('B', 1),
+        ]);
+        cache.load();
+        expect(cache.getMetadata(fileUri, fileDetails)).toEqual([
+          { id: 'A', inputs: [] },
+          { id: 'B' },
+        ]);
+      });
+
+      it('should use mtime if mtimeMs is not available', () => {
+        fs.readFileSync.mockReturnValueOnce(cacheContents({ A: 1 }, [{ id: 'A' }]));
+        const cache = new ScanCache(projectPath, [new VersionedHandler('A', 1)]);
+        cache.load();
+        expect(cache.getMetadata(fileUri, { size: 100, mtime: new Date(1690000000000) })).toEqual([
+          { id: 'A' },
+        ]);
+      });
+
+      it('should not return metadata if the file size or modified time changed', () => {
+        fs.readFileSync.mockReturnValueOnce(cacheContents({ A: 1 }, [{ id: 'A' }]));
+        const cache = new ScanCache(projectPath, [new VersionedHandler('A', 1)]);
+        cache.load();
+        expect(cache.getMetadata(fileUri, { size: 101, mtimeMs: 1690000000000 })).toEqual([]);
+        expect(cache.getMetadata(fileUri, { size: 100, mtimeMs: 1690000000001 })).toEqual([]);
+        expect(cache.getMetadata(fileUri, { size: 100 })).toEqual([]);
+      });
+
+      it('should not return metadata for files that are not in the cache', () => {
+        fs.readFileSync.mockReturnValueOnce(cacheContents({ A: 1 }, [{ id: 'A' }]));
+        const cache = new ScanCache(projectPath, [new VersionedHandler('A', 1)]);
+        cache.load();
+        expect(cache.getMetadata(path.join(projectPath, 'other.py'), fileDetails)).toEqual([]);
+        expect(cache.getMetadata(null, fileDetails)).toEqual([]);
+        expect(cache.getMetadata(fileUri, null)).toEqual([]);
+      });
+
+      it('should not return metadata from a handler whose version changed', () => {
+        fs.readFileSync.mockReturnValueOnce(
+          cacheContents({ A: 1, B: 1 }, [{ id: 'A' }, { id: 'B' }]),
+        );
+        const cache = new ScanCache(projectPath, [
+          new VersionedHandler('A', 2),
+          new VersionedHandler('B', 1),
+        ]);
+        cache.load();
+        expect(cache.getMetadata(fileUri, fileDetails)).toEqual([{ id: 'B' }]);
+      });
+
+      it('should not return metadata from a handler that is no longer used', () => {
+        fs.readFileSync.mockReturnValueOnce(
+          cacheContents({ A: 1, B: 1 }, [{ id: 'A' }, { id: 'B' }]),
+        );
+        const cache = new ScanCache(projectPath, [new VersionedHandler('B', 1)]);
+        cache.load();
+        expect(cache.getMetadata(fileUri, fileDetails)).toEqual([{ id: 'B' }]);
+      });
+    });
+
+    describe('setMetadata', () => {
+      it('should only cache metadata from versioned handlers without errors', () => {
+        const cache = new ScanCache(projectPath, [
+          new VersionedHandler('A', 1),
+          new VersionedHandler('B', 1),
+        ]);
+        cache.setMetadata(fileUri, fileDetails, [
+          { id: 'A', inputs: [] },
+          { id: 'B', error: 'Unable to read code file' },
+          { id: 'Unversioned' },
+        ]);
+        expect(cache.files).toEqual({
+          'code/analysis.py': {
+            size: 100,
+            mtime: 1690000000000,
+            metadata: [{ id: 'A', inputs: [] }],
+          },
+        });
+      });
+
+      it('should not add an entry if there is nothing to cache', () => {
+        const cache = new ScanCache(projectPath, [new VersionedHandler('A', 1)]);
+        cache.setMetadata(fileUri, fileDetails, [{ id: 'Unversioned' }]);
+        cache.setMetadata(fileUri, fileDetails, null);
+        cache.setMetadata(null, fileDetails, [{ id: 'A' }]);
+        expect(cache.files).toEqual({});
+      });
+    });
+
+    describe('getHash', () => {
+      const hashCacheContents = JSON.stringify({
+        formatVersion: 1,
+        handlers: {},
+        files: {
+          'code/analysis.py': {
+            size: 100,
+            mtime: 1690000000000,
+            hash: { value: 'abc', ctime: 1690000000100 },
+          },
+        },
+      });
+
+      it('should return the hash for an unchanged file', () => {
+        fs.readFileSync.mockReturnValueOnce(hashCacheContents);
+        const cache = new ScanCache(projectPath, []);
+        cache.load();
+        expect(cache.getHash(fileUri, { ...fileDetails, ctimeMs: 1690000000100 })).toEqual('abc');
+      });
+
+      it('should not return the hash if the file changed', () => {
+        fs.readFileSync.mockReturnValueOnce(hashCacheContents);
+        const cache = new ScanCache(projectPath, []);
+        cache.load();
+        expect(
+          cache.getHash(fileUri, { size: 101, mtimeMs: 1690000000000, ctimeMs: 1690000000100 }),
+        ).toBeNull();
+        // The status change time will change if a file is replaced, even if its size and
+        // modified time were preserved.
+        expect(cache.getHash(fileUri, { ...fileDetails, ctimeMs: 1690000000200 })).toBeNull();
+        expect(cache.getHash(fileUri, fileDetails)).toBeNull();
+      });
+    });
+
+    describe('setHash', () => {
+      it('should add the hash to the entry for the file', () => {
+        const cache = new ScanCache(projectPath, [new VersionedHandler('A', 1)]);
+        const details = { ...fileDetails, ctimeMs: 1690000000100 };
+        cache.setHash(fileUri, details, 'abc');
+        cache.setMetadata(fileUri, details, [{ id: 'A' }]);
+        expect(cache.files).toEqual({
+          'code/analysis.py': {
+            size: 100,
+            mtime: 1690000000000,
+            metadata: [{ id: 'A' }],
+            hash: { value: 'abc', ctime: 1690000000100 },
+          },
+        });
+      });
+
+      it('should not add an entry without a hash', () => {
+        const cache = new ScanCache(projectPath, []);
+        cache.setHash(fileUri, fileDetails, null);
+        cache.setHash(null, fileDetails, 'abc');
+        expect(cache.files).toEqual({});
+      });
+    });
+
+    describe('save', () => {
+      it('should save only the files from the current scan', () => {
+        fs.readFileSync.mockReturnValueOnce(
+          JSON.stringify({
+            formatVersion: 1,
+            handlers: { A: 1 },
+            files: { 'deleted.py': { size: 1, mtime: 1, metadata: [{ id: 'A' }] } },
+          }),
+        );
+        fs.accessSync.mockReturnValue(true);
+        const cache = new ScanCache(projectPath, [new VersionedHandler('A', 2)]);
+        cache.load();
+        cache.setMetadata(fileUri, fileDetails, [{ id: 'A' }]);
+        cache.save();
+        expect(fs.mkdirSync).not.toHaveBeenCalled();
+        expect(fs.writeFileSync).toHaveBeenCalledTimes(1);
+        expect(fs.writeFileSync.mock.calls[0][0]).toEqual(
+          path.join(projectPath, '.statwrap', '.statwrap-scan-cache.json'),
+        );
+        expect(JSON.parse(fs.writeFileSync.mock.calls[0][1])).toEqual({
+          formatVersion: 1,
+          handlers: { A: 2 },
+          files: {
+            'code/analysis.py': { size: 100, mtime: 1690000000000, metadata: [{ id: 'A' }] },
+          },
+        });
+      });
+
+      it('should create the configuration folder if it does not exist', () => {
+        fs.accessSync.mockImplementationOnce(() => {
+          throw new Error('ENOENT');
+        });
+        new ScanCache(projectPath, []).save();
+        expect(fs.mkdirSync).toHaveBeenCalledWith(path.join(projectPath, '.statwrap'), {
+          recursive: true,
+        });
+        expect(fs.writeFileSync).toHaveBeenCalledTimes(1);
+      });
+    });
+
+    describe('with AssetService', () => {
+      it('should not re-read code files that have not changed', () => {
+        const handler = new PythonHandler();
+        const cachedMetadata = {
+          id: PythonHandler.id,
+          libraries: [{ id: 'pandas', module: 'pandas', import: null, alias: null }],
+          inputs: [],
+          outputs: [],
+        };
+        fs.readFileSync.mockReturnValueOnce(
+          cacheContents({ [PythonHandler.id]: handler.version() }, [cachedMetadata]),
+        );
+        fs.accessSync.mockReturnValue(true);
+        const stat = new fs.Stats();
+        stat.isDirectory.mockReturnValue(false);
+        stat.isFile.mockReturnValue(true);
+        stat.size = 100;
+        stat.mtimeMs = 1690000000000;
+        fs.statSync.mockReturnValue(stat);
+
+        const cache = new ScanCache(projectPath, [handler]);
+        cache.load();
+        const response = new AssetService([handler], null, cache).scan(fileUri);
+        // The only read was for the cache itself
+        expect(fs.readFileSync).toHaveBeenCalledTimes(1);
+        expect(response.metadata).toEqual([cachedMetadata]);
+      });
+
+      it('should re-read code files that have changed', () => {
+        fs.readFileSync
+          .mockReturnValueOnce(cacheContents({ [PythonHandler.id]: 1 }, [{ id: PythonHandler.id }]))
+          .mockReturnValueOnce('import numpy');
+        fs.accessSync.mockReturnValue(true);
+        const stat = new fs.Stats();
+        stat.isDirectory.mockReturnValue(false);
+        stat.isFile.mockReturnValue(true);
+        stat.size = 12;
+        stat.mtimeMs = 1690000000500;
+        fs.statSync.mockReturnValue(stat);
+
+        const handler = new PythonHandler();
+        const cache = new ScanCache(projectPath, [handler]);
+        cache.load();
+        const response = new AssetService([handler], null, cache).scan(fileUri);
+        expect(fs.readFileSync).toHaveBeenCalledTimes(2);
+        expect(response.metadata.length).toEqual(1);
+        expect(response.metadata[0].libraries[0].id).toEqual('numpy');
+        expect(cache.files['code/analysis.py'].mtime).toEqual(1690000000500);
+      });
+    });
+
+    describe('with FileHandler', () => {
+      it('should only hash a file that has not changed once over several scans', () => {
+        // Each scan loads the cache that the last one saved
+        let savedCache = null;
+        fs.readFileSync.mockImplementation(() => {
+          if (!savedCache) {
+            throw new Error('ENOENT: no such file or directory');
+          }
+          return savedCache;
+        });
+        fs.writeFileSync.mockImplementation((uri, data) => {
+          savedCache = data;
+        });
+        fs.accessSync.mockReturnValue(true);
+        const stat = new fs.Stats();
+        stat.size = 100;
+        stat.mtimeMs = 1690000000000;
+        stat.ctimeMs = 1690000000000;
+        fs.statSync.mockReturnValue(stat);
+        const computeHash = jest
+          .spyOn(FileHandler.prototype, 'computeHash')
+          .mockReturnValue('a1b2c3');
+
+        const hashCounts = [];
+        for (let scan = 0; scan < 3; scan++) {
+          computeHash.mockClear();
+          const cache = new ScanCache(projectPath, []);
+          cache.load();
+          const response = new FileHandler({ hashContents: true, scanCache: cache }).scan({
+            uri: fileUri,
+            type: 'file',
+            metadata: [],
+          });
+          cache.save();
+          expect(response.metadata[0].hash).toEqual('a1b2c3');
+          hashCounts.push(computeHash.mock.calls.length);
+        }
+        expect(hashCounts).toEqual([1, 0, 0]);
+      });
+    });
+  });
+});
@@ -4,6 +4,8 @@ const path = require('path');
 const process = require('process');
 
 import ChecklistService from '../../app/services/checklist';
+import CodebookService from '../../app/services/codebook';
+import ChecklistUtil from '../../app/utils/checklist';
 import Constants from '../../app/constants/constants';
 
 jest.mock('fs');
@@ -18,6 +20,18 @@ describe('services', () => {
     const mockProjectPath = TEST_PROJECT_PATH;
     const resolvedProjectPath = path.join(TEST_USER_HOME_PATH, 'testProject', Constants.StatWrapFiles.BASE_FOLDER, Constants.StatWrapFiles.CHECKLIST);
     const checklistData = [{ id: 1, name: 'Dependency', statement: 'All the software dependencies for the project are documented.', answer: true }];
+    const checklistsData = [
+      {
+        id: 'c1',
+        name: 'Internal Review',
+        template: {
+          id: 'statwrap-reproducibility',
+          name: 'StatWrap Reproducibility Checklist',
+          version: '1',
+        },
+        items: checklistData,
+      },
+    ];
 
     const checklistService = new ChecklistService();
 
@@ -39,11 +53,14 @@ describe('services', () => {
       it('should correctly resolve the project path and write checklist data to a file', () => {
         fs.writeFileSync = jest.fn();
 
-        checklistService.writeChecklist(mockProjectPath, checklistData);
+        checklistService.writeChecklist(mockProjectPath, checklistsData);
 
         expect(fs.writeFileSync).toHaveBeenCalledWith(
           resolvedProjectPath,
-          JSON.stringify(checklistData)
+          JSON.stringify({
+            formatVersion: Constants.CHECKLIST_FORMAT_VERSION,
+            checklists: checklistsData,
+          }),
         );
       });
 
@@ -80,13 +97,59 @@ describe('services', () => {
       });
 
       it('should correctly read and parse checklist data from the file', (done) => {
+        const checklists = [
+          {
+            ...checklistsData[0],
+            items: [{ ...checklistData[0], scan: null, notes: [], assets: [], subChecklist: [] }],
+          },
+        ];
+        const contents = { formatVersion: Constants.CHECKLIST_FORMAT_VERSION, checklists };
         fs.existsSync = jest.fn().mockReturnValue(true);
-        fs.readFileSync = jest.fn().mockReturnValue(JSON.stringify(checklistData));
+        fs.readFileSync = jest.fn().mockReturnValue(JSON.stringify(contents));
+        fs.writeFileSync = jest.fn();
 
         checklistService.loadChecklist(mockProjectPath, (err, result) => {
           expect(err).toBeNull();
-          expect(result).toEqual(checklistData);
+          expect(result).toEqual(checklists);
           expect(fs.readFileSync).toHaveBeenCalledWith(resolvedProjectPath);
+          expect(fs.writeFileSync).not.toHaveBeenCalled();
+          done();
+        });
+      });
+
+      it('should migrate and save a checklist file from an older version', (done) => {
+        const legacyData = [{ ...checklistData[0], notes: [{ id: 'n1', content: 'Test' }] }];
+        fs.existsSync = jest.fn().mockReturnValue(true);
+        fs.readFileSync = jest.fn().mockReturnValue(JSON.stringify(legacyData));
+        fs.writeFileSync = jest.fn();
+
+        checklistService.loadChecklist(mockProjectPath, (err, result) => {
+          expect(err).toBeNull();
+          expect(result.length).toEqual(1);
+          expect(result[0].template.id).toEqual(ChecklistUtil.getDefaultTemplate().id);
+          expect(result[0].items).toEqual([
+            { ...legacyData[0], scan: 'Dependency', assets: [], subChecklist: [] },
+          ]);
+          const saved = JSON.parse(fs.writeFileSync.mock.calls[0][1]);
+          expect(fs.writeFileSync.mock.calls[0][0]).toEqual(resolvedProjectPath);
+          expect(saved.formatVersion).toEqual(Constants.CHECKLIST_FORMAT_VERSION);
+          expect(saved.checklists).toEqual(result);
+          done();
+        });
+      });
+
+      it('should still return the migrated checklist if it cannot be saved', (done) => {
+        fs.existsSync = jest.fn().mockReturnValue(true);
+        fs.readFileSync = jest.fn().mockReturnValue(JSON.stringify(checklistData));
+        fs.writeFileSync = jest.fn(() => {
+          throw new Error('Write failed');
+        });
+        const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        checklistService.loadChecklist(mockProjectPath, (err, result) => {
+          expect(err).toBeNull();
+          expect(result.length).toEqual(1);
+          logSpy.mockRestore();
           done();
         });
       });
@@ -104,5 +167,185 @@ describe('services', () => {
         });
       });
     });
+
+    describe('reevaluateChecklist', () => {
+      const assets = { uri: '/Test', type: Constants.AssetType.DIRECTORY, contentTypes: [], metadata: [], children: [] };
+      const mockChecklistFile = (items) => {
+        const contents = { formatVersion: Constants.CHECKLIST_FORMAT_VERSION, checklists: [{ ...checklistsData[0], items }] };
+        fs.existsSync = jest.fn().mockReturnValue(true);
+        fs.readFileSync = jest.fn().mockReturnValue(JSON.stringify(contents));
+        fs.writeFileSync = jest.fn();
+      };
+
+      it('should save the new scan results and return the items that need review', (done) => {
+        mockChecklistFile([{ ...checklistData[0], name: 'Entrypoint', scan: 'Entrypoint', scanResult: { entryPoints: ['run.R'] }, notes: [], assets: [], subChecklist: [] }]);
+        checklistService.reevaluateChecklist(mockProjectPath, assets, (err, drift) => {
+          expect(err).toBeNull();
+          expect(drift.length).toEqual(1);
+          expect(drift[0].reasons).toEqual(['The entry point file run.R is no longer in the project']);
+          expect(fs.writeFileSync).toHaveBeenCalledTimes(1);
+          const saved = JSON.parse(fs.writeFileSync.mock.calls[0][1]);
+          expect(saved.checklists[0].items[0].scanResult).toEqual({ entryPoints: [] });
+          expect(saved.checklists[0].items[0].needsReview.reasons).toEqual(drift[0].reasons);
+          done();
+        });
+      });
+
+      it('should not save the checklist if nothing changed', (done) => {
+        mockChecklistFile([{ ...checklistData[0], name: 'Entrypoint', scan: 'Entrypoint', scanResult: { entryPoints: [] }, notes: [], assets: [], subChecklist: [] }]);
+        checklistService.reevaluateChecklist(mockProjectPath, assets, (err, drift) => {
+          expect(err).toBeNull();
+          expect(drift).toEqual([]);
+          expect(fs.writeFileSync).not.toHaveBeenCalled();
+          done();
+        });
+      });
+
+      it('should not fail if the project has no checklist file', (done) => {
+        fs.existsSync = jest.fn().mockReturnValue(false);
+        fs.writeFileSync = jest.fn();
+        checklistService.reevaluateChecklist(mockProjectPath, assets, (err, drift) => {
+          expect(drift).toEqual([]);
+          expect(fs.writeFileSync).not.toHaveBeenCalled();
+          done();
+        });
+      });
+
+      it('should return an error if the checklist cannot be read or saved', (done) => {
+        fs.existsSync = jest.fn().mockReturnValue(true);
+        fs.readFileSync = jest.fn().mockReturnValue('{ invalid');
+        checklistService.reevaluateChecklist(mockProjectPath, assets, (err, drift) => {
+          expect(err).toEqual('Error reading or parsing checklist file');
+          expect(drift).toBeNull();
+        });
+
+        mockChecklistFile([{ ...checklistData[0], name: 'Entrypoint', scan: 'Entrypoint', scanResult: { entryPoints: ['run.R'] }, notes: [], assets: [], subChecklist: [] }]);
+        fs.writeFileSync = jest.fn().mockImplementation(() => {
+          throw new Error('Write error');
+        });
+        const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+        checklistService.reevaluateChecklist(mockProjectPath, assets, (err, drift) => {
+          expect(err).toEqual('Unable to save the updated checklist');
+          expect(drift).toBeNull();
+          logSpy.mockRestore();
+          done();
+        });
+      });
+    });
+
+    describe('loadTemplates', () => {
+      const templateFolder = path.join(TEST_USER_HOME_PATH, 'checklist-templates');
+      const customTemplate = {
+        id: 'custom',
+        name: 'Custom',
+        version: '1',
+        items: [{ name: 'Data', statement: 'Data is shared.', scan: 'Data' }],
+      };
+
+      it('should only include the default template if the folder does not exist', () => {
+        fs.existsSync = jest.fn().mockReturnValue(false);
+        expect(checklistService.loadTemplates(templateFolder)).toEqual({
+          templates: [ChecklistUtil.getDefaultTemplate()],
+          errors: [],
+        });
+        expect(checklistService.loadTemplates(null).templates.length).toEqual(1);
+      });
+
+      it('should load the JSON templates in the folder', () => {
+        fs.existsSync = jest.fn().mockReturnValue(true);
+        fs.readdirSync = jest.fn().mockReturnValue(['notes.txt', 'custom.json']);
+        fs.readFileSync = jest.fn().mockReturnValue(JSON.stringify(customTemplate));
+        const result = checklistService.loadTemplates(templateFolder);
+        expect(result.errors).toEqual([]);
+        expect(result.templates).toEqual([ChecklistUtil.getDefaultTemplate(), customTemplate]);
+        expect(fs.readFileSync).toHaveBeenCalledWith(path.join(templateFolder, 'custom.json'));
+      });
+
+      it('should skip templates that are not valid', () => {
+        fs.existsSync = jest.fn().mockReturnValue(true);
+        fs.readdirSync = jest.fn().mockReturnValue(['a.json', 'b.json', 'c.json', 'd.json']);
+        fs.readFileSync = jest.fn((file) => {
+          switch (path.basename(file)) {
+            case 'a.json':
+              return JSON.stringify(customTemplate);
+            case 'b.json':
+              return '{ invalid';
+            case 'c.json':
+              return JSON.stringify({ ...customTemplate, items: [] });
+            default:
+              return JSON.stringify(customTemplate);
+          }
+        });
+        const result = checklistService.loadTemplates(templateFolder);
+        expect(result.templates.map((x) => x.id)).toEqual([
+          ChecklistUtil.getDefaultTemplate().id,
+          'custom',
+        ]);
+        expect(result.errors).toEqual([
+          'b.json: Unable to read the template',
+          'c.json: The template must have at least one item',
+          'd.json: There is already a template with the id custom',
+        ]);
+      });
+    });
+
+    describe('exportReport', () => {
+      const project = { id: '1', name: 'Test Project', path: '/Test' };
+      const checklist = { ...checklistsData[0], name: 'Internal Review: v1' };
+      let downloadSpy = null;
+
+      beforeEach(() => {
+        downloadSpy = jest.spyOn(CodebookService.prototype, 'downloadTextFile').mockImplementation(() => {});
+      });
+
+      afterEach(() => {
+        downloadSpy.mockRestore();
+      });
+
+      it('should throw an error if the checklist or project is missing', () => {
+        expect(() => checklistService.exportReport(null, Constants.ExportFormat.JSON, true, project)).toThrow(
+          'The checklist and project must be specified',
+        );
+        expect(() => checklistService.exportReport(checklist, Constants.ExportFormat.JSON, true, null)).toThrow(
+          'The checklist and project must be specified',
+        );
+      });
+
+      it('should throw an error for an unsupported format', () => {
+        expect(() => checklistService.exportReport(checklist, Constants.ExportFormat.CSV, true, project)).toThrow(
+          'Unsupported checklist format csv',
+        );
+        expect(downloadSpy).not.toHaveBeenCalled();
+      });
+
+      it('should download the report as JSON', () => {
+        checklistService.exportReport(checklist, Constants.ExportFormat.JSON, false, project);
+        expect(downloadSpy).toHaveBeenCalledTimes(1);
+        const [content, fileName, mimeType] = downloadSpy.mock.calls[0];
+        expect(fileName).toEqual('Internal_Review_v1.json');
+        expect(mimeType).toEqual('application/json');
+        const report = JSON.parse(content);
+        expect(report.title).toEqual('Internal Review: v1');
+        expect(report.includesNotes).toBeFalsy();
+        expect(report.items[0].statement).toEqual(checklistData[0].statement);
+      });
+
+      it('should download the report as Markdown or HTML', () => {
+        checklistService.exportReport(checklist, Constants.ExportFormat.MARKDOWN, true, project);
+        checklistService.exportReport(checklist, Constants.ExportFormat.HTML, true, project);
+        expect(downloadSpy.mock.calls[0][0].startsWith('# Internal Review: v1')).toBeTruthy();
+        expect(downloadSpy.mock.calls[0].slice(1)).toEqual(['Internal_Review_v1.md', 'text/markdown']);
+        expect(downloadSpy.mock.calls[1][0].startsWith('<!DOCTYPE html>')).toBeTruthy();
+        expect(downloadSpy.mock.calls[1].slice(1)).toEqual(['Internal_Review_v1.html', 'text/html']);
+      });
+
+      it('should generate the PDF report', () => {
+        const reportSpy = jest.spyOn(checklistService, 'generateReport').mockImplementation(() => {});
+        checklistService.exportReport(checklist, Constants.ExportFormat.PDF, true, project);
+        expect(reportSpy).toHaveBeenCalledWith(checklist.items, 'Internal_Review_v1.pdf', true, project, 'Internal Review: v1');
+        expect(downloadSpy).not.toHaveBeenCalled();
+        reportSpy.mockRestore();
+      });
+    });
   });
 });
@@ -0,0 +1,108 @@
+import CodebookService from '../../app/services/codebook';
+import Constants from '../../app/constants/constants';
+
+const CODEBOOK = [
+  {
+    uri: '/User/test/Project/data.csv',
+    name: 'data.csv',
+    description: 'The raw data',
+    sheet: null,
+    label: '',
+    rowCount: 10,
+    sampled: false,
+    variables: [
+      { name: 'id', type: 'integer', label: '', valueLabels: '', missing: 0 },
+      { name: 'sex', type: 'integer', label: 'Sex', valueLabels: '1 = Male', missing: null },
+    ],
+  },
+  {
+    uri: '/User/test/Project/book.xlsx',
+    name: 'book.xlsx',
+    description: '',
+    sheet: 'Empty',
+    label: '',
+    rowCount: null,
+    sampled: false,
+    variables: [],
+  },
+];
+
+describe('services', () => {
+  describe('CodebookService', () => {
+    const codebookService = new CodebookService();
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    describe('createPdfContent', () => {
+      it('should note when there are no data files', () => {
+        expect(codebookService.createPdfContent([])).toEqual([
+          { text: 'No data files were found.', margin: [0, 5] },
+        ]);
+        expect(codebookService.createPdfContent(null)).toEqual([
+          { text: 'No data files were found.', margin: [0, 5] },
+        ]);
+      });
+
+      it('should include the details and variables for each entry', () => {
+        const content = codebookService.createPdfContent(CODEBOOK);
+        expect(content[0]).toEqual({
+          text: 'data.csv',
+          style: 'itemHeader',
+          link: '/User/test/Project/data.csv',
+        });
+        expect(content[1]).toEqual({ text: 'The raw data', margin: [0, 2, 0, 5] });
+        expect(content[2]).toEqual({ text: 'Rows: 10', margin: [0, 2] });
+        expect(content[3]).toEqual({ text: 'Variables: 2', margin: [0, 2] });
+        expect(content[4].table.body.slice(1)).toEqual([
+          ['id', 'integer', '', '', '0'],
+          ['sex', 'integer', 'Sex', '1 = Male', ''],
+        ]);
+
+        // The sheet is included in the title, and there is no table without variables
+        expect(content[6].text).toEqual('book.xlsx [Empty]');
+        expect(content[7]).toEqual('');
+        expect(content[8]).toEqual({ text: 'Variables: 0', margin: [0, 2] });
+        expect(content[9]).toEqual('');
+      });
+    });
+
+    describe('exportCodebook', () => {
+      it('should throw an error if the project is not specified', () => {
+        expect(() => codebookService.exportCodebook(null, Constants.ExportFormat.CSV)).toThrow(
+          'The project must be specified',
+        );
+      });
+
+      it('should throw an error if the format is not supported', () => {
+        expect(() => codebookService.exportCodebook({ name: 'Test' }, 'docx')).toThrow(
+          'Unsupported codebook format docx',
+        );
+      });
+
+      it('should download the codebook in the text formats', () => {
+        const download = jest.spyOn(codebookService, 'downloadTextFile').mockImplementation();
+        codebookService.exportCodebook({ name: 'Test' }, Constants.ExportFormat.MARKDOWN);
+        expect(download).toHaveBeenCalledWith(
+          '# Codebook: Test\n\nNo data files were found.\n',
+          'Codebook.md',
+          'text/markdown',
+        );
+        codebookService.exportCodebook({ name: 'Test' }, Constants.ExportFormat.CSV);
+        expect(download).toHaveBeenLastCalledWith(
+          'File,Sheet,File Description,Variable,Type,Label,Value Labels,Missing\r\n',
+          'Codebook.csv',
+          'text/csv',
+        );
+      });
+
+      it('should generate a PDF', () => {
+        const generatePdf = jest.spyOn(codebookService, 'generatePdf').mockImplementation();
+        const project = { name: 'Test', path: '/User/test/Project' };
+        codebookService.exportCodebook(project, Constants.ExportFormat.PDF);
+        expect(generatePdf).toHaveBeenCalledWith([], 'Codebook.pdf', project);
+      });
+    });
+  });
+});
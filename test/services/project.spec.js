@@ -1,6 +1,7 @@
 import fs from 'fs';
 import os from 'os';
 import process from 'process';
+import path from 'path';
 import ProjectService, { ProjectFileFormatVersion } from '../../app/services/project';
 import AssetUtil from '../../app/utils/asset';
 import Constants from '../../app/constants/constants';
@@ -687,6 +688,116 @@ describe('services', () => {
       });
     });
 
+    describe('updateAssetHashHistory', () => {
+      const createAssets = (hash1, hash2) => ({
+        uri: TEST_PROJECT_PATH,
+        type: 'directory',
+        metadata: [{ id: 'StatWrap.FileHandler', size: 0 }],
+        children: [
+          {
+            uri: path.join(TEST_PROJECT_PATH, 'raw.csv'),
+            type: 'file',
+            metadata: [{ id: 'StatWrap.FileHandler', size: 10, hash: hash1 }],
+          },
+          {
+            uri: path.join(TEST_PROJECT_PATH, 'data'),
+            type: 'directory',
+            metadata: [{ id: 'StatWrap.FileHandler', size: 0 }],
+            children: [
+              {
+                uri: path.join(TEST_PROJECT_PATH, 'data', 'clean.csv'),
+                type: 'file',
+                metadata: [{ id: 'StatWrap.FileHandler', size: 20, hash: hash2 }],
+              },
+              {
+                uri: path.join(TEST_PROJECT_PATH, 'data', 'large.csv'),
+                type: 'file',
+                metadata: [{ id: 'StatWrap.FileHandler', size: 30 }],
+              },
+            ],
+          },
+        ],
+      });
+
+      it('should handle missing parameters', () => {
+        const service = new ProjectService();
+        expect(
+          service.updateAssetHashHistory(null, TEST_PROJECT_PATH, createAssets('a', 'b')),
+        ).toEqual([]);
+        expect(service.updateAssetHashHistory({}, TEST_PROJECT_PATH, null)).toEqual([]);
+      });
+
+      it('should record the first hash for files without reporting a change', () => {
+        const service = new ProjectService();
+        const config = {};
+        const changes = service.updateAssetHashHistory(
+          config,
+          TEST_PROJECT_PATH,
+          createAssets('a', 'b'),
+        );
+        expect(changes).toEqual([]);
+        expect(Object.keys(config.assetHashHistory)).toEqual(['raw.csv', 'data/clean.csv']);
+        expect(config.assetHashHistory['raw.csv'].length).toEqual(1);
+        expect(config.assetHashHistory['raw.csv'][0].hash).toEqual('a');
+        expect(config.assetHashHistory['raw.csv'][0].size).toEqual(10);
+        expect(config.assetHashHistory['raw.csv'][0].detected).not.toBeUndefined();
+      });
+
+      it('should add to the history and report a change when a hash changes', () => {
+        const service = new ProjectService();
+        const config = {};
+        service.updateAssetHashHistory(config, TEST_PROJECT_PATH, createAssets('a', 'b'));
+        const changes = service.updateAssetHashHistory(
+          config,
+          TEST_PROJECT_PATH,
+          createAssets('a', 'c'),
+        );
+        expect(changes.length).toEqual(1);
+        expect(changes[0].uri).toEqual('data/clean.csv');
+        expect(changes[0].previous.hash).toEqual('b');
+        expect(changes[0].current.hash).toEqual('c');
+        expect(config.assetHashHistory['raw.csv'].length).toEqual(1);
+        expect(config.assetHashHistory['data/clean.csv'].map((h) => h.hash)).toEqual(['b', 'c']);
+      });
+
+      it('should skip files that are not included in the project', () => {
+        const service = new ProjectService();
+        const config = {};
+        const createStatWrapAssets = (hash) => ({
+          uri: TEST_PROJECT_PATH,
+          type: 'directory',
+          metadata: [{ id: 'StatWrap.FileHandler', size: 0, include: true }],
+          children: [
+            {
+              uri: path.join(TEST_PROJECT_PATH, '.statwrap'),
+              type: 'directory',
+              metadata: [{ id: 'StatWrap.FileHandler', size: 0, include: false }],
+              children: [
+                {
+                  uri: path.join(TEST_PROJECT_PATH, '.statwrap', '.statwrap.log'),
+                  type: 'file',
+                  metadata: [{ id: 'StatWrap.FileHandler', size: 10, include: false, hash }],
+                },
+              ],
+            },
+            {
+              uri: path.join(TEST_PROJECT_PATH, 'notes.log'),
+              type: 'file',
+              metadata: [{ id: 'StatWrap.FileHandler', size: 10, include: false, hash }],
+            },
+          ],
+        });
+        service.updateAssetHashHistory(config, TEST_PROJECT_PATH, createStatWrapAssets('a'));
+        const changes = service.updateAssetHashHistory(
+          config,
+          TEST_PROJECT_PATH,
+          createStatWrapAssets('b'),
+        );
+        expect(changes).toEqual([]);
+        expect(config.assetHashHistory).toEqual({});
+      });
+    });
+
     describe('createProjectConfig', () => {
       it('will create a new id if one is not provided', () => {
         const service = new ProjectService();
@@ -57,7 +57,82 @@ describe('utils', () => {
       });
     });
 
+    describe('isGitIgnored', () => {
+      it('should handle invalid assets', () => {
+        expect(AssetUtil.isGitIgnored(null)).toBeFalsy();
+        expect(AssetUtil.isGitIgnored(undefined)).toBeFalsy();
+        expect(AssetUtil.isGitIgnored({ uri: '/Test/Asset' })).toBeFalsy();
+      });
+
+      it('should use the FileHandler metadata', () => {
+        expect(
+          AssetUtil.isGitIgnored({
+            uri: '/Test/Asset',
+            metadata: [{ id: 'StatWrap.FileHandler', include: false, gitIgnored: true }],
+          }),
+        ).toBeTruthy();
+        expect(
+          AssetUtil.isGitIgnored({
+            uri: '/Test/Asset',
+            metadata: [{ id: 'StatWrap.FileHandler', include: false }],
+          }),
+        ).toBeFalsy();
+      });
+    });
+
+    describe('hasGitIgnoredAssets', () => {
+      it('should check the asset and its descendants', () => {
+        const asset = {
+          uri: '/Test/Asset',
+          metadata: [{ id: 'StatWrap.FileHandler', include: true }],
+          children: [
+            {
+              uri: '/Test/Asset/Child1',
+              metadata: [{ id: 'StatWrap.FileHandler', include: true }],
+              children: [],
+            },
+          ],
+        };
+        expect(AssetUtil.hasGitIgnoredAssets(null)).toBeFalsy();
+        expect(AssetUtil.hasGitIgnoredAssets(asset)).toBeFalsy();
+        asset.children[0].children.push({
+          uri: '/Test/Asset/Child1/build',
+          metadata: [{ id: 'StatWrap.FileHandler', include: false, gitIgnored: true }],
+        });
+        expect(AssetUtil.hasGitIgnoredAssets(asset)).toBeTruthy();
+      });
+    });
+
     describe('filterIncludedFileAssets', () => {
+      it('should only include assets that git ignores when requested', () => {
+        const asset = {
+          uri: '/Test/Asset',
+          metadata: [{ id: 'StatWrap.FileHandler', include: true }],
+          children: [
+            {
+              uri: '/Test/Asset/build',
+              metadata: [{ id: 'StatWrap.FileHandler', include: false, gitIgnored: true }],
+              children: [
+                {
+                  uri: '/Test/Asset/build/output.txt',
+                  metadata: [{ id: 'StatWrap.FileHandler', include: false, gitIgnored: true }],
+                },
+                {
+                  uri: '/Test/Asset/build/.DS_Store',
+                  metadata: [{ id: 'StatWrap.FileHandler', include: false }],
+                },
+              ],
+            },
+          ],
+        };
+        expect(AssetUtil.filterIncludedFileAssets(asset).children).toEqual([]);
+        const filteredAsset = AssetUtil.filterIncludedFileAssets(asset, true);
+        expect(filteredAsset.children.length).toEqual(1);
+        expect(filteredAsset.children[0].children.map((c) => c.uri)).toEqual([
+          '/Test/Asset/build/output.txt',
+        ]);
+      });
+
       it('should return null if no asset is provided', () => {
         expect(AssetUtil.filterIncludedFileAssets(null)).toBeNull();
         expect(AssetUtil.filterIncludedFileAssets(undefined)).toBeNull();
@@ -1492,6 +1567,7 @@ describe('utils', () => {
       expect(AssetUtil.includeAsset('/User/test/Project/.DS_Store')).toBeFalsy();
       expect(AssetUtil.includeAsset('C:/test/Project/Thumbs.db')).toBeFalsy();
       expect(AssetUtil.includeAsset(Constants.StatWrapFiles.PROJECT)).toBeFalsy();
+      expect(AssetUtil.includeAsset(Constants.StatWrapFiles.IGNORE)).toBeFalsy();
     });
 
     it('should include allowable files and folders', () => {
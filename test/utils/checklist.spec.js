@@ -1,6 +1,47 @@
 import ChecklistUtil from '../../app/utils/checklist';
 import Constants from '../../app/constants/constants';
 
+const path = require('path');
+
+const REPORT_PROJECT = { id: '1', name: 'Test Project', path: '/Test' };
+
+const REPORT_CHECKLIST = {
+  id: 'c1',
+  name: 'Journal',
+  template: { id: 'journal', name: 'Journal', version: '1' },
+  items: [
+    {
+      id: 1,
+      name: 'Data',
+      statement: 'All data is | shared',
+      answer: true,
+      scanResult: {
+        'data.csv': [],
+        'Absolute paths': [{ file: '/Test/run.R', line: 3, snippet: 'setwd("/Test")' }],
+      },
+      notes: [{ id: 'n1', content: 'First note\nsecond line' }],
+      assets: [
+        { uri: '/Test/analysis.R', name: 'Analysis', description: 'Main | analysis' },
+        { uri: '/Test/data.csv' },
+      ],
+      subChecklist: [
+        { id: 's1', statement: 'Sub <1>', answer: true },
+        { id: 's2', statement: 'Sub 2', answer: false },
+      ],
+    },
+    {
+      id: 2,
+      name: 'Code',
+      statement: 'The code runs',
+      answer: false,
+      scanResult: null,
+      notes: [],
+      assets: [],
+      subChecklist: [],
+    },
+  ],
+};
+
 describe('utils', () => {
   describe('ChecklistUtil', () => {
     describe('findProjectLanguagesAndDependencies', () => {
@@ -131,6 +172,59 @@ describe('utils', () => {
         });
       });
 
+      it('should include how well the library versions are documented', () => {
+        expect(
+          ChecklistUtil.findProjectLanguagesAndDependencies({
+            type: Constants.AssetType.DIRECTORY,
+            uri: '/project',
+            contentTypes: [],
+            metadata: [],
+            children: [
+              {
+                type: Constants.AssetType.FILE,
+                contentTypes: [Constants.AssetContentType.CODE],
+                uri: '/project/analysis.py',
+                metadata: [
+                  {
+                    id: 'StatWrap.PythonHandler',
+                    libraries: [
+                      { id: 'pandas', module: null, import: 'pandas', alias: 'pd' },
+                      { id: 'numpy', module: null, import: 'numpy', alias: 'np' },
+                      { id: 'scipy.stats', module: 'scipy', import: 'stats', alias: null },
+                    ],
+                  },
+                ],
+              },
+              {
+                type: Constants.AssetType.FILE,
+                contentTypes: [Constants.AssetContentType.OTHER],
+                uri: '/project/requirements.txt',
+                metadata: [
+                  {
+                    id: 'StatWrap.EnvironmentHandler',
+                    manifest: 'requirements.txt',
+                    language: 'python',
+                    packages: [
+                      { name: 'pandas', version: '2.1.0', pinned: true },
+                      { name: 'numpy', version: '>=1.24', pinned: false },
+                      { name: 'requests', version: null, pinned: false },
+                    ],
+                  },
+                ],
+              },
+            ],
+          }),
+        ).toEqual({
+          Python: ['pandas', 'numpy', 'scipy.stats'],
+          'Python libraries with pinned versions': ['pandas 2.1.0 (requirements.txt)'],
+          'Python libraries without pinned versions': [
+            'numpy (>=1.24 in requirements.txt)',
+            'scipy (not declared)',
+          ],
+          'Python packages declared but not used': ['requests (requirements.txt)'],
+        });
+      });
+
       it('should not crash when asset has no extension in its URI', () => {
         expect(
           ChecklistUtil.findProjectLanguagesAndDependencies({
@@ -158,6 +252,38 @@ describe('utils', () => {
         ).toEqual({ dataFiles: [] });
       });
 
+      it('should not include data files that git ignores', () => {
+        const gitIgnored = [{ id: 'StatWrap.FileHandler', include: false, gitIgnored: true }];
+        expect(
+          ChecklistUtil.findDataFiles({
+            type: Constants.AssetType.FOLDER,
+            uri: 'project',
+            metadata: [],
+            children: [
+              {
+                type: Constants.AssetType.FOLDER,
+                uri: path.join('project', 'venv'),
+                metadata: gitIgnored,
+                children: [
+                  {
+                    type: Constants.AssetType.FILE,
+                    contentTypes: [Constants.AssetContentType.DATA],
+                    uri: path.join('project', 'venv', 'sample.csv'),
+                    metadata: gitIgnored,
+                  },
+                ],
+              },
+              {
+                type: Constants.AssetType.FILE,
+                contentTypes: [Constants.AssetContentType.DATA],
+                uri: path.join('project', 'survey.csv'),
+                metadata: gitIgnored,
+              },
+            ],
+          }),
+        ).toEqual({ dataFiles: [] });
+      });
+
       it('should empty result when asset is in an ignored folder', () => {
         expect(
           ChecklistUtil.findDataFiles({
@@ -241,6 +367,64 @@ describe('utils', () => {
           }),
         ).toEqual({ dataFiles: ['file1.csv', 'file2.csv'] });
       });
+      it.onMac('should include the row and column counts when they are available', () => {
+        expect(
+          ChecklistUtil.findDataFiles({
+            type: Constants.AssetType.FILE,
+            contentTypes: [Constants.AssetContentType.DATA],
+            uri: 'path/to/survey.dta',
+            metadata: [
+              {
+                id: 'StatWrap.StataDataHandler',
+                columns: [{ name: 'id', type: 'integer' }],
+                rowCount: 120,
+              },
+            ],
+          }),
+        ).toEqual({ dataFiles: ['survey.dta: 120 rows, 1 column'] });
+      });
+      it.onMac('should ignore data handler metadata with an error', () => {
+        expect(
+          ChecklistUtil.findDataFiles({
+            type: Constants.AssetType.FILE,
+            contentTypes: [Constants.AssetContentType.DATA],
+            uri: 'path/to/survey.dta',
+            metadata: [{ id: 'StatWrap.StataDataHandler', error: 'Unable to read data file' }],
+          }),
+        ).toEqual({ dataFiles: ['survey.dta'] });
+      });
+    });
+
+    describe('describeDataFile', () => {
+      it('should return just the file name if there is no metadata', () => {
+        expect(ChecklistUtil.describeDataFile('data.csv', null)).toEqual('data.csv');
+        expect(ChecklistUtil.describeDataFile('data.csv', undefined)).toEqual('data.csv');
+      });
+      it('should describe the rows and columns', () => {
+        expect(
+          ChecklistUtil.describeDataFile('data.csv', {
+            columns: [{ name: 'a' }, { name: 'b' }],
+            rowCount: 1,
+            sampled: true,
+          }),
+        ).toEqual('data.csv: ~1 row, 2 columns');
+        expect(
+          ChecklistUtil.describeDataFile('data.sav', { columns: [{ name: 'a' }], rowCount: null }),
+        ).toEqual('data.sav: 1 column');
+      });
+      it('should describe each sheet in a workbook', () => {
+        expect(
+          ChecklistUtil.describeDataFile('book.xlsx', {
+            sheets: [
+              { name: 'S1', columns: [{}, {}, {}, {}], rowCount: 3 },
+              { name: 'S2', columns: [], rowCount: 0 },
+            ],
+          }),
+        ).toEqual('book.xlsx: 2 sheets (S1: 3 rows, 4 columns; S2: 0 rows, 0 columns)');
+        expect(ChecklistUtil.describeDataFile('book.xlsx', { sheets: [] })).toEqual(
+          'book.xlsx: 0 sheets',
+        );
+      });
     });
 
     describe('findEntryPointFiles', () => {
@@ -408,5 +592,796 @@ describe('utils', () => {
         ).toEqual({ documentationFiles: ['file1.md', 'file2.md'] });
       });
     });
+
+    describe('findAbsolutePaths', () => {
+      it('should return empty result when asset is null or undefined', () => {
+        expect(ChecklistUtil.findAbsolutePaths(null)).toEqual({ absolutePaths: [] });
+        expect(ChecklistUtil.findAbsolutePaths(undefined)).toEqual({ absolutePaths: [] });
+      });
+
+      it('should collect the absolute paths from all code files that git does not ignore', () => {
+        expect(
+          ChecklistUtil.findAbsolutePaths({
+            type: Constants.AssetType.DIRECTORY,
+            uri: '/project',
+            metadata: [],
+            children: [
+              {
+                type: Constants.AssetType.FILE,
+                uri: '/project/code/load.R',
+                metadata: [
+                  {
+                    id: 'StatWrap.RHandler',
+                    absolutePaths: [
+                      { path: 'C:/data/raw.csv', line: 3, snippet: 'read.csv("C:/data/raw.csv")' },
+                    ],
+                  },
+                ],
+              },
+              {
+                type: Constants.AssetType.FILE,
+                uri: '/project/analysis.ipynb',
+                metadata: [
+                  {
+                    id: 'StatWrap.NotebookHandler',
+                    absolutePaths: [
+                      { path: '~/out.csv', line: 1, snippet: "df.to_csv('~/out.csv')", cell: 2 },
+                    ],
+                  },
+                ],
+              },
+              {
+                type: Constants.AssetType.FILE,
+                uri: '/project/clean.R',
+                metadata: [{ id: 'StatWrap.RHandler', libraries: [] }],
+              },
+              {
+                type: Constants.AssetType.DIRECTORY,
+                uri: '/project/venv',
+                metadata: [{ id: 'StatWrap.FileHandler', include: false, gitIgnored: true }],
+                children: [
+                  {
+                    type: Constants.AssetType.FILE,
+                    uri: '/project/venv/lib/site.py',
+                    metadata: [
+                      { id: 'StatWrap.FileHandler', include: false, gitIgnored: true },
+                      {
+                        id: 'StatWrap.PythonHandler',
+                        absolutePaths: [{ path: '/usr/lib', line: 1, snippet: "'/usr/lib'" }],
+                      },
+                    ],
+                  },
+                ],
+              },
+            ],
+          }),
+        ).toEqual({
+          absolutePaths: [
+            {
+              file: 'code/load.R',
+              path: 'C:/data/raw.csv',
+              line: 3,
+              snippet: 'read.csv("C:/data/raw.csv")',
+            },
+            {
+              file: 'analysis.ipynb',
+              path: '~/out.csv',
+              line: 1,
+              snippet: "df.to_csv('~/out.csv')",
+              cell: 2,
+            },
+          ],
+        });
+      });
+    });
+
+    describe('getAbsolutePathsAnswer', () => {
+      it('should answer yes only when no absolute paths were found', () => {
+        expect(ChecklistUtil.getAbsolutePathsAnswer({ absolutePaths: [] })).toBeTruthy();
+        expect(
+          ChecklistUtil.getAbsolutePathsAnswer({
+            absolutePaths: [{ file: 'a.R', path: '/home/a', line: 1, snippet: 'x' }],
+          }),
+        ).toBeFalsy();
+        expect(ChecklistUtil.getAbsolutePathsAnswer(null)).toBeFalsy();
+        expect(ChecklistUtil.getAbsolutePathsAnswer({})).toBeFalsy();
+      });
+    });
+
+    describe('findScanDrift', () => {
+      it('should report files that are no longer in the project', () => {
+        expect(
+          ChecklistUtil.findScanDrift(
+            'Data',
+            { dataFiles: ['a.csv: 10 rows, 2 columns', 'b.csv'] },
+            { dataFiles: ['a.csv: 12 rows, 2 columns'] },
+          ),
+        ).toEqual(['The data file b.csv is no longer in the project']);
+        expect(
+          ChecklistUtil.findScanDrift(
+            'Entrypoint',
+            { entryPoints: ['run.R'] },
+            { entryPoints: ['main.R'] },
+          ),
+        ).toEqual(['The entry point file run.R is no longer in the project']);
+        expect(
+          ChecklistUtil.findScanDrift(
+            'Documentation',
+            { documentationFiles: ['README.md'] },
+            { documentationFiles: ['README.md', 'NOTES.md'] },
+          ),
+        ).toEqual([]);
+      });
+
+      it('should report missing files if the rule has not been run before', () => {
+        expect(ChecklistUtil.findScanDrift('Entrypoint', {}, { entryPoints: [] })).toEqual([
+          'No entry point files were found in the project',
+        ]);
+        expect(ChecklistUtil.findScanDrift('Data', null, { dataFiles: ['a.csv'] })).toEqual([]);
+        // Once the rule has been run, the missing files aren't reported again
+        expect(
+          ChecklistUtil.findScanDrift('Entrypoint', { entryPoints: [] }, { entryPoints: [] }),
+        ).toEqual([]);
+      });
+
+      it('should report new absolute paths', () => {
+        const existing = { file: 'run.R', line: 3, snippet: 'setwd("/home/a")', path: '/home/a' };
+        const added = { file: 'run.R', line: 8, snippet: 'load("/home/b")', path: '/home/b' };
+        expect(
+          ChecklistUtil.findScanDrift(
+            'AbsolutePaths',
+            { absolutePaths: [existing] },
+            { absolutePaths: [{ ...existing, line: 5 }, added] },
+          ),
+        ).toEqual(['A new absolute path was found in run.R, line 8: load("/home/b")']);
+        expect(
+          ChecklistUtil.findScanDrift('AbsolutePaths', { absolutePaths: [existing] }, {}),
+        ).toEqual([]);
+      });
+
+      it('should report new libraries without pinned versions', () => {
+        expect(
+          ChecklistUtil.findScanDrift(
+            'Dependency',
+            {
+              R: ['dplyr', 'ggplot2'],
+              'R libraries without pinned versions': ['dplyr (not declared)'],
+            },
+            {
+              R: ['dplyr', 'ggplot2'],
+              'R libraries without pinned versions': [
+                'dplyr (DESCRIPTION)',
+                'ggplot2 (not declared)',
+              ],
+            },
+          ),
+        ).toEqual(['The R library ggplot2 does not have a pinned version']);
+      });
+
+      it('should not report anything for unknown rules', () => {
+        expect(ChecklistUtil.findScanDrift(null, {}, {})).toEqual([]);
+        expect(ChecklistUtil.findScanDrift('Other', { a: ['x'] }, { a: [] })).toEqual([]);
+      });
+    });
+
+    describe('reevaluateChecklists', () => {
+      const projectPath = path.join(path.sep, 'Test');
+      const assets = {
+        uri: projectPath,
+        type: Constants.AssetType.DIRECTORY,
+        contentTypes: [],
+        metadata: [],
+        children: [
+          {
+            uri: path.join(projectPath, 'main.R'),
+            type: Constants.AssetType.FILE,
+            contentTypes: [Constants.AssetContentType.CODE],
+            attributes: { entrypoint: true },
+            metadata: [
+              { absolutePaths: [{ line: 2, snippet: 'setwd("/home/a")', path: '/home/a' }] },
+            ],
+          },
+        ],
+      };
+      const createItem = (id, scan, answer, scanResult, extra = {}) => ({
+        id,
+        name: scan || 'Other',
+        statement: `Statement ${id}`,
+        scan,
+        answer,
+        scanResult,
+        notes: [],
+        assets: [],
+        subChecklist: [],
+        ...extra,
+      });
+
+      it('should flag items answered yes whose scan results drifted', () => {
+        const checklists = [
+          {
+            id: 'c1',
+            name: 'Internal',
+            items: [
+              createItem(1, 'Entrypoint', true, { entryPoints: ['run.R'] }),
+              createItem(2, 'Entrypoint', false, { entryPoints: ['run.R'] }),
+              createItem(3, null, true, {}),
+              createItem(4, 'Entrypoint', true, { entryPoints: ['main.R'] }),
+            ],
+          },
+        ];
+        const result = ChecklistUtil.reevaluateChecklists(checklists, assets);
+        const { items } = result.checklists[0];
+        expect(items.map((x) => x.scanResult)).toEqual([
+          { entryPoints: ['main.R'] },
+          { entryPoints: ['main.R'] },
+          {},
+          { entryPoints: ['main.R'] },
+        ]);
+        expect(items[0].needsReview.reasons).toEqual([
+          'The entry point file run.R is no longer in the project',
+        ]);
+        expect(items[0].answer).toBeTruthy();
+        expect(items[1].needsReview).toBeUndefined();
+        expect(items[3].needsReview).toBeUndefined();
+        expect(result.drift).toEqual([
+          {
+            checklistId: 'c1',
+            checklistName: 'Internal',
+            itemId: 1,
+            statement: 'Statement 1',
+            reasons: ['The entry point file run.R is no longer in the project'],
+          },
+        ]);
+        // The original checklists are not changed
+        expect(checklists[0].items[0].scanResult).toEqual({ entryPoints: ['run.R'] });
+      });
+
+      it('should keep the reasons from an earlier review that is still pending', () => {
+        const checklists = [
+          {
+            id: 'c1',
+            name: 'Internal',
+            items: [
+              createItem(
+                1,
+                'AbsolutePaths',
+                true,
+                { absolutePaths: [] },
+                {
+                  userAnswered: true,
+                  needsReview: { date: '2024-01-01T00:00:00.000Z', reasons: ['Earlier'] },
+                },
+              ),
+            ],
+          },
+        ];
+        const result = ChecklistUtil.reevaluateChecklists(checklists, assets);
+        expect(result.checklists[0].items[0].needsReview.reasons).toEqual([
+          'Earlier',
+          'A new absolute path was found in main.R, line 2: setwd("/home/a")',
+        ]);
+      });
+
+      it('should update suggested answers and flag them when they change', () => {
+        const absolutePath = {
+          file: 'main.R',
+          line: 2,
+          snippet: 'setwd("/home/a")',
+          path: '/home/a',
+        };
+        const checklists = [
+          {
+            id: 'c1',
+            name: 'Internal',
+            items: [
+              createItem(1, 'AbsolutePaths', true, { absolutePaths: [] }),
+              createItem(2, 'AbsolutePaths', false, { absolutePaths: [absolutePath] }),
+            ],
+          },
+        ];
+        const result = ChecklistUtil.reevaluateChecklists(checklists, assets);
+        const { items } = result.checklists[0];
+        expect(items[0].answer).toBeFalsy();
+        expect(items[0].needsReview.reasons).toEqual([
+          'A new absolute path was found in main.R, line 2: setwd("/home/a")',
+        ]);
+        expect(items[1].answer).toBeFalsy();
+        expect(items[1].needsReview).toBeUndefined();
+        expect(result.drift).toEqual([
+          {
+            checklistId: 'c1',
+            checklistName: 'Internal',
+            itemId: 1,
+            statement: 'Statement 1',
+            reasons: ['A new absolute path was found in main.R, line 2: setwd("/home/a")'],
+          },
+        ]);
+      });
+
+      it('should handle missing checklists', () => {
+        expect(ChecklistUtil.reevaluateChecklists(null, assets)).toEqual({
+          checklists: [],
+          drift: [],
+        });
+      });
+    });
+
+    describe('formatScanResultEntry', () => {
+      it('should describe strings and absolute paths', () => {
+        expect(ChecklistUtil.formatScanResultEntry('data.csv')).toEqual('data.csv');
+        expect(ChecklistUtil.formatScanResultEntry(null)).toBeNull();
+        expect(
+          ChecklistUtil.formatScanResultEntry({
+            file: 'code/load.R',
+            path: 'C:/data/raw.csv',
+            line: 3,
+            snippet: 'read.csv("C:/data/raw.csv")',
+          }),
+        ).toEqual('code/load.R, line 3: read.csv("C:/data/raw.csv")');
+        expect(
+          ChecklistUtil.formatScanResultEntry({
+            file: 'analysis.ipynb',
+            path: '~/out.csv',
+            line: 1,
+            snippet: "df.to_csv('~/out.csv')",
+            cell: 2,
+          }),
+        ).toEqual("analysis.ipynb (cell 2), line 1: df.to_csv('~/out.csv')");
+      });
+    });
+
+    describe('getScanFunction', () => {
+      it('should return the function for each scan rule', () => {
+        expect(ChecklistUtil.getScanFunction('Data')).toBe(ChecklistUtil.findDataFiles);
+        expect(ChecklistUtil.getScanFunction('AbsolutePaths')).toBe(
+          ChecklistUtil.findAbsolutePaths,
+        );
+        expect(ChecklistUtil.getAnswerFunction('AbsolutePaths')).toBe(
+          ChecklistUtil.getAbsolutePathsAnswer,
+        );
+      });
+
+      it('should return null for rules that do not exist', () => {
+        expect(ChecklistUtil.getScanFunction('VersionControl')).toBeNull();
+        expect(ChecklistUtil.getScanFunction(null)).toBeNull();
+        expect(ChecklistUtil.getAnswerFunction('Data')).toBeNull();
+        expect(ChecklistUtil.getAnswerFunction(undefined)).toBeNull();
+      });
+    });
+
+    describe('getDefaultTemplate', () => {
+      it('should include the standard checklist statements', () => {
+        const template = ChecklistUtil.getDefaultTemplate();
+        expect(ChecklistUtil.validateTemplate(template)).toBeNull();
+        expect(template.items.length).toEqual(Constants.CHECKLIST.length);
+        expect(template.items[0]).toEqual({
+          name: 'Dependency',
+          statement: Constants.CHECKLIST[0][1],
+          scan: 'Dependency',
+        });
+        expect(template.items.find((x) => x.name === 'VersionControl').scan).toBeNull();
+        expect(ChecklistUtil.getTemplateReference(template)).toEqual({
+          id: template.id,
+          name: template.name,
+          version: template.version,
+        });
+        expect(ChecklistUtil.getTemplateReference(null)).toEqual(
+          ChecklistUtil.getTemplateReference(template),
+        );
+      });
+    });
+
+    describe('validateTemplate', () => {
+      const template = {
+        id: 'custom',
+        name: 'Custom',
+        items: [
+          { name: 'Data', statement: 'Data is shared.', scan: 'Data' },
+          { name: 'Consent', statement: 'Consent is documented.', subItems: ['Forms are stored.'] },
+        ],
+      };
+
+      it('should accept a valid template', () => {
+        expect(ChecklistUtil.validateTemplate(template)).toBeNull();
+      });
+
+      it('should describe the problem with an invalid template', () => {
+        expect(ChecklistUtil.validateTemplate(null)).toEqual('The template must be a JSON object');
+        expect(ChecklistUtil.validateTemplate([template])).toEqual(
+          'The template must be a JSON object',
+        );
+        expect(ChecklistUtil.validateTemplate({ ...template, id: null })).toEqual(
+          'The template must have an id',
+        );
+        expect(ChecklistUtil.validateTemplate({ ...template, name: '' })).toEqual(
+          'The template must have a name',
+        );
+        expect(ChecklistUtil.validateTemplate({ ...template, items: [] })).toEqual(
+          'The template must have at least one item',
+        );
+        expect(ChecklistUtil.validateTemplate({ ...template, items: [{ name: 'Data' }] })).toEqual(
+          'Item 1 must have a name and a statement',
+        );
+        expect(
+          ChecklistUtil.validateTemplate({
+            ...template,
+            items: [template.items[0], template.items[0]],
+          }),
+        ).toEqual('There is more than one item named Data');
+        expect(
+          ChecklistUtil.validateTemplate({
+            ...template,
+            items: [{ ...template.items[0], scan: 'Unknown' }],
+          }),
+        ).toEqual("Item Data uses a scan rule that doesn't exist (Unknown)");
+        expect(
+          ChecklistUtil.validateTemplate({
+            ...template,
+            items: [{ ...template.items[1], subItems: 'Forms are stored.' }],
+          }),
+        ).toEqual('The sub-items for Consent must be a list of statements');
+      });
+    });
+
+    describe('initializeChecklist', () => {
+      it('should use the default template if none is given', () => {
+        const checklist = ChecklistUtil.initializeChecklist();
+        expect(checklist.length).toEqual(Constants.CHECKLIST.length);
+        expect(checklist[0]).toEqual({
+          id: 1,
+          name: 'Dependency',
+          statement: Constants.CHECKLIST[0][1],
+          scan: 'Dependency',
+          answer: false,
+          scanResult: {},
+          notes: [],
+          assets: [],
+          subChecklist: [],
+        });
+      });
+
+      it('should create the items and sub-items from a template', () => {
+        const checklist = ChecklistUtil.initializeChecklist({
+          id: 'custom',
+          name: 'Custom',
+          items: [
+            { name: 'Consent', statement: 'Consent is documented.', subItems: ['A', 'B'] },
+            { name: 'Data', statement: 'Data is shared.', scan: 'Data' },
+          ],
+        });
+        expect(checklist.map((x) => [x.id, x.name, x.scan])).toEqual([
+          [1, 'Consent', null],
+          [2, 'Data', 'Data'],
+        ]);
+        expect(checklist[0].subChecklist.map((x) => [x.statement, x.answer])).toEqual([
+          ['A', false],
+          ['B', false],
+        ]);
+        expect(checklist[0].subChecklist[0].id).not.toEqual(checklist[0].subChecklist[1].id);
+      });
+    });
+
+    describe('applyTemplate', () => {
+      const checklist = [
+        {
+          id: 1,
+          name: 'Data',
+          statement: 'Data file(s) used in the project are documented.',
+          scan: 'Data',
+          answer: true,
+          userAnswered: true,
+          scanResult: { dataFiles: ['data.csv'] },
+          notes: [{ id: 'n1', content: 'Note' }],
+          assets: [{ uri: '/project/data.csv' }],
+          subChecklist: [{ id: 's1', statement: 'A', answer: true }],
+        },
+        {
+          id: 2,
+          name: 'VersionControl',
+          statement: 'Version control of some kind is in place.',
+          scan: null,
+          answer: true,
+          scanResult: {},
+          notes: [{ id: 'n2', content: 'Git' }],
+          assets: [],
+          subChecklist: [],
+        },
+      ];
+
+      it('should keep the answers, notes and assets of matching items', () => {
+        const result = ChecklistUtil.applyTemplate(
+          {
+            id: 'custom',
+            name: 'Custom',
+            items: [
+              { name: 'Consent', statement: 'Consent is documented.' },
+              { name: 'Data', statement: 'Data is shared.', scan: 'Data', subItems: ['A', 'B'] },
+              { name: 'Git', statement: 'Version control of some kind is in place.' },
+            ],
+          },
+          checklist,
+        );
+        expect(result.map((x) => [x.id, x.name, x.answer])).toEqual([
+          [1, 'Consent', false],
+          [2, 'Data', true],
+          [3, 'Git', true],
+        ]);
+        expect(result[0].notes).toEqual([]);
+        expect(result[1]).toMatchObject({
+          statement: 'Data is shared.',
+          userAnswered: true,
+          scanResult: checklist[0].scanResult,
+          notes: checklist[0].notes,
+          assets: checklist[0].assets,
+        });
+        expect(result[1].subChecklist.map((x) => [x.statement, x.answer])).toEqual([
+          ['A', true],
+          ['B', false],
+        ]);
+        expect(result[2].notes).toEqual(checklist[1].notes);
+        expect(result[2].userAnswered).toBeUndefined();
+      });
+
+      it('should keep the review flag of matching items', () => {
+        const needsReview = { date: '2024-01-01T00:00:00.000Z', reasons: ['Changed'] };
+        const result = ChecklistUtil.applyTemplate(
+          { id: 'custom', name: 'Custom', items: [{ name: 'Data', statement: 'Data is shared.' }] },
+          [{ ...checklist[0], needsReview }],
+        );
+        expect(result[0].needsReview).toEqual(needsReview);
+      });
+
+      it('should clear the scan results if the scan rule changed', () => {
+        const result = ChecklistUtil.applyTemplate(
+          { id: 'custom', name: 'Custom', items: [{ name: 'Data', statement: 'Data.' }] },
+          checklist,
+        );
+        expect(result[0].scanResult).toEqual({});
+        expect(result[0].answer).toBeTruthy();
+      });
+
+      it('should handle a missing checklist', () => {
+        expect(ChecklistUtil.applyTemplate(null, null)).toEqual(
+          ChecklistUtil.initializeChecklist(),
+        );
+      });
+    });
+
+    describe('createChecklist', () => {
+      it('should create a checklist from the default template', () => {
+        const checklist = ChecklistUtil.createChecklist();
+        expect(checklist.id).toBeDefined();
+        expect(checklist.name).toEqual(ChecklistUtil.getDefaultTemplate().name);
+        expect(checklist.template).toEqual(ChecklistUtil.getTemplateReference(null));
+        expect(checklist.items).toEqual(ChecklistUtil.initializeChecklist());
+        expect(ChecklistUtil.createChecklist().id).not.toEqual(checklist.id);
+      });
+
+      it('should use the template and name that are given', () => {
+        const template = {
+          id: 'journal',
+          name: 'Journal Checklist',
+          version: '2',
+          items: [{ name: 'Code', statement: 'Code is shared.' }],
+        };
+        const checklist = ChecklistUtil.createChecklist(template, 'Journal Submission');
+        expect(checklist.name).toEqual('Journal Submission');
+        expect(checklist.template).toEqual({
+          id: 'journal',
+          name: 'Journal Checklist',
+          version: '2',
+        });
+        expect(checklist.items.map((x) => x.name)).toEqual(['Code']);
+      });
+    });
+
+    describe('updateChecklist', () => {
+      const checklists = [
+        {
+          id: 'c1',
+          name: 'Internal',
+          items: [
+            { id: 1, answer: false },
+            { id: 2, answer: false },
+          ],
+        },
+        { id: 'c2', name: 'Journal', items: [{ id: 1, answer: false }] },
+      ];
+
+      it('should replace the checklist with the same ID', () => {
+        const updated = { ...checklists[1], name: 'Journal Submission' };
+        const result = ChecklistUtil.updateChecklist(checklists, updated);
+        expect(result).toEqual([checklists[0], updated]);
+        expect(checklists[1].name).toEqual('Journal');
+        expect(ChecklistUtil.updateChecklist(null, updated)).toEqual([]);
+      });
+
+      it('should replace an item in the checklist with the same ID', () => {
+        const result = ChecklistUtil.updateChecklistItem(checklists, 'c2', { id: 1, answer: true });
+        expect(result[0]).toBe(checklists[0]);
+        expect(result[1].items).toEqual([{ id: 1, answer: true }]);
+        expect(checklists[1].items[0].answer).toBeFalsy();
+        expect(ChecklistUtil.updateChecklistItem(null, 'c2', { id: 1 })).toEqual([]);
+      });
+    });
+
+    describe('getChecklistProgress', () => {
+      it('should count the items that are answered', () => {
+        expect(
+          ChecklistUtil.getChecklistProgress({
+            items: [{ answer: true }, { answer: false }, { answer: true }],
+          }),
+        ).toEqual({ completed: 2, total: 3, percent: 67 });
+      });
+
+      it('should handle an empty checklist', () => {
+        expect(ChecklistUtil.getChecklistProgress({ items: [] })).toEqual({
+          completed: 0,
+          total: 0,
+          percent: 0,
+        });
+        expect(ChecklistUtil.getChecklistProgress(null)).toEqual({
+          completed: 0,
+          total: 0,
+          percent: 0,
+        });
+      });
+    });
+
+    describe('migrateChecklist', () => {
+      it('should return null if there is no checklist', () => {
+        expect(ChecklistUtil.migrateChecklist(null)).toBeNull();
+      });
+
+      it('should migrate a checklist from the first version of the file', () => {
+        const legacy = [
+          { id: 1, name: 'Dependency', statement: 'Dependencies.', answer: true, scanResult: {} },
+          { id: 5, name: 'VersionControl', statement: 'Version control.', answer: false },
+        ];
+        const result = ChecklistUtil.migrateChecklist(legacy);
+        expect(result.formatVersion).toEqual(Constants.CHECKLIST_FORMAT_VERSION);
+        expect(result.checklists.length).toEqual(1);
+        const checklist = result.checklists[0];
+        expect(checklist.id).toBeDefined();
+        expect(checklist.name).toEqual(ChecklistUtil.getDefaultTemplate().name);
+        expect(checklist.template).toEqual(ChecklistUtil.getTemplateReference(null));
+        expect(checklist.items).toEqual([
+          { ...legacy[0], scan: 'Dependency', notes: [], assets: [], subChecklist: [] },
+          { ...legacy[1], scan: null, notes: [], assets: [], subChecklist: [] },
+        ]);
+      });
+
+      it('should migrate a checklist from the second version of the file', () => {
+        const template = { id: 'custom', name: 'Custom', version: '1' };
+        const items = [
+          { id: 1, name: 'Dependency', statement: 'Dependencies.', scan: null, answer: true },
+        ];
+        const result = ChecklistUtil.migrateChecklist({ formatVersion: 2, template, items });
+        expect(result.checklists.length).toEqual(1);
+        expect(result.checklists[0].name).toEqual('Custom');
+        expect(result.checklists[0].template).toEqual(template);
+        expect(result.checklists[0].items[0].scan).toBeNull();
+        expect(result.checklists[0].items[0].answer).toBeTruthy();
+      });
+
+      it('should keep the checklists from the current version of the file', () => {
+        const checklists = [
+          {
+            id: 'c1',
+            name: 'Internal',
+            template: { id: 'custom', name: 'Custom', version: '1' },
+            items: [{ id: 1, name: 'Data', scan: 'Data', notes: [], assets: [], subChecklist: [] }],
+          },
+          {
+            id: 'c2',
+            name: 'Journal',
+            template: { id: 'journal', name: 'Journal', version: '1' },
+            items: [],
+          },
+        ];
+        expect(
+          ChecklistUtil.migrateChecklist({
+            formatVersion: Constants.CHECKLIST_FORMAT_VERSION,
+            checklists,
+          }),
+        ).toEqual({ formatVersion: Constants.CHECKLIST_FORMAT_VERSION, checklists });
+      });
+    });
+
+    describe('createReport', () => {
+      it('should number the items and sub-items', () => {
+        const report = ChecklistUtil.createReport(REPORT_CHECKLIST, REPORT_PROJECT, true);
+        expect(report.title).toEqual('Journal');
+        expect(report.template).toEqual(REPORT_CHECKLIST.template);
+        expect(report.project).toEqual({ id: '1', name: 'Test Project' });
+        expect(report.includesNotes).toBeTruthy();
+        expect(report.items.map((x) => x.number)).toEqual(['1', '2']);
+        expect(report.items[0].subItems).toEqual([
+          { number: '1.1', statement: 'Sub <1>', answer: true },
+          { number: '1.2', statement: 'Sub 2', answer: false },
+        ]);
+        expect(report.items[1].answer).toEqual(false);
+        expect(report.items[1].scanResult).toEqual({});
+        expect(report.dataDictionary).toEqual([]);
+      });
+
+      it('should only include notes when asked', () => {
+        expect(
+          ChecklistUtil.createReport(REPORT_CHECKLIST, REPORT_PROJECT, true).items[0].notes,
+        ).toEqual(REPORT_CHECKLIST.items[0].notes);
+        const report = ChecklistUtil.createReport(REPORT_CHECKLIST, REPORT_PROJECT, false);
+        expect(report.includesNotes).toBeFalsy();
+        expect(report.items[0].notes).toEqual([]);
+      });
+
+      it('should use the URI for assets without a name', () => {
+        const report = ChecklistUtil.createReport(REPORT_CHECKLIST, REPORT_PROJECT, true);
+        expect(report.items[0].assets).toEqual([
+          { name: 'Analysis', uri: '/Test/analysis.R', description: 'Main | analysis' },
+          { name: '/Test/data.csv', uri: '/Test/data.csv', description: null },
+        ]);
+      });
+
+      it('should handle a missing checklist', () => {
+        const report = ChecklistUtil.createReport(null, null, false);
+        expect(report.title).toEqual('Reproducibility Checklist');
+        expect(report.items).toEqual([]);
+        expect(report.dataDictionary).toEqual([]);
+      });
+    });
+
+    describe('toMarkdown', () => {
+      it('should include the summary and details for each item', () => {
+        const markdown = ChecklistUtil.toMarkdown(
+          ChecklistUtil.createReport(REPORT_CHECKLIST, REPORT_PROJECT, true),
+        );
+        expect(markdown.startsWith('# Journal\n')).toBeTruthy();
+        expect(markdown).toContain('**Project Name:** Test Project');
+        // Pipes in table cells are escaped, but not elsewhere
+        expect(markdown).toContain('| 1 | All data is \\| shared | Yes |');
+        expect(markdown).toContain('### 1. All data is | shared (Yes)');
+        expect(markdown).toContain('| 1.2 | Sub 2 | No |');
+        expect(markdown).toContain('### 2. The code runs (No)');
+        expect(markdown).toContain('- 1.1 Sub <1> (Yes)');
+        expect(markdown).toContain('- data.csv\n  - No results');
+        expect(markdown).toContain('- Absolute paths\n  - /Test/run.R, line 3: setwd("/Test")');
+        expect(markdown).toContain('1. First note\n   second line');
+        expect(markdown).toContain('1. [Analysis](</Test/analysis.R>) - Main | analysis');
+        expect(markdown).toContain('2. [/Test/data.csv](</Test/data.csv>)');
+        expect(markdown).not.toContain('## Codebook');
+      });
+
+      it('should leave out notes that were not exported', () => {
+        const markdown = ChecklistUtil.toMarkdown(
+          ChecklistUtil.createReport(REPORT_CHECKLIST, REPORT_PROJECT, false),
+        );
+        expect(markdown).not.toContain('**Notes:**');
+        expect(markdown).not.toContain('First note');
+      });
+    });
+
+    describe('toHTML', () => {
+      it('should create a standalone document with escaped content', () => {
+        const html = ChecklistUtil.toHTML(
+          ChecklistUtil.createReport(REPORT_CHECKLIST, REPORT_PROJECT, true),
+        );
+        expect(html.startsWith('<!DOCTYPE html>')).toBeTruthy();
+        expect(html).toContain('<title>Journal</title>');
+        expect(html).toContain('<tr class="sub-item"><td>1.1</td><td>Sub &lt;1&gt;</td>');
+        expect(html).toContain('<h3>2. The code runs (<span class="no">No</span>)</h3>');
+        expect(html).toContain('<li>data.csv<ul><li>No results</li></ul></li>');
+        expect(html).toContain('setwd(&quot;/Test&quot;)');
+        expect(html).toContain('<li>First note<br>second line</li>');
+        expect(html).toContain('<a href="/Test/analysis.R">Analysis</a><br>Main | analysis');
+        expect(html.endsWith('</html>\n')).toBeTruthy();
+      });
+
+      it('should leave out notes that were not exported', () => {
+        const html = ChecklistUtil.toHTML(
+          ChecklistUtil.createReport(REPORT_CHECKLIST, REPORT_PROJECT, false),
+        );
+        expect(html).not.toContain('Notes:');
+      });
+    });
   });
 });
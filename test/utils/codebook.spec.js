@@ -0,0 +1,291 @@
+import CodebookUtil from '../../app/utils/codebook';
+import Constants from '../../app/constants/constants';
+
+const path = require('path');
+
+const PROJECT_PATH = path.join(path.sep, 'User', 'test', 'Project');
+
+const dataAsset = (name, metadata, notes) => ({
+  uri: path.join(PROJECT_PATH, 'data', name),
+  type: Constants.AssetType.FILE,
+  contentTypes: [Constants.AssetContentType.DATA],
+  metadata,
+  notes,
+});
+
+const SURVEY = dataAsset(
+  'survey.dta',
+  [
+    { id: 'StatWrap.FileHandler', include: true },
+    {
+      id: 'StatWrap.StataDataHandler',
+      release: 118,
+      label: 'Survey data',
+      columns: [
+        { name: 'id', type: 'integer', label: 'Identifier' },
+        { name: 'sex', type: 'integer', valueLabels: 'sexlbl' },
+      ],
+      rowCount: 1200,
+      valueLabels: {
+        sexlbl: [
+          { value: 1, label: 'Male' },
+          { value: 2, label: 'Female' },
+        ],
+      },
+    },
+  ],
+  [
+    { id: '1', content: 'Collected in 2020' },
+    { id: '2', content: 'Cleaned by the "prep" script' },
+  ],
+);
+
+const SCORES = dataAsset('scores.csv', [
+  {
+    id: 'StatWrap.CSVHandler',
+    columns: [
+      { name: 'id', type: 'integer', missing: 0 },
+      { name: 'score|raw', type: 'number', missing: 3 },
+    ],
+    rowCount: 50,
+    sampled: true,
+  },
+]);
+
+const WORKBOOK = dataAsset('book.xlsx', [
+  {
+    id: 'StatWrap.ExcelHandler',
+    sheets: [
+      { name: 'Results', columns: [{ name: 'a', type: 'string' }], rowCount: 2 },
+      { name: 'Empty', columns: [], rowCount: 0 },
+    ],
+  },
+]);
+
+const PROJECT_ASSETS = {
+  uri: PROJECT_PATH,
+  type: Constants.AssetType.DIRECTORY,
+  children: [
+    {
+      uri: path.join(PROJECT_PATH, 'data'),
+      type: Constants.AssetType.DIRECTORY,
+      children: [
+        SURVEY,
+        SCORES,
+        WORKBOOK,
+        // Files that can't be read, aren't included, or are archived are skipped
+        dataAsset('broken.sav', [
+          { id: 'StatWrap.SPSSDataHandler', error: 'Unable to read data file' },
+        ]),
+        dataAsset('excluded.csv', [
+          { id: 'StatWrap.FileHandler', include: false },
+          { id: 'StatWrap.CSVHandler', columns: [], rowCount: 0 },
+        ]),
+        {
+          ...dataAsset('archived.csv', [{ id: 'StatWrap.CSVHandler', columns: [], rowCount: 0 }]),
+          attributes: { archived: true },
+        },
+      ],
+    },
+    {
+      uri: path.join(PROJECT_PATH, 'code.R'),
+      type: Constants.AssetType.FILE,
+      metadata: [{ id: 'StatWrap.RHandler', libraries: [] }],
+    },
+  ],
+};
+
+describe('utils', () => {
+  describe('CodebookUtil', () => {
+    describe('formatValueLabels', () => {
+      it('should return an empty string when there are no value labels', () => {
+        expect(CodebookUtil.formatValueLabels(null, null)).toEqual('');
+        expect(CodebookUtil.formatValueLabels({ name: 'a' }, { set: [] })).toEqual('');
+        expect(CodebookUtil.formatValueLabels({ name: 'a', valueLabels: 'other' }, {})).toEqual('');
+      });
+
+      it('should format the value labels for the column', () => {
+        expect(
+          CodebookUtil.formatValueLabels(
+            { name: 'a', valueLabels: 'yesno' },
+            {
+              yesno: [
+                { value: 0, label: 'No' },
+                { value: 1, label: 'Yes' },
+              ],
+            },
+          ),
+        ).toEqual('0 = No, 1 = Yes');
+      });
+    });
+
+    describe('createCodebook', () => {
+      it('should return an empty codebook if there are no assets', () => {
+        expect(CodebookUtil.createCodebook(null, PROJECT_PATH)).toEqual([]);
+        expect(CodebookUtil.createCodebook(undefined, PROJECT_PATH)).toEqual([]);
+      });
+
+      it('should include an entry for each data file and workbook sheet', () => {
+        const codebook = CodebookUtil.createCodebook(PROJECT_ASSETS, PROJECT_PATH);
+        expect(codebook).toEqual([
+          {
+            uri: SURVEY.uri,
+            name: 'data/survey.dta',
+            description: 'Collected in 2020\n\nCleaned by the "prep" script',
+            sheet: null,
+            label: 'Survey data',
+            rowCount: 1200,
+            sampled: false,
+            variables: [
+              {
+                name: 'id',
+                type: 'integer',
+                label: 'Identifier',
+                valueLabels: '',
+                missing: null,
+              },
+              {
+                name: 'sex',
+                type: 'integer',
+                label: '',
+                valueLabels: '1 = Male, 2 = Female',
+                missing: null,
+              },
+            ],
+          },
+          {
+            uri: SCORES.uri,
+            name: 'data/scores.csv',
+            description: '',
+            sheet: null,
+            label: '',
+            rowCount: 50,
+            sampled: true,
+            variables: [
+              { name: 'id', type: 'integer', label: '', valueLabels: '', missing: 0 },
+              { name: 'score|raw', type: 'number', label: '', valueLabels: '', missing: 3 },
+            ],
+          },
+          {
+            uri: WORKBOOK.uri,
+            name: 'data/book.xlsx',
+            description: '',
+            sheet: 'Results',
+            label: '',
+            rowCount: 2,
+            sampled: false,
+            variables: [{ name: 'a', type: 'string', label: '', valueLabels: '', missing: null }],
+          },
+          {
+            uri: WORKBOOK.uri,
+            name: 'data/book.xlsx',
+            description: '',
+            sheet: 'Empty',
+            label: '',
+            rowCount: 0,
+            sampled: false,
+            variables: [],
+          },
+        ]);
+      });
+
+      it('should use the file name if there is no project path', () => {
+        const codebook = CodebookUtil.createCodebook(SCORES, null);
+        expect(codebook.map((x) => x.name)).toEqual(['scores.csv']);
+      });
+    });
+
+    describe('toMarkdown', () => {
+      it('should note when there are no data files', () => {
+        expect(CodebookUtil.toMarkdown([], 'Test')).toEqual(
+          '# Codebook: Test\n\nNo data files were found.\n',
+        );
+      });
+
+      it('should include a table of variables for each entry', () => {
+        const codebook = CodebookUtil.createCodebook(PROJECT_ASSETS, PROJECT_PATH);
+        const markdown = CodebookUtil.toMarkdown(codebook, 'Test');
+        expect(markdown.split('\n').slice(0, 13)).toEqual([
+          '# Codebook: Test',
+          '',
+          '## data/survey.dta',
+          '',
+          'Collected in 2020',
+          '',
+          'Cleaned by the "prep" script',
+          '',
+          '**Label:** Survey data  ',
+          `**Rows:** ${(1200).toLocaleString()}  `,
+          '**Variables:** 2',
+          '',
+          '| Variable | Type | Label | Value Labels | Missing |',
+        ]);
+        expect(markdown).toContain('| sex | integer |  | 1 = Male, 2 = Female |  |');
+        expect(markdown).toContain('**Rows:** ~50 (estimated from a sample)');
+        expect(markdown).toContain('| score\\|raw | number |  |  | 3 |');
+        expect(markdown).toContain('## data/book.xlsx [Results]');
+        expect(markdown).toContain(
+          '## data/book.xlsx [Empty]\n\n**Rows:** 0  \n**Variables:** 0\n',
+        );
+      });
+
+      it('should start the headings at the given level', () => {
+        const codebook = CodebookUtil.createCodebook(PROJECT_ASSETS, PROJECT_PATH);
+        const markdown = CodebookUtil.toMarkdown(codebook, null, 2);
+        expect(markdown.startsWith('## Codebook\n\n### data/survey.dta\n')).toBeTruthy();
+      });
+    });
+
+    describe('toHTML', () => {
+      it('should note when there are no data files', () => {
+        expect(CodebookUtil.toHTML([], 'Test')).toEqual(
+          '<h1>Codebook: Test</h1>\n<p>No data files were found.</p>',
+        );
+        expect(CodebookUtil.toHTML(null, null, 2)).toEqual(
+          '<h2>Codebook</h2>\n<p>No data files were found.</p>',
+        );
+      });
+
+      it('should include a table of variables for each entry', () => {
+        const codebook = CodebookUtil.createCodebook(PROJECT_ASSETS, PROJECT_PATH);
+        const html = CodebookUtil.toHTML(codebook, 'Test', 2);
+        expect(html.split('\n').slice(0, 6)).toEqual([
+          '<h2>Codebook: Test</h2>',
+          '<h3>data/survey.dta</h3>',
+          '<p>Collected in 2020<br><br>Cleaned by the &quot;prep&quot; script</p>',
+          `<p><strong>Label:</strong> Survey data<br><strong>Rows:</strong> ${(1200).toLocaleString()}<br><strong>Variables:</strong> 2</p>`,
+          '<table>',
+          '<tr><th>Variable</th><th>Type</th><th>Label</th><th>Value Labels</th><th>Missing</th></tr>',
+        ]);
+        expect(html).toContain(
+          '<tr><td>sex</td><td>integer</td><td></td><td>1 = Male, 2 = Female</td><td></td></tr>',
+        );
+        expect(html).toContain('<h3>data/book.xlsx [Results]</h3>');
+      });
+    });
+
+    describe('toCSV', () => {
+      it('should only include the header when there are no variables', () => {
+        expect(CodebookUtil.toCSV([])).toEqual(
+          'File,Sheet,File Description,Variable,Type,Label,Value Labels,Missing\r\n',
+        );
+        expect(CodebookUtil.toCSV(null)).toEqual(
+          'File,Sheet,File Description,Variable,Type,Label,Value Labels,Missing\r\n',
+        );
+      });
+
+      it('should include a row for each variable', () => {
+        const codebook = CodebookUtil.createCodebook(PROJECT_ASSETS, PROJECT_PATH);
+        expect(CodebookUtil.toCSV(codebook).split('\r\n')).toEqual([
+          'File,Sheet,File Description,Variable,Type,Label,Value Labels,Missing',
+          'data/survey.dta,,"Collected in 2020\n\nCleaned by the ""prep"" script",id,integer,Identifier,,',
+          'data/survey.dta,,"Collected in 2020\n\nCleaned by the ""prep"" script",sex,integer,,"1 = Male, 2 = Female",',
+          'data/scores.csv,,,id,integer,,,0',
+          'data/scores.csv,,,score|raw,number,,,3',
+          'data/book.xlsx,Results,,a,string,,,',
+          '',
+        ]);
+      });
+    });
+  });
+});
@@ -249,5 +249,20 @@ describe('utils', () => {
         expect(GeneralUtil.isValidResourceUrl('file:///Users/me/test.csv')).toBe(true);
       });
     });
+
+    describe('escapeHtml', () => {
+      it('escapes the characters that have a meaning in HTML', () => {
+        expect(GeneralUtil.escapeHtml(`<a href="x">Tom & Jerry's</a>`)).toEqual(
+          '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;',
+        );
+        expect(GeneralUtil.escapeHtml('plain text')).toEqual('plain text');
+        expect(GeneralUtil.escapeHtml(5)).toEqual('5');
+      });
+
+      it('handles missing text', () => {
+        expect(GeneralUtil.escapeHtml(null)).toEqual('');
+        expect(GeneralUtil.escapeHtml(undefined)).toEqual('');
+      });
+    });
   });
 });
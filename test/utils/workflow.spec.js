@@ -227,6 +227,195 @@ describe('utils', () => {
           ],
         });
       });
+      it('should build the dependency graph with table nodes shared across SQL scripts', () => {
+        const asset = {
+          uri: '/test/1',
+          children: [
+            {
+              uri: '/test/1/extract.sql',
+              metadata: [
+                {
+                  id: 'StatWrap.SQLHandler',
+                  libraries: [],
+                  inputs: [{ id: 'raw.visits', type: 'table', path: 'raw.visits' }],
+                  outputs: [{ id: 'cohort', type: 'table', path: 'cohort' }],
+                },
+              ],
+            },
+            {
+              uri: '/test/1/summarize.sql',
+              metadata: [
+                {
+                  id: 'StatWrap.SQLHandler',
+                  libraries: [],
+                  inputs: [{ id: 'cohort', type: 'table', path: 'cohort' }],
+                  outputs: [],
+                },
+              ],
+            },
+          ],
+        };
+        const graph = WorkflowUtil.getAllDependenciesAsGraph(asset);
+        expect(graph).toEqual({
+          nodes: [
+            { id: 'extract.sql', assetType: 'sql' },
+            { id: 'raw.visits', assetType: 'table', direction: 'in' },
+            { id: 'cohort', assetType: 'table', direction: 'out' },
+            { id: 'summarize.sql', assetType: 'sql' },
+          ],
+          links: [
+            { source: 'raw.visits', target: 'extract.sql' },
+            { source: 'extract.sql', target: 'cohort' },
+            { source: 'cohort', target: 'summarize.sql' },
+          ],
+        });
+      });
+      it('should link code dependencies to code assets in the project', () => {
+        const asset = {
+          uri: '/test/1',
+          children: [
+            {
+              uri: '/test/1/Makefile',
+              metadata: [
+                {
+                  id: 'StatWrap.ShellHandler',
+                  libraries: [],
+                  inputs: [
+                    { id: 'Rscript - code/clean.R', type: 'code', path: 'code/clean.R' },
+                    { id: 'python - ./code/model.py', type: 'code', path: './code/model.py' },
+                    { id: 'python - missing.py', type: 'code', path: 'missing.py' },
+                  ],
+                  outputs: [],
+                },
+              ],
+            },
+            {
+              uri: '/test/1/code',
+              children: [
+                {
+                  uri: '/test/1/code/clean.R',
+                  metadata: [
+                    {
+                      id: 'StatWrap.RHandler',
+                      libraries: [],
+                      // Relative to the script's folder
+                      inputs: [{ id: 'source - "utils.R"', type: 'code', path: '"utils.R"' }],
+                      outputs: [],
+                    },
+                  ],
+                },
+                {
+                  uri: '/test/1/code/model.py',
+                  metadata: [{ id: 'StatWrap.PythonHandler', libraries: [] }],
+                },
+                {
+                  uri: '/test/1/code/utils.R',
+                  metadata: [{ id: 'StatWrap.RHandler', libraries: [] }],
+                },
+              ],
+            },
+          ],
+        };
+        const graph = WorkflowUtil.getAllDependenciesAsGraph(asset);
+        expect(graph).toEqual({
+          nodes: [
+            { id: 'Makefile', assetType: 'shell' },
+            { id: 'code/clean.R', assetType: 'r' },
+            { id: 'code/model.py', assetType: 'python' },
+            { id: 'python - missing.py', assetType: 'code', direction: 'in', unresolved: true },
+            { id: 'code/utils.R', assetType: 'r' },
+          ],
+          links: [
+            { source: 'code/clean.R', target: 'Makefile' },
+            { source: 'code/model.py', target: 'Makefile' },
+            { source: 'python - missing.py', target: 'Makefile' },
+            { source: 'code/utils.R', target: 'code/clean.R' },
+          ],
+        });
+      });
+      it('should link file dependencies to assets in the project', () => {
+        const asset = {
+          uri: '/test/1',
+          children: [
+            {
+              uri: '/test/1/code',
+              children: [
+                {
+                  uri: '/test/1/code/clean.R',
+                  metadata: [
+                    {
+                      id: 'StatWrap.RHandler',
+                      libraries: [],
+                      inputs: [
+                        // Relative to the script's folder
+                        {
+                          id: 'read.csv - "../data/raw.csv"',
+                          type: 'data',
+                          path: '"../data/raw.csv"',
+                        },
+                        { id: 'read.csv - "missing.csv"', type: 'data', path: '"missing.csv"' },
+                      ],
+                      outputs: [
+                        // Relative to the working directory
+                        { id: 'write.csv - "clean.csv"', type: 'data', path: '"clean.csv"' },
+                      ],
+                      workingDirectories: [{ id: 'setwd - "../data"', path: '"../data"' }],
+                    },
+                  ],
+                },
+                {
+                  uri: '/test/1/code/model.py',
+                  metadata: [
+                    {
+                      id: 'StatWrap.PythonHandler',
+                      libraries: [],
+                      // Relative to the project root
+                      inputs: [
+                        {
+                          id: 'read_csv - "data/clean.csv"',
+                          type: 'data',
+                          path: '"data/clean.csv"',
+                        },
+                      ],
+                      outputs: [],
+                    },
+                  ],
+                },
+              ],
+            },
+            {
+              uri: '/test/1/data',
+              children: [{ uri: '/test/1/data/raw.csv' }, { uri: '/test/1/data/clean.csv' }],
+            },
+          ],
+        };
+        const graph = WorkflowUtil.getAllDependenciesAsGraph(asset);
+        expect(graph).toEqual({
+          nodes: [
+            { id: 'code/clean.R', assetType: 'r' },
+            { id: 'data/raw.csv', assetType: 'data', direction: 'in', uri: '/test/1/data/raw.csv' },
+            {
+              id: 'read.csv - "missing.csv"',
+              assetType: 'data',
+              direction: 'in',
+              unresolved: true,
+            },
+            {
+              id: 'data/clean.csv',
+              assetType: 'data',
+              direction: 'out',
+              uri: '/test/1/data/clean.csv',
+            },
+            { id: 'code/model.py', assetType: 'python' },
+          ],
+          links: [
+            { source: 'data/raw.csv', target: 'code/clean.R' },
+            { source: 'read.csv - "missing.csv"', target: 'code/clean.R' },
+            { source: 'code/clean.R', target: 'data/clean.csv' },
+            { source: 'data/clean.csv', target: 'code/model.py' },
+          ],
+        });
+      });
       it('should filter out items from the graph', () => {
         const asset = {
           uri: '/test/1',
@@ -339,7 +528,7 @@ describe('utils', () => {
         expect(graph).toEqual({
           nodes: [
             { id: '1/1', assetType: 'r' },
-            { id: 'r.csv', assetType: 'data', direction: 'in' },
+            { id: 'r.csv', assetType: 'data', direction: 'in', unresolved: true },
           ],
           links: [{ source: 'r.csv', target: '1/1' }],
         });
@@ -463,6 +652,100 @@ describe('utils', () => {
       });
     });
 
+    describe('getDependencyCandidatePaths', () => {
+      it('should handle empty/invalid inputs', () => {
+        expect(WorkflowUtil.getDependencyCandidatePaths(null, '"a.csv"', [], '/test')).toEqual([]);
+        expect(WorkflowUtil.getDependencyCandidatePaths('a.R', null, [], '/test')).toEqual([]);
+        expect(WorkflowUtil.getDependencyCandidatePaths('a.R', '""', [], '/test')).toEqual([]);
+      });
+      it('should try the folder of the code and then the project root', () => {
+        expect(
+          WorkflowUtil.getDependencyCandidatePaths('code/a.R', '"../data/raw.csv"', [], '/test'),
+        ).toEqual(['data/raw.csv']);
+        expect(
+          WorkflowUtil.getDependencyCandidatePaths('code/a.R', "'./raw.csv'", null, '/test'),
+        ).toEqual(['code/raw.csv', 'raw.csv']);
+        expect(WorkflowUtil.getDependencyCandidatePaths('a.R', '"raw.csv"', [], '/test')).toEqual([
+          'raw.csv',
+        ]);
+      });
+      it('should leave out paths outside of the project', () => {
+        expect(
+          WorkflowUtil.getDependencyCandidatePaths('a.R', '"../other/raw.csv"', [], '/test'),
+        ).toEqual([]);
+        expect(
+          WorkflowUtil.getDependencyCandidatePaths('a.R', '"~/data/raw.csv"', [], '/test'),
+        ).toEqual([]);
+        expect(
+          WorkflowUtil.getDependencyCandidatePaths('a.R', '"/other/raw.csv"', [], '/test'),
+        ).toEqual([]);
+      });
+      it('should resolve absolute paths within the project', () => {
+        expect(
+          WorkflowUtil.getDependencyCandidatePaths('code/a.R', '"/test/data/raw.csv"', [], '/test'),
+        ).toEqual(['data/raw.csv']);
+        expect(
+          WorkflowUtil.getDependencyCandidatePaths('code/a.R', '"/test/data/raw.csv"', [], null),
+        ).toEqual([]);
+      });
+      it('should try the working directories first, most recent first', () => {
+        const workingDirectories = [
+          { id: 'setwd - "../data"', path: '"../data"' },
+          // Relative to the previous working directory
+          { id: 'setwd - "raw"', path: '"raw"' },
+        ];
+        expect(
+          WorkflowUtil.getDependencyCandidatePaths(
+            'code/a.R',
+            '"survey.csv"',
+            workingDirectories,
+            '/test',
+          ),
+        ).toEqual(['data/raw/survey.csv', 'data/survey.csv', 'code/survey.csv', 'survey.csv']);
+      });
+      it('should not follow relative working directories after one outside of the project', () => {
+        const workingDirectories = [
+          { id: 'setwd - "/other"', path: '"/other"' },
+          { id: 'setwd - "raw"', path: '"raw"' },
+          { id: 'setwd - "/test/output"', path: '"/test/output"' },
+        ];
+        expect(
+          WorkflowUtil.getDependencyCandidatePaths('a.R', '"b.csv"', workingDirectories, '/test'),
+        ).toEqual(['output/b.csv', 'b.csv']);
+      });
+      it('should resolve SAS data sets in a library', () => {
+        const workingDirectories = [
+          { id: "libname raw - '../data'", path: "'../data'", library: 'raw' },
+          { id: "libname ext - '/other'", path: "'/other'", library: 'ext' },
+        ];
+        expect(
+          WorkflowUtil.getDependencyCandidatePaths(
+            'code/a.sas',
+            'RAW.Survey',
+            workingDirectories,
+            '/test',
+          ),
+        ).toEqual(['data/survey.sas7bdat']);
+        expect(
+          WorkflowUtil.getDependencyCandidatePaths(
+            'code/a.sas',
+            'ext.survey',
+            workingDirectories,
+            '/test',
+          ),
+        ).toEqual([]);
+        // Libraries aren't working directories
+        expect(
+          WorkflowUtil.getDependencyCandidatePaths(
+            'code/a.sas',
+            "'b.csv'",
+            workingDirectories,
+            '/test',
+          ),
+        ).toEqual(['code/b.csv', 'b.csv']);
+      });
+    });
+
     describe('getAllDependenciesAsEChartGraph', () => {
       it('should handle empty/invalid inputs', () => {
         expect(WorkflowUtil.getAllDependenciesAsEChartGraph(null)).toEqual({
@@ -538,6 +821,7 @@ describe('utils', () => {
               name: 'tmp',
               value: 'data',
               direction: 'in',
+              unresolved: true,
             },
           ],
           links: [
@@ -568,6 +852,9 @@ describe('utils', () => {
         expect(WorkflowUtil.getAssetType({ metadata: [{ id: 'StatWrap.PythonHandler' }] })).toEqual(
           'python',
         );
+        expect(
+          WorkflowUtil.getAssetType({ metadata: [{ id: 'StatWrap.NotebookHandler' }] }),
+        ).toEqual('notebook');
       });
 
       it('should return a default value for unkown types', () => {
@@ -925,5 +1212,385 @@ describe('utils', () => {
         );
       });
     });
+
+    describe('getProjectEnvironment', () => {
+      it('should return no manifests for an invalid asset', () => {
+        expect(WorkflowUtil.getProjectEnvironment(null, '/test')).toEqual({ manifests: [] });
+        expect(WorkflowUtil.getProjectEnvironment({ uri: '/test' }, '/test')).toEqual({
+          manifests: [],
+        });
+      });
+
+      it('should collect the manifests from all assets', () => {
+        const packages = [{ name: 'dplyr', version: '1.1.3', pinned: true }];
+        const asset = {
+          uri: '/test',
+          metadata: [],
+          children: [
+            {
+              uri: '/test/renv.lock',
+              metadata: [
+                {
+                  id: 'StatWrap.EnvironmentHandler',
+                  manifest: 'renv.lock',
+                  language: 'r',
+                  runtime: { name: 'R', version: '4.3.1' },
+                  packages,
+                },
+              ],
+            },
+            {
+              uri: '/test/python',
+              metadata: [],
+              children: [
+                {
+                  uri: '/test/python/requirements.txt',
+                  metadata: [{ id: 'StatWrap.EnvironmentHandler', error: 'Unable to read' }],
+                },
+                {
+                  uri: '/test/python/pyproject.toml',
+                  metadata: [
+                    {
+                      id: 'StatWrap.EnvironmentHandler',
+                      manifest: 'pyproject.toml',
+                      language: 'python',
+                      packages: [],
+                    },
+                  ],
+                },
+              ],
+            },
+            {
+              uri: '/test/old',
+              attributes: { archived: true },
+              children: [
+                {
+                  uri: '/test/old/renv.lock',
+                  metadata: [
+                    {
+                      id: 'StatWrap.EnvironmentHandler',
+                      manifest: 'renv.lock',
+                      language: 'r',
+                      packages,
+                    },
+                  ],
+                },
+              ],
+            },
+          ],
+        };
+        expect(WorkflowUtil.getProjectEnvironment(asset, '/test')).toEqual({
+          manifests: [
+            {
+              uri: 'renv.lock',
+              manifest: 'renv.lock',
+              language: 'r',
+              runtime: { name: 'R', version: '4.3.1' },
+              packages,
+            },
+            {
+              uri: 'python/pyproject.toml',
+              manifest: 'pyproject.toml',
+              language: 'python',
+              runtime: null,
+              packages: [],
+            },
+          ],
+        });
+      });
+    });
+
+    describe('getLibraryPackageNames', () => {
+      it('should name Python packages as they are declared, without the standard library', () => {
+        expect(
+          WorkflowUtil.getLibraryPackageNames('Python', { module: 'matplotlib', import: 'pyplot' }),
+        ).toEqual(['matplotlib']);
+        expect(
+          WorkflowUtil.getLibraryPackageNames('Python', {
+            module: null,
+            import: 'os, Typing_Extensions, sklearn.linear_model',
+          }),
+        ).toEqual(['typing-extensions', 'scikit-learn']);
+        expect(
+          WorkflowUtil.getLibraryPackageNames('Python', { module: '.utils', import: 'helper' }),
+        ).toEqual([]);
+        expect(WorkflowUtil.getLibraryPackageNames('Python', { package: 'dplyr' })).toEqual([]);
+        expect(WorkflowUtil.getLibraryPackageNames('Python', null)).toEqual([]);
+      });
+
+      it('should recognize all of the Python standard library', () => {
+        expect(
+          WorkflowUtil.getLibraryPackageNames('Python', {
+            module: null,
+            import:
+              'codecs, locale, secrets, ssl, zoneinfo, optparse, atexit, binascii, ipaddress, stat',
+          }),
+        ).toEqual([]);
+        expect(
+          WorkflowUtil.getLibraryPackageNames('Python', {
+            module: 'xml.etree',
+            import: 'ElementTree',
+          }),
+        ).toEqual([]);
+      });
+
+      it('should leave out R base packages and Java standard packages', () => {
+        expect(WorkflowUtil.getLibraryPackageNames('R', { package: 'dplyr' })).toEqual(['dplyr']);
+        expect(WorkflowUtil.getLibraryPackageNames('R', { package: 'stats' })).toEqual([]);
+        expect(WorkflowUtil.getLibraryPackageNames('R', { module: 'pandas' })).toEqual([]);
+        expect(
+          WorkflowUtil.getLibraryPackageNames('Java', { module: 'org.slf4j', import: 'Logger' }),
+        ).toEqual(['org.slf4j']);
+        expect(
+          WorkflowUtil.getLibraryPackageNames('Java', { module: 'java.util', import: 'List' }),
+        ).toEqual([]);
+        expect(WorkflowUtil.getLibraryPackageNames('Stata', { package: 'estout' })).toEqual([]);
+      });
+    });
+
+    describe('isPackageForLibrary', () => {
+      it('should match Python and R packages by name', () => {
+        expect(
+          WorkflowUtil.isPackageForLibrary('Python', 'scikit-learn', 'Scikit_Learn'),
+        ).toBeTruthy();
+        expect(WorkflowUtil.isPackageForLibrary('Python', 'numpy', 'numpy-financial')).toBeFalsy();
+        expect(WorkflowUtil.isPackageForLibrary('R', 'dplyr', 'dplyr')).toBeTruthy();
+        expect(WorkflowUtil.isPackageForLibrary('R', 'Rcpp', 'rcpp')).toBeFalsy();
+      });
+
+      it('should match R packages to their conda packages', () => {
+        expect(WorkflowUtil.isPackageForLibrary('R', 'R6', 'r-r6')).toBeTruthy();
+        expect(WorkflowUtil.isPackageForLibrary('R', 'data.table', 'r-data.table')).toBeTruthy();
+        expect(WorkflowUtil.isPackageForLibrary('R', 'dplyr', 'r-base')).toBeFalsy();
+      });
+
+      it('should match Java packages to their group and artifact', () => {
+        expect(
+          WorkflowUtil.isPackageForLibrary(
+            'Java',
+            'org.apache.commons.math3.stat',
+            'org.apache.commons:commons-math3',
+          ),
+        ).toBeTruthy();
+        expect(
+          WorkflowUtil.isPackageForLibrary(
+            'Java',
+            'com.fasterxml.jackson.databind',
+            'com.fasterxml.jackson.core:jackson-databind',
+          ),
+        ).toBeTruthy();
+        expect(
+          WorkflowUtil.isPackageForLibrary(
+            'Java',
+            'com.google.common.collect',
+            'com.google.guava:guava',
+          ),
+        ).toBeTruthy();
+        expect(
+          WorkflowUtil.isPackageForLibrary(
+            'Java',
+            'org.apache.commons.math3',
+            'org.slf4j:slf4j-api',
+          ),
+        ).toBeFalsy();
+      });
+    });
+
+    describe('getLibraryVersionReport', () => {
+      const createAsset = (children) => ({ uri: '/test', metadata: [], children });
+      const createManifest = (uri, manifest, language, packages) => ({
+        uri,
+        metadata: [{ id: 'StatWrap.EnvironmentHandler', manifest, language, packages }],
+      });
+
+      it('should return an empty report when there are no libraries or manifests', () => {
+        expect(WorkflowUtil.getLibraryVersionReport(null)).toEqual({});
+        expect(WorkflowUtil.getLibraryVersionReport(createAsset([]))).toEqual({});
+      });
+
+      it('should report pinned, unpinned and unused packages', () => {
+        const asset = createAsset([
+          {
+            uri: '/test/analysis.py',
+            metadata: [
+              {
+                id: 'StatWrap.PythonHandler',
+                libraries: [
+                  { id: 'pandas', module: null, import: 'pandas', alias: 'pd' },
+                  { id: 'numpy', module: null, import: 'numpy', alias: 'np' },
+                  { id: 'scipy.stats', module: 'scipy', import: 'stats', alias: null },
+                  { id: 'os', module: null, import: 'os', alias: null },
+                ],
+              },
+            ],
+          },
+          createManifest('/test/requirements.txt', 'requirements.txt', 'python', [
+            { name: 'pandas', version: '2.1.0', pinned: true },
+            { name: 'numpy', version: '>=1.24', pinned: false },
+            { name: 'requests', version: '2.31.0', pinned: true },
+          ]),
+          createManifest('/test/Pipfile.lock', 'Pipfile.lock', 'python', [
+            { name: 'six', version: '1.16.0', pinned: true },
+          ]),
+          {
+            uri: '/test/report.Rmd',
+            metadata: [{ id: 'StatWrap.RHandler', libraries: [{ id: 'dplyr', package: 'dplyr' }] }],
+          },
+        ]);
+        expect(WorkflowUtil.getLibraryVersionReport(asset)).toEqual({
+          Python: {
+            pinned: [{ name: 'pandas', version: '2.1.0', uri: 'requirements.txt' }],
+            unpinned: [
+              { name: 'numpy', manifests: [{ uri: 'requirements.txt', version: '>=1.24' }] },
+              { name: 'scipy', manifests: [] },
+            ],
+            unused: [
+              { name: 'requests', version: '2.31.0', pinned: true, uri: 'requirements.txt' },
+            ],
+          },
+          R: {
+            pinned: [],
+            unpinned: [{ name: 'dplyr', manifests: [] }],
+            unused: [],
+          },
+        });
+      });
+
+      it('should compare the Python and R packages in a conda environment separately', () => {
+        const asset = createAsset([
+          {
+            uri: '/test/analysis.py',
+            metadata: [
+              {
+                id: 'StatWrap.PythonHandler',
+                libraries: [
+                  { id: 'pandas', module: null, import: 'pandas', alias: 'pd' },
+                  { id: 'requests', module: null, import: 'requests', alias: null },
+                ],
+              },
+            ],
+          },
+          {
+            uri: '/test/report.R',
+            metadata: [
+              {
+                id: 'StatWrap.RHandler',
+                libraries: [
+                  { id: 'dplyr', package: 'dplyr' },
+                  { id: 'R6', package: 'R6' },
+                ],
+              },
+            ],
+          },
+          createManifest('/test/environment.yml', 'environment.yml', 'conda', [
+            { name: 'pandas', version: '2.1.0', pinned: true, language: 'python' },
+            { name: 'pip', version: null, pinned: false, language: 'python' },
+            { name: 'scipy', version: '1.11.*', pinned: false, language: 'python' },
+            { name: 'r-base', version: '4.3.*', pinned: false, language: 'r' },
+            { name: 'r-dplyr', version: '1.1.3', pinned: true, language: 'r' },
+            { name: 'r-r6', version: '2.5.*', pinned: false, language: 'r' },
+            { name: 'r-ggplot2', version: null, pinned: false, language: 'r' },
+            { name: 'requests', version: '2.31.0', pinned: true, language: 'python' },
+          ]),
+        ]);
+        expect(WorkflowUtil.getLibraryVersionReport(asset)).toEqual({
+          Python: {
+            pinned: [
+              { name: 'pandas', version: '2.1.0', uri: 'environment.yml' },
+              { name: 'requests', version: '2.31.0', uri: 'environment.yml' },
+            ],
+            unpinned: [],
+            unused: [{ name: 'scipy', version: '1.11.*', pinned: false, uri: 'environment.yml' }],
+          },
+          R: {
+            pinned: [{ name: 'dplyr', version: '1.1.3', uri: 'environment.yml' }],
+            unpinned: [{ name: 'R6', manifests: [{ uri: 'environment.yml', version: '2.5.*' }] }],
+            unused: [{ name: 'r-ggplot2', version: null, pinned: false, uri: 'environment.yml' }],
+          },
+        });
+      });
+
+      it('should leave out code and manifests that git ignores', () => {
+        const gitIgnored = { id: 'StatWrap.FileHandler', include: false, gitIgnored: true };
+        const ignoredManifest = createManifest(
+          '/test/venv/requirements.txt',
+          'requirements.txt',
+          'python',
+          [{ name: 'pip', version: '23.0', pinned: true }],
+        );
+        ignoredManifest.metadata.push(gitIgnored);
+        const asset = createAsset([
+          {
+            uri: '/test/analysis.py',
+            metadata: [
+              {
+                id: 'StatWrap.PythonHandler',
+                libraries: [{ id: 'pandas', module: null, import: 'pandas', alias: 'pd' }],
+              },
+            ],
+          },
+          createManifest('/test/requirements.txt', 'requirements.txt', 'python', [
+            { name: 'pandas', version: '2.1.0', pinned: true },
+          ]),
+          {
+            uri: '/test/venv',
+            metadata: [gitIgnored],
+            children: [
+              {
+                uri: '/test/venv/lib/site.py',
+                metadata: [
+                  gitIgnored,
+                  {
+                    id: 'StatWrap.PythonHandler',
+                    libraries: [{ id: 'numpy', module: null, import: 'numpy', alias: 'np' }],
+                  },
+                ],
+              },
+              ignoredManifest,
+            ],
+          },
+        ]);
+        expect(WorkflowUtil.getLibraryVersionReport(asset)).toEqual({
+          Python: {
+            pinned: [{ name: 'pandas', version: '2.1.0', uri: 'requirements.txt' }],
+            unpinned: [],
+            unused: [],
+          },
+        });
+        expect(
+          WorkflowUtil.getProjectEnvironment(asset, '/test').manifests.map((x) => x.uri),
+        ).toEqual(['requirements.txt']);
+      });
+
+      it('should use the libraries from notebooks for both Python and R', () => {
+        const asset = createAsset([
+          {
+            uri: '/test/analysis.ipynb',
+            metadata: [
+              {
+                id: 'StatWrap.NotebookHandler',
+                libraries: [
+                  { id: 'seaborn', module: null, import: 'seaborn', alias: 'sns' },
+                  { id: 'ggplot2', package: 'ggplot2' },
+                ],
+              },
+            ],
+          },
+          createManifest('/test/renv.lock', 'renv.lock', 'r', [
+            { name: 'ggplot2', version: '3.4.4', pinned: true },
+            { name: 'rlang', version: '1.1.1', pinned: true },
+          ]),
+        ]);
+        expect(WorkflowUtil.getLibraryVersionReport(asset)).toEqual({
+          Python: { pinned: [], unpinned: [{ name: 'seaborn', manifests: [] }], unused: [] },
+          // Packages in lockfiles aren't reported as unused
+          R: {
+            pinned: [{ name: 'ggplot2', version: '3.4.4', uri: 'renv.lock' }],
+            unpinned: [],
+            unused: [],
+          },
+        });
+      });
+    });
   });
 });